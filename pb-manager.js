@@ -16,12 +16,23 @@ const contrib = require("blessed-contrib");
 const dns = require("node:dns/promises");
 const { spawn } = require("node:child_process");
 const crypto = require("node:crypto");
+const http = require("node:http");
+const net = require("node:net");
 
 const PM2_INSTANCE_PREFIX = "pb-";
 const PM2_STATUS_ONLINE = "online";
+const PROCESS_MANAGER_PM2 = "pm2";
+const PROCESS_MANAGER_SYSTEMD = "systemd";
+const INSTANCE_MEMORY_MAX = "200M";
 const NGINX_DEFAULT_MAX_BODY_SIZE = "20M";
+const MAX_BODY_SIZE_PROMPT = "Max request body size (client_max_body_size, e.g. 5M, 500M, 0 for no limit, off for the Nginx default of 1M):";
+const DEFAULT_RATE_LIMIT = { requestsPerSecond: 10, burst: 20, authRequestsPerMinute: 10, authBurst: 5, adminRequestsPerSecond: 5, adminBurst: 20, connections: 50 };
 const POCKETBASE_FALLBACK_VERSION = "0.28.2";
+const UPGRADE_HEALTH_CHECK_TIMEOUT_MS = 30000;
+const DASHBOARD_LOG_LINES = 500;
+const DASHBOARD_LOG_LEVELS = ["all", "warn", "error"];
 const AUDIT_LOG_FILE = "audit.log";
+const AUDIT_REDACTED_OPTION_PATTERN = /password|secret|token|key/i;
 const CLI_CONFIG_FILE = "cli-config.json";
 const INSTANCES_CONFIG_FILE = "instances.json";
 const POCKETBASE_BIN_SUBDIR = "bin";
@@ -35,27 +46,119 @@ const PB_MANAGER_UPDATE_SCRIPT_URL_BASE = "https://raw.githubusercontent.com/dev
 const PB_MANAGER_SCRIPT_NAME = "pb-manager.js";
 const DEFAULT_INSTALL_PATH_PB_MANAGER = "/opt/pb-manager/pb-manager.js";
 const POCKETBASE_DOWNLOAD_LOCK_FILENAME = ".download.lock";
+const BACKUPS_SUBDIR = "backups";
+const CERTS_SUBDIR = "certs";
+const TEMPLATES_SUBDIR = "templates";
+const NGINX_TEMPLATE_FILENAME = "nginx.conf.tmpl";
+const MAINTENANCE_TEMPLATE_FILENAME = "maintenance.html.tmpl";
+const DEFAULT_MAINTENANCE_MESSAGE = "We are performing scheduled maintenance and will be back shortly.";
+const DEFAULT_MAINTENANCE_RETRY_AFTER_SECONDS = 600;
+const TLS_MODE_LETSENCRYPT = "letsencrypt";
+const TLS_MODE_CUSTOM = "custom";
+const TLS_MODE_INTERNAL_CA = "internal-ca";
+const TLS_MODES = [TLS_MODE_LETSENCRYPT, TLS_MODE_CUSTOM, TLS_MODE_INTERNAL_CA];
+const INTERNAL_CA_SUBDIR = "ca";
+const INTERNAL_CA_VALIDITY_DAYS = 3650;
+const INTERNAL_CERT_VALIDITY_DAYS = 397;
+const INTERNAL_CERT_RENEWAL_DAYS = 30;
+const INTERNAL_CA_DEFAULT_DOMAINS = ["internal", "local", "lan", "test", "localhost", "home.arpa"];
+const BACKUP_METADATA_FILENAME = "pb-manager-backup.json";
+const BACKUP_ARCHIVE_EXTENSION = ".tar.gz";
+const BACKUP_PROXY_SETTINGS_DIR = "proxy";
+const POCKETBASE_SQLITE_DATABASES = ["data.db", "auxiliary.db"];
+const BACKUP_SCHEDULE_UNIT_PREFIX = "pb-manager-backup-";
+const INTERNAL_CA_RENEWAL_UNIT = "pb-manager-internal-ca-renew";
+const SYSTEMD_UNITS_DIR = "/etc/systemd/system";
+const CRON_D_DIR = "/etc/cron.d";
+const S3_MULTIPART_THRESHOLD = 64 * 1024 * 1024;
+const S3_MULTIPART_PART_SIZE = 16 * 1024 * 1024;
+const S3_REQUEST_TIMEOUT_MS = 60 * 1000;
+const S3_MIN_TRANSFER_BYTES_PER_SECOND = 256 * 1024;
+const MANIFEST_FORMAT_VERSION = 1;
+const API_DEFAULT_LISTEN = "127.0.0.1:9900";
+const API_MAX_BODY_BYTES = 1024 * 1024;
+const MONITOR_STATE_FILENAME = "monitor-state.json";
+const PROCESS_ACTIONS_FILENAME = "process-actions.json";
+const MONITOR_SERVICE_UNIT = "pb-manager-monitor.service";
+const MONITOR_DEFAULTS = { intervalSeconds: 60, failureThreshold: 2, certificateWarningDays: 14 };
+const MONITOR_CERTIFICATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MONITOR_MAX_PENDING_EVENTS = 100;
+const ALERT_CHANNEL_TYPES = ["webhook", "slack", "smtp"];
+const ALERT_REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_PORT_RANGE = { start: 8090, end: 8999 };
+const PORT_PROBE_HOSTS = ["127.0.0.1", "0.0.0.0", "::"];
+const RESERVED_INSTANCE_NAMES = ["all", "schedule", "remote"];
+const INSTANCE_NAME_RULES = `Use letters, numbers and dashes only (${RESERVED_INSTANCE_NAMES.join(", ")} are reserved).`;
+const BACKUP_SCHEDULE_PRESETS = {
+  hourly: { onCalendar: "*-*-* *:00:00", cron: "0 * * * *" },
+  daily: { onCalendar: "*-*-* 03:00:00", cron: "0 3 * * *" },
+  weekly: { onCalendar: "Sun *-*-* 03:00:00", cron: "0 3 * * 0" },
+  monthly: { onCalendar: "*-*-01 03:00:00", cron: "0 3 1 * *" },
+};
 
 const NGINX_GLOBAL_CONF_PATH = "/etc/nginx/nginx.conf";
+const NGINX_RATE_LIMIT_ZONES_PATH = "/etc/nginx/pb-manager-rate-limits.conf";
+const NGINX_HTPASSWD_DIR = "/etc/nginx/pb-manager-htpasswd";
+const NGINX_MAINTENANCE_GEO_PATH = "/etc/nginx/pb-manager-maintenance.conf";
+const NGINX_MAINTENANCE_DIR = "/etc/nginx/pb-manager-maintenance";
+const HTPASSWD_USERNAME_PATTERN = /^[a-zA-Z0-9._@-]+$/;
+const NGINX_TEMPLATE_FEATURE_SECTIONS = [
+  { variable: "rateLimit", sections: ["rateLimit"], feature: "Rate limiting" },
+  { variable: "adminAllowlist", sections: ["adminAllow", "adminAllowlist"], feature: "The admin UI allowlist" },
+  { variable: "adminBasicAuth", sections: ["adminBasicAuth"], feature: "Admin UI basic auth" },
+  { variable: "maintenance", sections: ["maintenance"], feature: "Maintenance mode" },
+];
+const PROXY_BACKEND_NGINX = "nginx";
+const PROXY_BACKEND_CADDY = "caddy";
+const CADDYFILE_PATH = "/etc/caddy/Caddyfile";
+const CADDY_SITES_DIR = "/etc/caddy/pb-manager";
+const CADDY_CERTS_DIR = "/etc/caddy/pb-manager-certs";
+const CADDY_MAINTENANCE_DIR = "/etc/caddy/pb-manager-maintenance";
 let NGINX_SITES_AVAILABLE = "/etc/nginx/sites-available";
 let NGINX_SITES_ENABLED = "/etc/nginx/sites-enabled";
 let NGINX_DISTRO_MODE = "debian";
+let PROXY_BACKEND = PROXY_BACKEND_NGINX;
+let PROCESS_MANAGER = PROCESS_MANAGER_PM2;
 
 const pbManagerVersion = "0.5.2";
 
+async function captureConsoleOutput(task) {
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+  const output = [];
+  const capture = (...args) =>
+    output.push(
+      ...args
+        .join(" ")
+        .replace(/\x1b\[[0-9;]*m/g, "")
+        .split("\n")
+        .filter((line) => line.trim() !== ""),
+    );
+  capturedConsoleOutput = output;
+  Object.assign(console, { log: capture, warn: capture, error: capture });
+  try {
+    return { result: await task(), output };
+  } finally {
+    Object.assign(console, originalConsole);
+    capturedConsoleOutput = null;
+  }
+}
+
 async function safeRunCommand(command, args, errorMessage, ignoreError = false, options = {}) {
   return new Promise((resolve, reject) => {
     if (completeLogging) {
-      console.log(chalk.yellow(`Executing: ${command} ${args.join(" ")}`));
+      printMessage(chalk.yellow(`Executing: ${command} ${args.join(" ")}`));
     }
 
     const effectiveOptions = {
-      stdio: completeLogging && !options.silent ? "inherit" : "pipe",
+      stdio: completeLogging && !options.silent && !capturedConsoleOutput ? "inherit" : "pipe",
       shell: false,
       ...options,
     };
 
     const proc = spawn(command, args, effectiveOptions);
+    if (options.input !== undefined && proc.stdin) {
+      proc.stdin.end(options.input);
+    }
 
     let stdout = "";
     let stderr = "";
@@ -149,12 +252,32 @@ const POCKETBASE_EXEC_PATH = path.join(POCKETBASE_BIN_DIR, POCKETBASE_EXEC_NAME)
 const INSTANCES_DATA_BASE_DIR = path.join(CONFIG_DIR, INSTANCES_DATA_SUBDIR);
 const PM2_ECOSYSTEM_FILE = path.join(CONFIG_DIR, PM2_ECOSYSTEM_FILENAME);
 const VERSION_CACHE_PATH = path.join(CONFIG_DIR, VERSION_CACHE_FILENAME);
+const MONITOR_STATE_PATH = path.join(CONFIG_DIR, MONITOR_STATE_FILENAME);
+const PROCESS_ACTIONS_PATH = path.join(CONFIG_DIR, PROCESS_ACTIONS_FILENAME);
 const POCKETBASE_DOWNLOAD_LOCK_PATH = path.join(POCKETBASE_BIN_DIR, POCKETBASE_DOWNLOAD_LOCK_FILENAME);
+const BACKUPS_BASE_DIR = path.join(CONFIG_DIR, BACKUPS_SUBDIR);
+const CERTS_BASE_DIR = path.join(CONFIG_DIR, CERTS_SUBDIR);
+const TEMPLATES_DIR = path.join(CONFIG_DIR, TEMPLATES_SUBDIR);
+const INTERNAL_CA_DIR = path.join(CONFIG_DIR, INTERNAL_CA_SUBDIR);
+const INTERNAL_CA_CERT_PATH = path.join(INTERNAL_CA_DIR, "ca.crt");
+const INTERNAL_CA_KEY_PATH = path.join(INTERNAL_CA_DIR, "ca.key");
 
 let completeLogging = false;
 let _latestPocketBaseVersionCache = null;
 let currentCommandNameForAudit = "pb-manager";
 let currentCommandArgsForAudit = "";
+let nonInteractive = false;
+let jsonOutput = false;
+let capturedConsoleOutput = null;
+
+function redactAuditArgs(args, command) {
+  const redactedOptions = command.options.filter((option) => (option.required || option.optional) && AUDIT_REDACTED_OPTION_PATTERN.test(option.long)).flatMap((option) => [option.long, option.short].filter(Boolean));
+  return args.map((arg, index) => {
+    const inlineOption = arg.match(/^(--[^=]+)=/)?.[1];
+    if (inlineOption && AUDIT_REDACTED_OPTION_PATTERN.test(inlineOption)) return `${inlineOption}=********`;
+    return redactedOptions.includes(args[index - 1]) ? "********" : arg;
+  });
+}
 
 async function appendAuditLog(command, details, error = null) {
   const auditLogPath = path.join(CONFIG_DIR, AUDIT_LOG_FILE);
@@ -176,8 +299,81 @@ async function appendAuditLog(command, details, error = null) {
     await fs.appendFile(auditLogPath, logEntry);
   } catch (e) {
     if (completeLogging) {
-      console.log(chalk.red(`Failed to append to audit log: ${e.message}`));
+      printMessage(chalk.red(`Failed to append to audit log: ${e.message}`));
+    }
+  }
+}
+
+async function promptOrDefaults(questions, presetAnswers = {}) {
+  if (!nonInteractive) {
+    return inquirer.prompt(questions, presetAnswers);
+  }
+  const answers = { ...presetAnswers };
+  for (const question of questions) {
+    const asked = typeof question.when === "function" ? await question.when(answers) : question.when !== false;
+    if (!asked) {
+      continue;
+    }
+    let value = answers[question.name];
+    if (value === undefined) {
+      value = typeof question.default === "function" ? await question.default(answers) : question.default;
+    }
+    if (value === undefined) {
+      throw new Error(`No value provided for "${question.name}" and prompts are disabled (--yes). Pass it as a command-line option.`);
+    }
+    if (question.validate) {
+      const validation = await question.validate(value, answers);
+      if (validation !== true) {
+        throw new Error(`Invalid value for "${question.name}": ${validation || "validation failed"}`);
+      }
     }
+    answers[question.name] = value;
+  }
+  return answers;
+}
+
+function checkNonInteractiveInput(requiredOptions, stdinFlags = {}) {
+  const stdinFlag = Object.keys(stdinFlags).find((flag) => stdinFlags[flag]);
+  if (stdinFlag && !nonInteractive) {
+    reportCommandFailure(`${stdinFlag} reads stdin to the end, so it cannot be combined with prompts. Add --yes and pass the other values as options.`);
+    return false;
+  }
+  if (!nonInteractive) {
+    return true;
+  }
+  const missing = Object.keys(requiredOptions).filter((flag) => requiredOptions[flag] === undefined || requiredOptions[flag] === null || requiredOptions[flag] === "");
+  if (missing.length > 0) {
+    reportCommandFailure(`Missing ${missing.join(", ")}. ${missing.length === 1 ? "It is" : "They are"} required when prompts are disabled (--yes).`);
+    return false;
+  }
+  return true;
+}
+
+async function readPasswordFromStdin() {
+  let data = "";
+  for await (const chunk of process.stdin) {
+    data += chunk;
+  }
+  return data.replace(/\r?\n$/, "");
+}
+
+function printMessage(...args) {
+  if (jsonOutput) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+function printJsonResult(result) {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+function reportCommandFailure(message, extra = {}) {
+  console.error(chalk.red(message));
+  process.exitCode = 1;
+  if (jsonOutput) {
+    printJsonResult({ success: false, error: message, ...extra });
   }
 }
 
@@ -185,7 +381,7 @@ async function validateDnsRecords(domain) {
   try {
     const publicIpRes = await axios.get(IPFY_URL, { timeout: 5000 }).catch(() => null);
     if (!publicIpRes || !publicIpRes.data || !publicIpRes.data.ip) {
-      console.log(chalk.yellow("Could not fetch server's public IP. Skipping DNS validation."));
+      printMessage(chalk.yellow("Could not fetch server's public IP. Skipping DNS validation."));
       return true;
     }
     const serverIp = publicIpRes.data.ip;
@@ -203,7 +399,7 @@ async function validateDnsRecords(domain) {
       }
     } catch (e) {
       if (completeLogging) {
-        console.log(chalk.blue(`No A records found or error resolving A records for ${domain}: ${e.message}`));
+        printMessage(chalk.blue(`No A records found or error resolving A records for ${domain}: ${e.message}`));
       }
     }
 
@@ -219,21 +415,21 @@ async function validateDnsRecords(domain) {
         }
       } catch (e) {
         if (completeLogging) {
-          console.log(chalk.blue(`No AAAA records found or error resolving AAAA records for ${domain}: ${e.message}`));
+          printMessage(chalk.blue(`No AAAA records found or error resolving AAAA records for ${domain}: ${e.message}`));
         }
       }
     }
 
     if (!domainResolved) {
-      console.log(chalk.red(`Domain ${domain} could not be resolved. It might not exist or DNS propagation is pending.`));
+      printMessage(chalk.red(`Domain ${domain} could not be resolved. It might not exist or DNS propagation is pending.`));
       return false;
     }
     if (!pointsToServer) {
-      console.log(chalk.yellow(`Domain ${domain} exists but does not seem to point to this server's IP (${serverIp}). Please check your DNS A/AAAA records.`));
+      printMessage(chalk.yellow(`Domain ${domain} exists but does not seem to point to this server's IP (${serverIp}). Please check your DNS A/AAAA records.`));
     }
     return pointsToServer;
   } catch (e) {
-    console.log(chalk.red(`Error validating DNS records for ${domain}: ${e.message}`));
+    printMessage(chalk.red(`Error validating DNS records for ${domain}: ${e.message}`));
     return false;
   }
 }
@@ -255,7 +451,7 @@ async function getCachedLatestVersion() {
     return latestVersion;
   } catch (e) {
     if (completeLogging) {
-      console.log(chalk.yellow(`Error with version cache: ${e.message}. Fetching directly.`));
+      printMessage(chalk.yellow(`Error with version cache: ${e.message}. Fetching directly.`));
     }
     return await getLatestPocketBaseVersion(false);
   }
@@ -289,6 +485,11 @@ async function getCliConfig() {
     defaultCertbotEmail: null,
     defaultPocketBaseVersion: latestVersion,
     completeLogging: false,
+    backupRemotes: {},
+    alertChannels: {},
+    portRange: DEFAULT_PORT_RANGE,
+    proxy: PROXY_BACKEND_NGINX,
+    processManager: PROCESS_MANAGER_PM2,
   };
 
   if (await fs.pathExists(CLI_CONFIG_PATH)) {
@@ -338,36 +539,95 @@ async function getInstancesConfig() {
   if (!(await fs.pathExists(INSTANCES_CONFIG_PATH))) {
     await fs.writeJson(INSTANCES_CONFIG_PATH, { instances: {} }, { mode: 0o600 });
   }
-  return fs.readJson(INSTANCES_CONFIG_PATH);
+  const config = await fs.readJson(INSTANCES_CONFIG_PATH);
+  if (migrateInstancesConfig(config)) {
+    await saveInstancesConfig(config);
+  }
+  return config;
+}
+
+function migrateInstancesConfig(config) {
+  let migrated = false;
+  for (const instance of Object.values(config.instances)) {
+    if ("maxBody20Mb" in instance) {
+      instance.maxBodySize = getInstanceMaxBodySize(instance);
+      delete instance.maxBody20Mb;
+      migrated = true;
+    }
+  }
+  return migrated;
+}
+
+function getInstanceMaxBodySize(instance) {
+  if (instance.maxBodySize !== undefined) {
+    return instance.maxBodySize;
+  }
+  return instance.maxBody20Mb === false ? null : NGINX_DEFAULT_MAX_BODY_SIZE;
+}
+
+function parseMaxBodySize(value) {
+  if (value === true) {
+    return { size: NGINX_DEFAULT_MAX_BODY_SIZE };
+  }
+  if (value === false || value === null || /^(off|default)$/i.test(String(value).trim())) {
+    return { size: null };
+  }
+  const match = /^(\d+)([kmg])?$/i.exec(String(value).trim());
+  if (!match) {
+    return { error: `Invalid body size "${value}". Use an Nginx size such as 512K, 20M or 1G, 0 for no limit, or "off" for the Nginx default (1M).` };
+  }
+  return { size: `${Number(match[1])}${(match[2] || "").toUpperCase()}` };
+}
+
+function validateMaxBodySizeInput(input) {
+  return parseMaxBodySize(input).error || true;
 }
 
 async function saveInstancesConfig(config) {
   await fs.writeJson(INSTANCES_CONFIG_PATH, config, { spaces: 2, mode: 0o600 });
 }
 
+function getPocketBaseExecPath(version = null) {
+  return version ? path.join(POCKETBASE_BIN_DIR, version, POCKETBASE_EXEC_NAME) : POCKETBASE_EXEC_PATH;
+}
+
+function getInstanceExecPath(instance) {
+  return getPocketBaseExecPath(instance.pocketBaseVersion);
+}
+
+async function getInstalledPocketBaseVersions() {
+  if (!(await fs.pathExists(POCKETBASE_BIN_DIR))) {
+    return [];
+  }
+  const versions = [];
+  for (const entry of await fs.readdir(POCKETBASE_BIN_DIR)) {
+    if (/^\d+\.\d+\.\d+$/.test(entry) && (await fs.pathExists(getPocketBaseExecPath(entry)))) {
+      versions.push(entry);
+    }
+  }
+  return versions.sort(comparePocketBaseVersions);
+}
+
+function comparePocketBaseVersions(a, b) {
+  const partsA = a.split(".").map(Number);
+  const partsB = b.split(".").map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+  }
+  return 0;
+}
+
 async function downloadPocketBaseIfNotExists(versionOverride = null, interactive = true) {
   const cliConfig = await getCliConfig();
   const versionToDownload = versionOverride || cliConfig.defaultPocketBaseVersion;
+  const versionDir = path.join(POCKETBASE_BIN_DIR, versionToDownload);
+  const execPath = getPocketBaseExecPath(versionToDownload);
 
-  if (!versionOverride && (await fs.pathExists(POCKETBASE_EXEC_PATH))) {
+  if (await fs.pathExists(execPath)) {
     if (completeLogging && interactive) {
-      console.log(chalk.green(`PocketBase executable already exists at ${POCKETBASE_EXEC_PATH}. Skipping download.`));
-    }
-    return { success: true, message: "PocketBase executable already exists." };
-  }
-
-  if (await fs.pathExists(POCKETBASE_EXEC_PATH)) {
-    if (interactive) {
-      const { confirmOverwrite } = await inquirer.prompt([{ type: "confirm", name: "confirmOverwrite", message: `PocketBase executable already exists at ${POCKETBASE_EXEC_PATH}. Do you want to remove it and download version ${versionToDownload}?`, default: false }]);
-      if (!confirmOverwrite) {
-        console.log(chalk.yellow("Download cancelled by user."));
-        return { success: false, message: "Download cancelled by user." };
-      }
+      printMessage(chalk.green(`PocketBase v${versionToDownload} already exists at ${execPath}. Skipping download.`));
     }
-    if (completeLogging) {
-      console.log(chalk.yellow(`Removing existing PocketBase executable at ${POCKETBASE_EXEC_PATH} to download version ${versionToDownload}...`));
-    }
-    await fs.remove(POCKETBASE_EXEC_PATH);
+    return { success: true, message: `PocketBase v${versionToDownload} already exists.`, execPath };
   }
 
   try {
@@ -376,11 +636,11 @@ async function downloadPocketBaseIfNotExists(versionOverride = null, interactive
   } catch (e) {
     if (e.code === "EEXIST") {
       if (interactive) {
-        console.log(chalk.yellow(`Another PocketBase download process may be active. Please wait or clear the lock file if stuck: ${POCKETBASE_DOWNLOAD_LOCK_PATH}`));
+        printMessage(chalk.yellow(`Another PocketBase download process may be active. Please wait or clear the lock file if stuck: ${POCKETBASE_DOWNLOAD_LOCK_PATH}`));
       }
       await new Promise((resolve) => setTimeout(resolve, 3000));
-      if (await fs.pathExists(POCKETBASE_EXEC_PATH)) {
-        return { success: true, message: "PocketBase executable now exists (likely downloaded by another process)." };
+      if (await fs.pathExists(execPath)) {
+        return { success: true, message: "PocketBase executable now exists (likely downloaded by another process).", execPath };
       }
       return { success: false, message: "Download lock held by another process." };
     }
@@ -389,12 +649,13 @@ async function downloadPocketBaseIfNotExists(versionOverride = null, interactive
 
   const downloadUrl = `https://github.com/pocketbase/pocketbase/releases/download/v${versionToDownload}/pocketbase_${versionToDownload}_linux_amd64.zip`;
   if (completeLogging) {
-    console.log(chalk.blue(`Downloading PocketBase v${versionToDownload} from ${downloadUrl}...`));
+    printMessage(chalk.blue(`Downloading PocketBase v${versionToDownload} from ${downloadUrl}...`));
   }
 
   try {
+    await fs.ensureDir(versionDir);
     const response = await axios({ url: downloadUrl, method: "GET", responseType: "stream" });
-    const zipPath = path.join(POCKETBASE_BIN_DIR, "pocketbase.zip");
+    const zipPath = path.join(versionDir, "pocketbase.zip");
     const writer = fs.createWriteStream(zipPath);
     response.data.pipe(writer);
     await new Promise((resolve, reject) => {
@@ -403,19 +664,20 @@ async function downloadPocketBaseIfNotExists(versionOverride = null, interactive
     });
 
     if (completeLogging) {
-      console.log(chalk.blue("Unzipping PocketBase..."));
+      printMessage(chalk.blue("Unzipping PocketBase..."));
     }
     await fs
       .createReadStream(zipPath)
-      .pipe(unzipper.Extract({ path: POCKETBASE_BIN_DIR }))
+      .pipe(unzipper.Extract({ path: versionDir }))
       .promise();
     await fs.remove(zipPath);
-    await fs.chmod(POCKETBASE_EXEC_PATH, "755");
+    await fs.chmod(execPath, "755");
     if (completeLogging && interactive) {
-      console.log(chalk.green(`PocketBase v${versionToDownload} downloaded and extracted successfully to ${POCKETBASE_EXEC_PATH}.`));
+      printMessage(chalk.green(`PocketBase v${versionToDownload} downloaded and extracted successfully to ${execPath}.`));
     }
-    return { success: true, message: `PocketBase v${versionToDownload} downloaded.` };
+    return { success: true, message: `PocketBase v${versionToDownload} downloaded.`, execPath };
   } catch (error) {
+    await fs.remove(versionDir).catch(() => {});
     if (interactive) {
       console.error(chalk.red(`Error downloading or extracting PocketBase v${versionToDownload}:`), error.message);
       if (error.response && error.response.status === 404) {
@@ -431,20 +693,24 @@ async function downloadPocketBaseIfNotExists(versionOverride = null, interactive
   }
 }
 
+function getInstanceServeArgs(inst) {
+  const migrationsDir = path.join(inst.dataDir, "pb_migrations");
+  return `serve --http "127.0.0.1:${inst.port}" --dir "${inst.dataDir}" --migrationsDir "${migrationsDir}"`;
+}
+
 async function updatePm2EcosystemFile() {
   const config = await getInstancesConfig();
   const apps = [];
   for (const instName in config.instances) {
     const inst = config.instances[instName];
-    const migrationsDir = path.join(inst.dataDir, "pb_migrations");
     apps.push({
       name: `${PM2_INSTANCE_PREFIX}${inst.name}`,
-      script: POCKETBASE_EXEC_PATH,
-      args: `serve --http "127.0.0.1:${inst.port}" --dir "${inst.dataDir}" --migrationsDir "${migrationsDir}"`,
+      script: getInstanceExecPath(inst),
+      args: getInstanceServeArgs(inst),
       cwd: inst.dataDir,
       autorestart: true,
       watch: false,
-      max_memory_restart: "200M",
+      max_memory_restart: INSTANCE_MEMORY_MAX,
       env: { NODE_ENV: "production" },
     });
   }
@@ -454,22 +720,38 @@ async function updatePm2EcosystemFile() {
   await fs.rename(tempEcosystemFile, PM2_ECOSYSTEM_FILE);
 
   if (completeLogging) {
-    console.log(chalk.green("PM2 ecosystem file updated."));
+    printMessage(chalk.green("PM2 ecosystem file updated."));
   }
   return { success: true, message: "PM2 ecosystem file updated." };
 }
 
+async function readProcessActions() {
+  return fs.readJson(PROCESS_ACTIONS_PATH).catch(() => ({}));
+}
+
+async function recordProcessAction(instanceNames, action, startedAt = new Date()) {
+  const actions = await readProcessActions();
+  const at = startedAt.toISOString();
+  for (const instanceName of [].concat(instanceNames)) {
+    if (action === "delete") delete actions[instanceName];
+    else actions[instanceName] = { action, at };
+  }
+  await fs.writeJson(PROCESS_ACTIONS_PATH, actions, { spaces: 2 }).catch(() => {});
+}
+
 async function reloadPm2(specificInstanceName = null) {
   try {
     if (specificInstanceName) {
-      await safeRunCommand("pm2", ["restart", `${PM2_INSTANCE_PREFIX}${specificInstanceName}`], `Failed to restart PM2 process ${PM2_INSTANCE_PREFIX}${specificInstanceName}`);
+      await getProcessManager().control("restart", specificInstanceName);
     } else {
+      const startedAt = new Date();
       await safeRunCommand("pm2", ["reload", PM2_ECOSYSTEM_FILE], "Failed to reload PM2 ecosystem");
+      await recordProcessAction(Object.keys((await getInstancesConfig()).instances), "restart", startedAt);
     }
     await safeRunCommand("pm2", ["save"], "Failed to save PM2 state", true);
     const message = specificInstanceName ? `PM2 process ${PM2_INSTANCE_PREFIX}${specificInstanceName} restarted and PM2 state saved.` : "PM2 ecosystem reloaded and PM2 state saved.";
     if (completeLogging) {
-      console.log(chalk.green(message));
+      printMessage(chalk.green(message));
     }
     return { success: true, message };
   } catch (error) {
@@ -479,323 +761,847 @@ async function reloadPm2(specificInstanceName = null) {
   }
 }
 
-async function addClientMaxBodyToHttpBlockIfMissing() {
-  const clientMaxBodySetting = `client_max_body_size ${NGINX_DEFAULT_MAX_BODY_SIZE};`;
-
+async function restartPm2ProcessFromEcosystem(instanceName) {
+  const pm2Name = `${PM2_INSTANCE_PREFIX}${instanceName}`;
   try {
-    if (!(await fs.pathExists(NGINX_GLOBAL_CONF_PATH))) {
-      console.log(chalk.yellow(`${NGINX_GLOBAL_CONF_PATH} not found. Skipping modification.`));
-      return { success: false, message: `${NGINX_GLOBAL_CONF_PATH} not found.` };
-    }
-
-    const backupPath = `${NGINX_GLOBAL_CONF_PATH}.pbmanager_bak_${Date.now()}`;
-    await safeRunCommand("sudo", ["cp", NGINX_GLOBAL_CONF_PATH, backupPath], `Failed to backup ${NGINX_GLOBAL_CONF_PATH}`);
+    const startedAt = new Date();
+    await safeRunCommand("pm2", ["delete", pm2Name], `Failed to delete PM2 process ${pm2Name}`, true);
+    await safeRunCommand("pm2", ["start", PM2_ECOSYSTEM_FILE, "--only", pm2Name], `Failed to start PM2 process ${pm2Name}`);
+    await recordProcessAction(instanceName, "restart", startedAt);
+    await safeRunCommand("pm2", ["save"], "Failed to save PM2 state", true);
+    const message = `PM2 process ${pm2Name} recreated from the ecosystem file and PM2 state saved.`;
     if (completeLogging) {
-      console.log(chalk.blue(`Backed up ${NGINX_GLOBAL_CONF_PATH} to ${backupPath}`));
+      printMessage(chalk.green(message));
     }
+    return { success: true, message };
+  } catch (error) {
+    const message = `Failed to restart ${pm2Name} from the ecosystem file: ${error.message}`;
+    console.error(chalk.red(message));
+    return { success: false, message, error };
+  }
+}
 
-    const { stdout: originalContent } = await safeRunCommand("sudo", ["cat", NGINX_GLOBAL_CONF_PATH]);
-    const lines = originalContent.split("\n");
-
-    let httpBlockStartIndex = -1;
-    let inHttpBlock = false;
-    let braceCount = 0;
-    let alreadySetCorrectly = false;
-    let foundWithDifferentValue = false;
-    let modified = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmedLine = line.trim();
-
-      if (!inHttpBlock) {
-        if (trimmedLine.startsWith("http") && trimmedLine.endsWith("{")) {
-          inHttpBlock = true;
-          httpBlockStartIndex = i;
-          braceCount = 1;
-        }
-      } else {
-        if (trimmedLine.includes("{")) {
-          braceCount++;
-        }
-        if (trimmedLine.includes("}")) {
-          braceCount--;
-        }
+async function controlPm2Process(action, instanceName, ignoreError = false, options = {}) {
+  const pm2Name = `${PM2_INSTANCE_PREFIX}${instanceName}`;
+  const startedAt = new Date();
+  const result = await safeRunCommand("pm2", [action, pm2Name], `Failed to ${action} PM2 process ${pm2Name}`, ignoreError, options);
+  if (result.code === 0) await recordProcessAction(instanceName, action, startedAt);
+  return result;
+}
 
-        if (trimmedLine.startsWith("client_max_body_size")) {
-          if (trimmedLine === clientMaxBodySetting) {
-            if (completeLogging) {
-              console.log(chalk.green(`'${clientMaxBodySetting}' is already correctly set in the http block of ${NGINX_GLOBAL_CONF_PATH}.`));
-            }
-            alreadySetCorrectly = true;
-            break;
-          }
-          console.log(chalk.yellow(`Found 'client_max_body_size' in the http block of ${NGINX_GLOBAL_CONF_PATH} with a different value: "${trimmedLine}".`));
-          console.log(chalk.yellow("To avoid conflicts, this script will not modify it. Please check your Nginx configuration manually if needed."));
-          foundWithDifferentValue = true;
-          break;
-        }
+async function savePm2State() {
+  await safeRunCommand("pm2", ["save"], "Failed to save PM2 state", true);
+  return { success: true, message: "PM2 state saved." };
+}
 
-        if (braceCount === 0) {
-          inHttpBlock = false;
-          if (httpBlockStartIndex !== -1 && !alreadySetCorrectly && !foundWithDifferentValue) {
-            const indentation = `${lines[httpBlockStartIndex].match(/^(\s*)/)[0]}  `;
-            lines.splice(httpBlockStartIndex + 1, 0, `${indentation}${clientMaxBodySetting}`);
-            modified = true;
-            if (completeLogging) {
-              console.log(chalk.yellow(`'${clientMaxBodySetting}' was not found in the http block. Adding it.`));
-            }
-          }
-          httpBlockStartIndex = -1;
-        }
-      }
+async function listPm2Processes() {
+  const processes = {};
+  const pm2ListRaw = shell.exec("pm2 jlist", { silent: true });
+  if (pm2ListRaw.code !== 0 || !pm2ListRaw.stdout) {
+    return processes;
+  }
+  try {
+    for (const proc of JSON.parse(pm2ListRaw.stdout)) {
+      if (!proc.name.startsWith(PM2_INSTANCE_PREFIX)) continue;
+      processes[proc.name.substring(PM2_INSTANCE_PREFIX.length)] = { status: proc.pm2_env.status, cpu: proc.monit ? proc.monit.cpu : 0, memory: proc.monit ? proc.monit.memory : 0, uptime: proc.pm2_env.pm_uptime ? Date.now() - proc.pm2_env.pm_uptime : 0, restarts: proc.pm2_env.restart_time || 0 };
     }
-
-    if (alreadySetCorrectly || foundWithDifferentValue) {
-      return { success: true, message: "Global Nginx config checked. No automatic changes made due to existing settings." };
+  } catch (e) {
+    if (completeLogging) {
+      console.error(chalk.red("Failed to parse pm2 jlist output."));
     }
+  }
+  return processes;
+}
 
-    if (!modified && inHttpBlock && httpBlockStartIndex !== -1) {
-      const indentation = `${lines[httpBlockStartIndex].match(/^(\s*)/)[0]}  `;
-      lines.splice(httpBlockStartIndex + 1, 0, `${indentation}${clientMaxBodySetting}`);
-      modified = true;
-      if (completeLogging) {
-        console.log(chalk.yellow(`'${clientMaxBodySetting}' was not found in the http block (reached end of file). Adding it.`));
-      }
-    }
+function streamPm2Logs(instanceName) {
+  shell.exec(`pm2 logs ${PM2_INSTANCE_PREFIX}${instanceName} --lines 50`);
+}
 
-    if (!modified && httpBlockStartIndex === -1 && !inHttpBlock) {
-      console.log(chalk.red(`Could not find the 'http {' block in ${NGINX_GLOBAL_CONF_PATH}. Cannot add '${clientMaxBodySetting}'.`));
-      return { success: false, message: "Http block not found in global Nginx config." };
-    }
+async function readPm2Logs(instanceName, lines) {
+  const pm2Name = `${PM2_INSTANCE_PREFIX}${instanceName}`;
+  const result = await safeRunCommand("pm2", ["logs", pm2Name, "--lines", String(lines), "--nostream", "--raw"], `Failed to read the logs of ${pm2Name}`, true, { silent: true });
+  if (result.stderr?.includes("process name not found") && result.stdout.trim() === "") {
+    throw new Error(`PM2 process ${pm2Name} not found or no logs available.`);
+  }
+  let logs = result.stdout || "";
+  if (result.stderr && !result.stderr.includes("process name not found")) {
+    logs += `\n--- STDERR ---\n${result.stderr}`;
+  }
+  return logs;
+}
 
-    if (modified) {
-      const tempNginxGlobalConfPath = `/tmp/nginx.conf.pbmanager.${Date.now()}`;
-      await fs.writeFile(tempNginxGlobalConfPath, lines.join("\n"));
-      await safeRunCommand("sudo", ["mv", tempNginxGlobalConfPath, NGINX_GLOBAL_CONF_PATH], `Failed to update ${NGINX_GLOBAL_CONF_PATH}`);
-      if (completeLogging) {
-        console.log(chalk.green(`${NGINX_GLOBAL_CONF_PATH} updated to include '${clientMaxBodySetting}' in the http block.`));
+function getSystemdUnitName(instanceName) {
+  return `${PM2_INSTANCE_PREFIX}${instanceName}.service`;
+}
+
+function renderSystemdUnit(inst) {
+  return [
+    `# Generated by pb-manager for instance "${inst.name}". Do not edit this file directly, it is rewritten whenever the instance changes.`,
+    "[Unit]",
+    `Description=PocketBase instance ${inst.name} (pb-manager)`,
+    "After=network-online.target",
+    "Wants=network-online.target",
+    "",
+    "[Service]",
+    "Type=simple",
+    `ExecStart="${getInstanceExecPath(inst)}" ${getInstanceServeArgs(inst)}`,
+    `WorkingDirectory=${inst.dataDir}`,
+    `User=${os.userInfo().username}`,
+    `Group=${os.userInfo().gid}`,
+    "Restart=on-failure",
+    "RestartSec=5s",
+    `MemoryMax=${INSTANCE_MEMORY_MAX}`,
+    "LimitNOFILE=65536",
+    "NoNewPrivileges=true",
+    "ProtectSystem=strict",
+    "ProtectHome=read-only",
+    `ReadWritePaths=${inst.dataDir}`,
+    "PrivateTmp=true",
+    "PrivateDevices=true",
+    "ProtectKernelTunables=true",
+    "ProtectKernelModules=true",
+    "ProtectControlGroups=true",
+    "RestrictSUIDSGID=true",
+    "RestrictNamespaces=true",
+    "RestrictRealtime=true",
+    "LockPersonality=true",
+    "CapabilityBoundingSet=",
+    `SyslogIdentifier=${PM2_INSTANCE_PREFIX}${inst.name}`,
+    "",
+    "[Install]",
+    "WantedBy=multi-user.target",
+    "",
+  ].join("\n");
+}
+
+async function updateSystemdUnitFiles() {
+  const config = await getInstancesConfig();
+  for (const instName in config.instances) {
+    await writeSystemFile(path.join(SYSTEMD_UNITS_DIR, getSystemdUnitName(instName)), renderSystemdUnit(config.instances[instName]));
+  }
+  await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units");
+  if (completeLogging) {
+    printMessage(chalk.green("systemd units updated."));
+  }
+  return { success: true, message: "systemd units updated." };
+}
+
+async function reloadSystemdUnits(specificInstanceName = null) {
+  try {
+    let instanceNames = [specificInstanceName];
+    if (!specificInstanceName) {
+      const processes = await listSystemdUnits();
+      instanceNames = Object.keys(processes).filter((name) => processes[name].status === PM2_STATUS_ONLINE);
+    }
+    const unitNames = instanceNames.map(getSystemdUnitName);
+    if (unitNames.length > 0) {
+      const startedAt = new Date();
+      if (specificInstanceName) {
+        await safeRunCommand("sudo", ["systemctl", "enable", ...unitNames], "Failed to enable systemd units");
       }
-      return { success: true, message: `${NGINX_GLOBAL_CONF_PATH} updated to include '${clientMaxBodySetting}'.` };
+      await safeRunCommand("sudo", ["systemctl", "restart", ...unitNames], "Failed to restart systemd units");
+      await recordProcessAction(instanceNames, "restart", startedAt);
     }
+    const message = specificInstanceName ? `${unitNames[0]} restarted.` : `${unitNames.length} running systemd unit(s) restarted.`;
     if (completeLogging) {
-      console.log(chalk.blue(`No changes made to ${NGINX_GLOBAL_CONF_PATH} regarding '${clientMaxBodySetting}' in the http block.`));
+      printMessage(chalk.green(message));
     }
-    return { success: true, message: "No changes needed or made to global Nginx config http block." };
+    return { success: true, message };
   } catch (error) {
-    console.error(chalk.red(`Error modifying ${NGINX_GLOBAL_CONF_PATH}: ${error.message}`));
-    return { success: false, message: `Error modifying ${NGINX_GLOBAL_CONF_PATH}: ${error.message}`, error };
+    const message = `Failed to restart systemd units: ${error.message}`;
+    console.error(chalk.red(message));
+    return { success: false, message, error };
   }
 }
 
-async function generateNginxConfig(instanceName, domain, port, useHttps, useHttp2, maxBody20Mb) {
-  const securityHeaders = `
-    add_header Strict-Transport-Security "max-age=31536000; includeSubDomains; preload" always;
-    add_header X-Content-Type-Options "nosniff" always;
-    add_header X-Frame-Options "DENY" always;
-    add_header X-XSS-Protection "1; mode=block" always;
-  `;
-  const clientMaxBody = maxBody20Mb ? `client_max_body_size ${NGINX_DEFAULT_MAX_BODY_SIZE};` : "";
-  const http2Suffix = useHttp2 ? " http2" : "";
-  let configContent;
-
-  if (useHttps) {
-    configContent = `
-      server {
-        listen 80;
-        listen [::]:80;
-        server_name ${domain};
-        location / {
-          return 301 https://$host$request_uri;
-        }
-      }
+async function restartSystemdUnitFromFile(instanceName) {
+  try {
+    await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units");
+  } catch (error) {
+    const message = `Failed to reload systemd units: ${error.message}`;
+    console.error(chalk.red(message));
+    return { success: false, message, error };
+  }
+  return reloadSystemdUnits(instanceName);
+}
 
-      server {
-        server_name ${domain};
-        ${clientMaxBody}
-        
-        ${securityHeaders}
+async function controlSystemdUnit(action, instanceName, ignoreError = false, options = {}) {
+  const unitName = getSystemdUnitName(instanceName);
+  const startedAt = new Date();
+  if (action !== "delete") {
+    const result = await safeRunCommand("sudo", ["systemctl", action, unitName], `Failed to ${action} ${unitName}`, ignoreError, options);
+    if (result.code === 0) await recordProcessAction(instanceName, action, startedAt);
+    return result;
+  }
+  const result = await safeRunCommand("sudo", ["systemctl", "disable", "--now", unitName], `Failed to disable ${unitName}`, ignoreError, options);
+  if (result.code === 0) await recordProcessAction(instanceName, action, startedAt);
+  await safeRunCommand("sudo", ["rm", "-f", path.join(SYSTEMD_UNITS_DIR, unitName)], `Failed to remove ${unitName}`, ignoreError, options);
+  await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units", true, options);
+  return result;
+}
 
-        location / {
-          ${clientMaxBody}
+function mapSystemdActiveState(activeState) {
+  return { active: PM2_STATUS_ONLINE, activating: "launching", reloading: "launching", deactivating: "stopping", failed: "errored", inactive: "stopped" }[activeState] || activeState;
+}
 
-          proxy_pass http://127.0.0.1:${port};
-          proxy_http_version 1.1;
+async function listSystemdUnits() {
+  const processes = {};
+  const names = Object.keys((await getInstancesConfig()).instances);
+  if (names.length === 0) {
+    return processes;
+  }
+  const { stdout } = await safeRunCommand("systemctl", ["show", ...names.map(getSystemdUnitName), "--property=Id,LoadState,ActiveState,MainPID,NRestarts"], "Failed to query systemd units", true, { silent: true });
+  const pids = {};
+  for (const block of stdout.split(/\n\s*\n/)) {
+    const properties = Object.fromEntries(
+      block
+        .split("\n")
+        .filter((line) => line.includes("="))
+        .map((line) => [line.slice(0, line.indexOf("=")), line.slice(line.indexOf("=") + 1)]),
+    );
+    if (!properties.Id || properties.LoadState !== "loaded") continue;
+    const name = properties.Id.slice(PM2_INSTANCE_PREFIX.length, -".service".length);
+    processes[name] = { status: mapSystemdActiveState(properties.ActiveState), cpu: 0, memory: 0, uptime: 0, restarts: Number(properties.NRestarts) || 0 };
+    if (Number(properties.MainPID) > 0) pids[properties.MainPID] = name;
+  }
+  if (Object.keys(pids).length > 0) {
+    const ps = await safeRunCommand("ps", ["-o", "pid=,%cpu=,rss=,etimes=", "-p", Object.keys(pids).join(",")], "Failed to read process usage", true, { silent: true });
+    for (const line of ps.stdout.trim().split("\n")) {
+      const [pid, cpu, rss, elapsed] = line.trim().split(/\s+/);
+      if (!pids[pid]) continue;
+      Object.assign(processes[pids[pid]], { cpu: Number(cpu) || 0, memory: (Number(rss) || 0) * 1024, uptime: (Number(elapsed) || 0) * 1000 });
+    }
+  }
+  return processes;
+}
 
-          proxy_set_header Upgrade $http_upgrade;
-          proxy_set_header Connection 'upgrade';
-          proxy_set_header Host $host;
-          proxy_set_header X-Forwarded-Proto $scheme;
-          proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-          proxy_set_header X-Real-IP $remote_addr;
+function streamSystemdLogs(instanceName) {
+  shell.exec(`sudo journalctl -u ${getSystemdUnitName(instanceName)} -n 50 -f`);
+}
 
-          proxy_cache_bypass $http_upgrade;
-        }
+async function readSystemdLogs(instanceName, lines) {
+  const { stdout } = await safeRunCommand("sudo", ["journalctl", "-u", getSystemdUnitName(instanceName), "-n", String(lines), "--no-pager", "-o", "cat"], `Failed to read the journal of ${getSystemdUnitName(instanceName)}`, false, { silent: true });
+  return stdout;
+}
 
-        listen 443 ssl${http2Suffix};
-        listen [::]:443 ssl${http2Suffix};
+const PROCESS_MANAGERS = {
+  [PROCESS_MANAGER_PM2]: { label: "PM2", writeDefinitions: updatePm2EcosystemFile, reload: reloadPm2, recreate: restartPm2ProcessFromEcosystem, control: controlPm2Process, save: savePm2State, listProcesses: listPm2Processes, streamLogs: streamPm2Logs, readLogs: readPm2Logs, isAvailable: async () => Boolean(shell.which("pm2")) },
+  [PROCESS_MANAGER_SYSTEMD]: { label: "systemd", writeDefinitions: updateSystemdUnitFiles, reload: reloadSystemdUnits, recreate: restartSystemdUnitFromFile, control: controlSystemdUnit, save: async () => ({ success: true, message: "systemd units are enabled at boot." }), listProcesses: listSystemdUnits, streamLogs: streamSystemdLogs, readLogs: readSystemdLogs, isAvailable: isSystemdAvailable },
+};
 
-        ssl_certificate /etc/letsencrypt/live/${domain}/fullchain.pem;
-        ssl_certificate_key /etc/letsencrypt/live/${domain}/privkey.pem;
+function getProcessManager() {
+  return PROCESS_MANAGERS[PROCESS_MANAGER];
+}
 
-        include /etc/letsencrypt/options-ssl-nginx.conf;
-        
-        ssl_dhparam /etc/letsencrypt/ssl-dhparam.pem;
-      }
-    `;
-  } else {
-    configContent = `
-      server {
-        server_name ${domain};
-        ${clientMaxBody}
-
-        ${securityHeaders}
-
-        location / {
-          ${clientMaxBody}
-
-          proxy_pass http://127.0.0.1:${port};
-          proxy_http_version 1.1;
-
-          proxy_set_header Upgrade $http_upgrade;
-          proxy_set_header Connection 'upgrade';
-          proxy_set_header Host $host;
-          proxy_set_header X-Forwarded-Proto $scheme;
-          proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-          proxy_set_header X-Real-IP $remote_addr;
-          
-          proxy_cache_bypass $http_upgrade;
-        }
+async function getInstanceProcessStatus(instanceName) {
+  const processes = await getProcessManager().listProcesses();
+  return processes[instanceName] ? processes[instanceName].status : null;
+}
 
-        listen 80${http2Suffix};
-        listen [::]:80${http2Suffix};
-      }
-    `;
-  }
+async function addIncludeToHttpBlockIfMissing(includePath) {
+  const includeSetting = `include ${includePath};`;
 
-  let nginxConfPath;
-  let nginxEnabledPath;
+  try {
+    if (!(await fs.pathExists(NGINX_GLOBAL_CONF_PATH))) {
+      return { success: false, message: `${NGINX_GLOBAL_CONF_PATH} not found. Add '${includeSetting}' to your Nginx http block manually.` };
+    }
 
-  if (NGINX_DISTRO_MODE === "rhel") {
-    nginxConfPath = path.join(NGINX_SITES_AVAILABLE, `${instanceName}.conf`);
-    nginxEnabledPath = nginxConfPath;
-  } else {
-    nginxConfPath = path.join(NGINX_SITES_AVAILABLE, instanceName);
-    nginxEnabledPath = path.join(NGINX_SITES_ENABLED, instanceName);
-  }
+    const { stdout: originalContent } = await safeRunCommand("sudo", ["cat", NGINX_GLOBAL_CONF_PATH]);
+    const lines = originalContent.split("\n");
+    if (lines.some((line) => line.trim() === includeSetting)) {
+      return { success: true, message: `${NGINX_GLOBAL_CONF_PATH} already includes ${includePath}.` };
+    }
+    const httpBlockStartIndex = lines.findIndex((line) => line.trim().startsWith("http") && line.trim().endsWith("{"));
+    if (httpBlockStartIndex === -1) {
+      return { success: false, message: `Could not find the 'http {' block in ${NGINX_GLOBAL_CONF_PATH}. Add '${includeSetting}' to it manually.` };
+    }
 
-  if (completeLogging) {
-    console.log(chalk.blue(`Generating Nginx config for ${instanceName} at ${nginxConfPath}`));
-  }
-  const tempNginxConfPath = `${nginxConfPath}.${Date.now()}.tmp`;
-  await fs.writeFile(tempNginxConfPath, configContent.trim());
-  try {
-    await safeRunCommand("sudo", ["mv", tempNginxConfPath, nginxConfPath], `Failed to move Nginx config to ${nginxConfPath}`);
+    const backupPath = `${NGINX_GLOBAL_CONF_PATH}.pbmanager_bak_${Date.now()}`;
+    await safeRunCommand("sudo", ["cp", NGINX_GLOBAL_CONF_PATH, backupPath], `Failed to backup ${NGINX_GLOBAL_CONF_PATH}`);
+    const indentation = `${lines[httpBlockStartIndex].match(/^(\s*)/)[0]}  `;
+    lines.splice(httpBlockStartIndex + 1, 0, `${indentation}${includeSetting}`);
+    const tempNginxGlobalConfPath = `/tmp/nginx.conf.pbmanager.${Date.now()}`;
+    await fs.writeFile(tempNginxGlobalConfPath, lines.join("\n"));
+    await safeRunCommand("sudo", ["mv", tempNginxGlobalConfPath, NGINX_GLOBAL_CONF_PATH], `Failed to update ${NGINX_GLOBAL_CONF_PATH}`);
+    return { success: true, message: `${NGINX_GLOBAL_CONF_PATH} updated to include ${includePath} in the http block (backup: ${backupPath}).` };
   } catch (error) {
-    await fs.remove(tempNginxConfPath).catch(() => {});
-    throw error;
+    return { success: false, message: `Error modifying ${NGINX_GLOBAL_CONF_PATH}: ${error.message}`, error };
   }
+}
 
-  if (NGINX_DISTRO_MODE !== "rhel") {
-    if (completeLogging) {
-      console.log(chalk.blue(`Creating Nginx symlink: ${nginxEnabledPath}`));
+function normalizeRateLimit(rateLimit) {
+  const settings = { ...DEFAULT_RATE_LIMIT, ...rateLimit };
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_RATE_LIMIT)) {
+      return { error: `Unknown rate limit setting "${key}". Use: ${Object.keys(DEFAULT_RATE_LIMIT).join(", ")}.` };
     }
-    try {
-      await safeRunCommand("sudo", ["ln", "-sfn", nginxConfPath, nginxEnabledPath], `Failed to create Nginx symlink for ${nginxConfPath} to ${nginxEnabledPath}`);
-    } catch (error) {
-      const errorMsg = `Failed to create Nginx symlink for ${nginxConfPath} to ${nginxEnabledPath}: ${error.message}. Please try running this command with sudo, or create the symlink manually.`;
-      console.error(chalk.red(errorMsg));
-      console.log(chalk.yellow(`Manually run: sudo ln -sfn ${nginxConfPath} ${nginxEnabledPath}`));
-      throw new Error(errorMsg);
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < (key === "connections" ? 0 : 1)) {
+      return { error: `Rate limit setting "${key}" must be a whole number ${key === "connections" ? "(0 disables the connection limit)" : "greater than 0"}.` };
     }
+    settings[key] = number;
   }
+  return { settings };
+}
 
-  if (maxBody20Mb) {
-    console.log(chalk.yellow("\nNote: For some Nginx versions, 'client_max_body_size' in server/location blocks might not be fully effective."));
-    console.log(chalk.yellow(`It may also need to be set in the main 'http' block of your Nginx configuration (typically ${NGINX_GLOBAL_CONF_PATH}).`));
+function formatRateLimit(rateLimit) {
+  return `${rateLimit.requestsPerSecond} r/s (burst ${rateLimit.burst}), auth ${rateLimit.authRequestsPerMinute} r/min (burst ${rateLimit.authBurst}), admin ${rateLimit.adminRequestsPerSecond} r/s (burst ${rateLimit.adminBurst}), ${rateLimit.connections > 0 ? `${rateLimit.connections} connections per IP` : "no connection limit"}`;
+}
 
-    const { confirmAddToHttpBlock } = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "confirmAddToHttpBlock",
-        message: `Do you want to attempt to add 'client_max_body_size ${NGINX_DEFAULT_MAX_BODY_SIZE};' to the http block in ${NGINX_GLOBAL_CONF_PATH} if it's not already present? (A backup will be created. If it's present with a different value, it will NOT be changed.)`,
-        default: false,
-      },
-    ]);
+function getRateLimitZoneNames(instanceName) {
+  return { requests: `pb_${instanceName}_req`, auth: `pb_${instanceName}_auth`, admin: `pb_${instanceName}_admin`, connections: `pb_${instanceName}_conn` };
+}
 
-    if (confirmAddToHttpBlock) {
-      const httpBlockUpdateResult = await addClientMaxBodyToHttpBlockIfMissing();
-      if (httpBlockUpdateResult.success) {
-        if (completeLogging) {
-          console.log(chalk.green("Global Nginx config check/update process for http block completed."));
-        }
-      } else {
-        console.log(chalk.red("Global Nginx config check/update process for http block encountered an issue. Please check manually."));
-        if (httpBlockUpdateResult.message) {
-          console.log(chalk.red(`Details: ${httpBlockUpdateResult.message}`));
-        }
-      }
+function renderRateLimitZones(instances) {
+  const lines = ["# Generated by pb-manager. Rate limit zones of the instances with rate limiting enabled (pb-manager rate-limit)."];
+  for (const instance of Object.values(instances)) {
+    if (!instance.rateLimit) continue;
+    const zones = getRateLimitZoneNames(instance.name);
+    lines.push(`limit_req_zone $binary_remote_addr zone=${zones.requests}:10m rate=${instance.rateLimit.requestsPerSecond}r/s;`);
+    lines.push(`limit_req_zone $binary_remote_addr zone=${zones.auth}:10m rate=${instance.rateLimit.authRequestsPerMinute}r/m;`);
+    lines.push(`limit_req_zone $binary_remote_addr zone=${zones.admin}:10m rate=${instance.rateLimit.adminRequestsPerSecond}r/s;`);
+    if (instance.rateLimit.connections > 0) {
+      lines.push(`limit_conn_zone $binary_remote_addr zone=${zones.connections}:10m;`);
     }
   }
-
-  return { success: true, message: `Nginx config generated for ${instanceName} at ${nginxConfPath}`, path: nginxConfPath };
+  return `${lines.join("\n")}\n`;
 }
 
-async function reloadNginx() {
+async function syncNginxHttpContextFile(filePath, content, inUse) {
+  const existing = await fs.readFile(filePath, "utf8").catch(() => null);
+  if (existing === null && !inUse) {
+    return;
+  }
+  if (existing !== content) {
+    await writeNginxConfigFile(filePath, content);
+  }
+  const includeResult = await addIncludeToHttpBlockIfMissing(filePath);
+  if (!includeResult.success) {
+    throw new Error(includeResult.message);
+  }
   if (completeLogging) {
-    console.log(chalk.blue("Testing Nginx configuration..."));
+    printMessage(chalk.blue(includeResult.message));
   }
-  try {
-    await safeRunCommand("sudo", ["nginx", "-t"], "Nginx configuration test failed");
-    if (completeLogging) {
-      console.log(chalk.blue("Reloading Nginx..."));
-    }
-    let reloaded = false;
-    if (shell.which("systemctl")) {
-      try {
-        await safeRunCommand("sudo", ["systemctl", "reload", "nginx"], "Failed to reload Nginx with systemctl");
-        reloaded = true;
-      } catch (e) {}
-    }
-    if (!reloaded && shell.which("service")) {
-      try {
-        await safeRunCommand("sudo", ["service", "nginx", "reload"], "Failed to reload Nginx with service");
-        reloaded = true;
-      } catch (e) {}
-    }
-    if (!reloaded) {
-      try {
-        await safeRunCommand("sudo", ["nginx", "-s", "reload"], "Failed to reload Nginx with nginx -s reload");
-        reloaded = true;
-      } catch (e) {}
-    }
-    if (!reloaded) {
-      throw new Error("Could not reload Nginx with systemctl, service, or nginx -s reload.");
-    }
-    if (completeLogging) {
-      console.log(chalk.green("Nginx reloaded successfully."));
-    }
-    return { success: true, message: "Nginx reloaded." };
-  } catch (error) {
-    const errorMsg = `Nginx test failed or reload failed: ${error.message}. Please check Nginx configuration.`;
-    console.error(chalk.red(errorMsg));
-    console.log(chalk.yellow("You can try to diagnose Nginx issues by running: sudo nginx -t"));
-    console.log(chalk.yellow("Check Nginx error logs, typically found in /var/log/nginx/error.log"));
-    return { success: false, message: errorMsg, error };
+}
+
+async function syncNginxHttpContextFiles() {
+  const { instances } = await getInstancesConfig();
+  const configured = Object.values(instances);
+  await syncNginxHttpContextFile(
+    NGINX_RATE_LIMIT_ZONES_PATH,
+    renderRateLimitZones(instances),
+    configured.some((instance) => instance.rateLimit),
+  );
+  await syncNginxHttpContextFile(
+    NGINX_MAINTENANCE_GEO_PATH,
+    renderMaintenanceGeoBlocks(instances),
+    configured.some((instance) => instance.maintenance),
+  );
+}
+
+function getMaintenanceVariableName(instanceName) {
+  return `$pb_maintenance_${instanceName.replace(/[-A-Z]/g, (char) => (char === "-" ? "__" : `_${char.toLowerCase()}`))}`;
+}
+
+function getMaintenancePagePath(instanceName, backendName = PROXY_BACKEND) {
+  return path.join(backendName === PROXY_BACKEND_CADDY ? CADDY_MAINTENANCE_DIR : NGINX_MAINTENANCE_DIR, `${instanceName}.html`);
+}
+
+function renderMaintenanceGeoBlocks(instances) {
+  const lines = ["# Generated by pb-manager. Addresses that bypass the maintenance page of each instance in maintenance mode (pb-manager maintenance)."];
+  for (const instance of Object.values(instances)) {
+    if (!instance.maintenance) continue;
+    lines.push(`geo ${getMaintenanceVariableName(instance.name)} {`, "    default 1;", ...instance.maintenance.allow.map((entry) => `    ${entry} 0;`), "}");
   }
+  return `${lines.join("\n")}\n`;
 }
 
-async function ensureDhParamExists() {
-  const dhParamPath = "/etc/letsencrypt/ssl-dhparam.pem";
+function normalizeMaintenance(maintenance) {
+  const settings = { message: String(maintenance.message || DEFAULT_MAINTENANCE_MESSAGE).trim(), allow: [...new Set(maintenance.allow || [])], retryAfter: Number(maintenance.retryAfter ?? DEFAULT_MAINTENANCE_RETRY_AFTER_SECONDS), since: maintenance.since || new Date().toISOString() };
+  if (!settings.message) {
+    return { error: "The maintenance message cannot be empty." };
+  }
+  const invalidEntry = settings.allow.find((entry) => !isValidAllowlistEntry(entry));
+  if (invalidEntry !== undefined) {
+    return { error: `Invalid IP address or CIDR range "${invalidEntry}".` };
+  }
+  if (!Number.isInteger(settings.retryAfter) || settings.retryAfter < 1) {
+    return { error: "Retry-After must be a whole number of seconds greater than 0." };
+  }
+  return { settings };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+async function renderMaintenancePage(instance, maintenance) {
+  const templatePath = path.join(TEMPLATES_DIR, MAINTENANCE_TEMPLATE_FILENAME);
+  const usesOverride = await fs.pathExists(templatePath);
+  const template = usesOverride ? await fs.readFile(templatePath, "utf8") : DEFAULT_MAINTENANCE_PAGE;
+  const variables = { instanceName: escapeHtml(instance.name), domain: escapeHtml(instance.domain), message: escapeHtml(maintenance.message), since: escapeHtml(maintenance.since), retryAfter: maintenance.retryAfter, retryAfterMinutes: Math.max(1, Math.round(maintenance.retryAfter / 60)) };
+  try {
+    return renderTemplate(template, variables);
+  } catch (error) {
+    throw new Error(`Could not render the maintenance page template (${usesOverride ? templatePath : "built-in"}): ${error.message}`);
+  }
+}
+
+async function writeMaintenancePage(instanceName, content, backendName = PROXY_BACKEND) {
+  const pagePath = getMaintenancePagePath(instanceName, backendName);
+  await safeRunCommand("sudo", ["mkdir", "-p", path.dirname(pagePath)], `Failed to create ${path.dirname(pagePath)}`);
+  await writeNginxConfigFile(pagePath, content);
+}
+
+async function removeMaintenancePage(instanceName, backendName = PROXY_BACKEND) {
+  const pagePath = getMaintenancePagePath(instanceName, backendName);
+  await safeRunCommand("sudo", ["rm", "-f", pagePath], `Failed to remove ${pagePath}`);
+}
+
+const DEFAULT_MAINTENANCE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Down for maintenance - {{domain}}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: #f4f5f7; color: #1f2328; }
+  main { max-width: 32rem; padding: 2rem; text-align: center; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.75rem; }
+  p { line-height: 1.5; color: #57606a; }
+</style>
+</head>
+<body>
+<main>
+  <h1>Down for maintenance</h1>
+  <p>{{message}}</p>
+  <p>Please try again in about {{retryAfterMinutes}} minute(s).</p>
+</main>
+</body>
+</html>
+`;
+
+function getAdminHtpasswdPath(instanceName) {
+  return path.join(NGINX_HTPASSWD_DIR, instanceName);
+}
+
+function isValidAllowlistEntry(entry) {
+  const [address, prefix, ...rest] = String(entry).split("/");
+  const ipVersion = net.isIP(address);
+  if (!ipVersion || rest.length > 0) {
+    return false;
+  }
+  return prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= (ipVersion === 4 ? 32 : 128));
+}
+
+function normalizeAdminGuard(adminGuard) {
+  const allow = [...new Set(adminGuard.allow || [])];
+  const users = [...new Set(adminGuard.users || [])];
+  const invalidEntry = allow.find((entry) => !isValidAllowlistEntry(entry));
+  if (invalidEntry !== undefined) {
+    return { error: `Invalid IP address or CIDR range "${invalidEntry}".` };
+  }
+  const invalidUser = users.find((user) => !HTPASSWD_USERNAME_PATTERN.test(user));
+  if (invalidUser !== undefined) {
+    return { error: `Invalid username "${invalidUser}". Use letters, digits, dots, dashes, underscores or @.` };
+  }
+  return { settings: { allow, users } };
+}
+
+function formatAdminGuard(adminGuard) {
+  const parts = [];
+  if (adminGuard.allow.length > 0) parts.push(`allowlist ${adminGuard.allow.join(", ")}`);
+  if (adminGuard.users.length > 0) parts.push(`basic auth on /_/ for ${adminGuard.users.join(", ")}`);
+  return parts.join("; ");
+}
+
+function getNginxGroup() {
+  return NGINX_DISTRO_MODE === "rhel" ? "nginx" : "www-data";
+}
+
+async function readAdminHtpasswd(instanceName) {
+  const htpasswdPath = getAdminHtpasswdPath(instanceName);
+  if (!(await fs.pathExists(htpasswdPath))) {
+    return [];
+  }
+  const { stdout } = await safeRunCommand("sudo", ["cat", htpasswdPath], `Failed to read ${htpasswdPath}`, false, { silent: true });
+  return stdout.split("\n").filter((line) => line.includes(":"));
+}
+
+async function writeAdminHtpasswd(instanceName, lines) {
+  const htpasswdPath = getAdminHtpasswdPath(instanceName);
+  if (lines.length === 0) {
+    await safeRunCommand("sudo", ["rm", "-f", htpasswdPath], `Failed to remove ${htpasswdPath}`);
+    return;
+  }
+  await safeRunCommand("sudo", ["mkdir", "-p", NGINX_HTPASSWD_DIR], `Failed to create ${NGINX_HTPASSWD_DIR}`);
+  await writeNginxConfigFile(htpasswdPath, `${lines.join("\n")}\n`);
+  await safeRunCommand("sudo", ["chown", `root:${getNginxGroup()}`, htpasswdPath], `Failed to set the owner of ${htpasswdPath}`);
+  await safeRunCommand("sudo", ["chmod", "640", htpasswdPath], `Failed to set the permissions of ${htpasswdPath}`);
+}
+
+async function hashHtpasswdPassword(password) {
+  if (PROXY_BACKEND === PROXY_BACKEND_CADDY) {
+    const { stdout } = await safeRunCommand("caddy", ["hash-password"], "Failed to hash the password with caddy", false, { silent: true, input: `${password}\n` });
+    return stdout.trim();
+  }
+  const { stdout } = await safeRunCommand("openssl", ["passwd", "-6", "-stdin"], "Failed to hash the password with openssl", false, { silent: true, input: `${password}\n` });
+  return stdout.trim();
+}
+
+const DEFAULT_NGINX_TEMPLATE = `# Generated by pb-manager for instance "{{instanceName}}". Do not edit this file directly, it is
+# rewritten whenever the instance changes. Customize it with a template instead (pb-manager nginx template).
+#
+# Variables: instanceName, domain, serverNames, port, clientMaxBodySize, sslCertificate, sslCertificateKey,
+#   rateLimitZone, rateLimitBurst, authRateLimitZone, authRateLimitBurst, adminRateLimitZone, adminRateLimitBurst,
+#   connectionLimitZone, maxConnections, adminHtpasswdFile, maintenanceVariable, maintenancePageRoot, maintenancePageFile,
+#   maintenanceRetryAfter
+# Sections (#name ... /name, ^name for "not"): useHttps, useHttp2, maxBody, letsEncrypt, rateLimit, connectionLimit,
+#   adminGuard, adminAllowlist, adminBasicAuth, maintenance
+# Lists (repeat the section for every entry, {{.}} is the entry): adminAllow
+{{#useHttps}}
+server {
+    listen 80;
+    listen [::]:80;
+    server_name {{serverNames}};
+
+    location / {
+        return 301 https://$host$request_uri;
+    }
+}
+
+{{/useHttps}}
+server {
+    server_name {{serverNames}};
+{{#maxBody}}
+    client_max_body_size {{clientMaxBodySize}};
+{{/maxBody}}
+
+    add_header Strict-Transport-Security "max-age=31536000; includeSubDomains; preload" always;
+    add_header X-Content-Type-Options "nosniff" always;
+    add_header X-Frame-Options "DENY" always;
+    add_header X-XSS-Protection "1; mode=block" always;
+{{#maintenance}}
+
+    error_page 503 /pb-maintenance.html;
+    if ({{maintenanceVariable}}) {
+        return 503;
+    }
+
+    location = /pb-maintenance.html {
+        internal;
+        alias {{maintenancePageRoot}}/{{maintenancePageFile}};
+        add_header Retry-After {{maintenanceRetryAfter}} always;
+        add_header Cache-Control "no-store" always;
+        add_header Strict-Transport-Security "max-age=31536000; includeSubDomains; preload" always;
+        add_header X-Content-Type-Options "nosniff" always;
+        add_header X-Frame-Options "DENY" always;
+        add_header X-XSS-Protection "1; mode=block" always;
+    }
+{{/maintenance}}
+{{#rateLimit}}
+
+    limit_req zone={{rateLimitZone}} burst={{rateLimitBurst}} nodelay;
+    limit_req_status 429;
+{{/rateLimit}}
+{{#connectionLimit}}
+    limit_conn {{connectionLimitZone}} {{maxConnections}};
+    limit_conn_status 429;
+{{/connectionLimit}}
+{{#adminGuard}}
+
+    location ^~ /_/ {
+{{#rateLimit}}
+        limit_req zone={{adminRateLimitZone}} burst={{adminRateLimitBurst}} nodelay;
+        limit_req zone={{rateLimitZone}} burst={{rateLimitBurst}} nodelay;
+{{/rateLimit}}
+{{#adminAllow}}
+        allow {{.}};
+{{/adminAllow}}
+{{#adminAllowlist}}
+        deny all;
+{{/adminAllowlist}}
+{{#adminBasicAuth}}
+        auth_basic "PocketBase admin";
+        auth_basic_user_file {{adminHtpasswdFile}};
+{{/adminBasicAuth}}
+        proxy_pass http://127.0.0.1:{{port}};
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Real-IP $remote_addr;
+    }
+{{#adminAllowlist}}
+
+    location ~ ^/api/(admins|collections/_superusers)(/|$) {
+{{#rateLimit}}
+        limit_req zone={{adminRateLimitZone}} burst={{adminRateLimitBurst}} nodelay;
+        limit_req zone={{rateLimitZone}} burst={{rateLimitBurst}} nodelay;
+{{/rateLimit}}
+{{#adminAllow}}
+        allow {{.}};
+{{/adminAllow}}
+        deny all;
+        proxy_pass http://127.0.0.1:{{port}};
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Real-IP $remote_addr;
+    }
+{{/adminAllowlist}}
+{{/adminGuard}}
+{{#rateLimit}}
+
+    location ~ ^/api/collections/[^/]+/auth-with-password$ {
+        limit_req zone={{authRateLimitZone}} burst={{authRateLimitBurst}} nodelay;
+        limit_req zone={{rateLimitZone}} burst={{rateLimitBurst}} nodelay;
+        proxy_pass http://127.0.0.1:{{port}};
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Real-IP $remote_addr;
+    }
+
+    location ~ ^/(api/admins|_/) {
+        limit_req zone={{adminRateLimitZone}} burst={{adminRateLimitBurst}} nodelay;
+        limit_req zone={{rateLimitZone}} burst={{rateLimitBurst}} nodelay;
+        proxy_pass http://127.0.0.1:{{port}};
+        proxy_http_version 1.1;
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Real-IP $remote_addr;
+    }
+{{/rateLimit}}
+
+    location / {
+        proxy_pass http://127.0.0.1:{{port}};
+        proxy_http_version 1.1;
+
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection 'upgrade';
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Real-IP $remote_addr;
+
+        proxy_cache_bypass $http_upgrade;
+    }
+
+{{#useHttps}}
+    listen 443 ssl{{#useHttp2}} http2{{/useHttp2}};
+    listen [::]:443 ssl{{#useHttp2}} http2{{/useHttp2}};
+
+    ssl_certificate {{sslCertificate}};
+    ssl_certificate_key {{sslCertificateKey}};
+{{#letsEncrypt}}
+    include /etc/letsencrypt/options-ssl-nginx.conf;
+    ssl_dhparam /etc/letsencrypt/ssl-dhparam.pem;
+{{/letsEncrypt}}
+{{^letsEncrypt}}
+    ssl_protocols TLSv1.2 TLSv1.3;
+    ssl_session_cache shared:pb_manager_SSL:10m;
+    ssl_session_timeout 1d;
+{{/letsEncrypt}}
+{{/useHttps}}
+{{^useHttps}}
+    listen 80{{#useHttp2}} http2{{/useHttp2}};
+    listen [::]:80{{#useHttp2}} http2{{/useHttp2}};
+{{/useHttps}}
+}
+`;
+
+function renderTemplate(template, variables) {
+  const standaloneTagsRemoved = template.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, "$1");
+  const renderSections = (text) =>
+    text.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, key, body) => {
+      if (!(key in variables)) {
+        throw new Error(`Unknown template section "${key}".`);
+      }
+      const value = variables[key];
+      if (Array.isArray(value)) {
+        if (type === "^") {
+          return value.length === 0 ? renderSections(body) : "";
+        }
+        return value.map((item) => renderSections(body).replace(/\{\{\s*\.\s*\}\}/g, String(item))).join("");
+      }
+      return (type === "#") === Boolean(value) ? renderSections(body) : "";
+    });
+  return renderSections(standaloneTagsRemoved).replace(/\{\{\s*([#^/]?)(\w+)\s*\}\}/g, (match, marker, key) => {
+    if (marker) {
+      throw new Error(`Unbalanced template section "${key}".`);
+    }
+    if (!(key in variables)) {
+      throw new Error(`Unknown template variable "${key}".`);
+    }
+    return String(variables[key]);
+  });
+}
+
+function getNginxTemplatePaths(instanceName) {
+  return { instance: path.join(TEMPLATES_DIR, "instances", `${instanceName}.conf.tmpl`), global: path.join(TEMPLATES_DIR, NGINX_TEMPLATE_FILENAME) };
+}
+
+async function loadNginxTemplate(instanceName) {
+  const templatePaths = getNginxTemplatePaths(instanceName);
+  for (const templatePath of [templatePaths.instance, templatePaths.global]) {
+    if (await fs.pathExists(templatePath)) {
+      return { template: await fs.readFile(templatePath, "utf8"), source: templatePath };
+    }
+  }
+  return { template: DEFAULT_NGINX_TEMPLATE, source: "built-in" };
+}
+
+async function renderNginxConfig(instanceName, domains, port, useHttps, useHttp2, maxBodySize, tlsPaths = null, templateOverride = null) {
+  const serverNames = [].concat(domains);
+  const { template, source } = templateOverride || (await loadNginxTemplate(instanceName));
+  const instance = (await getInstancesConfig()).instances[instanceName];
+  const rateLimit = instance?.rateLimit || null;
+  const adminGuard = instance?.adminGuard || null;
+  const maintenance = instance?.maintenance || null;
+  const rateLimitZones = getRateLimitZoneNames(instanceName);
+  const variables = {
+    instanceName,
+    domain: serverNames[0],
+    serverNames: serverNames.join(" "),
+    port,
+    useHttps: Boolean(useHttps),
+    useHttp2: Boolean(useHttp2),
+    maxBody: Boolean(maxBodySize),
+    clientMaxBodySize: maxBodySize || "",
+    letsEncrypt: !tlsPaths,
+    sslCertificate: tlsPaths ? tlsPaths.certificate : `/etc/letsencrypt/live/${serverNames[0]}/fullchain.pem`,
+    sslCertificateKey: tlsPaths ? tlsPaths.key : `/etc/letsencrypt/live/${serverNames[0]}/privkey.pem`,
+    rateLimit: Boolean(rateLimit),
+    rateLimitZone: rateLimitZones.requests,
+    rateLimitBurst: rateLimit ? rateLimit.burst : "",
+    authRateLimitZone: rateLimitZones.auth,
+    authRateLimitBurst: rateLimit ? rateLimit.authBurst : "",
+    adminRateLimitZone: rateLimitZones.admin,
+    adminRateLimitBurst: rateLimit ? rateLimit.adminBurst : "",
+    connectionLimit: Boolean(rateLimit && rateLimit.connections > 0),
+    connectionLimitZone: rateLimitZones.connections,
+    maxConnections: rateLimit ? rateLimit.connections : "",
+    adminGuard: Boolean(adminGuard),
+    adminAllow: adminGuard ? adminGuard.allow : [],
+    adminAllowlist: Boolean(adminGuard && adminGuard.allow.length > 0),
+    adminBasicAuth: Boolean(adminGuard && adminGuard.users.length > 0),
+    adminHtpasswdFile: getAdminHtpasswdPath(instanceName),
+    maintenance: Boolean(maintenance),
+    maintenanceVariable: getMaintenanceVariableName(instanceName),
+    maintenancePageRoot: NGINX_MAINTENANCE_DIR,
+    maintenancePageFile: path.basename(getMaintenancePagePath(instanceName, PROXY_BACKEND_NGINX)),
+    maintenanceRetryAfter: maintenance ? maintenance.retryAfter : "",
+  };
+  for (const { variable, sections, feature } of NGINX_TEMPLATE_FEATURE_SECTIONS) {
+    const missingSection = variables[variable] && sections.find((section) => !template.includes(`{{#${section}}}`));
+    if (missingSection) {
+      throw new Error(`${feature} is enabled for "${instanceName}", but the Nginx template (${source}) has no {{#${missingSection}}} section. Copy it from the built-in template ('pb-manager nginx template' writes a fresh copy).`);
+    }
+  }
+  try {
+    return { content: renderTemplate(template, variables), source };
+  } catch (error) {
+    throw new Error(`Could not render the Nginx template (${source}): ${error.message}`);
+  }
+}
+
+async function writeNginxConfigFile(nginxConfPath, content) {
+  const tempNginxConfPath = `${nginxConfPath}.${Date.now()}.tmp`;
+  await fs.writeFile(tempNginxConfPath, content);
+  try {
+    await safeRunCommand("sudo", ["mv", tempNginxConfPath, nginxConfPath], `Failed to move Nginx config to ${nginxConfPath}`);
+  } catch (error) {
+    await fs.remove(tempNginxConfPath).catch(() => {});
+    throw error;
+  }
+}
+
+async function generateNginxConfig(instanceName, domains, port, useHttps, useHttp2, maxBodySize, tlsPaths = null) {
+  const { content: configContent, source: templateSource } = await renderNginxConfig(instanceName, domains, port, useHttps, useHttp2, maxBodySize, tlsPaths);
+  const { confPath: nginxConfPath, enabledPath: nginxEnabledPath } = getNginxConfigPaths(instanceName);
+
+  if (completeLogging) {
+    printMessage(chalk.blue(`Generating Nginx config for ${instanceName} at ${nginxConfPath} from the ${templateSource} template`));
+  }
+  await syncNginxHttpContextFiles();
+  await writeNginxConfigFile(nginxConfPath, configContent);
+
+  if (NGINX_DISTRO_MODE !== "rhel") {
+    if (completeLogging) {
+      printMessage(chalk.blue(`Creating Nginx symlink: ${nginxEnabledPath}`));
+    }
+    try {
+      await safeRunCommand("sudo", ["ln", "-sfn", nginxConfPath, nginxEnabledPath], `Failed to create Nginx symlink for ${nginxConfPath} to ${nginxEnabledPath}`);
+    } catch (error) {
+      const errorMsg = `Failed to create Nginx symlink for ${nginxConfPath} to ${nginxEnabledPath}: ${error.message}. Please try running this command with sudo, or create the symlink manually.`;
+      console.error(chalk.red(errorMsg));
+      printMessage(chalk.yellow(`Manually run: sudo ln -sfn ${nginxConfPath} ${nginxEnabledPath}`));
+      throw new Error(errorMsg);
+    }
+  }
+
+  return { success: true, message: `Nginx config generated for ${instanceName} at ${nginxConfPath}`, path: nginxConfPath };
+}
+
+async function reloadNginx() {
+  if (completeLogging) {
+    printMessage(chalk.blue("Testing Nginx configuration..."));
+  }
+  try {
+    await safeRunCommand("sudo", ["nginx", "-t"], "Nginx configuration test failed");
+    if (completeLogging) {
+      printMessage(chalk.blue("Reloading Nginx..."));
+    }
+    let reloaded = false;
+    if (shell.which("systemctl")) {
+      try {
+        await safeRunCommand("sudo", ["systemctl", "reload", "nginx"], "Failed to reload Nginx with systemctl");
+        reloaded = true;
+      } catch (e) {}
+    }
+    if (!reloaded && shell.which("service")) {
+      try {
+        await safeRunCommand("sudo", ["service", "nginx", "reload"], "Failed to reload Nginx with service");
+        reloaded = true;
+      } catch (e) {}
+    }
+    if (!reloaded) {
+      try {
+        await safeRunCommand("sudo", ["nginx", "-s", "reload"], "Failed to reload Nginx with nginx -s reload");
+        reloaded = true;
+      } catch (e) {}
+    }
+    if (!reloaded) {
+      throw new Error("Could not reload Nginx with systemctl, service, or nginx -s reload.");
+    }
+    if (completeLogging) {
+      printMessage(chalk.green("Nginx reloaded successfully."));
+    }
+    return { success: true, message: "Nginx reloaded." };
+  } catch (error) {
+    const errorMsg = `Nginx test failed or reload failed: ${error.message}. Please check Nginx configuration.`;
+    console.error(chalk.red(errorMsg));
+    printMessage(chalk.yellow("You can try to diagnose Nginx issues by running: sudo nginx -t"));
+    printMessage(chalk.yellow("Check Nginx error logs, typically found in /var/log/nginx/error.log"));
+    return { success: false, message: errorMsg, error };
+  }
+}
+
+async function ensureDhParamExists() {
+  const dhParamPath = "/etc/letsencrypt/ssl-dhparam.pem";
   if (!(await fs.pathExists(dhParamPath))) {
     if (completeLogging) {
-      console.log(chalk.yellow(`${dhParamPath} not found. Generating... This may take a few minutes.`));
+      printMessage(chalk.yellow(`${dhParamPath} not found. Generating... This may take a few minutes.`));
     }
     try {
       await fs.ensureDir("/etc/letsencrypt");
       await safeRunCommand("sudo", ["openssl", "dhparam", "-out", dhParamPath, "2048"], `Failed to generate ${dhParamPath}. Nginx might fail to reload.`);
       if (completeLogging) {
-        console.log(chalk.green(`${dhParamPath} generated successfully.`));
+        printMessage(chalk.green(`${dhParamPath} generated successfully.`));
       }
       return { success: true, message: `${dhParamPath} generated successfully.` };
     } catch (error) {
@@ -805,26 +1611,28 @@ async function ensureDhParamExists() {
     }
   } else {
     if (completeLogging) {
-      console.log(chalk.green(`${dhParamPath} already exists.`));
+      printMessage(chalk.green(`${dhParamPath} already exists.`));
     }
     return { success: true, message: `${dhParamPath} already exists.` };
   }
 }
 
-async function runCertbot(domain, email, isCliCall = true) {
+async function runCertbot(domains, email, isCliCall = true) {
+  const certDomains = [].concat(domains);
+  const domain = certDomains.join(", ");
   if (!shell.which("certbot")) {
     const msg = "Certbot command not found. Please install Certbot first.";
     if (isCliCall) console.error(chalk.red(msg));
     return { success: false, message: msg };
   }
   if (completeLogging && isCliCall) {
-    console.log(chalk.blue(`Attempting to obtain SSL certificate for ${domain} using Certbot...`));
+    printMessage(chalk.blue(`Attempting to obtain SSL certificate for ${domain} using Certbot...`));
   }
   try {
     await safeRunCommand("sudo", ["mkdir", "-p", "/var/www/html"], "Creating /var/www/html for Certbot", true);
   } catch (e) {}
 
-  const certbotArgs = ["--nginx", "-d", domain, "--non-interactive", "--agree-tos", "-m", email, "--redirect"];
+  const certbotArgs = ["--nginx", ...certDomains.flatMap((certDomain) => ["-d", certDomain]), "--cert-name", certDomains[0], "--expand", "--non-interactive", "--agree-tos", "-m", email, "--redirect"];
   if (NGINX_DISTRO_MODE === "rhel") {
     certbotArgs.push("--nginx-server-root", "/etc/nginx/");
   }
@@ -832,7 +1640,7 @@ async function runCertbot(domain, email, isCliCall = true) {
   if (isCliCall) {
     const { confirmCertbotRun } = await inquirer.prompt([{ type: "confirm", name: "confirmCertbotRun", message: `Ready to run Certbot for domain ${domain} with email ${email}. Command: sudo certbot ${certbotArgs.join(" ")}. Proceed?`, default: true }]);
     if (!confirmCertbotRun) {
-      console.log(chalk.yellow("Certbot execution cancelled by user."));
+      printMessage(chalk.yellow("Certbot execution cancelled by user."));
       return { success: false, message: "Certbot execution cancelled by user." };
     }
   }
@@ -840,46 +1648,242 @@ async function runCertbot(domain, email, isCliCall = true) {
   try {
     await safeRunCommand("sudo", ["certbot", ...certbotArgs], "Certbot command failed.");
     const successMsg = `Certbot successfully obtained and installed certificate for ${domain}.`;
-    if (completeLogging && isCliCall) console.log(chalk.green(successMsg));
+    if (completeLogging && isCliCall) printMessage(chalk.green(successMsg));
     return { success: true, message: successMsg };
   } catch (error) {
     const errorMsg = `Certbot failed for ${domain}: ${error.message}. Check Certbot logs.`;
     if (isCliCall) {
       console.error(chalk.red(errorMsg));
-      console.log(chalk.yellow("You can try running Certbot manually or check logs in /var/log/letsencrypt/"));
+      printMessage(chalk.yellow("You can try running Certbot manually or check logs in /var/log/letsencrypt/"));
     }
     return { success: false, message: errorMsg, error };
   }
 }
 
-async function getInstanceUsageAnalytics(instances) {
-  const pm2ListRaw = shell.exec("pm2 jlist", { silent: true });
-  let pm2List = [];
-  if (pm2ListRaw.code === 0 && pm2ListRaw.stdout) {
+const DEFAULT_CADDY_TEMPLATE = `# Generated by pb-manager for instance "{{instanceName}}". Do not edit this file directly, it is
+# rewritten whenever the instance changes.
+{{siteAddresses}} {
+{{#customCertificate}}
+	tls {{sslCertificate}} {{sslCertificateKey}}
+{{/customCertificate}}
+{{#acmeEmail}}
+	tls {{email}}
+{{/acmeEmail}}
+{{#maxBody}}
+	request_body {
+		max_size {{maxBodySize}}
+	}
+{{/maxBody}}
+	header {
+		Strict-Transport-Security "max-age=31536000; includeSubDomains; preload"
+		X-Content-Type-Options "nosniff"
+		X-Frame-Options "DENY"
+		X-XSS-Protection "1; mode=block"
+	}
+{{#maintenance}}
+
+{{#maintenanceBypass}}
+	@pb_maintenance not remote_ip {{maintenanceAllowlist}}
+{{/maintenanceBypass}}
+	handle{{#maintenanceBypass}} @pb_maintenance{{/maintenanceBypass}} {
+		root * {{maintenancePageRoot}}
+		rewrite * /{{maintenancePageFile}}
+		header Retry-After {{maintenanceRetryAfter}}
+		header Cache-Control "no-store"
+		file_server {
+			status 503
+		}
+	}
+{{/maintenance}}
+{{#adminGuard}}
+{{#adminAllowlist}}
+
+	@pb_admin_denied {
+		path_regexp ^/(_/|api/(admins|collections/_superusers)(/|$))
+		not remote_ip {{adminAllowlistAddresses}}
+	}
+	respond @pb_admin_denied 403
+{{/adminAllowlist}}
+{{#adminBasicAuth}}
+
+	basic_auth /_/* bcrypt "PocketBase admin" {
+{{#adminUsers}}
+		{{.}}
+{{/adminUsers}}
+	}
+{{/adminBasicAuth}}
+{{/adminGuard}}
+
+	reverse_proxy 127.0.0.1:{{port}}
+}
+`;
+
+function getCaddyConfigPath(instanceName) {
+  return path.join(CADDY_SITES_DIR, `${instanceName}.caddy`);
+}
+
+function getCaddyCertificatePaths(instanceName) {
+  const dir = path.join(CADDY_CERTS_DIR, instanceName);
+  return { dir, certificate: path.join(dir, "fullchain.pem"), key: path.join(dir, "privkey.pem") };
+}
+
+function formatCaddyBodySize(maxBodySize) {
+  const match = /^(\d+)([KMG])?$/.exec(maxBodySize || "");
+  if (!match || Number(match[1]) === 0) return null;
+  return match[2] ? `${match[1]}${match[2]}iB` : match[1];
+}
+
+async function addImportToCaddyfileIfMissing() {
+  const importSetting = `import ${CADDY_SITES_DIR}/*.caddy`;
+  if (!(await fs.pathExists(CADDYFILE_PATH))) {
+    await safeRunCommand("sudo", ["mkdir", "-p", path.dirname(CADDYFILE_PATH)], `Failed to create ${path.dirname(CADDYFILE_PATH)}`);
+    await writeNginxConfigFile(CADDYFILE_PATH, `${importSetting}\n`);
+    return { success: true, message: `Created ${CADDYFILE_PATH} importing the pb-manager sites.` };
+  }
+  const { stdout: originalContent } = await safeRunCommand("sudo", ["cat", CADDYFILE_PATH]);
+  if (originalContent.split("\n").some((line) => line.trim() === importSetting)) {
+    return { success: true, message: `${CADDYFILE_PATH} already imports ${CADDY_SITES_DIR}.` };
+  }
+  const backupPath = `${CADDYFILE_PATH}.pbmanager_bak_${Date.now()}`;
+  await safeRunCommand("sudo", ["cp", CADDYFILE_PATH, backupPath], `Failed to backup ${CADDYFILE_PATH}`);
+  await writeNginxConfigFile(CADDYFILE_PATH, `${originalContent.replace(/\n*$/, "\n")}\n${importSetting}\n`);
+  return { success: true, message: `${CADDYFILE_PATH} updated to import ${CADDY_SITES_DIR} (backup: ${backupPath}).` };
+}
+
+async function installCaddyCertificateFiles(instanceName, tlsPaths) {
+  const caddyPaths = getCaddyCertificatePaths(instanceName);
+  await safeRunCommand("sudo", ["install", "-d", "-m", "0750", "-o", "root", "-g", "caddy", caddyPaths.dir], `Failed to create ${caddyPaths.dir}. Is Caddy installed with its 'caddy' group?`);
+  await safeRunCommand("sudo", ["install", "-m", "0644", tlsPaths.certificate, caddyPaths.certificate], `Failed to copy the certificate to ${caddyPaths.certificate}`);
+  await safeRunCommand("sudo", ["install", "-m", "0640", "-o", "root", "-g", "caddy", tlsPaths.key, caddyPaths.key], `Failed to copy the private key to ${caddyPaths.key}`);
+  return caddyPaths;
+}
+
+async function renderCaddyConfig(instanceName, domains, port, useHttps, maxBodySize, tlsPaths = null) {
+  const serverNames = [].concat(domains);
+  const instance = (await getInstancesConfig()).instances[instanceName];
+  if (instance?.rateLimit) {
+    throw new Error(`Instance "${instanceName}" has rate limits, but Caddy has no built-in rate limiter. Rate limiting needs the Nginx proxy backend; remove the limits with 'pb-manager rate-limit off ${instanceName}' to serve it through Caddy.`);
+  }
+  const adminGuard = instance?.adminGuard || null;
+  const maintenance = instance?.maintenance || null;
+  const adminUsers = adminGuard && adminGuard.users.length > 0 ? (await readAdminHtpasswd(instanceName)).map((line) => line.replace(":", " ")) : [];
+  const unreadableUsers = adminUsers.filter((entry) => !/^\S+ \$2[aby]\$/.test(entry)).map((entry) => entry.split(" ")[0]);
+  if (unreadableUsers.length > 0) {
+    throw new Error(`Caddy only accepts bcrypt password hashes, but the admin UI users ${unreadableUsers.join(", ")} of "${instanceName}" were added for Nginx. Remove them with 'pb-manager admin-guard remove-user' and add them again once Caddy is the proxy backend.`);
+  }
+  const caddyBodySize = formatCaddyBodySize(maxBodySize);
+  const variables = {
+    instanceName,
+    siteAddresses: serverNames.map((serverName) => (useHttps ? serverName : `http://${serverName}`)).join(", "),
+    port,
+    customCertificate: Boolean(useHttps && tlsPaths),
+    sslCertificate: tlsPaths ? getCaddyCertificatePaths(instanceName).certificate : "",
+    sslCertificateKey: tlsPaths ? getCaddyCertificatePaths(instanceName).key : "",
+    acmeEmail: Boolean(useHttps && !tlsPaths && instance?.emailForCertbot),
+    email: instance?.emailForCertbot || "",
+    maxBody: Boolean(caddyBodySize),
+    maxBodySize: caddyBodySize || "",
+    maintenance: Boolean(maintenance),
+    maintenanceBypass: Boolean(maintenance && maintenance.allow.length > 0),
+    maintenanceAllowlist: maintenance ? maintenance.allow.join(" ") : "",
+    maintenancePageRoot: CADDY_MAINTENANCE_DIR,
+    maintenancePageFile: path.basename(getMaintenancePagePath(instanceName, PROXY_BACKEND_CADDY)),
+    maintenanceRetryAfter: maintenance ? maintenance.retryAfter : "",
+    adminGuard: Boolean(adminGuard),
+    adminAllowlist: Boolean(adminGuard && adminGuard.allow.length > 0),
+    adminAllowlistAddresses: adminGuard ? adminGuard.allow.join(" ") : "",
+    adminBasicAuth: adminUsers.length > 0,
+    adminUsers,
+  };
+  return renderTemplate(DEFAULT_CADDY_TEMPLATE, variables);
+}
+
+async function generateCaddyConfig(instanceName, domains, port, useHttps, useHttp2, maxBodySize, tlsPaths = null) {
+  const configContent = await renderCaddyConfig(instanceName, domains, port, useHttps, maxBodySize, tlsPaths);
+  const caddyConfPath = getCaddyConfigPath(instanceName);
+
+  if (completeLogging) {
+    printMessage(chalk.blue(`Generating Caddy site for ${instanceName} at ${caddyConfPath}`));
+  }
+  await safeRunCommand("sudo", ["mkdir", "-p", CADDY_SITES_DIR], `Failed to create ${CADDY_SITES_DIR}`);
+  const importResult = await addImportToCaddyfileIfMissing();
+  if (completeLogging) {
+    printMessage(chalk.blue(importResult.message));
+  }
+  if (useHttps && tlsPaths) {
+    await installCaddyCertificateFiles(instanceName, tlsPaths);
+  }
+  await writeNginxConfigFile(caddyConfPath, configContent);
+
+  return { success: true, message: `Caddy site generated for ${instanceName} at ${caddyConfPath}`, path: caddyConfPath };
+}
+
+async function removeCaddyConfig(instanceName) {
+  const messages = [];
+  for (const targetPath of [getCaddyConfigPath(instanceName), getCaddyCertificatePaths(instanceName).dir]) {
+    if (!(await fs.pathExists(targetPath))) continue;
     try {
-      pm2List = JSON.parse(pm2ListRaw.stdout);
+      await safeRunCommand("sudo", ["rm", "-rf", targetPath], `Failed to remove ${targetPath}`);
+      if (completeLogging) messages.push(`Removed ${targetPath}.`);
     } catch (e) {
-      if (completeLogging) {
-        console.error(chalk.red("Failed to parse pm2 jlist output."));
-      }
-      pm2List = [];
+      messages.push(`Warning: Failed to remove ${targetPath}: ${e.message}`);
+    }
+  }
+  return messages;
+}
+
+async function reloadCaddy() {
+  const caddyArgs = ["--config", CADDYFILE_PATH, "--adapter", "caddyfile"];
+  if (completeLogging) {
+    printMessage(chalk.blue("Validating Caddy configuration..."));
+  }
+  try {
+    await safeRunCommand("sudo", ["caddy", "validate", ...caddyArgs], "Caddy configuration validation failed");
+    if (completeLogging) {
+      printMessage(chalk.blue("Reloading Caddy..."));
+    }
+    await safeRunCommand("sudo", ["caddy", "reload", ...caddyArgs], "Failed to reload Caddy");
+    if (completeLogging) {
+      printMessage(chalk.green("Caddy reloaded successfully."));
     }
+    return { success: true, message: "Caddy reloaded." };
+  } catch (error) {
+    const errorMsg = `Caddy validation or reload failed: ${error.message}. Please check the Caddy configuration.`;
+    console.error(chalk.red(errorMsg));
+    printMessage(chalk.yellow(`You can try to diagnose Caddy issues by running: sudo caddy validate --config ${CADDYFILE_PATH}`));
+    printMessage(chalk.yellow("Check the Caddy logs with: sudo journalctl -u caddy"));
+    return { success: false, message: errorMsg, error };
   }
+}
+
+async function obtainCaddyCertificate(domains) {
+  return { success: true, message: `Caddy obtains and renews the certificate for ${[].concat(domains).join(", ")} automatically.` };
+}
+
+async function deleteCaddyCertificate(domain) {
+  return { success: true, message: `Caddy manages the certificate for ${domain} and stops renewing it on its own.` };
+}
+
+const PROXY_BACKENDS = {
+  [PROXY_BACKEND_NGINX]: { label: "Nginx", command: "nginx", generateConfig: generateNginxConfig, getConfigPath: (instanceName) => getNginxConfigPaths(instanceName).confPath, removeConfig: removeNginxConfig, reload: reloadNginx, prepareTls: ensureDhParamExists, certificateIssuer: "Certbot", obtainCertificate: runCertbot, deleteCertificate },
+  [PROXY_BACKEND_CADDY]: { label: "Caddy", command: "caddy", generateConfig: generateCaddyConfig, getConfigPath: getCaddyConfigPath, removeConfig: removeCaddyConfig, reload: reloadCaddy, prepareTls: async () => ({ success: true, message: "Caddy manages its own TLS settings." }), certificateIssuer: "Caddy", obtainCertificate: obtainCaddyCertificate, deleteCertificate: deleteCaddyCertificate },
+};
+
+function getProxyBackend() {
+  return PROXY_BACKENDS[PROXY_BACKEND];
+}
+
+async function getInstanceUsageAnalytics(instances) {
+  const processes = await getProcessManager().listProcesses();
 
   const usage = [];
   for (const name in instances) {
     const inst = instances[name];
-    let pm2Proc;
-    for (const proc of pm2List) {
-      if (proc.name === `${PM2_INSTANCE_PREFIX}${name}`) {
-        pm2Proc = proc;
-        break;
-      }
-    }
-    const status = pm2Proc ? pm2Proc.pm2_env.status : "offline";
-    const cpu = pm2Proc?.monit ? pm2Proc.monit.cpu : 0;
-    const mem = pm2Proc?.monit ? pm2Proc.monit.memory : 0;
-    const uptime = pm2Proc?.pm2_env.pm_uptime ? Date.now() - pm2Proc.pm2_env.pm_uptime : 0;
+    const proc = processes[name];
+    const status = proc ? proc.status : "offline";
+    const cpu = proc ? proc.cpu : 0;
+    const mem = proc ? proc.memory : 0;
+    const uptime = proc ? proc.uptime : 0;
     const dataDir = inst.dataDir;
     let dataSize = 0;
     try {
@@ -887,19 +1891,37 @@ async function getInstanceUsageAnalytics(instances) {
         dataSize = await getDirectorySize(dataDir);
       }
     } catch (e) {}
-    let httpStatus = "-";
-    try {
-      const url = `http://127.0.0.1:${inst.port}/api/health`;
-      const res = await axios.get(url, { timeout: 1000 }).catch(() => null);
-      httpStatus = res && res.status === 200 ? "OK" : "ERR";
-    } catch (e) {
-      httpStatus = "ERR";
+    const httpStatus = (await isInstanceHealthy(inst.port)) ? "OK" : "ERR";
+    let ssl = inst.useHttps ? "Yes" : "No";
+    if (inst.useHttps && getInstanceTlsPaths(inst)) {
+      const certExpiryDays = await getInstanceCertExpiryDays(inst);
+      ssl = `${inst.tls === TLS_MODE_CUSTOM ? "Custom" : "CA"} ${certExpiryDays}d`;
     }
-    usage.push({ name, domain: inst.domain, port: inst.port, status, cpu, mem, uptime, dataSize, httpStatus, ssl: inst.useHttps ? "Yes" : "No" });
+    usage.push({ name, domain: inst.domain, port: inst.port, status, maintenance: Boolean(inst.maintenance), cpu, mem, uptime, dataSize, httpStatus, ssl, pocketBaseVersion: inst.pocketBaseVersion || "shared" });
   }
   return usage;
 }
 
+async function isInstanceHealthy(port, timeout = 1000) {
+  try {
+    const res = await axios.get(`http://127.0.0.1:${port}/api/health`, { timeout }).catch(() => null);
+    return Boolean(res && res.status === 200);
+  } catch (e) {
+    return false;
+  }
+}
+
+async function waitForInstanceHealth(port, timeoutMs = UPGRADE_HEALTH_CHECK_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await isInstanceHealthy(port)) {
+      return true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  return false;
+}
+
 async function getDirectorySize(dir) {
   try {
     const result = await safeRunCommand("du", ["-sb", dir], `Failed to get size of ${dir} with du`, true, { silent: true });
@@ -988,36 +2010,224 @@ function getCertExpiryDays(domain) {
   });
 }
 
-async function showDashboard() {
-  await ensureBaseSetup();
-  const config = await getInstancesConfig();
-  const instanceNames = Object.keys(config.instances);
-  if (instanceNames.length === 0) {
-    console.log(chalk.yellow("No instances configured yet. Use 'pb-manager add'."));
-    return;
+function getCustomCertificatePaths(instanceName) {
+  const dir = path.join(CERTS_BASE_DIR, instanceName);
+  return { dir, certificate: path.join(dir, "fullchain.pem"), key: path.join(dir, "privkey.pem") };
+}
+
+function getInstanceTlsPaths(instance) {
+  return [TLS_MODE_CUSTOM, TLS_MODE_INTERNAL_CA].includes(instance.tls) ? getCustomCertificatePaths(instance.name) : null;
+}
+
+async function writeCertificateFiles(instanceName, certificatePem, privateKeyPem) {
+  const { dir, certificate, key } = getCustomCertificatePaths(instanceName);
+  await fs.ensureDir(dir);
+  await fs.chmod(dir, 0o700);
+  await fs.writeFile(certificate, certificatePem, { mode: 0o644 });
+  await fs.writeFile(key, privateKeyPem, { mode: 0o600 });
+  await fs.chmod(key, 0o600);
+  return dir;
+}
+
+async function stashCertificateFiles(instanceName) {
+  const { dir } = getCustomCertificatePaths(instanceName);
+  if (!(await fs.pathExists(dir))) return null;
+  const stashPath = `${dir}.${Date.now()}.bak`;
+  await fs.copy(dir, stashPath);
+  return stashPath;
+}
+
+async function restoreCertificateFiles(instanceName, stashPath) {
+  const { dir } = getCustomCertificatePaths(instanceName);
+  await fs.remove(dir);
+  if (stashPath) await fs.move(stashPath, dir);
+}
+
+async function ensureInternalCaRenewalSchedule() {
+  const timerPath = path.join(SYSTEMD_UNITS_DIR, `${INTERNAL_CA_RENEWAL_UNIT}.timer`);
+  const cronPath = path.join(CRON_D_DIR, INTERNAL_CA_RENEWAL_UNIT);
+  if ((await fs.pathExists(timerPath)) || (await fs.pathExists(cronPath))) return null;
+  const renewCommand = getPbManagerCommand("renew-certificates all --internal-ca-only");
+  const manualHint = "Run 'pb-manager renew-certificates all --internal-ca-only' regularly so internal CA certificates are reissued before they expire.";
+  try {
+    if (await isSystemdAvailable()) {
+      const serviceContent = ["[Unit]", "Description=pb-manager internal CA certificate renewal", "", "[Service]", "Type=oneshot", `User=${os.userInfo().username}`, `Group=${os.userInfo().gid}`, `Environment=HOME=${path.dirname(CONFIG_DIR)}`, `Environment=PATH=${process.env.PATH}`, `ExecStart=${renewCommand}`, ""].join("\n");
+      const timerContent = ["[Unit]", "Description=Daily pb-manager internal CA certificate renewal", "", "[Timer]", "OnCalendar=daily", "Persistent=true", "RandomizedDelaySec=3600", "", "[Install]", "WantedBy=timers.target", ""].join("\n");
+      await writeSystemFile(path.join(SYSTEMD_UNITS_DIR, `${INTERNAL_CA_RENEWAL_UNIT}.service`), serviceContent);
+      await writeSystemFile(timerPath, timerContent);
+      await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units");
+      await safeRunCommand("sudo", ["systemctl", "enable", "--now", `${INTERNAL_CA_RENEWAL_UNIT}.timer`], `Failed to enable ${INTERNAL_CA_RENEWAL_UNIT}.timer`);
+      return `Installed systemd timer ${INTERNAL_CA_RENEWAL_UNIT}.timer, which reissues internal CA certificates daily once they expire within ${INTERNAL_CERT_RENEWAL_DAYS} days.`;
+    }
+    if (await fs.pathExists(CRON_D_DIR)) {
+      const logPath = path.join(INTERNAL_CA_DIR, "renewal.log");
+      const cronContent = ["# pb-manager internal CA certificate renewal", "SHELL=/bin/sh", `HOME=${path.dirname(CONFIG_DIR)}`, `PATH=${process.env.PATH}`, `${crypto.randomInt(60)} 3 * * * ${os.userInfo().username} ${renewCommand} >> ${quoteCommandPath(logPath)} 2>&1`, ""].join("\n");
+      await writeSystemFile(cronPath, cronContent);
+      return `Installed cron entry ${cronPath}, which reissues internal CA certificates daily once they expire within ${INTERNAL_CERT_RENEWAL_DAYS} days.`;
+    }
+    return `Warning: neither systemd nor cron (/etc/cron.d) is available. ${manualHint}`;
+  } catch (error) {
+    return `Warning: could not schedule internal CA certificate renewal: ${error.message}. ${manualHint}`;
   }
+}
 
-  const screen = blessed.screen({ smartCSR: true, title: "PocketBase Manager Dashboard" });
-  const grid = new contrib.grid({ rows: 12, cols: 12, screen: screen });
-  const table = grid.set(0, 0, 10, 12, contrib.table, { keys: true, fg: "white", selectedFg: "white", selectedBg: "blue", interactive: true, label: "PocketBase Instances", width: "100%", height: "100%", border: { type: "line", fg: "cyan" }, columnSpacing: 2, columnWidth: [25, 25, 8, 10, 8, 10, 10, 8, 8, 8] });
-  grid.set(10, 0, 2, 12, blessed.box, { content: " [q] Quit  [r] Refresh  [l] Logs  [s] Start/Stop  [d] Delete", tags: true, style: { fg: "yellow" } });
+async function ensureInternalCa() {
+  if ((await fs.pathExists(INTERNAL_CA_CERT_PATH)) && (await fs.pathExists(INTERNAL_CA_KEY_PATH))) {
+    return { created: false, path: INTERNAL_CA_CERT_PATH, renewalMessage: await ensureInternalCaRenewalSchedule() };
+  }
+  if (!shell.which("openssl")) {
+    throw new Error("openssl not found. It is required to create the internal CA.");
+  }
+  const cliConfig = await getCliConfig();
+  const permittedDomains = cliConfig.internalCaDomains || INTERNAL_CA_DEFAULT_DOMAINS;
+  await fs.ensureDir(INTERNAL_CA_DIR);
+  await fs.chmod(INTERNAL_CA_DIR, 0o700);
+  await safeRunCommand("openssl", ["req", "-x509", "-newkey", "rsa:4096", "-nodes", "-sha256", "-days", String(INTERNAL_CA_VALIDITY_DAYS), "-keyout", INTERNAL_CA_KEY_PATH, "-out", INTERNAL_CA_CERT_PATH, "-subj", `/CN=pb-manager internal CA (${os.hostname()})`, "-addext", "basicConstraints=critical,CA:TRUE", "-addext", "keyUsage=critical,keyCertSign,cRLSign", "-addext", `nameConstraints=critical,${permittedDomains.map((domain) => `permitted;DNS:${domain}`).join(",")}`], "Failed to create the internal CA");
+  await fs.chmod(INTERNAL_CA_KEY_PATH, 0o600);
+  cliConfig.internalCaDomains = permittedDomains;
+  await saveCliConfig(cliConfig);
+  return { created: true, path: INTERNAL_CA_CERT_PATH, renewalMessage: await ensureInternalCaRenewalSchedule() };
+}
 
-  function truncateText(text, maxLength) {
-    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+async function getInternalCaDomainError(domains) {
+  const { internalCaDomains } = await getCliConfig();
+  const permittedDomains = internalCaDomains || ((await fs.pathExists(INTERNAL_CA_CERT_PATH)) ? null : INTERNAL_CA_DEFAULT_DOMAINS);
+  if (!permittedDomains) {
+    return null;
   }
+  const outsideDomain = domains.find((domain) => !permittedDomains.some((permitted) => domain === permitted || domain.endsWith(`.${permitted}`)));
+  return outsideDomain ? `The internal CA only issues certificates for names under ${permittedDomains.join(", ")}, not ${outsideDomain}.` : null;
+}
 
-  let currentData = [];
-  let selectedIndex = 0;
+async function issueInternalCertificate(instance) {
+  const domains = getInstanceDomains(instance);
+  const domainError = await getInternalCaDomainError(domains);
+  if (domainError) throw new Error(domainError);
+  const ca = await ensureInternalCa();
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pb-manager-cert-"));
+  try {
+    const keyPath = path.join(workDir, "privkey.pem");
+    const requestPath = path.join(workDir, "request.csr");
+    const certificatePath = path.join(workDir, "cert.pem");
+    const extensionsPath = path.join(workDir, "extensions.cnf");
+    await fs.writeFile(extensionsPath, [`subjectAltName=${domains.map((domain) => `DNS:${domain}`).join(",")}`, "basicConstraints=critical,CA:FALSE", "keyUsage=critical,digitalSignature,keyEncipherment", "extendedKeyUsage=serverAuth", ""].join("\n"));
+    await safeRunCommand("openssl", ["req", "-new", "-newkey", "rsa:2048", "-nodes", "-keyout", keyPath, "-out", requestPath, "-subj", `/CN=${domains[0]}`], "Failed to create a certificate request");
+    await safeRunCommand("openssl", ["x509", "-req", "-in", requestPath, "-CA", INTERNAL_CA_CERT_PATH, "-CAkey", INTERNAL_CA_KEY_PATH, "-set_serial", `0x${crypto.randomBytes(16).toString("hex")}`, "-days", String(INTERNAL_CERT_VALIDITY_DAYS), "-sha256", "-extfile", extensionsPath, "-out", certificatePath], "Failed to sign the certificate with the internal CA");
+    const certificatePem = await fs.readFile(certificatePath, "utf8");
+    const privateKeyPem = await fs.readFile(keyPath, "utf8");
+    const inspection = inspectCertificate(certificatePem, privateKeyPem, domains);
+    if (inspection.error) throw new Error(inspection.error);
+    await writeCertificateFiles(instance.name, certificatePem, privateKeyPem);
+    return { certificate: inspection.certificate, caCreated: ca.created, renewalMessage: ca.renewalMessage };
+  } finally {
+    await fs.remove(workDir);
+  }
+}
 
-  async function refreshTable() {
-    try {
-      const usage = await getInstanceUsageAnalytics(config.instances);
-      currentData = usage;
+function getDaysUntil(date) {
+  return Math.ceil((date.getTime() - Date.now()) / (1000 * 60 * 60 * 24));
+}
+
+function inspectCertificate(certificatePem, privateKeyPem, domains) {
+  let certificate;
+  let privateKey;
+  try {
+    certificate = new crypto.X509Certificate(certificatePem);
+  } catch (error) {
+    return { error: `Could not parse the certificate: ${error.message}` };
+  }
+  if (privateKeyPem !== null) {
+    try {
+      privateKey = crypto.createPrivateKey(privateKeyPem);
+    } catch (error) {
+      return { error: `Could not parse the private key: ${error.message}` };
+    }
+    if (!certificate.checkPrivateKey(privateKey)) {
+      return { error: "The private key does not match the certificate (the first certificate in the file must be the server certificate)." };
+    }
+  }
+  const expiresAt = new Date(certificate.validTo);
+  if (expiresAt.getTime() <= Date.now()) {
+    return { error: `The certificate expired on ${expiresAt.toISOString()}.` };
+  }
+  const uncovered = domains.filter((domain) => !certificate.checkHost(domain));
+  if (uncovered.length > 0) {
+    return { error: `The certificate does not cover: ${uncovered.join(", ")}.` };
+  }
+  return { error: null, certificate: { subject: certificate.subject, issuer: certificate.issuer, subjectAltName: certificate.subjectAltName || null, validFrom: new Date(certificate.validFrom).toISOString(), expiresAt: expiresAt.toISOString(), daysLeft: getDaysUntil(expiresAt), fingerprint: certificate.fingerprint256 } };
+}
+
+async function readCustomCertificateInfo(instance, domains = getInstanceDomains(instance)) {
+  try {
+    const certificatePem = await fs.readFile(getCustomCertificatePaths(instance.name).certificate, "utf8");
+    return inspectCertificate(certificatePem, null, domains);
+  } catch (error) {
+    return { error: `No custom certificate installed for "${instance.name}".` };
+  }
+}
+
+async function getInstanceCertExpiryDays(instance) {
+  if (!instance.useHttps) return "-";
+  if (getInstanceTlsPaths(instance)) {
+    const info = await readCustomCertificateInfo(instance, []);
+    return info.certificate ? info.certificate.daysLeft : "-";
+  }
+  return getCertExpiryDays(instance.domain);
+}
+
+async function showDashboard() {
+  await ensureBaseSetup();
+  const config = await getInstancesConfig();
+  const instanceNames = Object.keys(config.instances);
+  if (instanceNames.length === 0) {
+    printMessage(chalk.yellow("No instances configured yet. Use 'pb-manager add'."));
+    return;
+  }
+
+  const screen = blessed.screen({ smartCSR: true, title: "PocketBase Manager Dashboard" });
+  const grid = new contrib.grid({ rows: 12, cols: 12, screen: screen });
+  const table = grid.set(0, 0, 10, 12, contrib.table, { keys: true, fg: "white", selectedFg: "white", selectedBg: "blue", interactive: true, label: "PocketBase Instances", width: "100%", height: "100%", border: { type: "line", fg: "cyan" }, columnSpacing: 2, columnWidth: [25, 25, 8, 12, 8, 12, 8, 10, 8, 8, 8] });
+  const logPanel = grid.set(0, 0, 10, 12, blessed.box, { hidden: true, tags: true, scrollable: true, alwaysScroll: true, keys: true, vi: true, mouse: true, scrollbar: { ch: " ", style: { bg: "cyan" } }, border: { type: "line", fg: "cyan" } });
+  const footer = grid.set(10, 0, 2, 12, blessed.box, { tags: true, style: { fg: "yellow" } });
+  const searchBox = blessed.textbox({ parent: screen, bottom: 0, left: 0, height: 1, width: "100%", hidden: true, style: { fg: "white", bg: "blue" } });
+  const confirmDialog = blessed.question({ parent: screen, top: "center", left: "center", width: "60%", height: 7, tags: true, hidden: true, border: { type: "line", fg: "red" }, label: " Confirm " });
+  const tableFooter = " [q] Quit  [r] Refresh  [l] Logs  [s] Start/Stop  [d] Delete";
+  footer.setContent(tableFooter);
+
+  function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  }
+
+  function getLogLineLevel(line) {
+    if (/\b(error|err|fatal|panic)\b/i.test(line)) return "error";
+    if (/\b(warn|warning)\b/i.test(line)) return "warn";
+    return "info";
+  }
+
+  function highlightLogLine(line, searchText) {
+    if (!searchText) return blessed.escape(line);
+    const pattern = new RegExp(searchText.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
+    let highlighted = "";
+    let lastIndex = 0;
+    for (const match of line.matchAll(pattern)) {
+      highlighted += `${blessed.escape(line.slice(lastIndex, match.index))}{inverse}${blessed.escape(match[0])}{/inverse}`;
+      lastIndex = match.index + match[0].length;
+    }
+    return highlighted + blessed.escape(line.slice(lastIndex));
+  }
+
+  let currentData = [];
+  let selectedIndex = 0;
+
+  async function refreshTable() {
+    try {
+      const usage = await getInstanceUsageAnalytics(config.instances);
+      currentData = usage;
       const data = [];
       for (const u of usage) {
-        data.push([truncateText(u.name, 25), truncateText(u.domain, 25), u.port, u.status, u.httpStatus, u.ssl, `${u.cpu}%`, prettyBytes(u.mem), formatUptime(u.uptime), prettyBytes(u.dataSize)]);
+        data.push([truncateText(u.name, 25), truncateText(u.domain, 25), u.port, u.maintenance ? "maintenance" : u.status, u.httpStatus, u.ssl, u.pocketBaseVersion, `${u.cpu}%`, prettyBytes(u.mem), formatUptime(u.uptime), prettyBytes(u.dataSize)]);
       }
-      table.setData({ headers: ["Name", "Domain", "Port", "Status", "HTTP", "SSL", "CPU", "Mem", "Uptime", "Data"], data });
+      table.setData({ headers: ["Name", "Domain", "Port", "Status", "HTTP", "SSL", "PB", "CPU", "Mem", "Uptime", "Data"], data });
       if (data.length > 0) {
         if (selectedIndex >= data.length) selectedIndex = data.length - 1;
         if (selectedIndex < 0) selectedIndex = 0;
@@ -1029,8 +2239,97 @@ async function showDashboard() {
     }
   }
 
+  const logView = { name: null, lines: [], raw: null, searchText: "", level: "all", follow: true, interval: null, loading: false };
+
+  function renderLogs() {
+    const minimumLevel = DASHBOARD_LOG_LEVELS.indexOf(logView.level);
+    const searchText = logView.searchText.toLowerCase();
+    const visible = logView.lines.filter((line) => {
+      const level = getLogLineLevel(line);
+      if (minimumLevel > 0 && DASHBOARD_LOG_LEVELS.indexOf(level) < minimumLevel) return false;
+      return !searchText || line.toLowerCase().includes(searchText);
+    });
+    const colors = { error: "red-fg", warn: "yellow-fg" };
+    const rendered = visible.map((line) => {
+      const color = colors[getLogLineLevel(line)];
+      return color ? `{${color}}${highlightLogLine(line, logView.searchText)}{/${color}}` : highlightLogLine(line, logView.searchText);
+    });
+    logPanel.setContent(rendered.join("\n"));
+    const filters = [logView.searchText ? `"${logView.searchText}"` : null, logView.level !== "all" ? `level >= ${logView.level}` : null].filter(Boolean);
+    logPanel.setLabel(` Logs: ${logView.name} (${visible.length}/${logView.lines.length} lines${filters.length > 0 ? `, ${filters.join(", ")}` : ""}) `);
+    footer.setContent(` [Esc] Back  [/] Search  [c] Clear search  [e] Level: ${logView.level}  [f] Follow: ${logView.follow ? "on" : "off"}  [↑/↓/PgUp/PgDn] Scroll`);
+    if (logView.follow) logPanel.setScrollPerc(100);
+    screen.render();
+  }
+
+  async function loadLogs() {
+    if (!logView.name || logView.loading) return;
+    logView.loading = true;
+    const result = await _internalGetInstanceLogs({ name: logView.name, lines: DASHBOARD_LOG_LINES });
+    logView.loading = false;
+    const raw = result.success ? result.data.logs : result.error;
+    if (!logView.name || raw === logView.raw) return;
+    logView.raw = raw;
+    logView.lines = raw.split("\n");
+    renderLogs();
+  }
+
+  async function openLogs(name) {
+    clearInterval(interval);
+    Object.assign(logView, { name, lines: [], raw: null, follow: true });
+    table.hide();
+    logPanel.show();
+    logPanel.focus();
+    renderLogs();
+    await loadLogs();
+    logView.interval = setInterval(loadLogs, 2000);
+  }
+
+  async function closeLogs() {
+    clearInterval(logView.interval);
+    logView.name = null;
+    logPanel.hide();
+    table.show();
+    table.focus();
+    footer.setContent(tableFooter);
+    await refreshTable();
+    interval = setInterval(refreshTable, 2000);
+  }
+
+  logPanel.key(["escape"], closeLogs);
+  logPanel.key(["e"], () => {
+    logView.level = DASHBOARD_LOG_LEVELS[(DASHBOARD_LOG_LEVELS.indexOf(logView.level) + 1) % DASHBOARD_LOG_LEVELS.length];
+    renderLogs();
+  });
+  logPanel.key(["f", "end", "S-g"], (_, key) => {
+    logView.follow = key.name === "f" ? !logView.follow : true;
+    renderLogs();
+  });
+  const stopFollowingLogs = () => {
+    if (!logView.follow) return;
+    logView.follow = false;
+    renderLogs();
+  };
+  logPanel.key(["up", "k", "pageup", "g"], stopFollowingLogs);
+  logPanel.on("wheelup", stopFollowingLogs);
+  logPanel.key(["c"], () => {
+    logView.searchText = "";
+    renderLogs();
+  });
+  logPanel.key(["/"], () => {
+    searchBox.setValue(logView.searchText);
+    searchBox.show();
+    screen.render();
+    searchBox.readInput((_, value) => {
+      searchBox.hide();
+      if (typeof value === "string") logView.searchText = value.trim();
+      logPanel.focus();
+      renderLogs();
+    });
+  });
+
   await refreshTable();
-  const interval = setInterval(refreshTable, 2000);
+  let interval = setInterval(refreshTable, 2000);
   table.focus();
   table.rows.on("select", (_, idx) => {
     selectedIndex = typeof idx === "number" ? idx : table.rows.selected;
@@ -1046,6 +2345,7 @@ async function showDashboard() {
 
   const quitDashboard = () => {
     clearInterval(interval);
+    clearInterval(logView.interval);
     if (screen && !screen.destroyed) {
       screen.destroy();
     }
@@ -1053,46 +2353,70 @@ async function showDashboard() {
   };
 
   screen.key(["q", "C-c"], quitDashboard);
-  screen.key(["r"], async () => await refreshTable());
+  let instanceActionRunning = false;
+  const isTableBusy = () => Boolean(logView.name) || confirmDialog.visible || instanceActionRunning;
+
+  function showActionStatus(status, output) {
+    const lastOutputLine = output.length > 0 ? `\n {gray-fg}${blessed.escape(truncateText(output[output.length - 1], 200))}{/gray-fg}` : "";
+    footer.setContent(`${tableFooter}\n ${status}${lastOutputLine}`);
+  }
+
+  screen.key(["r"], async () => {
+    if (isTableBusy()) return;
+    await refreshTable();
+  });
 
-  screen.key(["l"], () => {
+  screen.key(["l"], async () => {
+    if (isTableBusy()) return;
     const idx = table.rows.selected;
     if (idx >= 0 && idx < currentData.length) {
-      const name = currentData[idx].name;
-      clearInterval(interval);
-      if (screen && !screen.destroyed) screen.destroy();
-      shell.exec(`pm2 logs ${PM2_INSTANCE_PREFIX}${name} --lines 50`);
-      process.exit(0);
+      await openLogs(currentData[idx].name);
     }
   });
 
   screen.key(["s"], async () => {
+    if (isTableBusy()) return;
     const idx = table.rows.selected;
     if (idx >= 0 && idx < currentData.length) {
       const name = currentData[idx].name;
-      const inst = currentData[idx];
-      try {
-        if (inst.status === PM2_STATUS_ONLINE) {
-          await safeRunCommand("pm2", ["stop", `${PM2_INSTANCE_PREFIX}${name}`], `Failed to stop ${name}`);
-        } else {
-          await safeRunCommand("pm2", ["start", `${PM2_INSTANCE_PREFIX}${name}`], `Failed to start ${name}`);
+      const action = currentData[idx].status === PM2_STATUS_ONLINE ? "stop" : "start";
+      instanceActionRunning = true;
+      const { result: error, output } = await captureConsoleOutput(async () => {
+        try {
+          await getProcessManager().control(action, name);
+          return null;
+        } catch (e) {
+          return e;
         }
-        await refreshTable();
-      } catch (e) {
-        if (completeLogging) console.error(chalk.red(`Error start/stop ${name}: ${e.message}`));
-      }
+      });
+      instanceActionRunning = false;
+      showActionStatus(error ? `{red-fg}Failed to ${action} "${blessed.escape(name)}": ${blessed.escape(truncateText(error.message, 200))}{/red-fg}` : `{green-fg}Instance "${blessed.escape(name)}" ${action === "stop" ? "stopped" : "started"}.{/green-fg}`, output);
+      await refreshTable();
     }
   });
 
-  screen.key(["d"], async () => {
+  screen.key(["d"], () => {
+    if (isTableBusy()) return;
     const idx = table.rows.selected;
-    if (idx >= 0 && idx < currentData.length) {
-      const name = currentData[idx].name;
+    if (idx < 0 || idx >= currentData.length) return;
+    const name = currentData[idx].name;
+    confirmDialog.ask(`Delete instance {bold}${blessed.escape(name)}{/bold}? Its ${getProcessManager().label} process and ${getProxyBackend().label} config are removed; the data directory is kept.`, async (_, confirmed) => {
+      table.focus();
+      if (!confirmed) {
+        screen.render();
+        return;
+      }
       clearInterval(interval);
-      if (screen && !screen.destroyed) screen.destroy();
-      console.log(chalk.yellow(`To delete instance "${name}", please run: pb-manager remove ${name}`));
-      process.exit(0);
-    }
+      instanceActionRunning = true;
+      footer.setContent(` Deleting instance "${blessed.escape(name)}"...`);
+      screen.render();
+      const { result, output } = await captureConsoleOutput(() => _internalRemoveInstance({ name, deleteData: false }));
+      instanceActionRunning = false;
+      if (result.success) delete config.instances[name];
+      showActionStatus(result.success ? `{green-fg}Instance "${blessed.escape(name)}" deleted. Data directory kept.{/green-fg}` : `{red-fg}Failed to delete "${blessed.escape(name)}": ${blessed.escape(result.error)}{/red-fg}`, output);
+      await refreshTable();
+      interval = setInterval(refreshTable, 2000);
+    });
   });
   screen.render();
 }
@@ -1100,7 +2424,7 @@ async function showDashboard() {
 async function _internalGetGlobalStats() {
   try {
     const cliConfig = await getCliConfig();
-    return { success: true, data: { pbManagerVersion, defaultPocketBaseVersion: cliConfig.defaultPocketBaseVersion, pocketBaseExecutablePath: POCKETBASE_EXEC_PATH, configDirectory: CONFIG_DIR, nginxSitesAvailable: NGINX_SITES_AVAILABLE, nginxSitesEnabled: NGINX_SITES_ENABLED, nginxDistroMode: NGINX_DISTRO_MODE, completeLoggingEnabled: completeLogging } };
+    return { success: true, data: { pbManagerVersion, defaultPocketBaseVersion: cliConfig.defaultPocketBaseVersion, pocketBaseExecutablePath: POCKETBASE_EXEC_PATH, installedPocketBaseVersions: await getInstalledPocketBaseVersions(), configDirectory: CONFIG_DIR, nginxSitesAvailable: NGINX_SITES_AVAILABLE, nginxSitesEnabled: NGINX_SITES_ENABLED, nginxDistroMode: NGINX_DISTRO_MODE, proxyBackend: PROXY_BACKEND, completeLoggingEnabled: completeLogging } };
   } catch (error) {
     return { success: false, error: error.message, messages: [error.message] };
   }
@@ -1114,24 +2438,16 @@ async function _internalGetInstanceLogs(payload) {
   if (!name) {
     return { success: false, error: "Instance name is required for logs.", messages: ["Instance name is required for logs."] };
   }
-  const instancePM2Name = `${PM2_INSTANCE_PREFIX}${name}`;
+  const instanceProcessName = `${PM2_INSTANCE_PREFIX}${name}`;
   try {
     const config = await getInstancesConfig();
     if (!config.instances[name]) {
       return { success: false, error: `Instance "${name}" not found in configuration.`, messages: [`Instance "${name}" not found in configuration.`] };
     }
-    const logCommand = `pm2 logs ${instancePM2Name} --lines ${lines} --nostream --raw`;
-    const result = shell.exec(logCommand, { silent: true });
-    let logs = result.stdout || "";
-    if (result.stderr && !result.stderr.includes("process name not found")) {
-      logs += `\n--- STDERR ---\n${result.stderr}`;
-    }
-    if (result.stderr?.includes("process name not found") && result.stdout.trim() === "") {
-      return { success: false, error: `PM2 process ${instancePM2Name} not found or no logs available.`, details: result.stderr, messages: [`PM2 process ${instancePM2Name} not found or no logs available.`] };
-    }
+    const logs = await getProcessManager().readLogs(name, lines);
     return { success: true, data: { name, logs: logs.trim() || "No log output." }, messages: ["Logs retrieved."] };
   } catch (error) {
-    return { success: false, error: `Failed to get logs for ${instancePM2Name}: ${error.message}`, messages: [`Failed to get logs for ${instancePM2Name}: ${error.message}`] };
+    return { success: false, error: `Failed to get logs for ${instanceProcessName}: ${error.message}`, messages: [`Failed to get logs for ${instanceProcessName}: ${error.message}`] };
   }
 }
 
@@ -1140,66 +2456,176 @@ async function _internalListInstances() {
   if (Object.keys(config.instances).length === 0) {
     return [];
   }
-  const pm2Statuses = {};
-  try {
-    const pm2ListRaw = shell.exec("pm2 jlist", { silent: true });
-    if (pm2ListRaw.code === 0 && pm2ListRaw.stdout) {
-      const pm2List = JSON.parse(pm2ListRaw.stdout);
-      for (const proc of pm2List) {
-        if (proc.name.startsWith(PM2_INSTANCE_PREFIX)) {
-          pm2Statuses[proc.name.substring(PM2_INSTANCE_PREFIX.length)] = proc.pm2_env.status;
-        }
-      }
-    }
-  } catch (e) {}
+  const processes = await getProcessManager()
+    .listProcesses()
+    .catch(() => ({}));
 
   const output = [];
   for (const name in config.instances) {
     const inst = config.instances[name];
-    let certExpiry = "-";
-    if (inst.useHttps) {
-      certExpiry = await getCertExpiryDays(inst.domain);
-    }
-    const status = pm2Statuses[name] || "UNKNOWN";
+    const certExpiry = await getInstanceCertExpiryDays(inst);
+    const status = processes[name] ? processes[name].status : "UNKNOWN";
     const protocol = inst.useHttps ? "https" : "http";
     const publicUrl = `${protocol}://${inst.domain}`;
-    output.push({ name, domain: inst.domain, protocol, publicUrl: `${publicUrl}/_/`, internalPort: inst.port, dataDirectory: inst.dataDir, pm2Status: status, adminURL: `http://127.0.0.1:${inst.port}/_/`, certExpiryDays: certExpiry });
+    const pocketBaseVersion = inst.pocketBaseVersion || `${(await getPocketBaseExecutableVersion(POCKETBASE_EXEC_PATH)) || "unknown"} (shared)`;
+    output.push({ name, domain: inst.domain, aliases: inst.aliases || [], protocol, tls: inst.useHttps ? inst.tls || TLS_MODE_LETSENCRYPT : null, maxBodySize: inst.maxBodySize, rateLimit: inst.rateLimit || null, adminGuard: inst.adminGuard || null, maintenance: inst.maintenance || null, publicUrl: `${publicUrl}/_/`, internalPort: inst.port, dataDirectory: inst.dataDir, pm2Status: status, adminURL: `http://127.0.0.1:${inst.port}/_/`, certExpiryDays: certExpiry, pocketBaseVersion });
   }
   return output;
 }
 
+function canBindPort(port, host) {
+  return new Promise((resolve) => {
+    const tester = net.createServer();
+    tester.once("error", (error) => resolve(["EAFNOSUPPORT", "EADDRNOTAVAIL"].includes(error.code)));
+    tester.once("listening", () => tester.close(() => resolve(true)));
+    tester.listen(port, host);
+  });
+}
+
+async function isPortAvailable(port) {
+  for (const host of PORT_PROBE_HOSTS) {
+    if (!(await canBindPort(port, host))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function findFreePort() {
+  const { portRange } = await getCliConfig();
+  const config = await getInstancesConfig();
+  const reserved = new Set(Object.values(config.instances).map((inst) => inst.port));
+  for (let port = portRange.start; port <= portRange.end; port++) {
+    if (!reserved.has(port) && (await isPortAvailable(port))) {
+      return port;
+    }
+  }
+  return null;
+}
+
+async function validatePortInput(input) {
+  if (!Number.isInteger(input) || input <= 1024 || input >= 65535) {
+    return "Invalid port.";
+  }
+  const config = await getInstancesConfig();
+  const owner = Object.keys(config.instances).find((instName) => config.instances[instName].port === input);
+  if (owner) {
+    return `Port ${input} is already assigned to instance "${owner}".`;
+  }
+  return (await isPortAvailable(input)) ? true : `Port ${input} is already in use by another process on this server.`;
+}
+
+async function isBundlePortFree(config, port) {
+  return Boolean(port) && !Object.values(config.instances).some((inst) => inst.port === port) && (await isPortAvailable(port));
+}
+
+async function resolveInstancePort(port) {
+  if (!port) {
+    const freePort = await findFreePort();
+    if (!freePort) {
+      const { portRange } = await getCliConfig();
+      return { error: "No free port", message: `No free port found in the configured range ${portRange.start}-${portRange.end}.` };
+    }
+    return { port: freePort };
+  }
+  if (!(await isPortAvailable(port))) {
+    return { error: "Port in use", message: `Port ${port} is already in use by another process on this server.` };
+  }
+  return { port };
+}
+
+function isValidInstanceName(name) {
+  return /^[a-zA-Z0-9-]+$/.test(name || "") && !RESERVED_INSTANCE_NAMES.includes(String(name).toLowerCase());
+}
+
+function getInstanceDomains(instance) {
+  return [instance.domain, ...(instance.aliases || [])];
+}
+
+function isValidDomainName(domain) {
+  return typeof domain === "string" && domain.length <= 253 && /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)+$/i.test(domain);
+}
+
+function validateDomainInput(input) {
+  return isValidDomainName(input) ? true : "Enter a valid domain name (e.g., app.example.com).";
+}
+
+function findInstanceConflict(config, { name, domain, aliases = [], port }, ignoreName = null) {
+  if (name !== ignoreName && config.instances[name]) {
+    return { error: "Instance already exists", message: `Instance "${name}" already exists.` };
+  }
+  const domains = [domain, ...aliases];
+  if (new Set(domains).size !== domains.length) {
+    return { error: "Duplicate domain", message: "The same domain is listed more than once for this instance." };
+  }
+  const currentDomains = ignoreName && config.instances[ignoreName] ? getInstanceDomains(config.instances[ignoreName]) : [];
+  const invalidDomain = domains.find((candidate) => !currentDomains.includes(candidate) && !isValidDomainName(candidate));
+  if (invalidDomain !== undefined) {
+    return { error: "Invalid domain", message: `"${invalidDomain}" is not a valid domain name.` };
+  }
+  for (const instName in config.instances) {
+    if (instName === ignoreName) continue;
+    if (config.instances[instName].port === port) {
+      return { error: "Port in use", message: `Port ${port} is already in use by instance "${instName}".` };
+    }
+    const usedDomain = domains.find((candidate) => getInstanceDomains(config.instances[instName]).includes(candidate));
+    if (usedDomain) {
+      return { error: "Domain in use", message: `Domain ${usedDomain} is already in use by instance "${instName}".` };
+    }
+  }
+  return null;
+}
+
 async function _internalAddInstance(payload) {
-  const { name, domain, port, useHttps = true, emailForCertbot, useHttp2 = true, maxBody20Mb = true, autoRunCertbot = true, pocketBaseVersion } = payload;
+  const { name, domain, aliases = [], useHttps = true, tls = TLS_MODE_LETSENCRYPT, emailForCertbot, useHttp2 = true, maxBodySize = NGINX_DEFAULT_MAX_BODY_SIZE, autoRunCertbot = true, pocketBaseVersion } = payload;
+  let { port } = payload;
+  const domains = [domain, ...aliases];
   const results = { success: false, messages: [], instance: null, nginxConfigPath: null, certbotSuccess: null, error: null };
 
   try {
+    if (!isValidInstanceName(name)) {
+      results.error = `Invalid instance name "${name}". ${INSTANCE_NAME_RULES}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const { size: bodySize, error: bodySizeError } = parseMaxBodySize(maxBodySize);
+    if (bodySizeError) {
+      results.error = bodySizeError;
+      results.messages.push(results.error);
+      return results;
+    }
     await ensureBaseSetup();
-    const pbDownloadResult = await downloadPocketBaseIfNotExists(pocketBaseVersion, false);
-    if (pbDownloadResult && pbDownloadResult.success === false && !(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
+    const instanceVersion = pocketBaseVersion || (await getCliConfig()).defaultPocketBaseVersion;
+    const pbDownloadResult = await downloadPocketBaseIfNotExists(instanceVersion, false);
+    if (pbDownloadResult && pbDownloadResult.success === false && !(await fs.pathExists(getPocketBaseExecPath(instanceVersion)))) {
       results.messages.push(`PocketBase executable not found and download failed: ${pbDownloadResult.message}`);
       results.error = "PocketBase download failed";
       return results;
     }
 
+    const portCheck = await resolveInstancePort(port);
+    if (portCheck.error) {
+      results.messages.push(portCheck.message);
+      results.error = portCheck.error;
+      return results;
+    }
+    port = portCheck.port;
     const config = await getInstancesConfig();
-    if (config.instances[name]) {
-      results.messages.push(`Instance "${name}" already exists.`);
-      results.error = "Instance already exists";
+    const conflict = findInstanceConflict(config, { name, domain, aliases, port });
+    if (conflict) {
+      results.messages.push(conflict.message);
+      results.error = conflict.error;
       return results;
     }
-    for (const instName in config.instances) {
-      if (config.instances[instName].port === port) {
-        results.messages.push(`Port ${port} is already in use by instance "${instName}".`);
-        results.error = "Port in use";
-        return results;
-      }
-      if (config.instances[instName].domain === domain) {
-        results.messages.push(`Domain ${domain} is already in use by instance "${instName}".`);
-        results.error = "Domain in use";
-        return results;
-      }
+    const useCustomCertificate = useHttps && tls === TLS_MODE_CUSTOM;
+    const useInternalCa = useHttps && tls === TLS_MODE_INTERNAL_CA;
+    const internalCaDomainError = useInternalCa ? await getInternalCaDomainError(domains) : null;
+    if (internalCaDomainError) {
+      results.messages.push(internalCaDomainError);
+      results.error = internalCaDomainError;
+      return results;
     }
-    if (useHttps && !emailForCertbot) {
+    if (useHttps && !useCustomCertificate && !useInternalCa && !emailForCertbot) {
       results.messages.push("Email for Certbot is required when HTTPS is enabled.");
       results.error = "Missing Certbot email";
       return results;
@@ -1207,70 +2633,80 @@ async function _internalAddInstance(payload) {
 
     const instanceDataDir = path.join(INSTANCES_DATA_BASE_DIR, name);
     await fs.ensureDir(instanceDataDir);
-    const newInstanceConfig = { name, domain, port, dataDir: instanceDataDir, useHttps, emailForCertbot: useHttps ? emailForCertbot : null, useHttp2, maxBody20Mb };
+    const newInstanceConfig = { name, domain, ...(aliases.length > 0 ? { aliases } : {}), port, dataDir: instanceDataDir, useHttps, ...(useCustomCertificate || useInternalCa ? { tls } : {}), emailForCertbot: useHttps && !useCustomCertificate && !useInternalCa ? emailForCertbot : null, useHttp2, maxBodySize: bodySize, pocketBaseVersion: instanceVersion };
     config.instances[name] = newInstanceConfig;
     await saveInstancesConfig(config);
     if (completeLogging) results.messages.push(`Instance "${name}" configuration saved.`);
     results.instance = newInstanceConfig;
     let certbotRanSuccessfully = false;
 
-    const nginxResult = await generateNginxConfig(name, domain, port, false, false, maxBody20Mb);
+    const nginxResult = await getProxyBackend().generateConfig(name, domains, port, false, false, bodySize);
     results.nginxConfigPath = nginxResult.path;
     if (completeLogging) results.messages.push(nginxResult.message);
     else if (!nginxResult.success) results.messages.push(nginxResult.message);
 
-    const nginxReload1 = await reloadNginx();
+    const nginxReload1 = await getProxyBackend().reload();
     if (!nginxReload1.success) {
-      results.messages.push(`Nginx reload failed: ${nginxReload1.message}`);
+      results.messages.push(`${getProxyBackend().label} reload failed: ${nginxReload1.message}`);
       throw nginxReload1.error || new Error(nginxReload1.message);
     }
     if (completeLogging) {
       results.messages.push(nginxReload1.message);
     }
 
-    if (useHttps) {
-      await ensureDhParamExists();
+    if (useCustomCertificate) {
+      results.messages.push(`${getProxyBackend().label} serves HTTP until a certificate is installed with: pb-manager cert install ${name} --cert fullchain.pem --key privkey.pem`);
+    } else if (useInternalCa) {
+      const issued = await issueInternalCertificate(newInstanceConfig);
+      if (issued.caCreated) results.messages.push("Created the internal CA. Trust it on your machines with: pb-manager ca export -o pb-manager-ca.crt");
+      if (issued.renewalMessage) results.messages.push(issued.renewalMessage);
+      results.messages.push(`Issued a certificate for ${domains.join(", ")} from the internal CA (expires in ${issued.certificate.daysLeft} day(s)).`);
+      const httpsNginxResult = await getProxyBackend().generateConfig(name, domains, port, true, useHttp2, bodySize, getInstanceTlsPaths(newInstanceConfig));
+      if (completeLogging) results.messages.push(httpsNginxResult.message);
+      else if (!httpsNginxResult.success) results.messages.push(httpsNginxResult.message);
+    } else if (useHttps) {
+      await getProxyBackend().prepareTls();
       if (autoRunCertbot) {
-        const certbotResult = await runCertbot(domain, emailForCertbot, false);
+        const certbotResult = await getProxyBackend().obtainCertificate(domains, emailForCertbot, false);
         results.certbotSuccess = certbotResult.success;
-        results.messages.push(`Certbot for ${domain}: ${certbotResult.message}`);
+        results.messages.push(`${getProxyBackend().certificateIssuer} for ${domains.join(", ")}: ${certbotResult.message}`);
         certbotRanSuccessfully = certbotResult.success;
         if (certbotResult.success) {
-          const httpsNginxResult = await generateNginxConfig(name, domain, port, true, useHttp2, maxBody20Mb);
+          const httpsNginxResult = await getProxyBackend().generateConfig(name, domains, port, true, useHttp2, bodySize);
           if (completeLogging) results.messages.push(httpsNginxResult.message);
           else if (!httpsNginxResult.success) results.messages.push(httpsNginxResult.message);
         } else {
-          results.messages.push("Certbot failed. Nginx remains HTTP-only. You may need to run Certbot manually.");
+          results.messages.push(`${getProxyBackend().certificateIssuer} failed. ${getProxyBackend().label} remains HTTP-only. You may need to obtain the certificate manually.`);
         }
       } else {
-        const httpsNginxResult = await generateNginxConfig(name, domain, port, true, useHttp2, maxBody20Mb);
+        const httpsNginxResult = await getProxyBackend().generateConfig(name, domains, port, true, useHttp2, bodySize);
         if (completeLogging) results.messages.push(httpsNginxResult.message);
         else if (!httpsNginxResult.success) results.messages.push(httpsNginxResult.message);
-        results.messages.push("HTTPS Nginx config generated, Certbot not run automatically. Manual run needed for SSL.");
+        results.messages.push(`HTTPS ${getProxyBackend().label} config generated, ${getProxyBackend().certificateIssuer} not run automatically. Manual run needed for SSL.`);
       }
     } else {
-      if (completeLogging) results.messages.push("HTTP-only Nginx config generated (or updated).");
+      if (completeLogging) results.messages.push(`HTTP-only ${getProxyBackend().label} config generated (or updated).`);
     }
 
-    const nginxReload2 = await reloadNginx();
+    const nginxReload2 = await getProxyBackend().reload();
     if (!nginxReload2.success) {
-      results.messages.push(`Nginx final reload failed: ${nginxReload2.message}`);
+      results.messages.push(`Final ${getProxyBackend().label} reload failed: ${nginxReload2.message}`);
       throw nginxReload2.error || new Error(nginxReload2.message);
     }
     if (completeLogging) {
       results.messages.push(nginxReload2.message);
     }
 
-    const pm2UpdateResult = await updatePm2EcosystemFile();
+    const pm2UpdateResult = await getProcessManager().writeDefinitions();
     if (!pm2UpdateResult.success) throw new Error(pm2UpdateResult.message);
     if (completeLogging) results.messages.push(pm2UpdateResult.message);
 
-    const pm2ReloadResult = await reloadPm2();
+    const pm2ReloadResult = await getProcessManager().recreate(name);
     if (!pm2ReloadResult.success) throw new Error(pm2ReloadResult.message);
     if (completeLogging) results.messages.push(pm2ReloadResult.message);
 
     results.success = true;
-    const finalProtocol = useHttps && certbotRanSuccessfully ? "https" : "http";
+    const finalProtocol = useHttps && (certbotRanSuccessfully || useInternalCa) ? "https" : "http";
     results.instance.url = `${finalProtocol}://${domain}/_/`;
     results.messages.push(`Instance "${name}" added and started. Access at ${results.instance.url}`);
   } catch (error) {
@@ -1281,130 +2717,351 @@ async function _internalAddInstance(payload) {
   return results;
 }
 
-async function _internalRemoveInstance(payload) {
-  const { name } = payload;
-  const results = { success: false, messages: [], error: null };
-  try {
-    const config = await getInstancesConfig();
-    if (!config.instances[name]) {
-      results.error = `Instance "${name}" not found.`;
-      results.messages.push(results.error);
-      return results;
-    }
-    const instanceDataDir = config.instances[name].dataDir;
+function getNginxConfigPaths(instanceName) {
+  if (NGINX_DISTRO_MODE === "rhel") {
+    const confPath = path.join(NGINX_SITES_AVAILABLE, `${instanceName}.conf`);
+    return { confPath, enabledPath: confPath };
+  }
+  return { confPath: path.join(NGINX_SITES_AVAILABLE, instanceName), enabledPath: path.join(NGINX_SITES_ENABLED, instanceName) };
+}
+
+async function removeNginxConfig(instanceName) {
+  const messages = [];
+  const { confPath, enabledPath } = getNginxConfigPaths(instanceName);
+  if (NGINX_DISTRO_MODE !== "rhel" && (await fs.pathExists(enabledPath))) {
     try {
-      await safeRunCommand("pm2", ["stop", `${PM2_INSTANCE_PREFIX}${name}`], `Stopping ${PM2_INSTANCE_PREFIX}${name}`, true);
-      if (completeLogging) results.messages.push(`Attempted to stop PM2 process ${PM2_INSTANCE_PREFIX}${name}.`);
-      await safeRunCommand("pm2", ["delete", `${PM2_INSTANCE_PREFIX}${name}`], `Deleting ${PM2_INSTANCE_PREFIX}${name}`, true);
-      if (completeLogging) results.messages.push(`Attempted to delete PM2 process ${PM2_INSTANCE_PREFIX}${name}.`);
+      await safeRunCommand("sudo", ["rm", enabledPath], `Failed to remove Nginx symlink ${enabledPath}`);
+      if (completeLogging) messages.push(`Removed Nginx symlink ${enabledPath}.`);
     } catch (e) {
-      results.messages.push(`Warning: Could not stop/delete PM2 process ${PM2_INSTANCE_PREFIX}${name} (maybe not running/exists): ${e.message}`);
-    }
-
-    const nginxConfPathBase = NGINX_DISTRO_MODE === "rhel" ? `${name}.conf` : name;
-    const nginxConfPath = path.join(NGINX_SITES_AVAILABLE, nginxConfPathBase);
-    const nginxEnabledPath = NGINX_DISTRO_MODE === "rhel" ? nginxConfPath : path.join(NGINX_SITES_ENABLED, name);
-
-    if (NGINX_DISTRO_MODE !== "rhel" && (await fs.pathExists(nginxEnabledPath))) {
-      try {
-        await safeRunCommand("sudo", ["rm", nginxEnabledPath], `Failed to remove Nginx symlink ${nginxEnabledPath}`);
-        if (completeLogging) results.messages.push(`Removed Nginx symlink ${nginxEnabledPath}.`);
-      } catch (e) {
-        results.messages.push(`Warning: Failed to remove Nginx symlink ${nginxEnabledPath}: ${e.message}`);
-      }
-    }
-    if (await fs.pathExists(nginxConfPath)) {
-      try {
-        await safeRunCommand("sudo", ["rm", nginxConfPath], `Failed to remove Nginx config ${nginxConfPath}`);
-        if (completeLogging) results.messages.push(`Removed Nginx config ${nginxConfPath}.`);
-      } catch (e) {
-        results.messages.push(`Warning: Failed to remove Nginx config ${nginxConfPath}: ${e.message}`);
-      }
+      messages.push(`Warning: Failed to remove Nginx symlink ${enabledPath}: ${e.message}`);
     }
-
-    delete config.instances[name];
-    await saveInstancesConfig(config);
-    if (completeLogging) results.messages.push(`Instance "${name}" removed from configuration.`);
-
-    const pm2UpdateRes = await updatePm2EcosystemFile();
-    if (completeLogging && pm2UpdateRes.success) results.messages.push(pm2UpdateRes.message);
-
-    const nginxReloadRes = await reloadNginx();
-    if (completeLogging && nginxReloadRes.success) results.messages.push(nginxReloadRes.message);
-    else if (!nginxReloadRes.success) results.messages.push(`Nginx reload after removal failed: ${nginxReloadRes.message}`);
-
+  }
+  if (await fs.pathExists(confPath)) {
     try {
-      await safeRunCommand("pm2", ["save"], "PM2 save failed", true);
-      if (completeLogging) results.messages.push("PM2 state saved.");
+      await safeRunCommand("sudo", ["rm", confPath], `Failed to remove Nginx config ${confPath}`);
+      if (completeLogging) messages.push(`Removed Nginx config ${confPath}.`);
     } catch (e) {
-      if (completeLogging) results.messages.push(`PM2 save failed: ${e.message}`);
+      messages.push(`Warning: Failed to remove Nginx config ${confPath}: ${e.message}`);
     }
+  }
+  return messages;
+}
 
-    if (payload.deleteData) {
-      try {
-        await fs.remove(instanceDataDir);
-        results.messages.push(`Data directory ${instanceDataDir} deleted successfully.`);
-      } catch (err) {
-        results.messages.push(`Failed to delete data directory ${instanceDataDir}: ${err.message}. Manual deletion may be required.`);
-        results.error = results.error ? `${results.error}; Data deletion failed` : "Data deletion failed";
-      }
-    } else {
-      results.messages.push(`Data directory at ${instanceDataDir} was NOT deleted. Manual deletion required if desired.`);
+async function isInstanceCertificateAvailable(instance, backendName = PROXY_BACKEND) {
+  const tlsPaths = getInstanceTlsPaths(instance);
+  if (tlsPaths) {
+    return fs.pathExists(tlsPaths.certificate);
+  }
+  if (backendName === PROXY_BACKEND_CADDY) {
+    return true;
+  }
+  try {
+    const result = await safeRunCommand("sudo", ["test", "-f", `/etc/letsencrypt/live/${instance.domain}/fullchain.pem`], "Certificate not found", true);
+    return result.code === 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function _internalRenderInstanceNginxConfig(payload) {
+  const { name, templatePath } = payload;
+  const results = { success: false, messages: [], content: null, source: null, error: null };
+  if (PROXY_BACKEND !== PROXY_BACKEND_NGINX) {
+    results.error = `Nginx templates are not used while ${getProxyBackend().label} is the proxy backend. Its config is at ${getProxyBackend().getConfigPath(name)}.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  try {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const templateOverride = templatePath ? { template: await fs.readFile(templatePath, "utf8"), source: templatePath } : null;
+    const serveHttps = instance.useHttps && (await isInstanceCertificateAvailable(instance));
+    const rendered = await renderNginxConfig(name, getInstanceDomains(instance), instance.port, serveHttps, instance.useHttp2, instance.maxBodySize, getInstanceTlsPaths(instance), templateOverride);
+    results.content = rendered.content;
+    results.source = rendered.source;
+    if (instance.useHttps && !serveHttps) {
+      results.messages.push(`No certificate found for "${name}" yet, so it is rendered HTTP-only.`);
     }
     results.success = true;
   } catch (error) {
-    results.messages.push(`Error during internal remove instance: ${error.message}`);
     results.error = error.message;
+    results.messages.push(results.error);
   }
   return results;
 }
 
-async function _internalCloneInstance(payload) {
-  const { sourceName, newName, domain, port, useHttps = true, emailForCertbot, useHttp2 = true, maxBody20Mb = true, autoRunCertbot = true, pocketBaseVersion } = payload;
-  const results = { success: false, messages: [], instance: null, nginxConfigPath: null, certbotSuccess: null, error: null };
-
+async function _internalRegenerateProxyConfigs(payload = {}) {
+  const { name, backend: backendName = PROXY_BACKEND } = payload;
+  const backend = PROXY_BACKENDS[backendName];
+  const results = { success: false, messages: [], regenerated: [], error: null };
+  const previousContents = {};
   try {
-    await ensureBaseSetup();
-    if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-      if (completeLogging) results.messages.push("PocketBase executable not found. Attempting non-interactive download.");
-      const dlResult = await downloadPocketBaseIfNotExists(pocketBaseVersion, false);
-      if (dlResult && dlResult.success === false) {
-        results.error = `PocketBase executable not found and download failed: ${dlResult.message}`;
-        results.messages.push(results.error);
-        return results;
-      }
-      if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-        results.error = "PocketBase download failed after attempt. Cannot clone instance.";
-        results.messages.push(results.error);
-        return results;
-      }
-    }
-
     const config = await getInstancesConfig();
-    const sourceInstance = config.instances[sourceName];
-    if (!sourceInstance) {
-      results.error = `Source instance "${sourceName}" not found.`;
+    const names = name ? [name] : Object.keys(config.instances);
+    if (name && !config.instances[name]) {
+      results.error = `Instance "${name}" not found.`;
       results.messages.push(results.error);
       return results;
     }
-    if (config.instances[newName]) {
-      results.error = `Target instance "${newName}" already exists.`;
-      results.messages.push(results.error);
-      return results;
+    for (const instName of names) {
+      const instance = config.instances[instName];
+      const confPath = backend.getConfigPath(instName);
+      previousContents[instName] = (await fs.pathExists(confPath)) ? await fs.readFile(confPath, "utf8") : null;
+      const serveHttps = instance.useHttps && (await isInstanceCertificateAvailable(instance, backendName));
+      const proxyResult = await backend.generateConfig(instName, getInstanceDomains(instance), instance.port, serveHttps, instance.useHttp2, instance.maxBodySize, getInstanceTlsPaths(instance));
+      if (completeLogging) results.messages.push(proxyResult.message);
+      results.regenerated.push(instName);
     }
-    for (const instName in config.instances) {
-      if (config.instances[instName].port === port) {
-        results.error = `Port ${port} is already in use by instance "${instName}".`;
-        results.messages.push(results.error);
-        return results;
-      }
-      if (config.instances[instName].domain === domain) {
-        results.error = `Domain ${domain} is already in use by instance "${instName}".`;
-        results.messages.push(results.error);
-        return results;
-      }
+    const proxyReloadResult = await backend.reload();
+    if (!proxyReloadResult.success) {
+      throw proxyReloadResult.error || new Error(proxyReloadResult.message);
     }
-    if (useHttps && !emailForCertbot) {
+    results.success = true;
+    results.messages.push(`Regenerated the ${backend.label} config of ${results.regenerated.length} instance(s) and reloaded ${backend.label}.`);
+  } catch (error) {
+    results.error = error.message;
+    results.messages.push(`Error while regenerating ${backend.label} configs: ${error.message}`);
+    const restoreErrors = [];
+    for (const instName of Object.keys(previousContents)) {
+      try {
+        if (previousContents[instName] === null) {
+          const removeMessages = await backend.removeConfig(instName);
+          restoreErrors.push(...removeMessages.filter((msg) => msg.startsWith("Warning:")).map((msg) => `${instName}: ${msg}`));
+        } else {
+          await writeNginxConfigFile(backend.getConfigPath(instName), previousContents[instName]);
+        }
+      } catch (restoreError) {
+        restoreErrors.push(`${instName}: ${restoreError.message}`);
+      }
+    }
+    if (Object.keys(previousContents).length > 0) {
+      const restoreReloadResult = await backend.reload().catch((reloadError) => ({ success: false, message: reloadError.message }));
+      if (!restoreReloadResult.success) restoreErrors.push(`reload: ${restoreReloadResult.message}`);
+      if (restoreErrors.length > 0) {
+        results.restoreErrors = restoreErrors;
+        results.messages.push(`Restoring the previous ${backend.label} configs failed for ${restoreErrors.join("; ")}`);
+      } else {
+        results.messages.push(`The previous ${backend.label} configs were restored.`);
+      }
+    }
+  }
+  return results;
+}
+
+async function isProxyBackendListening(backendName) {
+  const { stdout } = await safeRunCommand("sudo", ["ss", "-Hltnp", "( sport = :80 or sport = :443 )"], "Failed to list listening sockets", true, { silent: true });
+  return stdout.includes(`(("${PROXY_BACKENDS[backendName].command}",`);
+}
+
+async function _internalSetProxyBackend(payload) {
+  const { backend } = payload;
+  const results = { success: false, messages: [], regenerated: [], error: null };
+  const previousBackend = PROXY_BACKEND;
+  if (!PROXY_BACKENDS[backend]) {
+    results.error = `Unknown proxy backend "${backend}". Use one of: ${Object.keys(PROXY_BACKENDS).join(", ")}.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  if (backend === previousBackend) {
+    results.success = true;
+    results.messages.push(`${PROXY_BACKENDS[backend].label} is already the proxy backend.`);
+    return results;
+  }
+  if (!shell.which(PROXY_BACKENDS[backend].command)) {
+    results.error = `${PROXY_BACKENDS[backend].label} is not installed or not in PATH.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  if (await isProxyBackendListening(previousBackend)) {
+    results.error = `${PROXY_BACKENDS[previousBackend].label} still holds ports 80 and 443, so ${PROXY_BACKENDS[backend].label} cannot bind them. Stop it first (e.g. sudo systemctl disable --now ${PROXY_BACKENDS[previousBackend].command}) and run the switch again.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  const writtenPages = [];
+  try {
+    const config = await getInstancesConfig();
+    for (const instance of Object.values(config.instances)) {
+      if (instance.maintenance) {
+        await writeMaintenancePage(instance.name, await renderMaintenancePage(instance, instance.maintenance), backend);
+        writtenPages.push(instance.name);
+      }
+    }
+    const regenerateResult = await _internalRegenerateProxyConfigs({ backend });
+    results.messages.push(...regenerateResult.messages);
+    if (!regenerateResult.success) {
+      throw new Error(regenerateResult.error);
+    }
+    results.regenerated = regenerateResult.regenerated;
+    const cliConfig = await getCliConfig();
+    cliConfig.proxy = backend;
+    await saveCliConfig(cliConfig);
+    PROXY_BACKEND = backend;
+
+    for (const instance of Object.values(config.instances)) {
+      results.messages.push(...(await PROXY_BACKENDS[previousBackend].removeConfig(instance.name)));
+      if (instance.maintenance) await removeMaintenancePage(instance.name, previousBackend).catch(() => {});
+    }
+    results.success = true;
+    results.messages.push(`${PROXY_BACKENDS[backend].label} is now the proxy backend.`);
+  } catch (error) {
+    for (const instanceName of writtenPages) {
+      await removeMaintenancePage(instanceName, backend).catch(() => {});
+    }
+    results.error = error.message;
+    results.messages.push(`The proxy backend is still ${PROXY_BACKENDS[previousBackend].label}.`);
+  }
+  return results;
+}
+
+async function _internalRemoveInstance(payload) {
+  const { name } = payload;
+  const results = { success: false, messages: [], error: null };
+  try {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const instanceDataDir = config.instances[name].dataDir;
+    try {
+      await getProcessManager().control("stop", name, true);
+      if (completeLogging) results.messages.push(`Attempted to stop ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${name}.`);
+      await getProcessManager().control("delete", name, true);
+      if (completeLogging) results.messages.push(`Attempted to delete ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${name}.`);
+    } catch (e) {
+      results.messages.push(`Warning: Could not stop/delete ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${name} (maybe not running/exists): ${e.message}`);
+    }
+
+    if (config.instances[name].backupSchedule) {
+      const scheduleRemovalResult = await _internalRemoveBackupSchedule({ name });
+      if (!scheduleRemovalResult.success) results.messages.push(`Warning: ${scheduleRemovalResult.error}`);
+      else if (completeLogging) results.messages.push(...scheduleRemovalResult.messages);
+    }
+
+    results.messages.push(...(await getProxyBackend().removeConfig(name)));
+
+    const customCertificateDir = getCustomCertificatePaths(name).dir;
+    if (await fs.pathExists(customCertificateDir)) {
+      await fs.remove(customCertificateDir);
+      if (completeLogging) results.messages.push(`Removed custom certificate directory ${customCertificateDir}.`);
+    }
+    const instanceTemplatePath = getNginxTemplatePaths(name).instance;
+    if (await fs.pathExists(instanceTemplatePath)) {
+      await fs.remove(instanceTemplatePath);
+      if (completeLogging) results.messages.push(`Removed Nginx template override ${instanceTemplatePath}.`);
+    }
+    if (await fs.pathExists(getAdminHtpasswdPath(name))) {
+      await writeAdminHtpasswd(name, []);
+      if (completeLogging) results.messages.push(`Removed admin UI users file ${getAdminHtpasswdPath(name)}.`);
+    }
+    if (await fs.pathExists(getMaintenancePagePath(name))) {
+      await removeMaintenancePage(name);
+      if (completeLogging) results.messages.push(`Removed maintenance page ${getMaintenancePagePath(name)}.`);
+    }
+
+    delete config.instances[name];
+    await saveInstancesConfig(config);
+    if (completeLogging) results.messages.push(`Instance "${name}" removed from configuration.`);
+
+    const pm2UpdateRes = await getProcessManager().writeDefinitions();
+    if (completeLogging && pm2UpdateRes.success) results.messages.push(pm2UpdateRes.message);
+
+    const nginxReloadRes = await getProxyBackend().reload();
+    if (completeLogging && nginxReloadRes.success) results.messages.push(nginxReloadRes.message);
+    else if (!nginxReloadRes.success) results.messages.push(`${getProxyBackend().label} reload after removal failed: ${nginxReloadRes.message}`);
+
+    try {
+      const saveResult = await getProcessManager().save();
+      if (completeLogging) results.messages.push(saveResult.message);
+    } catch (e) {
+      if (completeLogging) results.messages.push(`${getProcessManager().label} save failed: ${e.message}`);
+    }
+
+    if (payload.deleteData) {
+      try {
+        await fs.remove(instanceDataDir);
+        results.messages.push(`Data directory ${instanceDataDir} deleted successfully.`);
+      } catch (err) {
+        results.messages.push(`Failed to delete data directory ${instanceDataDir}: ${err.message}. Manual deletion may be required.`);
+        results.error = results.error ? `${results.error}; Data deletion failed` : "Data deletion failed";
+      }
+    } else {
+      results.messages.push(`Data directory at ${instanceDataDir} was NOT deleted. Manual deletion required if desired.`);
+    }
+    results.success = true;
+  } catch (error) {
+    results.messages.push(`Error during internal remove instance: ${error.message}`);
+    results.error = error.message;
+  }
+  return results;
+}
+
+async function _internalCloneInstance(payload) {
+  const { sourceName, newName, domain, useHttps = true, emailForCertbot, useHttp2 = true, maxBodySize = NGINX_DEFAULT_MAX_BODY_SIZE, autoRunCertbot = true, pocketBaseVersion } = payload;
+  let { port } = payload;
+  const results = { success: false, messages: [], instance: null, nginxConfigPath: null, certbotSuccess: null, error: null };
+
+  try {
+    if (!isValidInstanceName(newName)) {
+      results.error = `Invalid instance name "${newName}". ${INSTANCE_NAME_RULES}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const { size: bodySize, error: bodySizeError } = parseMaxBodySize(maxBodySize);
+    if (bodySizeError) {
+      results.error = bodySizeError;
+      results.messages.push(results.error);
+      return results;
+    }
+    await ensureBaseSetup();
+    const config = await getInstancesConfig();
+    const sourceInstance = config.instances[sourceName];
+    if (!sourceInstance) {
+      results.error = `Source instance "${sourceName}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const instanceVersion = pocketBaseVersion || sourceInstance.pocketBaseVersion || (await getCliConfig()).defaultPocketBaseVersion;
+    if (!(await fs.pathExists(getPocketBaseExecPath(instanceVersion)))) {
+      if (completeLogging) results.messages.push(`PocketBase v${instanceVersion} executable not found. Attempting non-interactive download.`);
+      const dlResult = await downloadPocketBaseIfNotExists(instanceVersion, false);
+      if (dlResult && dlResult.success === false) {
+        results.error = `PocketBase executable not found and download failed: ${dlResult.message}`;
+        results.messages.push(results.error);
+        return results;
+      }
+      if (!(await fs.pathExists(getPocketBaseExecPath(instanceVersion)))) {
+        results.error = "PocketBase download failed after attempt. Cannot clone instance.";
+        results.messages.push(results.error);
+        return results;
+      }
+    }
+    if (config.instances[newName]) {
+      results.error = `Target instance "${newName}" already exists.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const portCheck = await resolveInstancePort(port);
+    if (portCheck.error) {
+      results.error = portCheck.message;
+      results.messages.push(results.error);
+      return results;
+    }
+    port = portCheck.port;
+    const conflict = findInstanceConflict(config, { name: newName, domain, port });
+    if (conflict) {
+      results.error = conflict.message;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (useHttps && !emailForCertbot) {
       results.error = "Email for Certbot is required when HTTPS is enabled for the clone.";
       results.messages.push(results.error);
       return results;
@@ -1422,21 +3079,21 @@ async function _internalCloneInstance(payload) {
       return results;
     }
 
-    const newInstanceConfig = { name: newName, domain, port, dataDir: newInstanceDataDir, useHttps, emailForCertbot: useHttps ? emailForCertbot : null, useHttp2, maxBody20Mb };
+    const newInstanceConfig = { name: newName, domain, port, dataDir: newInstanceDataDir, useHttps, emailForCertbot: useHttps ? emailForCertbot : null, useHttp2, maxBodySize: bodySize, pocketBaseVersion: instanceVersion };
     config.instances[newName] = newInstanceConfig;
     await saveInstancesConfig(config);
     if (completeLogging) results.messages.push(`Instance "${newName}" configuration saved.`);
     results.instance = newInstanceConfig;
     let certbotRanSuccessfully = false;
 
-    const nginxResultHttp = await generateNginxConfig(newName, domain, port, false, false, maxBody20Mb);
+    const nginxResultHttp = await getProxyBackend().generateConfig(newName, domain, port, false, false, bodySize);
     if (completeLogging) results.messages.push(nginxResultHttp.message);
     else if (!nginxResultHttp.success) results.messages.push(nginxResultHttp.message);
     if (nginxResultHttp.path) results.nginxConfigPath = nginxResultHttp.path;
 
-    const nginxReload1 = await reloadNginx();
+    const nginxReload1 = await getProxyBackend().reload();
     if (!nginxReload1.success) {
-      results.messages.push(`Nginx reload after HTTP config failed: ${nginxReload1.message}`);
+      results.messages.push(`${getProxyBackend().label} reload after HTTP config failed: ${nginxReload1.message}`);
       results.error = nginxReload1.error?.message || nginxReload1.message;
       return results;
     }
@@ -1445,34 +3102,34 @@ async function _internalCloneInstance(payload) {
     }
 
     if (useHttps) {
-      await ensureDhParamExists();
+      await getProxyBackend().prepareTls();
       if (autoRunCertbot) {
-        const certbotResult = await runCertbot(domain, emailForCertbot, false);
+        const certbotResult = await getProxyBackend().obtainCertificate(domain, emailForCertbot, false);
         results.certbotSuccess = certbotResult.success;
-        results.messages.push(`Certbot for ${domain}: ${certbotResult.message}`);
+        results.messages.push(`${getProxyBackend().certificateIssuer} for ${domain}: ${certbotResult.message}`);
         certbotRanSuccessfully = certbotResult.success;
         if (certbotResult.success) {
-          const httpsNginxResult = await generateNginxConfig(newName, domain, port, true, useHttp2, maxBody20Mb);
+          const httpsNginxResult = await getProxyBackend().generateConfig(newName, domain, port, true, useHttp2, bodySize);
           if (completeLogging) results.messages.push(httpsNginxResult.message);
           else if (!httpsNginxResult.success) results.messages.push(httpsNginxResult.message);
           if (httpsNginxResult.path) results.nginxConfigPath = httpsNginxResult.path;
         } else {
-          results.messages.push("Certbot failed. Nginx may remain HTTP-only. Manual Certbot run may be needed.");
+          results.messages.push(`${getProxyBackend().certificateIssuer} failed. ${getProxyBackend().label} may remain HTTP-only. You may need to obtain the certificate manually.`);
         }
       } else {
-        const httpsNginxResult = await generateNginxConfig(newName, domain, port, true, useHttp2, maxBody20Mb);
+        const httpsNginxResult = await getProxyBackend().generateConfig(newName, domain, port, true, useHttp2, bodySize);
         if (completeLogging) results.messages.push(httpsNginxResult.message);
         else if (!httpsNginxResult.success) results.messages.push(httpsNginxResult.message);
         if (httpsNginxResult.path) results.nginxConfigPath = httpsNginxResult.path;
-        results.messages.push("HTTPS Nginx config generated, Certbot not run automatically. Manual run needed for SSL.");
+        results.messages.push(`HTTPS ${getProxyBackend().label} config generated, ${getProxyBackend().certificateIssuer} not run automatically. Manual run needed for SSL.`);
       }
     } else {
-      if (completeLogging) results.messages.push("HTTP-only Nginx config generated.");
+      if (completeLogging) results.messages.push(`HTTP-only ${getProxyBackend().label} config generated.`);
     }
 
-    const nginxReload2 = await reloadNginx();
+    const nginxReload2 = await getProxyBackend().reload();
     if (!nginxReload2.success) {
-      results.messages.push(`Final Nginx reload failed: ${nginxReload2.message}`);
+      results.messages.push(`Final ${getProxyBackend().label} reload failed: ${nginxReload2.message}`);
       results.error = nginxReload2.error?.message || nginxReload2.message;
       return results;
     }
@@ -1480,18 +3137,18 @@ async function _internalCloneInstance(payload) {
       results.messages.push(nginxReload2.message);
     }
 
-    const pm2UpdateResult = await updatePm2EcosystemFile();
+    const pm2UpdateResult = await getProcessManager().writeDefinitions();
     if (!pm2UpdateResult.success) {
-      results.error = pm2UpdateResult.message || "PM2 ecosystem update failed.";
+      results.error = pm2UpdateResult.message || `Writing the ${getProcessManager().label} process definitions failed.`;
       return results;
     }
     if (completeLogging) {
       results.messages.push(pm2UpdateResult.message);
     }
 
-    const pm2ReloadResult = await reloadPm2();
+    const pm2ReloadResult = await getProcessManager().recreate(newName);
     if (!pm2ReloadResult.success) {
-      results.error = pm2ReloadResult.message || "PM2 reload failed.";
+      results.error = pm2ReloadResult.message || `${getProcessManager().label} reload failed.`;
       return results;
     }
     if (completeLogging) {
@@ -1503,7 +3160,7 @@ async function _internalCloneInstance(payload) {
       const adminCreateArgs = ["superuser", "create", payload.adminEmail, payload.adminPassword, "--dir", newInstanceDataDir, "--migrationsDir", migrationsDir];
       if (completeLogging) results.messages.push(`Attempting to create additional superuser (admin) account: ${payload.adminEmail}`);
       try {
-        const adminResult = await safeRunCommand(POCKETBASE_EXEC_PATH, adminCreateArgs, "Failed to create superuser (admin) account via CLI for clone.");
+        const adminResult = await safeRunCommand(getInstanceExecPath(newInstanceConfig), adminCreateArgs, "Failed to create superuser (admin) account via CLI for clone.");
         if (adminResult?.stdout?.includes("Successfully created new superuser")) {
           if (completeLogging) results.messages.push(adminResult.stdout.trim());
           results.messages.push(`Additional superuser (admin) account for ${payload.adminEmail} created successfully!`);
@@ -1540,12 +3197,12 @@ async function _internalResetInstance(payload) {
     }
     const instance = config.instances[name];
     const dataDir = instance.dataDir;
-    if (completeLogging) results.messages.push(`Stopping and deleting PM2 process for ${PM2_INSTANCE_PREFIX}${name}...`);
+    if (completeLogging) results.messages.push(`Stopping and deleting ${getProcessManager().label} process for ${PM2_INSTANCE_PREFIX}${name}...`);
     try {
-      await safeRunCommand("pm2", ["stop", `${PM2_INSTANCE_PREFIX}${name}`], `Stopping ${PM2_INSTANCE_PREFIX}${name}`, true);
-      await safeRunCommand("pm2", ["delete", `${PM2_INSTANCE_PREFIX}${name}`], `Deleting ${PM2_INSTANCE_PREFIX}${name}`, true);
+      await getProcessManager().control("stop", name, true);
+      await getProcessManager().control("delete", name, true);
     } catch (e) {
-      results.messages.push(`Warning: Could not stop/delete PM2 process ${PM2_INSTANCE_PREFIX}${name} (maybe not running/exists): ${e.message}`);
+      results.messages.push(`Warning: Could not stop/delete ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${name} (maybe not running/exists): ${e.message}`);
     }
 
     if (completeLogging) results.messages.push(`Deleting data directory ${dataDir}...`);
@@ -1562,12 +3219,12 @@ async function _internalResetInstance(payload) {
     await fs.ensureDir(dataDir);
     if (completeLogging) results.messages.push(`Data directory ${dataDir} recreated.`);
 
-    const pm2UpdateRes = await updatePm2EcosystemFile();
+    const pm2UpdateRes = await getProcessManager().writeDefinitions();
     if (completeLogging && pm2UpdateRes.success) results.messages.push(pm2UpdateRes.message);
 
-    const pm2ReloadRes = await reloadPm2();
+    const pm2ReloadRes = await getProcessManager().recreate(name);
     if (completeLogging && pm2ReloadRes.success) results.messages.push(pm2ReloadRes.message);
-    else if (!pm2ReloadRes.success) results.messages.push(`PM2 reload after reset failed: ${pm2ReloadRes.message}`);
+    else if (!pm2ReloadRes.success) results.messages.push(`${getProcessManager().label} reload after reset failed: ${pm2ReloadRes.message}`);
 
     if (completeLogging) results.messages.push(`Instance "${name}" services reloaded after reset.`);
 
@@ -1579,7 +3236,7 @@ async function _internalResetInstance(payload) {
         const adminCreateArgs = ["superuser", "create", adminEmail, adminPassword, "--dir", dataDir, "--migrationsDir", migrationsDir];
         if (completeLogging) results.messages.push(`Attempting to create superuser (admin) account: ${adminEmail}`);
         try {
-          const adminResult = await safeRunCommand(POCKETBASE_EXEC_PATH, adminCreateArgs, "Failed to create superuser (admin) account via CLI.");
+          const adminResult = await safeRunCommand(getInstanceExecPath(instance), adminCreateArgs, "Failed to create superuser (admin) account via CLI.");
           if (adminResult?.stdout?.includes("Successfully created new superuser")) {
             if (completeLogging) results.messages.push(adminResult.stdout.trim());
             results.messages.push(`Superuser (admin) account for ${adminEmail} created successfully!`);
@@ -1593,7 +3250,7 @@ async function _internalResetInstance(payload) {
       }
     }
     if (completeLogging) results.messages.push(`Starting instance ${PM2_INSTANCE_PREFIX}${name}...`);
-    await safeRunCommand("pm2", ["start", `${PM2_INSTANCE_PREFIX}${name}`], `Starting ${PM2_INSTANCE_PREFIX}${name}`, true);
+    await getProcessManager().control("start", name, true);
     results.success = true;
     results.messages.push(`Instance "${name}" reset and started.`);
   } catch (error) {
@@ -1623,7 +3280,7 @@ async function _internalResetAdminPassword(payload) {
     const dataDir = instance.dataDir;
     const adminUpdateArgs = ["superuser", "update", adminEmail, adminPassword, "--dir", dataDir];
     if (completeLogging) results.messages.push(`Attempting to reset admin password for ${adminEmail} on instance ${name}...`);
-    const result = await safeRunCommand(POCKETBASE_EXEC_PATH, adminUpdateArgs, "Failed to reset superuser (admin) password via CLI.");
+    const result = await safeRunCommand(getInstanceExecPath(instance), adminUpdateArgs, "Failed to reset superuser (admin) password via CLI.");
     if (result?.stdout?.includes("Successfully updated superuser")) {
       if (completeLogging) results.messages.push(result.stdout.trim());
       results.messages.push(`Superuser (admin) password for ${adminEmail} reset successfully!`);
@@ -1642,795 +3299,5124 @@ async function _internalResetAdminPassword(payload) {
   return results;
 }
 
-async function _internalRenewCertificates(payload) {
-  const { instanceName, force } = payload;
-  const results = { success: false, messages: [], error: null };
-  if (!shell.which("certbot")) {
-    results.error = "Certbot command not found. Please install Certbot first.";
-    results.messages.push(results.error);
-    return results;
-  }
-
-  const certbotArgs = ["renew"];
-  let baseMessage;
-
-  if (instanceName && instanceName.toLowerCase() !== "all") {
+async function _internalEditInstance(payload) {
+  const { name, autoRunCertbot = true } = payload;
+  const results = { success: false, messages: [], instance: null, certbotSuccess: null, error: null };
+  let previous = null;
+  let configSaved = false;
+  let certificateStash = null;
+  let certificateReissued = false;
+  try {
     const config = await getInstancesConfig();
-    const instance = config.instances[instanceName];
-    if (!instance || !instance.useHttps) {
-      results.error = `Instance "${instanceName}" not found or does not use HTTPS.`;
+    const instance = config.instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
       results.messages.push(results.error);
       return results;
     }
-    certbotArgs.push("--cert-name", instance.domain);
-    baseMessage = `Attempted certificate renewal for ${instance.domain}.`;
-  } else {
-    baseMessage = "Attempted renewal for all managed certificates.";
-  }
-  if (force) {
-    certbotArgs.push("--force-renewal");
-  }
+    previous = { ...instance };
+    const updated = { ...instance };
+    for (const field of ["domain", "aliases", "port", "useHttps", "tls", "emailForCertbot", "useHttp2", "maxBodySize", "rateLimit", "adminGuard", "maintenance"]) {
+      if (payload[field] !== undefined) {
+        updated[field] = payload[field];
+      }
+    }
+    if (!updated.useHttps) {
+      updated.emailForCertbot = null;
+    }
+    if (!updated.useHttps || updated.tls === TLS_MODE_LETSENCRYPT) {
+      delete updated.tls;
+    }
+    if (updated.aliases && updated.aliases.length === 0) {
+      delete updated.aliases;
+    }
+    const { size: bodySize, error: bodySizeError } = parseMaxBodySize(updated.maxBodySize);
+    if (bodySizeError) {
+      results.error = bodySizeError;
+      results.messages.push(results.error);
+      return results;
+    }
+    updated.maxBodySize = bodySize;
+    if (updated.rateLimit) {
+      const normalized = normalizeRateLimit(updated.rateLimit);
+      if (normalized.error) {
+        results.error = normalized.error;
+        results.messages.push(results.error);
+        return results;
+      }
+      updated.rateLimit = normalized.settings;
+    } else {
+      delete updated.rateLimit;
+    }
+    if (updated.adminGuard) {
+      const normalized = normalizeAdminGuard(updated.adminGuard);
+      if (normalized.error) {
+        results.error = normalized.error;
+        results.messages.push(results.error);
+        return results;
+      }
+      updated.adminGuard = normalized.settings;
+      const htpasswdLines = await readAdminHtpasswd(name);
+      const missingUsers = updated.adminGuard.users.filter((user) => !htpasswdLines.some((line) => line.startsWith(`${user}:`)));
+      if (missingUsers.length > 0) {
+        results.error = `No password set for admin guard user(s) ${missingUsers.join(", ")}. Add them with 'pb-manager admin-guard add-user ${name} <username>'.`;
+        results.messages.push(results.error);
+        return results;
+      }
+    } else {
+      delete updated.adminGuard;
+    }
+    if (updated.maintenance) {
+      const normalized = normalizeMaintenance(updated.maintenance);
+      if (normalized.error) {
+        results.error = normalized.error;
+        results.messages.push(results.error);
+        return results;
+      }
+      updated.maintenance = normalized.settings;
+    } else {
+      delete updated.maintenance;
+    }
+    if (updated.tls !== undefined && !TLS_MODES.includes(updated.tls)) {
+      results.error = `Invalid TLS mode "${updated.tls}". Use one of: ${TLS_MODES.join(", ")}.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const usesCustomCertificate = updated.useHttps && updated.tls === TLS_MODE_CUSTOM;
+    const usesInternalCa = updated.useHttps && updated.tls === TLS_MODE_INTERNAL_CA;
+    const previousUsedLetsEncrypt = previous.useHttps && !getInstanceTlsPaths(previous);
 
-  try {
-    if (completeLogging) results.messages.push(`Executing: sudo certbot ${certbotArgs.join(" ")}`);
-    await safeRunCommand("sudo", ["certbot", ...certbotArgs], "Certbot renewal command failed.");
-    if (completeLogging) results.messages.push(baseMessage);
+    const conflict = findInstanceConflict(config, updated, name);
+    if (conflict) {
+      results.error = conflict.message;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (updated.port !== previous.port && !(await isPortAvailable(updated.port))) {
+      results.error = `Port ${updated.port} is already in use by another process on this server.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (usesCustomCertificate) {
+      updated.emailForCertbot = null;
+      const certificateInfo = await readCustomCertificateInfo(updated);
+      if (certificateInfo.error) {
+        results.error = `${certificateInfo.error} Install a matching certificate with 'pb-manager cert install ${name}' first.`;
+        results.messages.push(results.error);
+        return results;
+      }
+    } else if (usesInternalCa) {
+      updated.emailForCertbot = null;
+      const internalCaDomainError = await getInternalCaDomainError(getInstanceDomains(updated));
+      if (internalCaDomainError) {
+        results.error = internalCaDomainError;
+        results.messages.push(results.error);
+        return results;
+      }
+    } else if (updated.useHttps && !updated.emailForCertbot) {
+      results.error = "Email for Certbot is required when HTTPS is enabled.";
+      results.messages.push(results.error);
+      return results;
+    }
 
-    if (completeLogging) results.messages.push("Reloading Nginx to apply any changes...");
-    const nginxReloadResult = await reloadNginx();
+    config.instances[name] = updated;
+    await saveInstancesConfig(config);
+    results.instance = updated;
+    configSaved = true;
+
+    const previousDomains = getInstanceDomains(previous);
+    const updatedDomains = getInstanceDomains(updated);
+    const needsCertificate = updated.useHttps && !usesCustomCertificate && !usesInternalCa && (!previousUsedLetsEncrypt || previous.domain !== updated.domain);
+    const expandsCertificate = updated.useHttps && !usesCustomCertificate && !usesInternalCa && !needsCertificate && previousDomains.join(" ") !== updatedDomains.join(" ");
+    let serveHttps = updated.useHttps;
+    if (usesInternalCa && (previous.tls !== TLS_MODE_INTERNAL_CA || !previous.useHttps || previousDomains.join(" ") !== updatedDomains.join(" ") || !(await fs.pathExists(getCustomCertificatePaths(name).certificate)))) {
+      certificateStash = await stashCertificateFiles(name);
+      certificateReissued = true;
+      const issued = await issueInternalCertificate(updated);
+      if (issued.caCreated) results.messages.push("Created the internal CA. Trust it on your machines with: pb-manager ca export -o pb-manager-ca.crt");
+      if (issued.renewalMessage) results.messages.push(issued.renewalMessage);
+      results.messages.push(`Issued a certificate for ${updatedDomains.join(", ")} from the internal CA (expires in ${issued.certificate.daysLeft} day(s)).`);
+    }
+    if (needsCertificate) {
+      const httpNginxResult = await getProxyBackend().generateConfig(name, updatedDomains, updated.port, false, false, updated.maxBodySize);
+      if (!httpNginxResult.success) results.messages.push(httpNginxResult.message);
+      const nginxReloadResult = await getProxyBackend().reload();
+      if (!nginxReloadResult.success) {
+        throw nginxReloadResult.error || new Error(nginxReloadResult.message);
+      }
+      await getProxyBackend().prepareTls();
+      if (autoRunCertbot) {
+        const certbotResult = await getProxyBackend().obtainCertificate(updatedDomains, updated.emailForCertbot, false);
+        results.certbotSuccess = certbotResult.success;
+        results.messages.push(`${getProxyBackend().certificateIssuer} for ${updatedDomains.join(", ")}: ${certbotResult.message}`);
+        if (!certbotResult.success) {
+          serveHttps = false;
+          results.messages.push(`${getProxyBackend().certificateIssuer} failed. ${getProxyBackend().label} remains HTTP-only. You may need to obtain the certificate manually.`);
+        }
+      } else {
+        serveHttps = false;
+        results.messages.push(`Certbot not run automatically. ${getProxyBackend().label} stays HTTP-only until you run: ${formatCertbotCommand(updatedDomains, updated.emailForCertbot)}`);
+      }
+    }
+    if (expandsCertificate) {
+      const expandNginxResult = await getProxyBackend().generateConfig(name, updatedDomains, updated.port, true, updated.useHttp2, updated.maxBodySize);
+      if (!expandNginxResult.success) results.messages.push(expandNginxResult.message);
+      const nginxReloadResult = await getProxyBackend().reload();
+      if (!nginxReloadResult.success) {
+        throw nginxReloadResult.error || new Error(nginxReloadResult.message);
+      }
+      if (autoRunCertbot) {
+        const certbotResult = await getProxyBackend().obtainCertificate(updatedDomains, updated.emailForCertbot, false);
+        results.certbotSuccess = certbotResult.success;
+        if (!certbotResult.success) throw new Error(certbotResult.message);
+        results.messages.push(`${getProxyBackend().certificateIssuer} for ${updatedDomains.join(", ")}: ${certbotResult.message}`);
+      } else {
+        results.messages.push(`Certbot not run automatically. The certificate does not match the new domain list until you run: ${formatCertbotCommand(updatedDomains, updated.emailForCertbot)}`);
+      }
+    }
+    const nginxResult = await getProxyBackend().generateConfig(name, updatedDomains, updated.port, serveHttps, updated.useHttp2, updated.maxBodySize, getInstanceTlsPaths(updated));
+    if (completeLogging) results.messages.push(nginxResult.message);
+    else if (!nginxResult.success) results.messages.push(nginxResult.message);
+    const nginxReloadResult = await getProxyBackend().reload();
     if (!nginxReloadResult.success) {
-      results.messages.push(`Nginx reload after cert renewal failed: ${nginxReloadResult.message}`);
       throw nginxReloadResult.error || new Error(nginxReloadResult.message);
     }
-    if (completeLogging) {
-      results.messages.push(nginxReloadResult.message);
+
+    if (previous.port !== updated.port) {
+      const pm2UpdateResult = await getProcessManager().writeDefinitions();
+      if (!pm2UpdateResult.success) throw new Error(pm2UpdateResult.message);
+      const restartResult = await getProcessManager().recreate(name);
+      if (!restartResult.success) throw new Error(restartResult.message);
+      if (completeLogging) results.messages.push(restartResult.message);
+    }
+
+    if (previousUsedLetsEncrypt && (!serveHttps || usesCustomCertificate || usesInternalCa || previous.domain !== updated.domain)) {
+      const certRemoval = await getProxyBackend().deleteCertificate(previous.domain);
+      results.messages.push(certRemoval.message);
     }
+    if (getInstanceTlsPaths(previous) && !usesCustomCertificate && !usesInternalCa) {
+      await fs.remove(getCustomCertificatePaths(name).dir);
+      results.messages.push(`Certificate files for "${name}" removed.`);
+    }
+    if (certificateStash) await fs.remove(certificateStash);
+
     results.success = true;
-    results.messages.push("Certificate renewal process completed.");
+    results.messages.push(`Instance "${name}" updated.`);
   } catch (error) {
-    results.error = `Certificate renewal process failed: ${error.message}`;
-    results.messages.push(results.error);
-    results.messages.push("Check Certbot logs in /var/log/letsencrypt/ for more details.");
+    results.messages.push(`Error during internal edit instance: ${error.message}`);
+    results.error = error.message;
     if (completeLogging) console.error(error.stack);
+    const rollbackSteps = [];
+    if (certificateReissued) {
+      rollbackSteps.push(["restore the previous certificate files", () => restoreCertificateFiles(name, certificateStash)]);
+    }
+    if (configSaved) {
+      rollbackSteps.push([
+        "restore instances.json",
+        async () => {
+          const config = await getInstancesConfig();
+          config.instances[name] = previous;
+          await saveInstancesConfig(config);
+        },
+      ]);
+      rollbackSteps.push([`regenerate the ${getProxyBackend().label} config`, () => getProxyBackend().generateConfig(name, getInstanceDomains(previous), previous.port, previous.useHttps, previous.useHttp2, previous.maxBodySize, getInstanceTlsPaths(previous))]);
+      rollbackSteps.push([`reload ${getProxyBackend().label}`, () => getProxyBackend().reload()]);
+      if (results.instance.port !== previous.port) {
+        rollbackSteps.push([`rewrite the ${getProcessManager().label} definitions`, () => getProcessManager().writeDefinitions()]);
+        rollbackSteps.push([`restart the ${getProcessManager().label} process`, () => getProcessManager().recreate(name)]);
+      }
+    }
+    const failedRollbackSteps = [];
+    for (const [label, step] of rollbackSteps) {
+      try {
+        const stepResult = await step();
+        if (stepResult && stepResult.success === false) throw new Error(stepResult.message);
+      } catch (rollbackError) {
+        failedRollbackSteps.push(label);
+        results.messages.push(`Warning: rollback step "${label}" failed: ${rollbackError.message}`);
+      }
+    }
+    if (configSaved) {
+      results.instance = previous;
+      results.messages.push(failedRollbackSteps.length > 0 ? `Changes to "${name}" were only partially rolled back. Failed steps: ${failedRollbackSteps.join(", ")}.` : `Changes to "${name}" were rolled back.`);
+    }
   }
   return results;
 }
 
-async function _internalUpdatePocketBaseExecutable() {
-  const results = { success: false, messages: [], error: null };
+async function _internalAddAdminGuardUser(payload) {
+  const { name, username, password } = payload;
+  const results = { success: false, messages: [], instance: null, error: null };
   try {
-    if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-      results.error = "PocketBase executable not found. Run 'setup' or 'configure' first.";
+    const instance = (await getInstancesConfig()).instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
       results.messages.push(results.error);
       return results;
     }
-    if (completeLogging) results.messages.push(`Running: ${POCKETBASE_EXEC_PATH} update`);
-    const updateResult = await safeRunCommand(POCKETBASE_EXEC_PATH, ["update"], "PocketBase update command failed.", false, { cwd: POCKETBASE_BIN_DIR });
-    if (completeLogging) {
-      results.messages.push("PocketBase executable update process finished.");
-      if (updateResult.stdout) results.messages.push(`Stdout: ${updateResult.stdout}`);
-      if (updateResult.stderr) results.messages.push(`Stderr: ${updateResult.stderr}`);
+    if (!HTPASSWD_USERNAME_PATTERN.test(username || "")) {
+      results.error = `Invalid username "${username || ""}". Use letters, digits, dots, dashes, underscores or @.`;
+      results.messages.push(results.error);
+      return results;
     }
-
-    if (completeLogging) results.messages.push("Restarting all PocketBase instances via PM2...");
-    const instancesConf = await getInstancesConfig();
-    let allRestarted = true;
-    for (const instName in instancesConf.instances) {
-      try {
-        await safeRunCommand("pm2", ["restart", `${PM2_INSTANCE_PREFIX}${instName}`], `Failed to restart instance ${PM2_INSTANCE_PREFIX}${instName}`);
-        if (completeLogging) results.messages.push(`Instance ${PM2_INSTANCE_PREFIX}${instName} restarted.`);
-      } catch (e) {
-        results.messages.push(`Failed to restart instance ${PM2_INSTANCE_PREFIX}${instName}: ${e.message}`);
-        allRestarted = false;
-      }
+    if (!password || password.length < 8) {
+      results.error = "Password must be at least 8 characters.";
+      results.messages.push(results.error);
+      return results;
     }
-    if (allRestarted) {
-      results.messages.push("All instances processed for restarting.");
-    } else {
-      results.messages.push("Some instances may not have restarted correctly. Check PM2 logs and errors above.");
+
+    const previousLines = await readAdminHtpasswd(name);
+    const userExisted = previousLines.some((line) => line.startsWith(`${username}:`));
+    const lines = previousLines.filter((line) => !line.startsWith(`${username}:`));
+    lines.push(`${username}:${await hashHtpasswdPassword(password)}`);
+    await writeAdminHtpasswd(name, lines);
+
+    const adminGuard = instance.adminGuard || { allow: [], users: [] };
+    const editResult = await _internalEditInstance({ name, adminGuard: { ...adminGuard, users: [...adminGuard.users.filter((user) => user !== username), username] } });
+    if (!editResult.success) {
+      await writeAdminHtpasswd(name, previousLines).catch(() => {});
+      results.messages.push(...editResult.messages);
+      results.error = editResult.error;
+      return results;
     }
+    results.instance = editResult.instance;
     results.success = true;
+    results.messages.push(userExisted ? `Password of "${username}" updated for the admin UI of "${name}".` : `User "${username}" can now sign in to the admin UI of "${name}".`);
   } catch (error) {
-    results.error = `Failed to run PocketBase update process: ${error.message}`;
+    results.messages.push(`Error adding admin guard user: ${error.message}`);
+    results.error = error.message;
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalRemoveAdminGuardUser(payload) {
+  const { name, username } = payload;
+  const results = { success: false, messages: [], instance: null, error: null };
+  try {
+    const instance = (await getInstancesConfig()).instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const adminGuard = instance.adminGuard || { allow: [], users: [] };
+    if (!adminGuard.users.includes(username)) {
+      results.error = `"${username}" is not an admin guard user of "${name}".`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const remainingUsers = adminGuard.users.filter((user) => user !== username);
+    const editResult = await _internalEditInstance({ name, adminGuard: remainingUsers.length > 0 || adminGuard.allow.length > 0 ? { ...adminGuard, users: remainingUsers } : null });
+    if (!editResult.success) {
+      results.messages.push(...editResult.messages);
+      results.error = editResult.error;
+      return results;
+    }
+    await writeAdminHtpasswd(
+      name,
+      (await readAdminHtpasswd(name)).filter((line) => !line.startsWith(`${username}:`)),
+    );
+    results.instance = editResult.instance;
+    results.success = true;
+    results.messages.push(`User "${username}" removed from the admin UI of "${name}".`);
+    if (remainingUsers.length === 0) {
+      results.messages.push(adminGuard.allow.length > 0 ? "Basic auth is off; the IP allowlist still applies." : `The admin UI of "${name}" is no longer guarded.`);
+    }
+  } catch (error) {
+    results.messages.push(`Error removing admin guard user: ${error.message}`);
+    results.error = error.message;
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalUpdateAdminGuardAllowlist(payload) {
+  const { name, add = [], remove = [] } = payload;
+  const results = { success: false, messages: [], instance: null, error: null };
+  const instance = (await getInstancesConfig()).instances[name];
+  if (!instance) {
+    results.error = `Instance "${name}" not found.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  const adminGuard = instance.adminGuard || { allow: [], users: [] };
+  const unknown = remove.filter((entry) => !adminGuard.allow.includes(entry));
+  if (unknown.length > 0) {
+    results.error = `Not in the allowlist of "${name}": ${unknown.join(", ")}.`;
     results.messages.push(results.error);
+    return results;
+  }
+  const allow = [...adminGuard.allow.filter((entry) => !remove.includes(entry)), ...add];
+  const editResult = await _internalEditInstance({ name, adminGuard: allow.length > 0 || adminGuard.users.length > 0 ? { ...adminGuard, allow } : null });
+  if (editResult.success) {
+    editResult.messages.push(allow.length > 0 ? `The admin UI and superuser API of "${name}" are reachable from: ${allow.join(", ")}.` : `The IP allowlist of "${name}" is empty; the admin UI is reachable from any address.`);
+  }
+  return editResult;
+}
+
+async function _internalDisableAdminGuard(payload) {
+  const { name } = payload;
+  const editResult = await _internalEditInstance({ name, adminGuard: null });
+  if (editResult.success) {
+    await writeAdminHtpasswd(name, []);
+    editResult.messages.push(`Admin UI protection removed from "${name}".`);
+  }
+  return editResult;
+}
+
+async function _internalSetMaintenanceMode(payload) {
+  const { name, enabled, message, allow, retryAfter } = payload;
+  const results = { success: false, messages: [], instance: null, error: null };
+  try {
+    const instance = (await getInstancesConfig()).instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    if (!enabled) {
+      if (!instance.maintenance) {
+        results.success = true;
+        results.instance = instance;
+        results.messages.push(`"${name}" is not in maintenance mode.`);
+        return results;
+      }
+      const editResult = await _internalEditInstance({ name, maintenance: null });
+      if (!editResult.success) return editResult;
+      await removeMaintenancePage(name);
+      results.instance = editResult.instance;
+      results.success = true;
+      results.messages.push(`Maintenance mode off for "${name}". ${getProxyBackend().label} proxies to the instance again.`);
+      return results;
+    }
+
+    const current = instance.maintenance || {};
+    const normalized = normalizeMaintenance({ message: message ?? current.message, allow: allow ?? current.allow, retryAfter: retryAfter ?? current.retryAfter, since: current.since });
+    if (normalized.error) {
+      results.error = normalized.error;
+      results.messages.push(results.error);
+      return results;
+    }
+    const previousPage = await fs.readFile(getMaintenancePagePath(name), "utf8").catch(() => null);
+    await writeMaintenancePage(name, await renderMaintenancePage(instance, normalized.settings));
+    const editResult = await _internalEditInstance({ name, maintenance: normalized.settings });
+    if (!editResult.success) {
+      if (previousPage === null) await removeMaintenancePage(name).catch(() => {});
+      else await writeMaintenancePage(name, previousPage).catch(() => {});
+      return editResult;
+    }
+    results.instance = editResult.instance;
+    results.success = true;
+    results.messages.push(`Maintenance mode on for "${name}": visitors get the maintenance page with HTTP 503 (Retry-After: ${normalized.settings.retryAfter}s).`);
+    if (normalized.settings.allow.length > 0) {
+      results.messages.push(`Still proxied to the instance for: ${normalized.settings.allow.join(", ")}.`);
+    }
+  } catch (error) {
+    results.messages.push(`Error changing maintenance mode: ${error.message}`);
+    results.error = error.message;
     if (completeLogging) console.error(error.stack);
   }
   return results;
 }
 
-async function _internalUpdateEcosystemAndReloadPm2() {
+function formatCertbotCommand(domains, email) {
+  return `sudo certbot --nginx ${domains.map((domain) => `-d ${domain}`).join(" ")} --cert-name ${domains[0]} --expand -m ${email}`;
+}
+
+async function _internalAddInstanceDomain(payload) {
+  const { name, autoRunCertbot = true } = payload;
+  const domain = String(payload.domain || "")
+    .trim()
+    .toLowerCase();
+  const results = { success: false, messages: [], instance: null, error: null };
+  const config = await getInstancesConfig();
+  const instance = config.instances[name];
+  if (!instance) {
+    results.error = `Instance "${name}" not found.`;
+  } else if (!isValidDomainName(domain)) {
+    results.error = `"${domain}" is not a valid domain name.`;
+  } else if (getInstanceDomains(instance).includes(domain)) {
+    results.error = `${domain} is already a domain of "${name}".`;
+  }
+  if (results.error) {
+    results.messages.push(results.error);
+    return results;
+  }
+  const editResult = await _internalEditInstance({ name, aliases: [...(instance.aliases || []), domain], autoRunCertbot });
+  if (editResult.success) editResult.messages.push(`Domain ${domain} added to "${name}".`);
+  return editResult;
+}
+
+function getDomainRemovalError(config, name, domain) {
+  const instance = config.instances[name];
+  if (!instance) {
+    return `Instance "${name}" not found.`;
+  }
+  if (instance.domain === domain) {
+    return `${domain} is the primary domain of "${name}". Use 'pb-manager edit ${name} --domain <domain>' to change it.`;
+  }
+  if (!(instance.aliases || []).includes(domain)) {
+    return `${domain} is not a domain of "${name}".`;
+  }
+  return null;
+}
+
+async function _internalRemoveInstanceDomain(payload) {
+  const { name, autoRunCertbot = true } = payload;
+  const domain = String(payload.domain || "")
+    .trim()
+    .toLowerCase();
+  const results = { success: false, messages: [], instance: null, error: null };
+  const config = await getInstancesConfig();
+  const instance = config.instances[name];
+  results.error = getDomainRemovalError(config, name, domain);
+  if (results.error) {
+    results.messages.push(results.error);
+    return results;
+  }
+  const editResult = await _internalEditInstance({ name, aliases: instance.aliases.filter((alias) => alias !== domain), autoRunCertbot });
+  if (editResult.success) editResult.messages.push(`Domain ${domain} removed from "${name}".`);
+  return editResult;
+}
+
+async function _internalInstallCertificate(payload) {
+  const { name, certPath, keyPath } = payload;
+  const results = { success: false, messages: [], instance: null, certificate: null, error: null };
+  let previous = null;
+  let certificateStash = null;
+  let filesWritten = false;
+  let configSaved = false;
   try {
-    const updateRes = await updatePm2EcosystemFile();
-    if (completeLogging && updateRes.success) console.log(updateRes.message);
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    let certificatePem;
+    let privateKeyPem;
+    try {
+      certificatePem = await fs.readFile(certPath, "utf8");
+      privateKeyPem = await fs.readFile(keyPath, "utf8");
+    } catch (error) {
+      results.error = `Could not read the certificate files: ${error.message}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const inspection = inspectCertificate(certificatePem, privateKeyPem, getInstanceDomains(instance));
+    if (inspection.error) {
+      results.error = inspection.error;
+      results.messages.push(results.error);
+      return results;
+    }
+    results.certificate = inspection.certificate;
+    previous = { ...instance };
 
-    const reloadResult = await reloadPm2();
-    if (completeLogging && reloadResult.success) console.log(reloadResult.message);
+    certificateStash = await stashCertificateFiles(name);
+    filesWritten = true;
+    const certificateDir = await writeCertificateFiles(name, certificatePem, privateKeyPem);
+    if (completeLogging) results.messages.push(`Certificate and key copied to ${certificateDir}.`);
 
-    if (!reloadResult.success) {
-      return { success: false, error: "Failed to reload PM2 after ecosystem update.", messages: ["PM2 ecosystem file updated, but PM2 reload failed.", reloadResult.message] };
+    const updated = { ...instance, useHttps: true, tls: TLS_MODE_CUSTOM, emailForCertbot: null };
+    config.instances[name] = updated;
+    await saveInstancesConfig(config);
+    results.instance = updated;
+    configSaved = true;
+
+    const nginxResult = await getProxyBackend().generateConfig(name, getInstanceDomains(updated), updated.port, true, updated.useHttp2, updated.maxBodySize, getInstanceTlsPaths(updated));
+    if (completeLogging) results.messages.push(nginxResult.message);
+    const nginxReloadResult = await getProxyBackend().reload();
+    if (!nginxReloadResult.success) {
+      throw nginxReloadResult.error || new Error(nginxReloadResult.message);
     }
-    return { success: true, messages: ["PM2 ecosystem file updated and PM2 reloaded successfully."] };
+
+    if (previous.useHttps && !getInstanceTlsPaths(previous)) {
+      const certRemoval = await getProxyBackend().deleteCertificate(previous.domain);
+      results.messages.push(certRemoval.message);
+    }
+    if (certificateStash) await fs.remove(certificateStash);
+    results.success = true;
+    results.messages.push(`Custom certificate installed for "${name}" (${inspection.certificate.subjectAltName || inspection.certificate.subject}), expires in ${inspection.certificate.daysLeft} day(s).`);
   } catch (error) {
-    return { success: false, error: error.message, messages: [`Error updating ecosystem/reloading PM2: ${error.message}`] };
+    results.messages.push(`Error during internal certificate install: ${error.message}`);
+    results.error = error.message;
+    if (completeLogging) console.error(error.stack);
+    if (filesWritten) {
+      await restoreCertificateFiles(name, certificateStash).catch(() => {});
+    }
+    if (configSaved) {
+      const config = await getInstancesConfig();
+      config.instances[name] = previous;
+      await saveInstancesConfig(config);
+      await getProxyBackend()
+        .generateConfig(name, getInstanceDomains(previous), previous.port, previous.useHttps, previous.useHttp2, previous.maxBodySize, getInstanceTlsPaths(previous))
+        .catch(() => {});
+      await getProxyBackend().reload();
+      results.instance = previous;
+      results.messages.push(`Certificate install for "${name}" was rolled back.`);
+    }
   }
+  return results;
 }
 
-async function _internalSetDefaultCertbotEmail(payload) {
-  const { email } = payload;
-  if (email !== null && typeof email !== "string" && email !== "") {
-    return { success: false, error: "Invalid payload: 'email' must be a valid email string, empty string, or null.", messages: ["Invalid payload for setting Certbot email."] };
+async function _internalReissueInternalCertificate(payload) {
+  const { name } = payload;
+  const results = { success: false, messages: [], certificate: null, error: null };
+  let certificateStash = null;
+  let certificateReissued = false;
+  try {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance?.useHttps || instance.tls !== TLS_MODE_INTERNAL_CA) {
+      results.error = `Instance "${name}" not found or does not use the internal CA.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    certificateStash = await stashCertificateFiles(name);
+    certificateReissued = true;
+    const issued = await issueInternalCertificate(instance);
+    results.certificate = issued.certificate;
+    await getProxyBackend().generateConfig(name, getInstanceDomains(instance), instance.port, true, instance.useHttp2, instance.maxBodySize, getInstanceTlsPaths(instance));
+    const nginxReloadResult = await getProxyBackend().reload();
+    if (!nginxReloadResult.success) {
+      throw nginxReloadResult.error || new Error(nginxReloadResult.message);
+    }
+    if (certificateStash) await fs.remove(certificateStash);
+    results.success = true;
+    results.messages.push(`Reissued the internal CA certificate for "${name}" (expires in ${issued.certificate.daysLeft} day(s)).`);
+  } catch (error) {
+    results.error = `Reissuing the certificate for "${name}" failed: ${error.message}`;
+    results.messages.push(results.error);
+    if (certificateReissued) {
+      await restoreCertificateFiles(name, certificateStash).catch(() => {});
+    }
   }
-  if (typeof email === "string" && email !== "" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    return { success: false, error: "Invalid payload: 'email' must be a valid email format.", messages: ["Invalid email format for Certbot email."] };
+  return results;
+}
+
+async function deleteCertificate(domain) {
+  if (!shell.which("certbot")) {
+    return { success: false, message: `Certbot not found. Remove the certificate for ${domain} manually if it is no longer needed.` };
   }
   try {
-    const cliConfig = await getCliConfig();
-    cliConfig.defaultCertbotEmail = email || null;
-    await saveCliConfig(cliConfig);
-    return { success: true, messages: [`Default Certbot email set to ${cliConfig.defaultCertbotEmail || "not set"}.`] };
+    await safeRunCommand("sudo", ["certbot", "delete", "--cert-name", domain, "--non-interactive"], `Failed to delete certificate for ${domain}`);
+    return { success: true, message: `Certificate for ${domain} deleted.` };
   } catch (error) {
-    return { success: false, error: error.message, messages: [`Error setting default Certbot email: ${error.message}`] };
+    return { success: false, message: `Could not delete the certificate for ${domain}: ${error.message}` };
+  }
+}
+
+async function _internalRenameInstance(payload) {
+  const { oldName, newName } = payload;
+  const results = { success: false, messages: [], instance: null, error: null };
+  const undoSteps = [];
+  try {
+    const config = await getInstancesConfig();
+    const instance = config.instances[oldName];
+    if (!instance) {
+      results.error = `Instance "${oldName}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (!isValidInstanceName(newName)) {
+      results.error = `Invalid new name "${newName}". ${INSTANCE_NAME_RULES}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (newName === oldName) {
+      results.error = `Instance is already named "${oldName}".`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (config.instances[newName]) {
+      results.error = `Instance "${newName}" already exists.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const previous = { ...instance };
+    const oldDataDir = path.join(INSTANCES_DATA_BASE_DIR, oldName);
+    const moveDataDir = path.resolve(instance.dataDir) === oldDataDir;
+    const newDataDir = moveDataDir ? path.join(INSTANCES_DATA_BASE_DIR, newName) : instance.dataDir;
+    if (moveDataDir && (await fs.pathExists(newDataDir))) {
+      results.error = `Data directory ${newDataDir} already exists. Move or delete it before renaming.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const oldBackupDir = path.join(BACKUPS_BASE_DIR, oldName);
+    const newBackupDir = path.join(BACKUPS_BASE_DIR, newName);
+    if ((await fs.pathExists(oldBackupDir)) && (await fs.pathExists(newBackupDir))) {
+      results.error = `Backup directory ${newBackupDir} already exists. Move or delete it before renaming.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    if (previous.backupSchedule) {
+      const scheduleRemovalResult = await _internalRemoveBackupSchedule({ name: oldName });
+      if (!scheduleRemovalResult.success) throw new Error(scheduleRemovalResult.error);
+      undoSteps.push(async () => {
+        const { every, retention } = previous.backupSchedule;
+        await _internalScheduleBackups({ name: oldName, every, ...retention });
+      });
+    }
+
+    const wasOnline = (await getInstanceProcessStatus(oldName)) === PM2_STATUS_ONLINE;
+    await getProcessManager().control("stop", oldName, true);
+    await getProcessManager().control("delete", oldName, true);
+    if (completeLogging) results.messages.push(`Stopped and deleted ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${oldName}.`);
+    undoSteps.push(async () => {
+      await getProcessManager().writeDefinitions();
+      await getProcessManager().recreate(oldName);
+      if (!wasOnline) await leaveInstanceStopped(PROCESS_MANAGER, oldName);
+    });
+
+    if (moveDataDir && (await fs.pathExists(oldDataDir))) {
+      await fs.move(oldDataDir, newDataDir);
+      if (completeLogging) results.messages.push(`Moved data directory to ${newDataDir}.`);
+      undoSteps.push(() => fs.move(newDataDir, oldDataDir));
+    }
+    if (await fs.pathExists(oldBackupDir)) {
+      await fs.move(oldBackupDir, newBackupDir);
+      if (completeLogging) results.messages.push(`Moved backups to ${newBackupDir}.`);
+      undoSteps.push(() => fs.move(newBackupDir, oldBackupDir));
+    }
+    const oldCertificateDir = getCustomCertificatePaths(oldName).dir;
+    const newCertificateDir = getCustomCertificatePaths(newName).dir;
+    if (await fs.pathExists(oldCertificateDir)) {
+      await fs.remove(newCertificateDir);
+      await fs.move(oldCertificateDir, newCertificateDir);
+      undoSteps.push(() => fs.move(newCertificateDir, oldCertificateDir));
+    }
+    const oldTemplatePath = getNginxTemplatePaths(oldName).instance;
+    const newTemplatePath = getNginxTemplatePaths(newName).instance;
+    if (await fs.pathExists(oldTemplatePath)) {
+      await fs.move(oldTemplatePath, newTemplatePath, { overwrite: true });
+      undoSteps.push(() => fs.move(newTemplatePath, oldTemplatePath));
+    }
+    const oldHtpasswdPath = getAdminHtpasswdPath(oldName);
+    const newHtpasswdPath = getAdminHtpasswdPath(newName);
+    if (await fs.pathExists(oldHtpasswdPath)) {
+      await safeRunCommand("sudo", ["mv", oldHtpasswdPath, newHtpasswdPath], `Failed to move ${oldHtpasswdPath}`);
+      undoSteps.push(() => safeRunCommand("sudo", ["mv", newHtpasswdPath, oldHtpasswdPath], `Failed to move ${newHtpasswdPath} back`));
+    }
+    const oldMaintenancePagePath = getMaintenancePagePath(oldName);
+    const newMaintenancePagePath = getMaintenancePagePath(newName);
+    if (await fs.pathExists(oldMaintenancePagePath)) {
+      await safeRunCommand("sudo", ["mv", oldMaintenancePagePath, newMaintenancePagePath], `Failed to move ${oldMaintenancePagePath}`);
+      undoSteps.push(() => safeRunCommand("sudo", ["mv", newMaintenancePagePath, oldMaintenancePagePath], `Failed to move ${newMaintenancePagePath} back`));
+    }
+
+    const renamed = { ...previous, name: newName, dataDir: newDataDir };
+    if (renamed.lastUpgrade?.backupArchive?.startsWith(`${oldBackupDir}${path.sep}`)) {
+      renamed.lastUpgrade = { ...renamed.lastUpgrade, backupArchive: path.join(newBackupDir, path.basename(renamed.lastUpgrade.backupArchive)) };
+    }
+    undoSteps.push(async () => {
+      await getProxyBackend().removeConfig(newName);
+      await getProxyBackend().generateConfig(oldName, getInstanceDomains(previous), previous.port, previous.useHttps, previous.useHttp2, previous.maxBodySize, getInstanceTlsPaths(previous));
+      await getProxyBackend().reload();
+    });
+    delete config.instances[oldName];
+    config.instances[newName] = renamed;
+    await saveInstancesConfig(config);
+    results.instance = renamed;
+    undoSteps.push(async () => {
+      const currentConfig = await getInstancesConfig();
+      delete currentConfig.instances[newName];
+      currentConfig.instances[oldName] = previous;
+      await saveInstancesConfig(currentConfig);
+    });
+
+    results.messages.push(...(await getProxyBackend().removeConfig(oldName)));
+    const nginxResult = await getProxyBackend().generateConfig(newName, getInstanceDomains(renamed), renamed.port, renamed.useHttps, renamed.useHttp2, renamed.maxBodySize, getInstanceTlsPaths(renamed));
+    if (!nginxResult.success) throw new Error(nginxResult.message);
+    const nginxReloadResult = await getProxyBackend().reload();
+    if (!nginxReloadResult.success) {
+      throw nginxReloadResult.error || new Error(nginxReloadResult.message);
+    }
+
+    const pm2UpdateResult = await getProcessManager().writeDefinitions();
+    if (!pm2UpdateResult.success) throw new Error(pm2UpdateResult.message);
+    undoSteps.push(() => getProcessManager().control("delete", newName, true));
+    const restartResult = await getProcessManager().recreate(newName);
+    if (!restartResult.success) throw new Error(restartResult.message);
+    if (completeLogging) results.messages.push(restartResult.message);
+    if (!wasOnline) {
+      await leaveInstanceStopped(PROCESS_MANAGER, newName);
+      await getProcessManager().save();
+    }
+
+    if (previous.backupSchedule) {
+      const { every, retention } = previous.backupSchedule;
+      const scheduleResult = await _internalScheduleBackups({ name: newName, every, ...retention });
+      if (!scheduleResult.success) results.messages.push(`Warning: ${scheduleResult.error} Re-create it with: pb-manager backup schedule ${newName}`);
+      else if (completeLogging) results.messages.push(...scheduleResult.messages);
+    }
+
+    results.success = true;
+    results.messages.push(`Instance "${oldName}" renamed to "${newName}"${wasOnline ? "" : " (left stopped)"}.`);
+  } catch (error) {
+    results.messages.push(`Error during internal rename instance: ${error.message}`);
+    results.error = error.message;
+    if (completeLogging) console.error(error.stack);
+    if (undoSteps.length > 0) {
+      for (const undo of undoSteps.reverse()) {
+        try {
+          await undo();
+        } catch (undoError) {
+          results.messages.push(`Warning: rollback step failed: ${undoError.message}`);
+        }
+      }
+      results.instance = null;
+      results.messages.push(`Rename of "${oldName}" was rolled back.`);
+    }
+  }
+  return results;
+}
+
+async function renewInternalCaCertificates(instances, force) {
+  const results = { messages: [], failed: [] };
+  for (const name in instances) {
+    const instance = instances[name];
+    if (!instance.useHttps || instance.tls !== TLS_MODE_INTERNAL_CA) continue;
+    const daysLeft = await getInstanceCertExpiryDays(instance);
+    if (!force && typeof daysLeft === "number" && daysLeft > INTERNAL_CERT_RENEWAL_DAYS) {
+      if (completeLogging) results.messages.push(`Internal CA certificate for "${name}" is valid for ${daysLeft} more day(s). Not renewed.`);
+      continue;
+    }
+    const reissueResult = await _internalReissueInternalCertificate({ name });
+    results.messages.push(...reissueResult.messages);
+    if (!reissueResult.success) results.failed.push(name);
   }
+  return results;
 }
 
+async function _internalRenewCertificates(payload) {
+  const { instanceName, force, internalCaOnly } = payload;
+  const results = { success: false, messages: [], error: null };
+  const renewAll = !instanceName || instanceName.toLowerCase() === "all";
+  if (!renewAll) {
+    const config = await getInstancesConfig();
+    const instance = config.instances[instanceName];
+    if (instance?.useHttps && instance.tls === TLS_MODE_INTERNAL_CA) {
+      return _internalReissueInternalCertificate({ name: instanceName });
+    }
+    if (instance?.useHttps && instance.tls === TLS_MODE_CUSTOM) {
+      results.error = `Instance "${instanceName}" uses a custom certificate. Install a renewed one with 'pb-manager cert install ${instanceName}'.`;
+      results.messages.push(results.error);
+      return results;
+    }
+  }
+  let internalCaError = null;
+  if (renewAll) {
+    const config = await getInstancesConfig();
+    const internalCaResult = await renewInternalCaCertificates(config.instances, force);
+    results.messages.push(...internalCaResult.messages);
+    internalCaError = internalCaResult.failed.length > 0 ? `Reissuing internal CA certificates failed for: ${internalCaResult.failed.join(", ")}.` : null;
+    if (internalCaOnly || !Object.values(config.instances).some((instance) => instance.useHttps && !getInstanceTlsPaths(instance))) {
+      results.success = !internalCaError;
+      results.error = internalCaError;
+      results.messages.push(internalCaError || "Certificate renewal process completed.");
+      return results;
+    }
+  }
+  if (PROXY_BACKEND === PROXY_BACKEND_CADDY) {
+    results.success = !internalCaError;
+    results.error = internalCaError;
+    results.messages.push("Caddy renews its Let's Encrypt certificates automatically.");
+    return results;
+  }
+  if (!shell.which("certbot")) {
+    results.error = "Certbot command not found. Please install Certbot first.";
+    results.messages.push(results.error);
+    return results;
+  }
+
+  const certbotArgs = ["renew"];
+  let baseMessage;
+
+  if (instanceName && instanceName.toLowerCase() !== "all") {
+    const config = await getInstancesConfig();
+    const instance = config.instances[instanceName];
+    if (!instance || !instance.useHttps) {
+      results.error = `Instance "${instanceName}" not found or does not use HTTPS.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    certbotArgs.push("--cert-name", instance.domain);
+    baseMessage = `Attempted certificate renewal for ${instance.domain}.`;
+  } else {
+    baseMessage = "Attempted renewal for all managed certificates.";
+  }
+  if (force) {
+    certbotArgs.push("--force-renewal");
+  }
+
+  try {
+    if (completeLogging) results.messages.push(`Executing: sudo certbot ${certbotArgs.join(" ")}`);
+    await safeRunCommand("sudo", ["certbot", ...certbotArgs], "Certbot renewal command failed.");
+    if (completeLogging) results.messages.push(baseMessage);
+
+    if (completeLogging) results.messages.push(`Reloading ${getProxyBackend().label} to apply any changes...`);
+    const nginxReloadResult = await getProxyBackend().reload();
+    if (!nginxReloadResult.success) {
+      results.messages.push(`${getProxyBackend().label} reload after cert renewal failed: ${nginxReloadResult.message}`);
+      throw nginxReloadResult.error || new Error(nginxReloadResult.message);
+    }
+    if (completeLogging) {
+      results.messages.push(nginxReloadResult.message);
+    }
+    if (internalCaError) {
+      results.error = internalCaError;
+      results.messages.push(results.error);
+      return results;
+    }
+    results.success = true;
+    results.messages.push("Certificate renewal process completed.");
+  } catch (error) {
+    results.error = `Certificate renewal process failed: ${error.message}`;
+    results.messages.push(results.error);
+    results.messages.push("Check Certbot logs in /var/log/letsencrypt/ for more details.");
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalUpgradeInstance(payload) {
+  const { name, version, allowDowngrade = false, backup = true, autoRollback = true } = payload;
+  const results = { success: false, messages: [], previousVersion: null, version: null, backupArchive: null, rolledBack: false, error: null };
+  try {
+    if (!version || !/^\d+\.\d+\.\d+$/.test(version)) {
+      results.error = "A valid target PocketBase version (x.y.z) is required.";
+      results.messages.push(results.error);
+      return results;
+    }
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const previousVersion = instance.pocketBaseVersion || (await getPocketBaseExecutableVersion(POCKETBASE_EXEC_PATH));
+    results.previousVersion = previousVersion;
+    if (instance.pocketBaseVersion === version) {
+      results.success = true;
+      results.version = version;
+      results.messages.push(`Instance "${name}" already runs PocketBase v${version}.`);
+      return results;
+    }
+    if (previousVersion && comparePocketBaseVersions(version, previousVersion) < 0 && !allowDowngrade) {
+      results.error = `Refusing to downgrade "${name}" from v${previousVersion} to v${version}. Newer migrations may not be readable by older releases.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const dlResult = await downloadPocketBaseIfNotExists(version, false);
+    if (!dlResult.success) {
+      results.error = `PocketBase v${version} download failed: ${dlResult.message}`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    if (backup) {
+      const backupResult = await _internalBackupInstance({ name, upload: false });
+      if (!backupResult.success) {
+        results.error = `Pre-upgrade backup of "${name}" failed, upgrade aborted: ${backupResult.error}`;
+        results.messages.push(results.error);
+        return results;
+      }
+      results.backupArchive = backupResult.archivePath;
+      if (completeLogging) results.messages.push(`Pre-upgrade backup created at ${backupResult.archivePath}.`);
+    }
+
+    instance.lastUpgrade = { from: instance.pocketBaseVersion || null, fromVersion: previousVersion, to: version, backupArchive: results.backupArchive, at: new Date().toISOString() };
+    instance.pocketBaseVersion = version;
+    await saveInstancesConfig(config);
+    const pm2UpdateResult = await getProcessManager().writeDefinitions();
+    if (completeLogging) results.messages.push(pm2UpdateResult.message);
+
+    const restartResult = await getProcessManager().recreate(name);
+    const healthy = restartResult.success && (await waitForInstanceHealth(instance.port));
+    if (!healthy) {
+      results.messages.push(restartResult.success ? `Instance "${name}" did not pass its /api/health check on v${version}.` : `Restarting "${name}" on v${version} failed: ${restartResult.message}`);
+      if (autoRollback) {
+        const rollbackResult = await _internalRollbackInstance({ name });
+        results.messages.push(...rollbackResult.messages);
+        results.rolledBack = rollbackResult.success;
+      } else {
+        results.messages.push(`Automatic rollback disabled. Run 'pb-manager update-pocketbase --rollback ${name}' to return to v${previousVersion || "the previous version"}.`);
+      }
+      results.error = `Upgrade of "${name}" to v${version} failed its health check${results.rolledBack ? " and was rolled back" : ""}.`;
+      return results;
+    }
+    results.version = version;
+    results.success = true;
+    results.messages.push(`Instance "${name}" upgraded from v${previousVersion || "unknown"} to v${version}, restarted and healthy.`);
+  } catch (error) {
+    results.error = `Failed to upgrade "${name}": ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalRollbackInstance(payload) {
+  const { name, restoreData = true } = payload;
+  const results = { success: false, messages: [], version: null, error: null };
+  try {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const lastUpgrade = instance.lastUpgrade;
+    if (!lastUpgrade || lastUpgrade.rolledBackAt) {
+      results.error = `No PocketBase upgrade to roll back for "${name}".`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    await getProcessManager()
+      .control("stop", name, true)
+      .catch(() => {});
+    if (lastUpgrade.from) {
+      instance.pocketBaseVersion = lastUpgrade.from;
+    } else {
+      delete instance.pocketBaseVersion;
+    }
+    lastUpgrade.rolledBackAt = new Date().toISOString();
+    await saveInstancesConfig(config);
+    await getProcessManager().writeDefinitions();
+    results.version = lastUpgrade.fromVersion;
+
+    if (restoreData && lastUpgrade.backupArchive) {
+      if (await fs.pathExists(lastUpgrade.backupArchive)) {
+        const restoreResult = await _internalRestoreInstance({ name, archive: lastUpgrade.backupArchive, restart: false });
+        results.messages.push(...restoreResult.messages);
+        if (!restoreResult.success) {
+          results.error = `Binary rolled back, but restoring the pre-upgrade data failed: ${restoreResult.error}`;
+          results.messages.push(results.error);
+          return results;
+        }
+      } else {
+        results.messages.push(`Warning: Pre-upgrade backup ${lastUpgrade.backupArchive} not found. Data was not restored.`);
+      }
+    }
+
+    const restartResult = await getProcessManager().recreate(name);
+    if (!restartResult.success) {
+      results.error = restartResult.message;
+      results.messages.push(`Rolled back "${name}" to v${lastUpgrade.fromVersion || "the previous version"}, but restarting it failed: ${restartResult.message}`);
+      return results;
+    }
+    const healthy = await waitForInstanceHealth(instance.port);
+    results.success = true;
+    results.messages.push(`Instance "${name}" rolled back to PocketBase v${lastUpgrade.fromVersion || "previous version"}${healthy ? " and is healthy" : ", but its /api/health check still fails. Check the PM2 logs"}.`);
+  } catch (error) {
+    results.error = `Failed to roll back "${name}": ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalUpdatePocketBaseExecutable(payload = {}) {
+  const results = { success: false, messages: [], version: null, error: null };
+  try {
+    const targetVersion = payload.version || (await getLatestPocketBaseVersion(true));
+    results.version = targetVersion;
+    if (completeLogging) results.messages.push(`Downloading PocketBase v${targetVersion}...`);
+    const dlResult = await downloadPocketBaseIfNotExists(targetVersion, false);
+    if (!dlResult.success) {
+      results.error = `PocketBase v${targetVersion} download failed: ${dlResult.message}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const instancesConf = await getInstancesConfig();
+    let allUpgraded = true;
+    for (const instName in instancesConf.instances) {
+      const currentVersion = instancesConf.instances[instName].pocketBaseVersion;
+      if (currentVersion && comparePocketBaseVersions(currentVersion, targetVersion) >= 0) {
+        if (completeLogging) results.messages.push(`Instance "${instName}" already runs v${currentVersion}. Skipping.`);
+        continue;
+      }
+      const upgradeResult = await _internalUpgradeInstance({ name: instName, version: targetVersion, backup: payload.backup !== false, autoRollback: payload.autoRollback !== false });
+      results.messages.push(...upgradeResult.messages);
+      if (!upgradeResult.success) {
+        allUpgraded = false;
+      }
+    }
+    const cliConfig = await getCliConfig();
+    if (allUpgraded) {
+      if (cliConfig.defaultPocketBaseVersion !== targetVersion) {
+        cliConfig.previousDefaultPocketBaseVersion = cliConfig.defaultPocketBaseVersion;
+        cliConfig.defaultPocketBaseVersion = targetVersion;
+        await saveCliConfig(cliConfig);
+        if (completeLogging) results.messages.push(`Default PocketBase version for new instances set to v${targetVersion}.`);
+      }
+      results.messages.push(`All instances processed for PocketBase v${targetVersion}.`);
+    } else {
+      results.messages.push(`Default PocketBase version for new instances left at v${cliConfig.defaultPocketBaseVersion} because not every instance was upgraded.`);
+      results.messages.push("Some instances may not have been upgraded correctly. Check PM2 logs and errors above.");
+    }
+    results.success = true;
+  } catch (error) {
+    results.error = `Failed to run PocketBase update process: ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function restorePreviousDefaultPocketBaseVersion() {
+  const cliConfig = await getCliConfig();
+  if (!cliConfig.previousDefaultPocketBaseVersion) {
+    return null;
+  }
+  const restoredVersion = cliConfig.previousDefaultPocketBaseVersion;
+  cliConfig.defaultPocketBaseVersion = restoredVersion;
+  delete cliConfig.previousDefaultPocketBaseVersion;
+  await saveCliConfig(cliConfig);
+  return `Default PocketBase version for new instances restored to v${restoredVersion}.`;
+}
+
+async function _internalUpdateEcosystemAndReloadPm2() {
+  const { label } = getProcessManager();
+  try {
+    const updateRes = await getProcessManager().writeDefinitions();
+    if (completeLogging && updateRes.success) printMessage(updateRes.message);
+
+    const reloadResult = await getProcessManager().reload();
+    if (completeLogging && reloadResult.success) printMessage(reloadResult.message);
+
+    if (!reloadResult.success) {
+      return { success: false, error: `Failed to reload ${label} after updating the process definitions.`, messages: [`${updateRes.message} But the ${label} reload failed.`, reloadResult.message] };
+    }
+    return { success: true, messages: [`${updateRes.message} ${label} reloaded successfully.`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Error updating the process definitions/reloading ${label}: ${error.message}`] };
+  }
+}
+
+async function leaveInstanceStopped(managerName, instanceName) {
+  await PROCESS_MANAGERS[managerName].control("stop", instanceName, true);
+  if (managerName === PROCESS_MANAGER_SYSTEMD) {
+    await PROCESS_MANAGERS[managerName].control("disable", instanceName, true);
+  }
+}
+
+async function _internalSetProcessManager(payload) {
+  const { manager } = payload;
+  const results = { success: false, messages: [], migrated: [], error: null };
+  const previousManager = PROCESS_MANAGER;
+  if (!PROCESS_MANAGERS[manager]) {
+    results.error = `Unknown process manager "${manager}". Use one of: ${Object.keys(PROCESS_MANAGERS).join(", ")}.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  if (manager === previousManager) {
+    results.success = true;
+    results.messages.push(`${PROCESS_MANAGERS[manager].label} already manages the instances.`);
+    return results;
+  }
+  const from = PROCESS_MANAGERS[previousManager];
+  const to = PROCESS_MANAGERS[manager];
+  if (!(await to.isAvailable())) {
+    results.error = `${to.label} is not available on this machine.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  const config = await getInstancesConfig();
+  const wasOnline = {};
+  try {
+    const processes = await from.listProcesses();
+    PROCESS_MANAGER = manager;
+    const writeResult = await to.writeDefinitions();
+    if (!writeResult.success) throw new Error(writeResult.message);
+    for (const name of Object.keys(config.instances)) {
+      wasOnline[name] = processes[name]?.status === PM2_STATUS_ONLINE;
+      await from.control("stop", name, true);
+      await from.control("delete", name, true);
+      results.migrated.push(name);
+      const recreateResult = await to.recreate(name);
+      if (!recreateResult.success) throw new Error(recreateResult.message);
+      if (!wasOnline[name]) await leaveInstanceStopped(manager, name);
+      results.messages.push(`${PM2_INSTANCE_PREFIX}${name} now runs under ${to.label}${wasOnline[name] ? "" : " (left stopped)"}.`);
+    }
+    await to.save();
+    await from.save();
+    const cliConfig = await getCliConfig();
+    cliConfig.processManager = manager;
+    await saveCliConfig(cliConfig);
+    results.success = true;
+    results.messages.push(`${to.label} now manages ${results.migrated.length} instance(s).`);
+  } catch (error) {
+    results.error = error.message;
+    results.messages.push(`Moving the instances to ${to.label} failed: ${error.message}`);
+    for (const name of Object.keys(config.instances)) {
+      await to.control("delete", name, true).catch(() => {});
+    }
+    PROCESS_MANAGER = previousManager;
+    await from.writeDefinitions().catch(() => {});
+    for (const name of results.migrated) {
+      const recreateResult = await from.recreate(name);
+      if (recreateResult.success && !wasOnline[name]) await leaveInstanceStopped(previousManager, name).catch(() => {});
+    }
+    await from.save().catch(() => {});
+    results.messages.push(`The instances are still managed by ${from.label}.`);
+  }
+  return results;
+}
+
+async function _internalSetDefaultCertbotEmail(payload) {
+  const { email } = payload;
+  if (email !== null && typeof email !== "string" && email !== "") {
+    return { success: false, error: "Invalid payload: 'email' must be a valid email string, empty string, or null.", messages: ["Invalid payload for setting Certbot email."] };
+  }
+  if (typeof email === "string" && email !== "" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { success: false, error: "Invalid payload: 'email' must be a valid email format.", messages: ["Invalid email format for Certbot email."] };
+  }
+  try {
+    const cliConfig = await getCliConfig();
+    cliConfig.defaultCertbotEmail = email || null;
+    await saveCliConfig(cliConfig);
+    return { success: true, messages: [`Default Certbot email set to ${cliConfig.defaultCertbotEmail || "not set"}.`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Error setting default Certbot email: ${error.message}`] };
+  }
+}
+
+async function getPocketBaseExecutableVersion(execPath = POCKETBASE_EXEC_PATH) {
+  if (!(await fs.pathExists(execPath))) {
+    return null;
+  }
+  try {
+    const result = await safeRunCommand(execPath, ["--version"], "Failed to read PocketBase version", true, { silent: true });
+    const match = result.stdout.match(/(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isPocketBaseDatabaseFile(dataDir, filePath) {
+  const relativePath = path.relative(dataDir, filePath);
+  return POCKETBASE_SQLITE_DATABASES.some((db) => relativePath === db || relativePath === `${db}-wal` || relativePath === `${db}-shm` || relativePath === `${db}-journal`);
+}
+
+function getBackupTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+function parseBackupTimestamp(fileName) {
+  const match = fileName.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+async function _internalBackupInstance(payload) {
+  const { name } = payload;
+  const results = { success: false, messages: [], archivePath: null, size: null, remoteUploads: [], uploadError: null, error: null };
+  let stagingDir = null;
+  let stoppedForCopy = false;
+
+  try {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (!(await fs.pathExists(instance.dataDir))) {
+      results.error = `Data directory ${instance.dataDir} for instance "${name}" does not exist.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const createdAt = new Date();
+    const instanceBackupDir = path.join(BACKUPS_BASE_DIR, name);
+    const archivePath = payload.outputPath || path.join(instanceBackupDir, `${name}-${getBackupTimestamp(createdAt)}${BACKUP_ARCHIVE_EXTENSION}`);
+    await fs.ensureDir(path.dirname(archivePath));
+    stagingDir = path.join(instanceBackupDir, `.staging-${process.pid}-${Date.now()}`);
+    const stagedDataDir = path.join(stagingDir, "data");
+    await fs.ensureDir(stagedDataDir);
+
+    const useSqliteBackup = Boolean(shell.which("sqlite3"));
+    if (!useSqliteBackup && (await getInstanceProcessStatus(name)) === PM2_STATUS_ONLINE) {
+      if (completeLogging) results.messages.push(`sqlite3 not found. Stopping ${PM2_INSTANCE_PREFIX}${name} while copying data for a consistent backup...`);
+      await getProcessManager().control("stop", name);
+      stoppedForCopy = true;
+    }
+
+    if (completeLogging) results.messages.push(`Copying ${instance.dataDir} to staging directory ${stagingDir}...`);
+    await fs.copy(instance.dataDir, stagedDataDir, { filter: (src) => !useSqliteBackup || !isPocketBaseDatabaseFile(instance.dataDir, src) });
+
+    if (useSqliteBackup) {
+      for (const db of POCKETBASE_SQLITE_DATABASES) {
+        const sourceDb = path.join(instance.dataDir, db);
+        if (await fs.pathExists(sourceDb)) {
+          await safeRunCommand("sqlite3", [sourceDb, `.backup "${path.join(stagedDataDir, db).replace(/[\\"]/g, "\\$&")}"`], `Failed to create a consistent copy of ${sourceDb}`, false, { silent: true });
+          if (completeLogging) results.messages.push(`Consistent SQLite copy of ${db} created.`);
+        }
+      }
+    }
+
+    if (stoppedForCopy) {
+      await getProcessManager().control("start", name, true);
+      stoppedForCopy = false;
+    }
+
+    const proxySettings = payload.includeProxySettings ? await stageProxySettings(instance, path.join(stagingDir, BACKUP_PROXY_SETTINGS_DIR)) : [];
+    const metadata = {
+      formatVersion: 1,
+      name,
+      createdAt: createdAt.toISOString(),
+      pbManagerVersion,
+      pocketBaseVersion: instance.pocketBaseVersion || (await getPocketBaseExecutableVersion(getInstanceExecPath(instance))),
+      consistency: useSqliteBackup ? "sqlite3-backup" : "stopped-copy",
+      instance,
+      ...(proxySettings.length > 0 ? { proxySettings } : {}),
+    };
+    await fs.writeJson(path.join(stagingDir, BACKUP_METADATA_FILENAME), metadata, { spaces: 2 });
+
+    if (completeLogging) results.messages.push(`Compressing backup to ${archivePath}...`);
+    await safeRunCommand("tar", ["-czf", archivePath, "-C", stagingDir, BACKUP_METADATA_FILENAME, "data", ...(proxySettings.length > 0 ? [BACKUP_PROXY_SETTINGS_DIR] : [])], `Failed to create backup archive ${archivePath}`);
+    await fs.chmod(archivePath, 0o600);
+
+    const stat = await fs.stat(archivePath);
+    results.archivePath = archivePath;
+    results.size = stat.size;
+    results.success = true;
+    results.messages.push(`Backup of "${name}" created at ${archivePath} (${prettyBytes(stat.size)}).`);
+
+    const cliConfig = await getCliConfig();
+    if (payload.upload !== false && Object.keys(cliConfig.backupRemotes || {}).length > 0) {
+      const uploadResult = await _internalUploadBackup({ name, archivePath });
+      results.remoteUploads = uploadResult.uploads;
+      results.messages.push(...uploadResult.messages);
+      if (!uploadResult.success) {
+        results.uploadError = uploadResult.error;
+      }
+    }
+  } catch (error) {
+    results.error = `Backup of "${name}" failed: ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  } finally {
+    if (stoppedForCopy) {
+      await getProcessManager()
+        .control("start", name, true)
+        .catch(() => {});
+    }
+    if (stagingDir) {
+      await fs.remove(stagingDir).catch(() => {});
+    }
+  }
+  return results;
+}
+
+async function readBackupMetadata(archivePath) {
+  const result = await safeRunCommand("tar", ["-xzf", archivePath, "-O", BACKUP_METADATA_FILENAME], `Failed to read backup metadata from ${archivePath}`, false, { silent: true });
+  return JSON.parse(result.stdout);
+}
+
+async function _internalListBackups(payload) {
+  const { name } = payload;
+  if (!name) {
+    return { success: false, error: "Instance name is required to list backups.", messages: ["Instance name is required to list backups."] };
+  }
+  try {
+    const instanceBackupDir = path.join(BACKUPS_BASE_DIR, name);
+    if (!(await fs.pathExists(instanceBackupDir))) {
+      return { success: true, data: [], messages: [`No backups found for "${name}".`] };
+    }
+    const backups = [];
+    for (const file of await fs.readdir(instanceBackupDir)) {
+      if (!file.endsWith(BACKUP_ARCHIVE_EXTENSION)) {
+        continue;
+      }
+      const archivePath = path.join(instanceBackupDir, file);
+      const stat = await fs.stat(archivePath);
+      backups.push({ file, path: archivePath, size: stat.size, createdAt: (parseBackupTimestamp(file) || stat.mtime).toISOString() });
+    }
+    backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { success: true, data: backups, messages: [`${backups.length} backup(s) found for "${name}".`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Error listing backups for "${name}": ${error.message}`] };
+  }
+}
+
+async function discardSafetyCopyIfHealthy(instance, safetyCopyPath) {
+  if (!(await waitForInstanceHealth(instance.port))) {
+    return [`"${instance.name}" does not pass its /api/health check. Previous data directory kept as ${safetyCopyPath}.`];
+  }
+  try {
+    await fs.remove(safetyCopyPath);
+    return [`"${instance.name}" is healthy. Removed the previous data directory ${safetyCopyPath}.`];
+  } catch (error) {
+    return [`Warning: Could not remove the previous data directory ${safetyCopyPath}: ${error.message}`];
+  }
+}
+
+async function _internalRestoreInstance(payload) {
+  const { name, archive, targetName = name } = payload;
+  const results = { success: false, messages: [], instance: null, safetyCopyPath: null, certbotSuccess: null, error: null };
+  let stagingDir = null;
+
+  try {
+    let archivePath = archive;
+    if (archive && !(await fs.pathExists(archive))) {
+      archivePath = path.join(BACKUPS_BASE_DIR, name, archive);
+    }
+    if (!archivePath || !(await fs.pathExists(archivePath))) {
+      results.error = `Backup archive "${archive}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const config = await getInstancesConfig();
+    const restoreInPlace = targetName === name && !payload.newInstance;
+    if (restoreInPlace && !config.instances[name]) {
+      results.error = `Instance "${name}" not found. Use a new target name to restore into a new instance.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (!restoreInPlace && !isValidInstanceName(targetName)) {
+      results.error = `Invalid instance name "${targetName}". ${INSTANCE_NAME_RULES}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (!restoreInPlace && config.instances[targetName]) {
+      results.error = `Target instance "${targetName}" already exists.`;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    await fs.ensureDir(INSTANCES_DATA_BASE_DIR);
+    stagingDir = path.join(INSTANCES_DATA_BASE_DIR, `.restore-${targetName}-${Date.now()}`);
+    await fs.ensureDir(stagingDir);
+    if (completeLogging) results.messages.push(`Extracting ${archivePath} to ${stagingDir}...`);
+    await safeRunCommand("tar", ["-xzf", archivePath, "-C", stagingDir], `Failed to extract backup archive ${archivePath}`);
+    const restoredDataDir = path.join(stagingDir, "data");
+    if (!(await fs.pathExists(restoredDataDir)) || !(await fs.pathExists(path.join(stagingDir, BACKUP_METADATA_FILENAME)))) {
+      results.error = `${archivePath} is not a valid pb-manager backup archive.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const metadata = await fs.readJson(path.join(stagingDir, BACKUP_METADATA_FILENAME));
+    if (completeLogging) results.messages.push(`Backup of "${metadata.name}" created at ${metadata.createdAt} (PocketBase ${metadata.pocketBaseVersion || "unknown"}).`);
+
+    if (restoreInPlace) {
+      const instance = config.instances[name];
+      const safetyCopyPath = `${instance.dataDir}.pre-restore-${getBackupTimestamp()}`;
+      const discardSafetyCopy = Boolean(payload.discardSafetyCopy) && payload.restart !== false;
+      try {
+        await getProcessManager().control("stop", name, true);
+      } catch (e) {
+        results.messages.push(`Warning: Could not stop ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${name}: ${e.message}`);
+      }
+
+      if (await fs.pathExists(instance.dataDir)) {
+        await fs.rename(instance.dataDir, safetyCopyPath);
+        results.safetyCopyPath = safetyCopyPath;
+      }
+      try {
+        await fs.rename(restoredDataDir, instance.dataDir);
+      } catch (error) {
+        if (results.safetyCopyPath) {
+          await fs.rename(safetyCopyPath, instance.dataDir).catch(() => {});
+          results.safetyCopyPath = null;
+        }
+        throw error;
+      }
+      if (results.safetyCopyPath && !discardSafetyCopy) {
+        results.messages.push(`Previous data directory kept as ${safetyCopyPath}.`);
+      }
+
+      results.instance = instance;
+      if (payload.restart === false) {
+        results.success = true;
+        results.messages.push(`Instance "${name}" data restored from ${path.basename(archivePath)}.`);
+        return results;
+      }
+      const pm2ReloadResult = await getProcessManager().reload(name);
+      if (!pm2ReloadResult.success) {
+        results.error = pm2ReloadResult.message;
+        results.messages.push(`Data restored, but restarting ${getProcessManager().label} process ${PM2_INSTANCE_PREFIX}${name} failed: ${pm2ReloadResult.message}`);
+        if (results.safetyCopyPath && discardSafetyCopy) results.messages.push(`Previous data directory kept as ${safetyCopyPath}.`);
+        return results;
+      }
+      results.success = true;
+      results.messages.push(`Instance "${name}" restored from ${path.basename(archivePath)} and restarted.`);
+      if (results.safetyCopyPath && discardSafetyCopy) {
+        results.messages.push(...(await discardSafetyCopyIfHealthy(instance, results.safetyCopyPath)));
+        if (!(await fs.pathExists(safetyCopyPath))) results.safetyCopyPath = null;
+      }
+      return results;
+    }
+
+    const { domain, aliases = [], port, useHttps = true, tls, emailForCertbot, useHttp2 = true, maxBodySize = NGINX_DEFAULT_MAX_BODY_SIZE, autoRunCertbot = true, pocketBaseVersion } = payload;
+    const targetDataDir = path.join(INSTANCES_DATA_BASE_DIR, targetName);
+    if (await fs.pathExists(targetDataDir)) {
+      results.error = `Data directory ${targetDataDir} already exists. Remove it or choose another instance name.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    await fs.rename(restoredDataDir, targetDataDir);
+
+    const addResult = await _internalAddInstance({ name: targetName, domain, aliases, port, useHttps, tls, emailForCertbot, useHttp2, maxBodySize, autoRunCertbot, pocketBaseVersion });
+    results.messages.push(...addResult.messages);
+    results.instance = addResult.instance;
+    results.certbotSuccess = addResult.certbotSuccess;
+    if (!addResult.success) {
+      const configAfterAdd = await getInstancesConfig();
+      if (!configAfterAdd.instances[targetName]) {
+        await fs.remove(targetDataDir).catch(() => {});
+      }
+      results.error = addResult.error;
+      return results;
+    }
+    results.success = true;
+    results.messages.push(`Backup of "${metadata.name}" restored into new instance "${targetName}".`);
+  } catch (error) {
+    results.error = `Restore failed: ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  } finally {
+    if (stagingDir) {
+      await fs.remove(stagingDir).catch(() => {});
+    }
+  }
+  return results;
+}
+
+async function stageProxySettings(instance, targetDir) {
+  const staged = [];
+  const templatePath = getNginxTemplatePaths(instance.name).instance;
+  if (await fs.pathExists(templatePath)) {
+    await fs.ensureDir(targetDir);
+    await fs.copy(templatePath, path.join(targetDir, "nginx.conf.tmpl"));
+    staged.push("template");
+  }
+  const htpasswdLines = instance.adminGuard ? await readAdminHtpasswd(instance.name) : [];
+  if (htpasswdLines.length > 0) {
+    await fs.ensureDir(targetDir);
+    await fs.writeFile(path.join(targetDir, "htpasswd"), `${htpasswdLines.join("\n")}\n`, { mode: 0o600 });
+    staged.push("htpasswd");
+  }
+  if (instance.useHttps && instance.tls === TLS_MODE_CUSTOM) {
+    const certificatePaths = getCustomCertificatePaths(instance.name);
+    if ((await fs.pathExists(certificatePaths.certificate)) && (await fs.pathExists(certificatePaths.key))) {
+      await fs.ensureDir(targetDir);
+      await fs.copy(certificatePaths.certificate, path.join(targetDir, "fullchain.pem"));
+      await fs.copy(certificatePaths.key, path.join(targetDir, "privkey.pem"));
+      staged.push("certificate");
+    }
+  }
+  return staged;
+}
+
+async function applyBundleProxySettings(name, source, bundle, proxySettings, useHttps) {
+  const messages = [];
+  const failures = [];
+  const extractDir = path.join(INSTANCES_DATA_BASE_DIR, `.import-${name}-${Date.now()}`);
+  try {
+    if (proxySettings.length > 0) {
+      await fs.ensureDir(extractDir);
+      await safeRunCommand("tar", ["-xzf", bundle, "-C", extractDir, BACKUP_PROXY_SETTINGS_DIR], `Failed to extract the proxy settings from ${bundle}`, false, { silent: true });
+    }
+    const settingsDir = path.join(extractDir, BACKUP_PROXY_SETTINGS_DIR);
+    if (proxySettings.includes("template")) {
+      await fs.copy(path.join(settingsDir, "nginx.conf.tmpl"), getNginxTemplatePaths(name).instance);
+      messages.push(`Nginx template override of "${source.name}" installed for "${name}".`);
+    }
+    if (proxySettings.includes("htpasswd")) {
+      const lines = (await fs.readFile(path.join(settingsDir, "htpasswd"), "utf8")).split("\n").filter((line) => line.includes(":"));
+      await writeAdminHtpasswd(name, lines);
+    }
+    if (useHttps && proxySettings.includes("certificate")) {
+      const installResult = await _internalInstallCertificate({ name, certPath: path.join(settingsDir, "fullchain.pem"), keyPath: path.join(settingsDir, "privkey.pem") });
+      messages.push(...installResult.messages);
+      if (!installResult.success) failures.push(`custom certificate (${installResult.error})`);
+    } else if (useHttps && source.tls === TLS_MODE_CUSTOM) {
+      messages.push(`The bundle has no certificate files. Install them with: pb-manager cert install ${name} --cert fullchain.pem --key privkey.pem`);
+    }
+    if (source.rateLimit || source.adminGuard || proxySettings.includes("template")) {
+      const editResult = await _internalEditInstance({ name, rateLimit: source.rateLimit, adminGuard: source.adminGuard, autoRunCertbot: false });
+      if (editResult.success) {
+        if (source.rateLimit) messages.push(`Rate limits of "${source.name}" applied.`);
+        if (source.adminGuard) messages.push(`Admin UI protection of "${source.name}" applied: ${formatAdminGuard(source.adminGuard)}.`);
+      } else {
+        messages.push(...editResult.messages);
+        failures.push(`rate limits, admin UI protection and template (${editResult.error})`);
+      }
+    }
+  } catch (error) {
+    failures.push(error.message);
+  } finally {
+    await fs.remove(extractDir).catch(() => {});
+  }
+  return { messages, failures };
+}
+
+async function _internalExportInstance(payload) {
+  const { name, outputPath } = payload;
+  const backupResult = await _internalBackupInstance({ name, upload: false, includeProxySettings: true, outputPath: outputPath || path.resolve(`${name}-export-${getBackupTimestamp()}${BACKUP_ARCHIVE_EXTENSION}`) });
+  if (backupResult.success) {
+    backupResult.messages = [`Instance "${name}" exported to ${backupResult.archivePath} (${prettyBytes(backupResult.size)}). Copy it to the target server and run 'pb-manager import ${path.basename(backupResult.archivePath)}'.`];
+  }
+  return backupResult;
+}
+
+async function _internalImportInstance(payload) {
+  const { bundle } = payload;
+  const results = { success: false, messages: [], instance: null, certbotSuccess: null, error: null };
+  try {
+    if (!bundle || !(await fs.pathExists(bundle))) {
+      results.error = `Bundle "${bundle}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const metadata = await readBackupMetadata(bundle);
+    const source = metadata.instance || {};
+    const name = payload.name || metadata.name;
+    const domain = payload.domain || source.domain;
+    if (name && !isValidInstanceName(name)) {
+      results.error = `Invalid instance name "${name}". ${INSTANCE_NAME_RULES}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    if (!name || !domain) {
+      results.error = "The bundle does not describe a complete instance. Provide the name and domain explicitly.";
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const config = await getInstancesConfig();
+    const port = payload.port || ((await isBundlePortFree(config, source.port)) ? source.port : undefined);
+    const aliases = domain === source.domain ? source.aliases || [] : [];
+    if (aliases.length === 0 && source.aliases?.length > 0) {
+      results.messages.push(`The aliases ${source.aliases.join(", ")} of "${metadata.name}" were not imported because the domain changed. Add them with 'pb-manager domain add ${name} <domain>'.`);
+    }
+    const conflict = findInstanceConflict(config, { name, domain, aliases, port });
+    if (conflict) {
+      results.error = conflict.message;
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const useHttps = payload.useHttps !== undefined ? payload.useHttps : source.useHttps !== false;
+    const restoreResult = await _internalRestoreInstance({
+      name: metadata.name,
+      archive: bundle,
+      targetName: name,
+      newInstance: true,
+      domain,
+      aliases,
+      port,
+      useHttps,
+      tls: [TLS_MODE_CUSTOM, TLS_MODE_INTERNAL_CA].includes(source.tls) ? source.tls : undefined,
+      emailForCertbot: useHttps ? payload.emailForCertbot || source.emailForCertbot || (await getCliConfig()).defaultCertbotEmail : null,
+      useHttp2: payload.useHttp2 !== undefined ? payload.useHttp2 : source.useHttp2 !== false,
+      maxBodySize: payload.maxBodySize !== undefined ? payload.maxBodySize : getInstanceMaxBodySize(source),
+      autoRunCertbot: payload.autoRunCertbot !== false,
+      pocketBaseVersion: source.pocketBaseVersion || metadata.pocketBaseVersion || undefined,
+    });
+    results.messages.push(...restoreResult.messages);
+    results.instance = restoreResult.instance;
+    results.certbotSuccess = restoreResult.certbotSuccess;
+    if (!restoreResult.success) {
+      results.error = restoreResult.error;
+      return results;
+    }
+    const settingsResult = await applyBundleProxySettings(name, source, bundle, metadata.proxySettings || [], useHttps);
+    results.messages.push(...settingsResult.messages);
+    if (settingsResult.failures.length > 0) {
+      results.error = `Instance "${name}" was imported, but restoring its proxy settings failed: ${settingsResult.failures.join("; ")}`;
+      results.messages.push(results.error);
+      return results;
+    }
+    results.success = true;
+    results.messages.push(`Instance "${name}" imported from ${path.basename(bundle)} (exported from "${metadata.name}" on ${metadata.createdAt}).`);
+  } catch (error) {
+    results.error = `Import failed: ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+function getIsoWeekKey(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d.getTime() - yearStart.getTime()) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+function selectBackupsToKeep(backups, retention) {
+  const { keep = 0, keepDaily = 0, keepWeekly = 0, keepMonthly = 0 } = retention || {};
+  const kept = new Set();
+  for (const backup of backups.slice(0, Math.max(keep, 1))) {
+    kept.add(backup.path);
+  }
+  const buckets = [
+    [keepDaily, (date) => date.toISOString().slice(0, 10)],
+    [keepWeekly, getIsoWeekKey],
+    [keepMonthly, (date) => date.toISOString().slice(0, 7)],
+  ];
+  for (const [count, getBucketKey] of buckets) {
+    const seenBuckets = new Set();
+    for (const backup of backups) {
+      if (seenBuckets.size >= count) {
+        break;
+      }
+      const key = getBucketKey(new Date(backup.createdAt));
+      if (!seenBuckets.has(key)) {
+        seenBuckets.add(key);
+        kept.add(backup.path);
+      }
+    }
+  }
+  return kept;
+}
+
+function getNextScheduledRun(every, from = new Date()) {
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  if (every === "hourly") {
+    next.setMinutes(0);
+    next.setHours(next.getHours() + 1);
+    return next;
+  }
+  next.setHours(3, 0, 0, 0);
+  if (every === "weekly") {
+    next.setDate(next.getDate() + ((7 - next.getDay()) % 7));
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else if (every === "monthly") {
+    next.setDate(1);
+    if (next <= from) next.setMonth(next.getMonth() + 1);
+  } else if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+async function isSystemdAvailable() {
+  return Boolean(shell.which("systemctl")) && (await fs.pathExists("/run/systemd/system"));
+}
+
+function quoteCommandPath(filePath) {
+  return `"${filePath.replace(/["\\]/g, "\\$&")}"`;
+}
+
+function getPbManagerCommand(args) {
+  return `${quoteCommandPath(process.execPath)} ${quoteCommandPath(getPbManagerScriptPath())} ${args}`;
+}
+
+function getPbManagerScriptPath() {
+  const scriptPath = process.argv[1];
+  return scriptPath?.endsWith(PB_MANAGER_SCRIPT_NAME) ? path.resolve(scriptPath) : DEFAULT_INSTALL_PATH_PB_MANAGER;
+}
+
+async function writeSystemFile(filePath, content) {
+  const tempPath = path.join(os.tmpdir(), `${path.basename(filePath)}.${Date.now()}.tmp`);
+  await fs.writeFile(tempPath, content);
+  try {
+    await safeRunCommand("sudo", ["mv", tempPath, filePath], `Failed to write ${filePath}`);
+    await safeRunCommand("sudo", ["chmod", "644", filePath], `Failed to set permissions on ${filePath}`, true);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+async function _internalPruneBackups(payload) {
+  const { name, retention } = payload;
+  const results = { success: false, messages: [], removed: [], error: null };
+  try {
+    const listResult = await _internalListBackups({ name });
+    if (!listResult.success) {
+      results.error = listResult.error;
+      results.messages.push(...listResult.messages);
+      return results;
+    }
+    const kept = selectBackupsToKeep(listResult.data, retention);
+    for (const backup of listResult.data) {
+      if (!kept.has(backup.path)) {
+        await fs.remove(backup.path);
+        results.removed.push(backup.file);
+        if (completeLogging) results.messages.push(`Pruned backup ${backup.file}.`);
+      }
+    }
+    results.success = true;
+    results.messages.push(`Retention applied for "${name}": kept ${kept.size}, removed ${results.removed.length} backup(s).`);
+  } catch (error) {
+    results.error = `Failed to prune backups for "${name}": ${error.message}`;
+    results.messages.push(results.error);
+  }
+  return results;
+}
+
+async function _internalScheduleBackups(payload) {
+  const { name, every = "daily", keep = 7, keepDaily = 0, keepWeekly = 0, keepMonthly = 0 } = payload;
+  const results = { success: false, messages: [], schedule: null, error: null };
+  try {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      results.error = `Instance "${name}" not found.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const preset = BACKUP_SCHEDULE_PRESETS[every];
+    if (!preset) {
+      results.error = `Invalid schedule "${every}". Use one of: ${Object.keys(BACKUP_SCHEDULE_PRESETS).join(", ")}.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const retention = { keep, keepDaily, keepWeekly, keepMonthly };
+    for (const [key, value] of Object.entries(retention)) {
+      if (!Number.isInteger(value) || value < 0) {
+        results.error = `Invalid retention value for ${key}: ${value}. Use a non-negative integer.`;
+        results.messages.push(results.error);
+        return results;
+      }
+    }
+
+    const unitName = `${BACKUP_SCHEDULE_UNIT_PREFIX}${name}`;
+    const backupCommand = getPbManagerCommand(`backup ${name} --scheduled`);
+    let scheduler;
+    if (await isSystemdAvailable()) {
+      const serviceContent = ["[Unit]", `Description=pb-manager scheduled backup for ${name}`, "", "[Service]", "Type=oneshot", `Environment=HOME=${path.dirname(CONFIG_DIR)}`, `Environment=PATH=${process.env.PATH}`, `ExecStart=${backupCommand}`, ""].join("\n");
+      const timerContent = ["[Unit]", `Description=${every} pb-manager backup for ${name}`, "", "[Timer]", `OnCalendar=${preset.onCalendar}`, "Persistent=true", "RandomizedDelaySec=300", "", "[Install]", "WantedBy=timers.target", ""].join("\n");
+      await writeSystemFile(path.join(SYSTEMD_UNITS_DIR, `${unitName}.service`), serviceContent);
+      await writeSystemFile(path.join(SYSTEMD_UNITS_DIR, `${unitName}.timer`), timerContent);
+      await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units");
+      await safeRunCommand("sudo", ["systemctl", "enable", "--now", `${unitName}.timer`], `Failed to enable ${unitName}.timer`);
+      scheduler = "systemd";
+      if (completeLogging) results.messages.push(`Installed and enabled systemd timer ${unitName}.timer.`);
+    } else if (await fs.pathExists(CRON_D_DIR)) {
+      const logPath = path.join(BACKUPS_BASE_DIR, name, "schedule.log");
+      await fs.ensureDir(path.dirname(logPath));
+      const cronContent = [`# pb-manager scheduled backup for ${name} (${every})`, "SHELL=/bin/sh", `HOME=${path.dirname(CONFIG_DIR)}`, `PATH=${process.env.PATH}`, `${preset.cron} root ${backupCommand} >> ${quoteCommandPath(logPath)} 2>&1`, ""].join("\n");
+      await writeSystemFile(path.join(CRON_D_DIR, unitName), cronContent);
+      scheduler = "cron";
+      if (completeLogging) results.messages.push(`Installed cron entry ${path.join(CRON_D_DIR, unitName)}.`);
+    } else {
+      results.error = "Neither systemd nor cron (/etc/cron.d) is available on this system. Cannot schedule backups.";
+      results.messages.push(results.error);
+      return results;
+    }
+
+    const previousSchedule = config.instances[name].backupSchedule || {};
+    config.instances[name].backupSchedule = { every, retention, scheduler, lastRun: previousSchedule.lastRun || null, lastResult: previousSchedule.lastResult || null };
+    await saveInstancesConfig(config);
+    results.schedule = config.instances[name].backupSchedule;
+    results.success = true;
+    results.messages.push(`Scheduled ${every} backups for "${name}" via ${scheduler} (keep ${keep} latest, ${keepDaily} daily, ${keepWeekly} weekly, ${keepMonthly} monthly).`);
+  } catch (error) {
+    results.error = `Failed to schedule backups for "${name}": ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalRemoveBackupSchedule(payload) {
+  const { name } = payload;
+  const results = { success: false, messages: [], error: null };
+  try {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance?.backupSchedule) {
+      results.error = `No backup schedule configured for "${name}".`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const unitName = `${BACKUP_SCHEDULE_UNIT_PREFIX}${name}`;
+    if (instance.backupSchedule.scheduler === "systemd") {
+      await safeRunCommand("sudo", ["systemctl", "disable", "--now", `${unitName}.timer`], `Failed to disable ${unitName}.timer`, true);
+      await safeRunCommand("sudo", ["rm", "-f", path.join(SYSTEMD_UNITS_DIR, `${unitName}.timer`), path.join(SYSTEMD_UNITS_DIR, `${unitName}.service`)], `Failed to remove ${unitName} units`);
+      await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units", true);
+    } else {
+      await safeRunCommand("sudo", ["rm", "-f", path.join(CRON_D_DIR, unitName)], `Failed to remove cron entry ${unitName}`);
+    }
+    delete instance.backupSchedule;
+    await saveInstancesConfig(config);
+    results.success = true;
+    results.messages.push(`Backup schedule for "${name}" removed. Existing backups were kept.`);
+  } catch (error) {
+    results.error = `Failed to remove backup schedule for "${name}": ${error.message}`;
+    results.messages.push(results.error);
+  }
+  return results;
+}
+
+async function _internalListBackupSchedules() {
+  try {
+    const config = await getInstancesConfig();
+    const schedules = [];
+    for (const name in config.instances) {
+      const schedule = config.instances[name].backupSchedule;
+      if (!schedule) {
+        continue;
+      }
+      let nextRun = null;
+      if (schedule.scheduler === "systemd") {
+        const result = await safeRunCommand("systemctl", ["show", `${BACKUP_SCHEDULE_UNIT_PREFIX}${name}.timer`, "--property=NextElapseUSecRealtime", "--value"], "Failed to query systemd timer", true, { silent: true }).catch(() => null);
+        nextRun = result?.stdout.trim() || null;
+      } else {
+        nextRun = getNextScheduledRun(schedule.every).toLocaleString();
+      }
+      schedules.push({ name, ...schedule, nextRun });
+    }
+    return { success: true, data: schedules, messages: [`${schedules.length} backup schedule(s) configured.`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Error listing backup schedules: ${error.message}`] };
+  }
+}
+
+async function recordScheduledBackupRun(name, backupResult) {
+  const config = await getInstancesConfig();
+  const instance = config.instances[name];
+  if (!instance?.backupSchedule) {
+    return null;
+  }
+  instance.backupSchedule.lastRun = new Date().toISOString();
+  instance.backupSchedule.lastResult = backupResult.success ? `success: ${path.basename(backupResult.archivePath)}${backupResult.uploadError ? " (remote upload failed)" : ""}` : `failed: ${backupResult.error}`;
+  await saveInstancesConfig(config);
+  return instance.backupSchedule;
+}
+
+function s3UriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function getRemoteBackupKey(remote, name, fileName = "") {
+  const prefix = (remote.prefix || "").replace(/^\/+|\/+$/g, "");
+  return [prefix, name, fileName].filter(Boolean).join("/");
+}
+
+async function s3Request(remote, { method, key = "", query = {}, body = null, headers = {}, responseType = "text" }) {
+  const endpoint = new URL(remote.endpoint);
+  const encodedKey = key.split("/").map(s3UriEncode).join("/");
+  const basePath = endpoint.pathname.replace(/\/+$/, "");
+  const usePathStyle = remote.pathStyle !== false;
+  const host = usePathStyle ? endpoint.host : `${remote.bucket}.${endpoint.host}`;
+  const canonicalUri = usePathStyle ? `${basePath}/${s3UriEncode(remote.bucket)}/${encodedKey}` : `${basePath}/${encodedKey}`;
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((k) => `${s3UriEncode(k)}=${s3UriEncode(String(query[k]))}`)
+    .join("&");
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const region = remote.region || "us-east-1";
+  const payloadHash = crypto
+    .createHash("sha256")
+    .update(body || "")
+    .digest("hex");
+  const signedHeaderValues = { host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+  for (const [name, value] of Object.entries(headers)) {
+    signedHeaderValues[name.toLowerCase()] = String(value);
+  }
+  const headerNames = Object.keys(signedHeaderValues).sort();
+  const canonicalHeaders = headerNames.map((h) => `${h}:${signedHeaderValues[h].trim()}\n`).join("");
+  const signedHeaders = headerNames.join(";");
+  const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, crypto.createHash("sha256").update(canonicalRequest).digest("hex")].join("\n");
+  let signingKey = `AWS4${remote.secretAccessKey}`;
+  for (const part of [dateStamp, region, "s3", "aws4_request"]) {
+    signingKey = crypto.createHmac("sha256", signingKey).update(part).digest();
+  }
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const requestHeaders = { ...signedHeaderValues };
+  delete requestHeaders.host;
+  requestHeaders.Authorization = `AWS4-HMAC-SHA256 Credential=${remote.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  const url = `${endpoint.protocol}//${host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ""}`;
+  return axios({ method, url, headers: requestHeaders, data: body ?? undefined, responseType, maxBodyLength: Number.POSITIVE_INFINITY, maxContentLength: Number.POSITIVE_INFINITY, timeout: S3_REQUEST_TIMEOUT_MS + Math.ceil((body?.length || 0) / S3_MIN_TRANSFER_BYTES_PER_SECOND) * 1000 });
+}
+
+async function uploadFileToS3(remote, filePath, key) {
+  const { size } = await fs.stat(filePath);
+  if (size <= S3_MULTIPART_THRESHOLD) {
+    await s3Request(remote, { method: "PUT", key, body: await fs.readFile(filePath) });
+    return { multipart: false, parts: 1 };
+  }
+
+  const partSize = Math.max(S3_MULTIPART_PART_SIZE, Math.ceil(size / 10000));
+  const createResponse = await s3Request(remote, { method: "POST", key, query: { uploads: "" } });
+  const uploadId = decodeXmlEntities(createResponse.data.match(/<UploadId>([^<]+)<\/UploadId>/)?.[1] || "");
+  if (!uploadId) {
+    throw new Error("S3 endpoint did not return an UploadId for the multipart upload.");
+  }
+
+  const parts = [];
+  const fileHandle = await fs.promises.open(filePath, "r");
+  try {
+    for (let partNumber = 1, offset = 0; offset < size; partNumber++, offset += partSize) {
+      const chunk = Buffer.alloc(Math.min(partSize, size - offset));
+      await fileHandle.read(chunk, 0, chunk.length, offset);
+      const partResponse = await s3Request(remote, { method: "PUT", key, query: { partNumber, uploadId }, body: chunk });
+      parts.push({ partNumber, etag: partResponse.headers.etag });
+      if (completeLogging) {
+        printMessage(chalk.blue(`Uploaded part ${partNumber} (${prettyBytes(offset + chunk.length)} / ${prettyBytes(size)}).`));
+      }
+    }
+    const completeBody = `<CompleteMultipartUpload>${parts.map((p) => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`).join("")}</CompleteMultipartUpload>`;
+    await s3Request(remote, { method: "POST", key, query: { uploadId }, body: Buffer.from(completeBody), headers: { "content-type": "application/xml" } });
+  } catch (error) {
+    await s3Request(remote, { method: "DELETE", key, query: { uploadId } }).catch(() => {});
+    throw error;
+  } finally {
+    await fileHandle.close();
+  }
+  return { multipart: true, parts: parts.length };
+}
+
+async function listS3Objects(remote, prefix) {
+  const objects = [];
+  let continuationToken = null;
+  do {
+    const query = { "list-type": 2, prefix };
+    if (continuationToken) query["continuation-token"] = continuationToken;
+    const response = await s3Request(remote, { method: "GET", query });
+    for (const [, content] of response.data.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      objects.push({
+        key: decodeXmlEntities(content.match(/<Key>([\s\S]*?)<\/Key>/)?.[1] || ""),
+        size: Number.parseInt(content.match(/<Size>(\d+)<\/Size>/)?.[1] || "0", 10),
+        lastModified: content.match(/<LastModified>([^<]+)<\/LastModified>/)?.[1] || null,
+      });
+    }
+    const isTruncated = /<IsTruncated>true<\/IsTruncated>/.test(response.data);
+    continuationToken = isTruncated ? decodeXmlEntities(response.data.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1] || "") : null;
+  } while (continuationToken);
+  return objects;
+}
+
+async function downloadFileFromS3(remote, key, destinationPath) {
+  const response = await s3Request(remote, { method: "GET", key, responseType: "stream" });
+  const tempPath = `${destinationPath}.${Date.now()}.tmp`;
+  const writer = fs.createWriteStream(tempPath, { mode: 0o600 });
+  let stallTimer = null;
+  const resetStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => response.data.destroy(new Error(`Download of ${key} stalled for ${S3_REQUEST_TIMEOUT_MS / 1000}s.`)), S3_REQUEST_TIMEOUT_MS);
+  };
+  response.data.on("data", resetStallTimer);
+  resetStallTimer();
+  response.data.pipe(writer);
+  try {
+    await new Promise((resolve, reject) => {
+      writer.on("finish", resolve);
+      writer.on("error", reject);
+      response.data.on("error", reject);
+    }).finally(() => clearTimeout(stallTimer));
+    await fs.rename(tempPath, destinationPath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+function validateBackupRemote(remote) {
+  for (const field of ["endpoint", "bucket", "accessKeyId", "secretAccessKey"]) {
+    if (!remote[field]) {
+      return `Remote "${field}" is required.`;
+    }
+  }
+  try {
+    const endpoint = new URL(remote.endpoint);
+    if (endpoint.protocol !== "https:" && endpoint.protocol !== "http:") {
+      return "Remote endpoint must be an http(s) URL.";
+    }
+  } catch (e) {
+    return `Invalid remote endpoint URL: ${remote.endpoint}`;
+  }
+  return null;
+}
+
+async function _internalUploadBackup(payload) {
+  const { name, archivePath, remoteName } = payload;
+  const results = { success: false, messages: [], uploads: [], error: null };
+  try {
+    const cliConfig = await getCliConfig();
+    const remoteNames = remoteName ? [remoteName] : Object.keys(cliConfig.backupRemotes || {});
+    const failures = [];
+    for (const targetRemote of remoteNames) {
+      const remote = cliConfig.backupRemotes?.[targetRemote];
+      if (!remote) {
+        failures.push(`Remote "${targetRemote}" is not configured.`);
+        continue;
+      }
+      const key = getRemoteBackupKey(remote, name, path.basename(archivePath));
+      try {
+        const upload = await uploadFileToS3(remote, archivePath, key);
+        results.uploads.push({ remote: targetRemote, key, ...upload });
+        results.messages.push(`Uploaded ${path.basename(archivePath)} to remote "${targetRemote}" as s3://${remote.bucket}/${key}${upload.multipart ? ` (${upload.parts} parts)` : ""}.`);
+      } catch (error) {
+        failures.push(`Upload to remote "${targetRemote}" failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+      }
+    }
+    results.messages.push(...failures);
+    results.success = failures.length === 0;
+    if (!results.success) results.error = failures.join(" ");
+  } catch (error) {
+    results.error = `Failed to upload backup: ${error.message}`;
+    results.messages.push(results.error);
+  }
+  return results;
+}
+
+async function _internalListRemoteBackups(payload) {
+  const { name, remoteName } = payload;
+  try {
+    const cliConfig = await getCliConfig();
+    const remote = cliConfig.backupRemotes?.[remoteName];
+    if (!remote) {
+      return { success: false, error: `Remote "${remoteName}" is not configured.`, messages: [`Remote "${remoteName}" is not configured.`] };
+    }
+    const objects = await listS3Objects(remote, `${getRemoteBackupKey(remote, name)}/`);
+    const backups = objects
+      .filter((obj) => obj.key.endsWith(BACKUP_ARCHIVE_EXTENSION))
+      .map((obj) => {
+        const file = path.posix.basename(obj.key);
+        return { file, key: obj.key, size: obj.size, createdAt: (parseBackupTimestamp(file) || new Date(obj.lastModified || 0)).toISOString() };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { success: true, data: backups, messages: [`${backups.length} remote backup(s) found for "${name}" on "${remoteName}".`] };
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    return { success: false, error: reason, messages: [`Error listing remote backups for "${name}" on "${remoteName}": ${reason}`] };
+  }
+}
+
+async function _internalDownloadRemoteBackup(payload) {
+  const { name, remoteName, key } = payload;
+  const results = { success: false, messages: [], archivePath: null, error: null };
+  try {
+    const cliConfig = await getCliConfig();
+    const remote = cliConfig.backupRemotes?.[remoteName];
+    if (!remote) {
+      results.error = `Remote "${remoteName}" is not configured.`;
+      results.messages.push(results.error);
+      return results;
+    }
+    const instanceBackupDir = path.join(BACKUPS_BASE_DIR, name);
+    await fs.ensureDir(instanceBackupDir);
+    const archivePath = path.join(instanceBackupDir, path.posix.basename(key));
+    if (await fs.pathExists(archivePath)) {
+      if (completeLogging) results.messages.push(`${archivePath} already exists locally. Skipping download.`);
+    } else {
+      await downloadFileFromS3(remote, key, archivePath);
+      results.messages.push(`Downloaded s3://${remote.bucket}/${key} to ${archivePath}.`);
+    }
+    results.archivePath = archivePath;
+    results.success = true;
+  } catch (error) {
+    results.error = `Failed to download remote backup: ${error.response ? `HTTP ${error.response.status}` : error.message}`;
+    results.messages.push(results.error);
+  }
+  return results;
+}
+
+async function _internalSetBackupRemote(payload) {
+  const { remoteName, remove = false, ...remote } = payload;
+  if (!remoteName || !/^[a-zA-Z0-9-_]+$/.test(remoteName)) {
+    return { success: false, error: "A valid remote name is required (letters, numbers, '-' and '_').", messages: ["Invalid remote name."] };
+  }
+  try {
+    const cliConfig = await getCliConfig();
+    cliConfig.backupRemotes = cliConfig.backupRemotes || {};
+    if (remove) {
+      if (!cliConfig.backupRemotes[remoteName]) {
+        return { success: false, error: `Remote "${remoteName}" is not configured.`, messages: [`Remote "${remoteName}" is not configured.`] };
+      }
+      delete cliConfig.backupRemotes[remoteName];
+      await saveCliConfig(cliConfig);
+      return { success: true, messages: [`Remote "${remoteName}" removed.`] };
+    }
+    const validationError = validateBackupRemote(remote);
+    if (validationError) {
+      return { success: false, error: validationError, messages: [validationError] };
+    }
+    cliConfig.backupRemotes[remoteName] = { endpoint: remote.endpoint, region: remote.region || "us-east-1", bucket: remote.bucket, prefix: remote.prefix || "pb-manager", accessKeyId: remote.accessKeyId, secretAccessKey: remote.secretAccessKey, pathStyle: remote.pathStyle !== false };
+    await saveCliConfig(cliConfig);
+    return { success: true, messages: [`Remote "${remoteName}" saved. New backups will be uploaded to s3://${remote.bucket}/${cliConfig.backupRemotes[remoteName].prefix}/.`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Error saving remote "${remoteName}": ${error.message}`] };
+  }
+}
+
+function loadNodemailerModule() {
+  try {
+    return require("nodemailer");
+  } catch (e) {
+    throw new Error("SMTP alerts require the nodemailer package. Install it next to pb-manager (npm install nodemailer) or use a webhook channel.");
+  }
+}
+
+function validateAlertChannel(channel) {
+  if (!ALERT_CHANNEL_TYPES.includes(channel.type)) {
+    return `Invalid channel type "${channel.type}". Use one of: ${ALERT_CHANNEL_TYPES.join(", ")}.`;
+  }
+  if (channel.type === "smtp") {
+    for (const field of ["host", "from", "to"]) {
+      if (!channel[field]) {
+        return `SMTP channel "${field}" is required.`;
+      }
+    }
+    if (!Number.isInteger(channel.port) || channel.port < 1 || channel.port > 65535) {
+      return `Invalid SMTP port: ${channel.port}`;
+    }
+    try {
+      loadNodemailerModule();
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+  try {
+    const url = new URL(channel.url);
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      return "Webhook URL must be an http(s) URL.";
+    }
+  } catch (e) {
+    return `Invalid webhook URL: ${channel.url}`;
+  }
+  return null;
+}
+
+async function _internalSetAlertChannel(payload) {
+  const { channelName, remove = false, ...channel } = payload;
+  if (!channelName || !/^[a-zA-Z0-9-_]+$/.test(channelName)) {
+    return { success: false, error: "A valid channel name is required (letters, numbers, '-' and '_').", messages: ["Invalid channel name."] };
+  }
+  try {
+    const cliConfig = await getCliConfig();
+    cliConfig.alertChannels = cliConfig.alertChannels || {};
+    if (remove) {
+      if (!cliConfig.alertChannels[channelName]) {
+        return { success: false, error: `Alert channel "${channelName}" is not configured.`, messages: [`Alert channel "${channelName}" is not configured.`] };
+      }
+      delete cliConfig.alertChannels[channelName];
+      await saveCliConfig(cliConfig);
+      return { success: true, messages: [`Alert channel "${channelName}" removed.`] };
+    }
+    const validationError = validateAlertChannel(channel);
+    if (validationError) {
+      return { success: false, error: validationError, messages: [validationError] };
+    }
+    cliConfig.alertChannels[channelName] = channel.type === "smtp" ? { type: "smtp", host: channel.host, port: channel.port, secure: Boolean(channel.secure), user: channel.user || null, password: channel.password || null, from: channel.from, to: channel.to } : { type: channel.type, url: channel.url };
+    await saveCliConfig(cliConfig);
+    return { success: true, messages: [`Alert channel "${channelName}" saved. Test it with 'pb-manager alerts test ${channelName}'.`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Error saving alert channel "${channelName}": ${error.message}`] };
+  }
+}
+
+function formatAlertSummary(event) {
+  return `${event.type === "recovery" ? "[RECOVERED]" : "[ALERT]"} ${event.instance} on ${event.host}: ${event.message}`;
+}
+
+async function sendWebhookAlert(channel, event) {
+  await axios.post(channel.url, event, { timeout: ALERT_REQUEST_TIMEOUT_MS });
+}
+
+async function sendSlackAlert(channel, event) {
+  await axios.post(channel.url, { text: `${event.type === "recovery" ? ":white_check_mark:" : ":rotating_light:"} ${formatAlertSummary(event)}` }, { timeout: ALERT_REQUEST_TIMEOUT_MS });
+}
+
+async function sendSmtpAlert(channel, event) {
+  const nodemailer = loadNodemailerModule();
+  const transport = nodemailer.createTransport({ host: channel.host, port: channel.port, secure: channel.secure, auth: channel.user ? { user: channel.user, pass: channel.password } : undefined, connectionTimeout: ALERT_REQUEST_TIMEOUT_MS });
+  const text = [event.message, "", `Instance: ${event.instance}`, `Check: ${event.check}`, `Host: ${event.host}`, `Time: ${event.timestamp}`, ""].join("\n");
+  await transport.sendMail({ from: channel.from, to: channel.to, subject: formatAlertSummary(event), text });
+}
+
+const ALERT_CHANNEL_SENDERS = { webhook: sendWebhookAlert, slack: sendSlackAlert, smtp: sendSmtpAlert };
+
+async function _internalSendAlerts(payload) {
+  const { events, channelName } = payload;
+  const results = { success: false, messages: [], failedEvents: [], error: null };
+  const channels = (await getCliConfig()).alertChannels || {};
+  const targets = channelName ? [channelName] : Object.keys(channels);
+  if (channelName && !channels[channelName]) {
+    results.error = `Alert channel "${channelName}" is not configured.`;
+    results.messages.push(results.error);
+    return results;
+  }
+  if (targets.length === 0) {
+    results.error = "No alert channels configured. Use 'pb-manager alerts add <channelName>'.";
+    results.messages.push(results.error);
+    return results;
+  }
+  for (const event of events) {
+    let delivered = 0;
+    for (const target of targets) {
+      try {
+        await ALERT_CHANNEL_SENDERS[channels[target].type](channels[target], event);
+        delivered++;
+        if (completeLogging) results.messages.push(`Sent "${event.check}" ${event.type} for "${event.instance}" to ${target}.`);
+      } catch (error) {
+        results.messages.push(`Failed to send "${event.check}" ${event.type} for "${event.instance}" to ${target}: ${error.message}`);
+      }
+    }
+    if (delivered === 0) {
+      results.failedEvents.push(event);
+    }
+  }
+  results.success = results.failedEvents.length === 0;
+  if (!results.success) {
+    results.error = `${results.failedEvents.length} alert(s) could not be delivered to any channel.`;
+  }
+  return results;
+}
+
+async function readMonitorState() {
+  try {
+    const state = await fs.readJson(MONITOR_STATE_PATH);
+    return { instances: state.instances || {}, pendingEvents: state.pendingEvents || [] };
+  } catch (e) {
+    return { instances: {}, pendingEvents: [] };
+  }
+}
+
+function evaluateMonitorCheck(instanceState, check, ok, { instance, threshold, now, failureMessage, recoveryMessage }) {
+  const current = instanceState.checks[check] || { failures: 0, alerted: false, since: null };
+  instanceState.checks[check] = current;
+  if (ok) {
+    const event = current.alerted ? { type: "recovery", instance, check, message: `${recoveryMessage} (failing for ${formatUptime(now - new Date(current.since))}).` } : null;
+    Object.assign(current, { failures: 0, alerted: false, since: null });
+    return event;
+  }
+  current.failures++;
+  current.since = current.since || now.toISOString();
+  if (current.alerted || current.failures < threshold) {
+    return null;
+  }
+  current.alerted = true;
+  return { type: "alert", instance, check, message: failureMessage };
+}
+
+async function _internalRunMonitorCheck(payload = {}) {
+  const { failureThreshold = MONITOR_DEFAULTS.failureThreshold, certificateWarningDays = MONITOR_DEFAULTS.certificateWarningDays } = payload;
+  const results = { success: false, messages: [], events: [], instances: [], error: null };
+  try {
+    const config = await getInstancesConfig();
+    const state = await readMonitorState();
+    const processes = await getProcessManager().listProcesses();
+    const processActions = await readProcessActions();
+    const now = new Date();
+    const events = [];
+    for (const name of Object.keys(state.instances)) {
+      if (!config.instances[name]) delete state.instances[name];
+    }
+
+    for (const [name, inst] of Object.entries(config.instances)) {
+      const instanceState = state.instances[name] || { checks: {}, restarts: null, checkedAt: null, certificateCheckedAt: null, certificateDaysLeft: null };
+      state.instances[name] = instanceState;
+      const proc = processes[name];
+      const status = proc ? proc.status : "offline";
+      const options = { instance: name, threshold: failureThreshold, now };
+      const lastAction = processActions[name];
+      const stoppedOnPurpose = ["stop", "disable"].includes(lastAction?.action) && status !== PM2_STATUS_ONLINE;
+      const restartedByPbManager = Boolean(lastAction) && !stoppedOnPurpose && (!instanceState.checkedAt || new Date(lastAction.at) >= new Date(instanceState.checkedAt));
+
+      if (stoppedOnPurpose) {
+        delete instanceState.checks.process;
+        delete instanceState.checks.health;
+      } else {
+        events.push(evaluateMonitorCheck(instanceState, "process", status === PM2_STATUS_ONLINE, { ...options, failureMessage: `Process is ${status} in ${getProcessManager().label}.`, recoveryMessage: "Process is online again" }));
+      }
+      let healthy = null;
+      if (status === PM2_STATUS_ONLINE) {
+        healthy = await isInstanceHealthy(inst.port, 5000);
+        events.push(evaluateMonitorCheck(instanceState, "health", healthy, { ...options, failureMessage: `Health check http://127.0.0.1:${inst.port}/api/health failed ${failureThreshold} time(s) in a row.`, recoveryMessage: "Health check passes again" }));
+      }
+
+      if (proc && Number.isInteger(proc.restarts)) {
+        if (Number.isInteger(instanceState.restarts) && proc.restarts > instanceState.restarts && !restartedByPbManager) {
+          events.push({ type: "alert", instance: name, check: "restarts", message: `Process restarted ${proc.restarts - instanceState.restarts} time(s) since the last check (${proc.restarts} in total).` });
+        }
+        instanceState.restarts = proc.restarts;
+      }
+
+      if (!inst.useHttps) {
+        delete instanceState.checks.certificate;
+        instanceState.certificateDaysLeft = null;
+      } else if (!instanceState.certificateCheckedAt || now - new Date(instanceState.certificateCheckedAt) >= MONITOR_CERTIFICATE_CHECK_INTERVAL_MS) {
+        const daysLeft = await getInstanceCertExpiryDays(inst);
+        if (typeof daysLeft === "number") {
+          instanceState.certificateCheckedAt = now.toISOString();
+          instanceState.certificateDaysLeft = daysLeft;
+          events.push(evaluateMonitorCheck(instanceState, "certificate", daysLeft > certificateWarningDays, { ...options, threshold: 1, failureMessage: daysLeft <= 0 ? `Certificate for ${inst.domain} has expired.` : `Certificate for ${inst.domain} expires in ${daysLeft} day(s).`, recoveryMessage: `Certificate for ${inst.domain} is valid for ${daysLeft} more day(s)` }));
+        }
+      }
+
+      instanceState.checkedAt = now.toISOString();
+      const failing = Object.keys(instanceState.checks).filter((check) => instanceState.checks[check].failures > 0);
+      results.instances.push({ name, status, stoppedOnPurpose, healthy, restarts: instanceState.restarts, certificateDaysLeft: instanceState.certificateDaysLeft, failing });
+    }
+
+    const newEvents = events.filter(Boolean).map((event) => ({ ...event, host: os.hostname(), timestamp: now.toISOString() }));
+    results.events = newEvents;
+    const outgoing = [...state.pendingEvents, ...newEvents];
+    if (outgoing.length > 0) {
+      const delivery = await _internalSendAlerts({ events: outgoing });
+      results.messages.push(...delivery.messages);
+      state.pendingEvents = delivery.failedEvents.slice(-MONITOR_MAX_PENDING_EVENTS);
+      if (state.pendingEvents.length > 0) {
+        results.messages.push(`${state.pendingEvents.length} alert(s) will be retried on the next check.`);
+      }
+    }
+    await fs.writeJson(MONITOR_STATE_PATH, state, { spaces: 2 });
+    for (const event of newEvents) {
+      results.messages.push(formatAlertSummary(event));
+    }
+    const failingCount = results.instances.filter((instance) => instance.failing.length > 0).length;
+    const stoppedCount = results.instances.filter((instance) => instance.stoppedOnPurpose).length;
+    results.messages.push(`Checked ${results.instances.length} instance(s): ${failingCount} failing, ${stoppedCount} stopped with pb-manager, ${newEvents.length} new alert(s).`);
+    results.success = true;
+  } catch (error) {
+    results.error = `Monitor check failed: ${error.message}`;
+    results.messages.push(results.error);
+    if (completeLogging) console.error(error.stack);
+  }
+  return results;
+}
+
+async function _internalInstallMonitorService(payload) {
+  const { remove = false, intervalSeconds = MONITOR_DEFAULTS.intervalSeconds, failureThreshold = MONITOR_DEFAULTS.failureThreshold, certificateWarningDays = MONITOR_DEFAULTS.certificateWarningDays } = payload;
+  const results = { success: false, messages: [], error: null };
+  const unitPath = path.join(SYSTEMD_UNITS_DIR, MONITOR_SERVICE_UNIT);
+  try {
+    if (!(await isSystemdAvailable())) {
+      results.error = "systemd is not running on this machine. Run 'pb-manager monitor' under another supervisor instead.";
+      results.messages.push(results.error);
+      return results;
+    }
+    if (remove) {
+      if (!(await fs.pathExists(unitPath))) {
+        results.error = `${MONITOR_SERVICE_UNIT} is not installed.`;
+        results.messages.push(results.error);
+        return results;
+      }
+      await safeRunCommand("sudo", ["systemctl", "disable", "--now", MONITOR_SERVICE_UNIT], `Failed to disable ${MONITOR_SERVICE_UNIT}`, true);
+      await safeRunCommand("sudo", ["rm", "-f", unitPath], `Failed to remove ${unitPath}`);
+      await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units", true);
+      results.success = true;
+      results.messages.push(`${MONITOR_SERVICE_UNIT} stopped and removed.`);
+      return results;
+    }
+    const monitorCommand = getPbManagerCommand(`monitor --interval ${intervalSeconds} --failures ${failureThreshold} --cert-warning-days ${certificateWarningDays}`);
+    const serviceContent = ["[Unit]", "Description=pb-manager health monitor", "After=network-online.target", "Wants=network-online.target", "", "[Service]", "Type=simple", `User=${os.userInfo().username}`, `Group=${os.userInfo().gid}`, `Environment=HOME=${path.dirname(CONFIG_DIR)}`, `Environment=PATH=${process.env.PATH}`, `ExecStart=${monitorCommand}`, "Restart=always", "RestartSec=10", "", "[Install]", "WantedBy=multi-user.target", ""].join("\n");
+    await writeSystemFile(unitPath, serviceContent);
+    await safeRunCommand("sudo", ["systemctl", "daemon-reload"], "Failed to reload systemd units");
+    await safeRunCommand("sudo", ["systemctl", "enable", MONITOR_SERVICE_UNIT], `Failed to enable ${MONITOR_SERVICE_UNIT}`);
+    await safeRunCommand("sudo", ["systemctl", "restart", MONITOR_SERVICE_UNIT], `Failed to start ${MONITOR_SERVICE_UNIT}`);
+    results.success = true;
+    results.messages.push(`Installed and started ${MONITOR_SERVICE_UNIT} (checks every ${intervalSeconds}s). Follow it with 'journalctl -u ${MONITOR_SERVICE_UNIT} -f'.`);
+  } catch (error) {
+    results.error = `Failed to ${remove ? "remove" : "install"} the monitor service: ${error.message}`;
+    results.messages.push(results.error);
+  }
+  return results;
+}
+
+function loadYamlModule() {
+  try {
+    return require("js-yaml");
+  } catch (e) {
+    throw new Error("YAML manifests require the js-yaml package. Install it next to pb-manager (npm install js-yaml) or use a JSON manifest.");
+  }
+}
+
+async function readManifestFile(filePath) {
+  const content = await fs.readFile(filePath, "utf8");
+  if (path.extname(filePath).toLowerCase() === ".json" || content.trimStart().startsWith("{")) {
+    return JSON.parse(content);
+  }
+  return loadYamlModule().load(content);
+}
+
+function serializeManifest(manifest, format) {
+  if (format === "json") {
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+  }
+  return loadYamlModule().dump(manifest, { lineWidth: -1, noRefs: true });
+}
+
+function normalizeManifest(manifest, cliConfig, currentInstances = {}) {
+  if (!manifest || typeof manifest !== "object") {
+    throw new Error("Manifest must be a YAML/JSON object.");
+  }
+  if (manifest.version !== undefined && manifest.version !== MANIFEST_FORMAT_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version}. This pb-manager understands version ${MANIFEST_FORMAT_VERSION}.`);
+  }
+  const defaults = manifest.defaults || {};
+  const entries = Array.isArray(manifest.instances) ? manifest.instances.map((entry) => [entry?.name, entry]) : Object.entries(manifest.instances || {});
+  const desired = {};
+  const problems = [];
+  const usedPorts = {};
+  const usedDomains = {};
+
+  for (const [name, rawEntry] of entries) {
+    const entry = { ...defaults, ...rawEntry };
+    if (!isValidInstanceName(name)) {
+      problems.push(`Invalid instance name "${name}". ${INSTANCE_NAME_RULES}`);
+      continue;
+    }
+    if (desired[name]) {
+      problems.push(`Instance "${name}" is declared more than once.`);
+      continue;
+    }
+    const port = Number(entry.port);
+    if (!Number.isInteger(port) || port <= 1024 || port >= 65535) {
+      problems.push(`Instance "${name}": invalid port "${entry.port}".`);
+    } else if (usedPorts[port]) {
+      problems.push(`Instance "${name}": port ${port} is also used by "${usedPorts[port]}".`);
+    }
+    if (!entry.domain || typeof entry.domain !== "string") {
+      problems.push(`Instance "${name}": domain is required.`);
+    }
+    const currentDomains = currentInstances[name] ? getInstanceDomains(currentInstances[name]) : [];
+    const isAcceptedDomain = (domain) => currentDomains.includes(domain) || isValidDomainName(domain);
+    if (entry.domain && typeof entry.domain === "string" && !isAcceptedDomain(entry.domain)) {
+      problems.push(`Instance "${name}": "${entry.domain}" is not a valid domain name.`);
+    }
+    const aliases = entry.aliases === undefined ? [] : entry.aliases;
+    if (!Array.isArray(aliases) || aliases.some((alias) => !isAcceptedDomain(alias))) {
+      problems.push(`Instance "${name}": aliases must be a list of valid domain names.`);
+    }
+    const domains = [entry.domain, ...(Array.isArray(aliases) ? aliases : [])];
+    for (const domain of domains.filter((candidate, index) => candidate && domains.indexOf(candidate) === index)) {
+      if (usedDomains[domain]) {
+        problems.push(`Instance "${name}": domain ${domain} is also used by "${usedDomains[domain]}".`);
+      }
+      usedDomains[domain] = name;
+    }
+    const useHttps = entry.https !== false;
+    const tls = entry.tls === undefined ? TLS_MODE_LETSENCRYPT : entry.tls;
+    if (!TLS_MODES.includes(tls)) {
+      problems.push(`Instance "${name}": tls must be one of ${TLS_MODES.join(", ")}.`);
+    }
+    const emailForCertbot = useHttps && tls === TLS_MODE_LETSENCRYPT ? entry.email || cliConfig.defaultCertbotEmail || null : null;
+    if (useHttps && tls === TLS_MODE_LETSENCRYPT && !emailForCertbot) {
+      problems.push(`Instance "${name}": email is required when https is enabled (or set a default Certbot email).`);
+    }
+    const maxBody = parseMaxBodySize(entry.maxBody === undefined ? true : entry.maxBody);
+    if (maxBody.error) {
+      problems.push(`Instance "${name}": ${maxBody.error}`);
+    }
+    if (entry.pocketBaseVersion !== undefined && !/^\d+\.\d+\.\d+$/.test(String(entry.pocketBaseVersion))) {
+      problems.push(`Instance "${name}": invalid pocketBaseVersion "${entry.pocketBaseVersion}".`);
+    }
+    usedPorts[port] = name;
+    desired[name] = {
+      name,
+      domain: entry.domain,
+      aliases,
+      port,
+      useHttps,
+      tls: useHttps ? tls : null,
+      emailForCertbot,
+      useHttp2: entry.http2 !== false,
+      maxBodySize: maxBody.size,
+      pocketBaseVersion: entry.pocketBaseVersion !== undefined ? String(entry.pocketBaseVersion) : undefined,
+    };
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid manifest:\n  - ${problems.join("\n  - ")}`);
+  }
+  return desired;
+}
+
+function instanceToManifestEntry(instance) {
+  const entry = { domain: instance.domain };
+  if (instance.aliases?.length > 0) {
+    entry.aliases = [...instance.aliases];
+  }
+  entry.port = instance.port;
+  entry.https = Boolean(instance.useHttps);
+  if (instance.useHttps && instance.tls) {
+    entry.tls = instance.tls;
+  }
+  if (instance.useHttps && instance.emailForCertbot) {
+    entry.email = instance.emailForCertbot;
+  }
+  entry.http2 = instance.useHttp2 !== false;
+  entry.maxBody = instance.maxBodySize || false;
+  if (instance.pocketBaseVersion) {
+    entry.pocketBaseVersion = instance.pocketBaseVersion;
+  }
+  return entry;
+}
+
+function computeManifestPlan(desired, current, allowDelete = false) {
+  const plan = [];
+  for (const name of Object.keys(desired)) {
+    const target = desired[name];
+    const existing = current[name];
+    if (!existing) {
+      plan.push({ action: "create", name, changes: [], target });
+      continue;
+    }
+    const changes = [];
+    for (const field of ["domain", "aliases", "port", "useHttps", "tls", "emailForCertbot", "useHttp2", "maxBodySize", "pocketBaseVersion"]) {
+      if (target[field] === undefined) continue;
+      let from = existing[field] === undefined ? (Array.isArray(target[field]) ? [] : null) : existing[field];
+      if (field === "tls") {
+        from = existing.useHttps ? existing.tls || TLS_MODE_LETSENCRYPT : null;
+      }
+      if (JSON.stringify(from) !== JSON.stringify(target[field])) {
+        changes.push({ field, from, to: target[field] });
+      }
+    }
+    if (changes.length > 0) {
+      plan.push({ action: "update", name, changes, target });
+    }
+  }
+  if (allowDelete) {
+    for (const name of Object.keys(current)) {
+      if (!desired[name]) {
+        plan.push({ action: "delete", name, changes: [], target: null });
+      }
+    }
+  }
+  return plan;
+}
+
+async function _internalExportManifest() {
+  const config = await getInstancesConfig();
+  const instances = {};
+  for (const name of Object.keys(config.instances).sort()) {
+    instances[name] = instanceToManifestEntry(config.instances[name]);
+  }
+  return { version: MANIFEST_FORMAT_VERSION, instances };
+}
+
+async function _internalPlanManifest(payload) {
+  const { manifest, allowDelete = false } = payload;
+  const config = await getInstancesConfig();
+  const desired = normalizeManifest(manifest, await getCliConfig(), config.instances);
+  const unmanaged = allowDelete ? [] : Object.keys(config.instances).filter((name) => !desired[name]);
+  return { plan: computeManifestPlan(desired, config.instances, allowDelete), unmanaged };
+}
+
+async function _internalApplyManifestPlan(payload) {
+  const { plan, allowDowngrade = false, autoRunCertbot = true } = payload;
+  const results = { success: false, messages: [], applied: [], error: null };
+  const cliConfig = await getCliConfig();
+
+  for (const step of plan.filter((planStep) => planStep.action === "delete")) {
+    const removeResult = await _internalRemoveInstance({ name: step.name, deleteData: false });
+    results.messages.push(...removeResult.messages);
+    results.applied.push({ action: step.action, name: step.name, success: removeResult.success, error: removeResult.error });
+  }
+
+  for (const step of plan.filter((planStep) => planStep.action !== "delete")) {
+    const { target } = step;
+    let stepResult;
+    if (step.action === "create") {
+      stepResult = await _internalAddInstance({ ...target, pocketBaseVersion: target.pocketBaseVersion || cliConfig.defaultPocketBaseVersion, autoRunCertbot });
+    } else {
+      const versionChange = step.changes.find((change) => change.field === "pocketBaseVersion");
+      const settingChanges = step.changes.filter((change) => change.field !== "pocketBaseVersion");
+      stepResult = { success: true, messages: [], error: null };
+      if (settingChanges.length > 0) {
+        const editPayload = { name: step.name, autoRunCertbot };
+        for (const change of settingChanges) {
+          editPayload[change.field] = change.to;
+        }
+        if (editPayload.useHttps && editPayload.emailForCertbot === undefined) {
+          editPayload.emailForCertbot = target.emailForCertbot;
+        }
+        stepResult = await _internalEditInstance(editPayload);
+      }
+      if (stepResult.success && versionChange) {
+        const upgradeResult = await _internalUpgradeInstance({ name: step.name, version: versionChange.to, allowDowngrade });
+        stepResult = { ...upgradeResult, messages: [...stepResult.messages, ...upgradeResult.messages] };
+      }
+    }
+    results.messages.push(...stepResult.messages);
+    results.applied.push({ action: step.action, name: step.name, success: stepResult.success, error: stepResult.error });
+  }
+
+  const failed = results.applied.filter((step) => !step.success);
+  results.success = failed.length === 0;
+  if (!results.success) {
+    results.error = `${failed.length} of ${results.applied.length} change(s) failed: ${failed.map((step) => `${step.action} ${step.name}`).join(", ")}`;
+  }
+  return results;
+}
+
+function formatManifestPlan(plan, unmanaged = []) {
+  const lines = [];
+  const symbols = { create: chalk.green("+"), update: chalk.yellow("~"), delete: chalk.red("-") };
+  const formatValue = (value) => (value === null ? "(none)" : JSON.stringify(value));
+  for (const step of plan.filter((planStep) => planStep.action !== "delete")) {
+    lines.push(`  ${symbols[step.action]} ${chalk.bold(step.name)} (${step.action})`);
+    if (step.action === "create") {
+      for (const [field, value] of Object.entries(step.target)) {
+        if (field === "name" || value === undefined || (Array.isArray(value) && value.length === 0)) continue;
+        lines.push(`      ${field}: ${formatValue(value)}`);
+      }
+    }
+    for (const change of step.changes) {
+      lines.push(`      ${change.field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+    }
+  }
+  const deletions = plan.filter((step) => step.action === "delete");
+  if (deletions.length > 0) {
+    if (lines.length > 0) lines.push("");
+    lines.push(chalk.red.bold("  Instances missing from the manifest that will be REMOVED (--prune):"));
+    for (const step of deletions) {
+      lines.push(`  ${symbols.delete} ${chalk.bold(step.name)} (delete)`);
+    }
+  }
+  const count = (action) => plan.filter((step) => step.action === action).length;
+  lines.push("", `Plan: ${count("create")} to create, ${count("update")} to update, ${count("delete")} to delete.`);
+  if (unmanaged.length > 0) {
+    lines.push(`Not in the manifest and left untouched: ${unmanaged.join(", ")} (pass --prune to remove them).`);
+  }
+  return lines.join("\n");
+}
+
+async function _internalInstanceProcessAction(payload) {
+  const { name, action } = payload;
+  if (!["start", "stop", "restart"].includes(action)) {
+    return { success: false, error: `Unsupported action "${action}".`, messages: [`Unsupported action "${action}".`] };
+  }
+  const config = await getInstancesConfig();
+  if (!config.instances[name]) {
+    return { success: false, error: `Instance "${name}" not found.`, messages: [`Instance "${name}" not found.`] };
+  }
+  try {
+    await getProcessManager().control(action, name, false, { silent: true });
+    const pastTense = { start: "started", stop: "stopped", restart: "restarted" };
+    return { success: true, messages: [`Instance ${PM2_INSTANCE_PREFIX}${name} ${pastTense[action]}.`] };
+  } catch (error) {
+    return { success: false, error: error.message, messages: [`Failed to ${action} instance ${PM2_INSTANCE_PREFIX}${name}: ${error.message}`] };
+  }
+}
+
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function rotateApiToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const cliConfig = await getCliConfig();
+  cliConfig.apiTokenHash = hashApiToken(token);
+  await saveCliConfig(cliConfig);
+  return token;
+}
+
+function isApiRequestAuthorized(req, tokenHash) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match || !tokenHash) {
+    return false;
+  }
+  const presented = Buffer.from(hashApiToken(match[1].trim()), "hex");
+  const expected = Buffer.from(tokenHash, "hex");
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+function readApiRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > API_MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large."), { statusCode: 413 }));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!body) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(Object.assign(new Error("Request body must be valid JSON."), { statusCode: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendApiResponse(res, statusCode, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(body), "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+const API_INSTANCE_FIELDS = ["name", "domain", "aliases", "port", "useHttps", "tls", "emailForCertbot", "useHttp2", "maxBodySize", "autoRunCertbot", "pocketBaseVersion"];
+
+function pickApiFields(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  }
+  return picked;
+}
+
+function resolveApiBackupArchive(name, archive) {
+  if (typeof archive !== "string" || !archive || archive !== path.basename(archive) || archive === "." || archive === "..") {
+    return null;
+  }
+  const backupDir = path.join(BACKUPS_BASE_DIR, name);
+  const archivePath = path.resolve(backupDir, archive);
+  return path.dirname(archivePath) === backupDir ? archivePath : null;
+}
+
+async function _internalApiRestoreInstance(name, body) {
+  const archivePath = resolveApiBackupArchive(name, body.archive);
+  if (!archivePath) {
+    const error = `Invalid backup archive "${body.archive}". Pass the file name of one of the instance's backups.`;
+    return { success: false, error, messages: [error] };
+  }
+  return _internalRestoreInstance({ ...pickApiFields(body, ["targetName", "newInstance", "restart", "discardSafetyCopy", ...API_INSTANCE_FIELDS.filter((field) => field !== "name")]), name, archive: archivePath });
+}
+
+const API_ROUTES = [
+  { method: "GET", pattern: /^\/api\/stats$/, handler: () => _internalGetGlobalStats() },
+  { method: "GET", pattern: /^\/api\/instances$/, handler: async () => ({ success: true, data: await _internalListInstances() }) },
+  { method: "POST", pattern: /^\/api\/instances$/, handler: (params, body) => _internalAddInstance(pickApiFields(body, API_INSTANCE_FIELDS)) },
+  { method: "PATCH", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)$/, handler: (params, body) => _internalEditInstance({ ...pickApiFields(body, [...API_INSTANCE_FIELDS.filter((field) => field !== "name" && field !== "pocketBaseVersion"), "rateLimit", "adminGuard", "maintenance"]), name: params[0] }) },
+  { method: "DELETE", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)$/, handler: (params, body, query) => _internalRemoveInstance({ name: params[0], deleteData: query.get("deleteData") === "true" }) },
+  { method: "GET", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/logs$/, handler: (params, body, query) => _internalGetInstanceLogs({ name: params[0], lines: query.get("lines") || undefined }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/(start|stop|restart)$/, handler: (params) => _internalInstanceProcessAction({ name: params[0], action: params[1] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/clone$/, handler: (params, body) => _internalCloneInstance({ ...pickApiFields(body, ["newName", "domain", "port", "useHttps", "emailForCertbot", "useHttp2", "maxBodySize", "autoRunCertbot", "pocketBaseVersion"]), sourceName: params[0] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/domains$/, handler: (params, body) => _internalAddInstanceDomain({ ...pickApiFields(body, ["domain", "autoRunCertbot"]), name: params[0] }) },
+  { method: "DELETE", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/domains\/([a-zA-Z0-9.-]+)$/, handler: (params) => _internalRemoveInstanceDomain({ name: params[0], domain: params[1] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/admin-guard\/users$/, handler: (params, body) => _internalAddAdminGuardUser({ name: params[0], username: body.username, password: body.password }) },
+  { method: "DELETE", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/admin-guard\/users\/([a-zA-Z0-9._@-]+)$/, handler: (params) => _internalRemoveAdminGuardUser({ name: params[0], username: params[1] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/maintenance$/, handler: (params, body) => _internalSetMaintenanceMode({ ...pickApiFields(body, ["message", "allow", "retryAfter"]), name: params[0], enabled: body.enabled !== false }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/rename$/, handler: (params, body) => _internalRenameInstance({ oldName: params[0], newName: body.newName }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/reset$/, handler: (params, body) => _internalResetInstance({ ...pickApiFields(body, ["createAdmin", "adminEmail", "adminPassword"]), name: params[0] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/reset-admin$/, handler: (params, body) => _internalResetAdminPassword({ ...pickApiFields(body, ["adminEmail", "adminPassword"]), name: params[0] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/renew-certificates$/, handler: (params, body) => _internalRenewCertificates({ instanceName: params[0], force: body.force === true }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/upgrade$/, handler: (params, body) => _internalUpgradeInstance({ ...pickApiFields(body, ["version", "allowDowngrade", "backup", "autoRollback"]), name: params[0] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/rollback$/, handler: (params) => _internalRollbackInstance({ name: params[0] }) },
+  { method: "GET", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/backups$/, handler: (params) => _internalListBackups({ name: params[0] }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/backups$/, handler: (params, body) => _internalBackupInstance({ name: params[0], upload: body.upload }) },
+  { method: "POST", pattern: /^\/api\/instances\/([a-zA-Z0-9-]+)\/restore$/, handler: (params, body) => _internalApiRestoreInstance(params[0], body) },
+  { method: "POST", pattern: /^\/api\/certificates\/renew$/, handler: (params, body) => _internalRenewCertificates({ instanceName: "all", force: body.force === true }) },
+  { method: "POST", pattern: /^\/api\/pocketbase\/update$/, handler: (params, body) => _internalUpdatePocketBaseExecutable({ version: body.version, backup: body.backup, autoRollback: body.autoRollback }) },
+  { method: "POST", pattern: /^\/api\/ecosystem\/reload$/, handler: () => _internalUpdateEcosystemAndReloadPm2() },
+];
+
+async function startApiServer({ host, port }) {
+  let operationQueue = Promise.resolve();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/api/health") {
+      sendApiResponse(res, 200, { success: true, pbManagerVersion });
+      return;
+    }
+    try {
+      const tokenHash = (await getCliConfig()).apiTokenHash;
+      if (!isApiRequestAuthorized(req, tokenHash)) {
+        sendApiResponse(res, 401, { success: false, error: "Missing or invalid bearer token." });
+        return;
+      }
+    } catch (error) {
+      sendApiResponse(res, 500, { success: false, error: `Could not read the pb-manager configuration: ${error.message}` });
+      return;
+    }
+
+    const pathRoutes = API_ROUTES.filter((route) => route.pattern.test(url.pathname));
+    const route = pathRoutes.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      sendApiResponse(res, pathRoutes.length > 0 ? 405 : 404, { success: false, error: pathRoutes.length > 0 ? `Method ${req.method} not allowed.` : "Not found." });
+      return;
+    }
+
+    try {
+      const body = await readApiRequestBody(req);
+      const params = route.pattern.exec(url.pathname).slice(1);
+      await appendAuditLog(`api ${req.method} ${url.pathname}`, params.join(" "));
+      const run = () => route.handler(params, body, url.searchParams);
+      const result = req.method === "GET" ? await run() : await (operationQueue = operationQueue.catch(() => {}).then(run));
+      const statusCode = result.success !== false ? (req.method === "POST" && url.pathname === "/api/instances" ? 201 : 200) : /not found/i.test(result.error || "") ? 404 : 400;
+      sendApiResponse(res, statusCode, result);
+    } catch (error) {
+      await appendAuditLog(`api ${req.method} ${url.pathname}`, "", error);
+      sendApiResponse(res, error.statusCode || 500, { success: false, error: error.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+program
+  .command("dashboard")
+  .description("Show interactive dashboard for all PocketBase instances")
+  .action(async () => {
+    await showDashboard();
+  });
+
+program
+  .command("configure")
+  .description("Set or view CLI configurations (e.g., default Certbot email, PocketBase version, logging).")
+  .action(async () => {
+    await ensureBaseSetup();
+    const cliConfig = await getCliConfig();
+    const choices = [{ name: `Default Certbot Email: ${cliConfig.defaultCertbotEmail || "Not set"}`, value: "setEmail" }, { name: `Default PocketBase Version (for setup): ${cliConfig.defaultPocketBaseVersion}`, value: "setPbVersion" }, { name: `Enable complete logging: ${cliConfig.completeLogging ? "Yes" : "No"}`, value: "setLogging" }, { name: `Port range for new instances: ${cliConfig.portRange.start}-${cliConfig.portRange.end}`, value: "setPortRange" }, new inquirer.Separator(), { name: "View current JSON config", value: "viewConfig" }, { name: "Exit", value: "exit" }];
+    const { action } = await inquirer.prompt([{ type: "list", name: "action", message: "CLI Configuration:", choices }]);
+
+    switch (action) {
+      case "setEmail": {
+        const { email } = await inquirer.prompt([{ type: "input", name: "email", message: "Enter new default Certbot email (leave blank to clear):", default: cliConfig.defaultCertbotEmail }]);
+        const result = await _internalSetDefaultCertbotEmail({ email });
+        for (const msg of result.messages) {
+          printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+        }
+        break;
+      }
+      case "setPbVersion": {
+        const { version } = await inquirer.prompt([{ type: "input", name: "version", message: "Enter new default PocketBase version (e.g., 0.22.10):", default: cliConfig.defaultPocketBaseVersion, validate: (input) => (/^(\d+\.\d+\.\d+)$/.test(input) || input === "" ? true : "Please enter a valid version (x.y.z) or leave blank.") }]);
+        cliConfig.defaultPocketBaseVersion = version || (await getLatestPocketBaseVersion());
+        delete cliConfig.previousDefaultPocketBaseVersion;
+        await saveCliConfig(cliConfig);
+        printMessage(chalk.green(`Default PocketBase version set to ${cliConfig.defaultPocketBaseVersion}.`));
+        break;
+      }
+      case "setLogging": {
+        const { enableLogging } = await inquirer.prompt([{ type: "confirm", name: "enableLogging", message: "Enable complete logging (show all commands and outputs)?", default: cliConfig.completeLogging || false }]);
+        cliConfig.completeLogging = enableLogging;
+        await saveCliConfig(cliConfig);
+        completeLogging = enableLogging;
+        printMessage(chalk.green(`Complete logging is now ${enableLogging ? "enabled" : "disabled"}.`));
+        break;
+      }
+      case "setPortRange": {
+        const { range } = await inquirer.prompt([
+          {
+            type: "input",
+            name: "range",
+            message: "Port range to allocate new instance ports from (start-end):",
+            default: `${cliConfig.portRange.start}-${cliConfig.portRange.end}`,
+            validate: (input) => {
+              const match = /^(\d+)-(\d+)$/.exec(input.trim());
+              return match && Number(match[1]) > 1024 && Number(match[2]) < 65535 && Number(match[1]) <= Number(match[2]) ? true : "Enter a range such as 8090-8999 (between 1025 and 65534).";
+            },
+          },
+        ]);
+        const [start, end] = range.trim().split("-").map(Number);
+        cliConfig.portRange = { start, end };
+        await saveCliConfig(cliConfig);
+        break;
+      }
+      case "viewConfig":
+        printMessage(chalk.cyan("Current CLI Configuration:"));
+        printMessage(JSON.stringify(cliConfig, (key, value) => ((key === "secretAccessKey" || key === "password") && value ? "********" : value), 2));
+        return;
+      case "exit":
+        printMessage(chalk.blue("Exiting configuration."));
+        return;
+    }
+    if (action !== "setLogging" && action !== "viewConfig" && action !== "exit" && action !== "setEmail") {
+      printMessage(chalk.green("Configuration updated."));
+    }
+  });
+
+program
+  .command("setup")
+  .description("Initial setup: creates directories and downloads PocketBase.")
+  .option("-v, --version <version>", "Specify PocketBase version to download for setup")
+  .action(async (options) => {
+    printMessage(chalk.bold.cyan("Starting PocketBase Manager Setup..."));
+    await ensureBaseSetup();
+    const dlResult = await downloadPocketBaseIfNotExists(options.version, true);
+    if (dlResult && dlResult.success === false) {
+      console.error(chalk.red(`PocketBase download failed: ${dlResult.message}`));
+    } else {
+      printMessage(chalk.bold.green("Setup complete!"));
+      printMessage(chalk.blue("You can now add your first PocketBase instance using: sudo pb-manager add"));
+    }
+  });
+
+program
+  .command("add")
+  .alias("create")
+  .description("Add a new PocketBase instance")
+  .option("--name <name>", "Instance name (letters, numbers and dashes)")
+  .option("--domain <domain>", "Domain/subdomain for this instance")
+  .option("--port <port>", "Internal port for this instance (defaults to the first free port in the configured range)", (value) => Number.parseInt(value, 10))
+  .option("--https", "Configure HTTPS with Certbot")
+  .option("--no-https", "Serve the instance over HTTP only")
+  .option("--tls <mode>", `Certificate source when HTTPS is enabled: ${TLS_MODES.join(", ")} (default ${TLS_MODE_LETSENCRYPT})`)
+  .option("--email <email>", "Email for Let's Encrypt (defaults to the configured Certbot email)")
+  .option("--certbot", "Run Certbot right away to obtain the certificate")
+  .option("--no-certbot", "Generate the HTTPS config without running Certbot")
+  .option("--http2", "Enable HTTP/2 in the Nginx config")
+  .option("--no-http2", "Disable HTTP/2 in the Nginx config")
+  .option("--max-body <size>", `client_max_body_size for the Nginx config, e.g. 5M, 500M or 0 for no limit (default ${NGINX_DEFAULT_MAX_BODY_SIZE})`)
+  .option("--no-max-body", "Keep the Nginx default body size limit (1M)")
+  .option("--admin-email <email>", "Create a superuser (admin) account with this email")
+  .option("--admin-password-stdin", "Read the admin password from stdin (combine with --yes)")
+  .option("--skip-dns-check", "Do not check that the domain resolves to this server before requesting a certificate")
+  .option("-y, --yes", "Do not prompt; use the given options and defaults for everything else")
+  .option("--json", "Print the result as JSON")
+  .action(async (options) => {
+    const cliConfig = await getCliConfig();
+    if (options.tls !== undefined && !TLS_MODES.includes(options.tls)) {
+      reportCommandFailure(`Invalid --tls mode "${options.tls}". Use one of: ${TLS_MODES.join(", ")}.`);
+      return;
+    }
+    const requiredOptions = { "--name": options.name, "--domain": options.domain };
+    if (options.https !== false && (options.tls || TLS_MODE_LETSENCRYPT) === TLS_MODE_LETSENCRYPT) {
+      requiredOptions["--email (or --no-https)"] = options.email || cliConfig.defaultCertbotEmail;
+    }
+    if (!checkNonInteractiveInput(requiredOptions, { "--admin-password-stdin": options.adminPasswordStdin })) {
+      return;
+    }
+    await ensureBaseSetup();
+
+    if (!(await fs.pathExists(getPocketBaseExecPath(cliConfig.defaultPocketBaseVersion)))) {
+      printMessage(chalk.yellow(`PocketBase v${cliConfig.defaultPocketBaseVersion} executable not found. Attempting to download...`));
+      const dlResult = await downloadPocketBaseIfNotExists(cliConfig.defaultPocketBaseVersion, !nonInteractive);
+      if (!dlResult.success) {
+        reportCommandFailure(`PocketBase download failed: ${dlResult.message}. Cannot add instance.`);
+        return;
+      }
+      if (!(await fs.pathExists(getPocketBaseExecPath(cliConfig.defaultPocketBaseVersion)))) {
+        reportCommandFailure("PocketBase download seems to have failed despite no error. Cannot add instance.");
+        return;
+      }
+    }
+
+    const adminPassword = options.adminPasswordStdin ? await readPasswordFromStdin() : undefined;
+    if (nonInteractive && options.adminEmail && !adminPassword) {
+      reportCommandFailure("--admin-email requires --admin-password-stdin when prompts are disabled.");
+      return;
+    }
+
+    const initialAnswers = await promptOrDefaults(
+      [
+        { type: "input", name: "name", message: "Instance name (e.g., my-app, no spaces):", validate: (input) => (isValidInstanceName(input) ? true : `Invalid name. ${INSTANCE_NAME_RULES}`) },
+        { type: "input", name: "domain", message: "Domain/subdomain for this instance (e.g., app.example.com):", validate: validateDomainInput },
+        { type: "number", name: "port", message: "Internal port for this instance (e.g., 8091):", default: (await findFreePort()) || undefined, validate: validatePortInput },
+        { type: "confirm", name: "useHttp2", message: "Enable HTTP/2 in Nginx config?", default: true },
+        { type: "input", name: "maxBodySize", message: MAX_BODY_SIZE_PROMPT, default: NGINX_DEFAULT_MAX_BODY_SIZE, validate: validateMaxBodySizeInput },
+      ],
+      { name: options.name, domain: options.domain, port: options.port, useHttp2: options.http2, maxBodySize: options.maxBody },
+    );
+
+    const config = await getInstancesConfig();
+    if (config.instances[initialAnswers.name]) {
+      reportCommandFailure(`Instance "${initialAnswers.name}" already exists.`);
+      return;
+    }
+    for (const instName in config.instances) {
+      if (config.instances[instName].port === initialAnswers.port) {
+        reportCommandFailure(`Port ${initialAnswers.port} is already in use by another managed instance.`);
+        return;
+      }
+      if (getInstanceDomains(config.instances[instName]).includes(initialAnswers.domain)) {
+        reportCommandFailure(`Domain ${initialAnswers.domain} is already in use by another managed instance.`);
+        return;
+      }
+    }
+
+    let emailToUseForCertbot = cliConfig.defaultCertbotEmail;
+    const httpsAnswers = await promptOrDefaults(
+      [
+        { type: "confirm", name: "useHttps", message: "Configure HTTPS?", default: true },
+        {
+          type: "list",
+          name: "tls",
+          message: "Certificate source:",
+          choices: [
+            { name: "Let's Encrypt (Certbot)", value: TLS_MODE_LETSENCRYPT },
+            { name: "pb-manager internal CA (for internal/staging domains)", value: TLS_MODE_INTERNAL_CA },
+            { name: "Custom certificate (installed with 'pb-manager cert install')", value: TLS_MODE_CUSTOM },
+          ],
+          default: TLS_MODE_LETSENCRYPT,
+          when: (answers) => answers.useHttps,
+        },
+        { type: "confirm", name: "useDefaultEmail", message: `Use default email (${cliConfig.defaultCertbotEmail}) for Let's Encrypt?`, default: true, when: (answers) => answers.useHttps && answers.tls === TLS_MODE_LETSENCRYPT && cliConfig.defaultCertbotEmail },
+        { type: "input", name: "emailForCertbot", message: "Enter email for Let's Encrypt:", when: (answers) => answers.useHttps && answers.tls === TLS_MODE_LETSENCRYPT && (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail), validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required."), default: (answers) => (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail ? undefined : cliConfig.defaultCertbotEmail) },
+        { type: "confirm", name: "autoRunCertbot", message: "Attempt to automatically run Certbot now to obtain the SSL certificate?", default: true, when: (answers) => answers.useHttps && answers.tls === TLS_MODE_LETSENCRYPT },
+      ],
+      { useHttps: options.https, tls: options.tls, useDefaultEmail: options.email ? false : undefined, emailForCertbot: options.email, autoRunCertbot: options.certbot },
+    );
+    const useLetsEncrypt = httpsAnswers.useHttps && httpsAnswers.tls === TLS_MODE_LETSENCRYPT;
+
+    if (useLetsEncrypt) {
+      const dnsValid = options.skipDnsCheck || (await validateDnsRecords(initialAnswers.domain));
+      if (!dnsValid) {
+        const { proceedAnyway } = await promptOrDefaults([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${initialAnswers.domain}. Certbot will likely fail. Do you want to proceed with the setup (you might need to fix DNS and run Certbot manually later, or use HTTP only)?`), default: false }]);
+        if (!proceedAnyway) {
+          reportCommandFailure("Instance setup aborted due to DNS issues.");
+          return;
+        }
+        printMessage(chalk.yellow("Proceeding with setup despite DNS validation issues. HTTPS/Certbot might fail."));
+      }
+      if (cliConfig.defaultCertbotEmail && httpsAnswers.useDefaultEmail) {
+        emailToUseForCertbot = cliConfig.defaultCertbotEmail;
+      } else {
+        emailToUseForCertbot = httpsAnswers.emailForCertbot;
+      }
+      if (!emailToUseForCertbot) {
+        reportCommandFailure("Certbot email is required for HTTPS setup. Aborting.");
+        return;
+      }
+    }
+
+    const addPayload = {
+      name: initialAnswers.name,
+      domain: initialAnswers.domain,
+      port: initialAnswers.port,
+      useHttps: httpsAnswers.useHttps,
+      tls: httpsAnswers.useHttps ? httpsAnswers.tls : TLS_MODE_LETSENCRYPT,
+      emailForCertbot: useLetsEncrypt ? emailToUseForCertbot : null,
+      useHttp2: initialAnswers.useHttp2,
+      maxBodySize: initialAnswers.maxBodySize,
+      autoRunCertbot: useLetsEncrypt ? httpsAnswers.autoRunCertbot : false,
+      pocketBaseVersion: cliConfig.defaultPocketBaseVersion,
+    };
+
+    const result = await _internalAddInstance(addPayload);
+
+    for (const msg of result.messages) {
+      printMessage(chalk.blue(msg));
+    }
+
+    if (!result.success) {
+      reportCommandFailure(`Failed to add instance: ${result.error || "Unknown error during add operation."}`, { messages: result.messages });
+      return;
+    }
+
+    let adminCreatedViaCli = false;
+    const { createAdminCli } = await promptOrDefaults([{ type: "confirm", name: "createAdminCli", message: "Do you want to create a superuser (admin) account for this instance via CLI now?", default: true }], { createAdminCli: options.adminEmail ? true : nonInteractive ? false : undefined });
+    if (createAdminCli) {
+      const adminCredentials = await promptOrDefaults(
+        [
+          { type: "input", name: "adminEmail", message: "Enter admin email:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
+          { type: "password", name: "adminPassword", message: "Enter admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
+        ],
+        { adminEmail: options.adminEmail, adminPassword },
+      );
+      const instanceDataDir = path.join(INSTANCES_DATA_BASE_DIR, initialAnswers.name);
+      const migrationsDir = path.join(instanceDataDir, "pb_migrations");
+      const adminCreateArgs = ["superuser", "create", adminCredentials.adminEmail, adminCredentials.adminPassword, "--dir", instanceDataDir, "--migrationsDir", migrationsDir];
+      if (completeLogging) {
+        printMessage(chalk.blue("\nAttempting to create superuser (admin) account via CLI..."));
+      }
+      try {
+        const adminCmdResult = await safeRunCommand(getInstanceExecPath(result.instance), adminCreateArgs, "Failed to create superuser (admin) account via CLI.");
+        if (adminCmdResult?.stdout?.includes("Successfully created new superuser")) {
+          if (completeLogging) printMessage(adminCmdResult.stdout.trim());
+        }
+        printMessage(chalk.green(`Superuser (admin) account for ${adminCredentials.adminEmail} created successfully!`));
+        adminCreatedViaCli = true;
+      } catch (e) {
+        console.error(chalk.red(`Superuser (admin) account creation via CLI failed: ${e.message}. Please try creating it via the web UI.`));
+        if (nonInteractive) process.exitCode = 1;
+      }
+    }
+
+    if (jsonOutput) {
+      printJsonResult({ ...result, adminCreated: adminCreatedViaCli });
+      return;
+    }
+
+    printMessage(chalk.bold.green(`\nInstance "${initialAnswers.name}" added!`));
+    const protocol = result.instance.useHttps && (result.certbotSuccess || result.instance.tls === TLS_MODE_INTERNAL_CA) ? "https" : "http";
+    const publicBaseUrl = `${protocol}://${result.instance.domain}`;
+    const localAdminUrl = `http://127.0.0.1:${result.instance.port}/_/`;
+    printMessage(chalk.blue("\nInstance Details:"));
+    printMessage(chalk.blue(`  Public URL: ${publicBaseUrl}/_/`));
+    if (!adminCreatedViaCli) {
+      printMessage(chalk.yellow("\nIMPORTANT NEXT STEP: Create your PocketBase Admin Account"));
+      printMessage(chalk.yellow("1. Visit one of the URLs below in your browser to create the first admin user:"));
+      printMessage(chalk.yellow(`   - Option A (Recommended if Nginx/HTTPS is working): ${publicBaseUrl}/_/`));
+      printMessage(chalk.yellow(`   - Option B (Direct access, may require SSH port forwarding for headless servers): ${localAdminUrl}`));
+      printMessage(chalk.cyan(`     (For SSH port forwarding: ssh -L ${initialAnswers.port}:127.0.0.1:${initialAnswers.port} your_user@your_server_ip then open ${localAdminUrl} in your local browser)`));
+    } else {
+      printMessage(chalk.yellow("\nYou can now access the admin panel at:"));
+      printMessage(chalk.yellow(`   - ${publicBaseUrl}/_/`));
+      printMessage(chalk.yellow(`   - Or locally (if needed for direct access): ${localAdminUrl}`));
+    }
+    if (useLetsEncrypt && !result.certbotSuccess && httpsAnswers.autoRunCertbot) {
+      printMessage(chalk.red("\nCertbot failed. The instance might only be available via HTTP or not at all if Nginx config expects SSL."));
+      printMessage(chalk.red("You might need to use the local URL for admin access or fix the Nginx/Certbot issue."));
+      printMessage(chalk.red(`Try: sudo certbot --nginx -d ${initialAnswers.domain} -m ${emailToUseForCertbot}`));
+    }
+    printMessage(chalk.yellow("\nOnce logged in, you can manage your collections and settings."));
+  });
+
+program
+  .command("clone <sourceName> <newName>")
+  .description("Clone an existing PocketBase instance's data and configuration to a new instance.")
+  .option("--domain <domain>", "Domain/subdomain for the new instance")
+  .option("--port <port>", "Internal port for the new instance (defaults to the first free port in the configured range)", (value) => Number.parseInt(value, 10))
+  .option("--https", "Configure HTTPS with Certbot")
+  .option("--no-https", "Serve the new instance over HTTP only")
+  .option("--email <email>", "Email for Let's Encrypt (defaults to the configured Certbot email)")
+  .option("--certbot", "Run Certbot right away to obtain the certificate")
+  .option("--no-certbot", "Generate the HTTPS config without running Certbot")
+  .option("--http2", "Enable HTTP/2 in the Nginx config")
+  .option("--no-http2", "Disable HTTP/2 in the Nginx config")
+  .option("--max-body <size>", `client_max_body_size for the Nginx config, e.g. 5M, 500M or 0 for no limit (default ${NGINX_DEFAULT_MAX_BODY_SIZE})`)
+  .option("--no-max-body", "Keep the Nginx default body size limit (1M)")
+  .option("--admin-email <email>", "Create an additional superuser (admin) account with this email")
+  .option("--admin-password-stdin", "Read the admin password from stdin (combine with --yes)")
+  .option("--skip-dns-check", "Do not check that the domain resolves to this server before requesting a certificate")
+  .option("-y, --yes", "Do not prompt; use the given options and the source instance's settings for everything else")
+  .option("--json", "Print the result as JSON")
+  .action(async (sourceName, newName, options) => {
+    const cliConfig = await getCliConfig();
+    await ensureBaseSetup();
+
+    const config = await getInstancesConfig();
+    const sourceInstance = config.instances[sourceName];
+    if (!sourceInstance) {
+      reportCommandFailure(`Source instance "${sourceName}" not found.`);
+      return;
+    }
+    if (!isValidInstanceName(newName)) {
+      reportCommandFailure(`Invalid instance name "${newName}". ${INSTANCE_NAME_RULES}`);
+      return;
+    }
+    if (config.instances[newName]) {
+      reportCommandFailure(`Target instance "${newName}" already exists.`);
+      return;
+    }
+    if (!checkNonInteractiveInput({}, { "--admin-password-stdin": options.adminPasswordStdin })) {
+      return;
+    }
+    const adminPassword = options.adminPasswordStdin ? await readPasswordFromStdin() : undefined;
+    if (nonInteractive && options.adminEmail && !adminPassword) {
+      reportCommandFailure("--admin-email requires --admin-password-stdin when prompts are disabled.");
+      return;
+    }
+    printMessage(chalk.blue(`Cloning instance "${sourceName}" to "${newName}"...`));
+
+    const cloneAnswers = await promptOrDefaults(
+      [
+        { type: "input", name: "domain", message: `Domain/subdomain for new instance "${newName}":`, default: `cloned-${sourceInstance.domain}`, validate: validateDomainInput },
+        { type: "number", name: "port", message: `Internal port for new instance "${newName}":`, default: (await findFreePort()) || undefined, validate: validatePortInput },
+        { type: "confirm", name: "useHttp2", message: "Enable HTTP/2 in Nginx config for new instance?", default: sourceInstance.useHttp2 },
+        { type: "input", name: "maxBodySize", message: MAX_BODY_SIZE_PROMPT, default: sourceInstance.maxBodySize || "off", validate: validateMaxBodySizeInput },
+      ],
+      { domain: options.domain, port: options.port, useHttp2: options.http2, maxBodySize: options.maxBody },
+    );
+    for (const instName in config.instances) {
+      if (config.instances[instName].port === cloneAnswers.port) {
+        reportCommandFailure(`Port ${cloneAnswers.port} is already in use by another managed instance.`);
+        return;
+      }
+      if (getInstanceDomains(config.instances[instName]).includes(cloneAnswers.domain)) {
+        reportCommandFailure(`Domain ${cloneAnswers.domain} is already in use by another managed instance.`);
+        return;
+      }
+    }
+
+    let emailToUseForCertbot = cliConfig.defaultCertbotEmail;
+    const httpsAnswers = await promptOrDefaults(
+      [
+        { type: "confirm", name: "useHttps", message: `Configure HTTPS (Certbot) for "${newName}"?`, default: sourceInstance.useHttps },
+        { type: "confirm", name: "useDefaultEmail", message: `Use default email (${cliConfig.defaultCertbotEmail}) for Let's Encrypt?`, default: true, when: (answers) => answers.useHttps && cliConfig.defaultCertbotEmail },
+        { type: "input", name: "emailForCertbot", message: "Enter email for Let's Encrypt:", when: (answers) => answers.useHttps && (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail), validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required."), default: (answers) => (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail ? sourceInstance.emailForCertbot : cliConfig.defaultCertbotEmail) },
+        { type: "confirm", name: "autoRunCertbot", message: "Attempt to automatically run Certbot now to obtain the SSL certificate?", default: true, when: (answers) => answers.useHttps },
+      ],
+      { useHttps: options.https, useDefaultEmail: options.email ? false : undefined, emailForCertbot: options.email, autoRunCertbot: options.certbot },
+    );
+
+    if (httpsAnswers.useHttps) {
+      const dnsValid = options.skipDnsCheck || (await validateDnsRecords(cloneAnswers.domain));
+      if (!dnsValid) {
+        const { proceedAnyway } = await promptOrDefaults([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${cloneAnswers.domain}. Certbot will likely fail. Do you want to proceed with cloning (you might need to fix DNS and run Certbot manually later, or use HTTP only)?`), default: false }]);
+        if (!proceedAnyway) {
+          reportCommandFailure("Instance cloning aborted due to DNS issues.");
+          return;
+        }
+        printMessage(chalk.yellow("Proceeding with cloning despite DNS validation issues. HTTPS/Certbot might fail."));
+      }
+      if (cliConfig.defaultCertbotEmail && httpsAnswers.useDefaultEmail) {
+        emailToUseForCertbot = cliConfig.defaultCertbotEmail;
+      } else {
+        emailToUseForCertbot = httpsAnswers.emailForCertbot;
+      }
+      if (!emailToUseForCertbot) {
+        reportCommandFailure("Certbot email is required for HTTPS setup. Aborting.");
+        return;
+      }
+    }
+
+    let adminPayload = {};
+    const { createAdminCli } = await promptOrDefaults([{ type: "confirm", name: "createAdminCli", message: `Data has been cloned. Do you want to create an *additional* superuser (admin) account for "${newName}" via CLI now? (Existing admins from "${sourceName}" are already cloned)`, default: false }], { createAdminCli: options.adminEmail ? true : undefined });
+    if (createAdminCli) {
+      const adminCredentials = await promptOrDefaults(
+        [
+          { type: "input", name: "adminEmail", message: "Enter new admin email:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
+          { type: "password", name: "adminPassword", message: "Enter new admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
+        ],
+        { adminEmail: options.adminEmail, adminPassword },
+      );
+      adminPayload = { createAdminCli: true, adminEmail: adminCredentials.adminEmail, adminPassword: adminCredentials.adminPassword };
+    }
+
+    const clonePayload = {
+      sourceName,
+      newName,
+      domain: cloneAnswers.domain,
+      port: cloneAnswers.port,
+      useHttps: httpsAnswers.useHttps,
+      emailForCertbot: httpsAnswers.useHttps ? emailToUseForCertbot : null,
+      useHttp2: cloneAnswers.useHttp2,
+      maxBodySize: cloneAnswers.maxBodySize,
+      autoRunCertbot: httpsAnswers.useHttps ? httpsAnswers.autoRunCertbot : false,
+      pocketBaseVersion: sourceInstance.pocketBaseVersion,
+      ...adminPayload,
+    };
+
+    const result = await _internalCloneInstance(clonePayload);
+
+    for (const msg of result.messages) {
+      printMessage(chalk.blue(msg));
+    }
+
+    if (!result.success) {
+      reportCommandFailure(`Failed to clone instance: ${result.error || "Unknown error during clone operation."}`, { messages: result.messages });
+      return;
+    }
+
+    if (jsonOutput) {
+      printJsonResult(result);
+      return;
+    }
+
+    printMessage(chalk.bold.green(`\nInstance "${newName}" cloned!`));
+    const protocol = result.instance.useHttps && result.certbotSuccess ? "https" : "http";
+    const publicBaseUrl = `${protocol}://${result.instance.domain}`;
+    const localAdminUrl = `http://127.0.0.1:${result.instance.port}/_/`;
+    printMessage(chalk.blue("\nNew Cloned Instance Details:"));
+    printMessage(chalk.blue(`  Public URL: ${publicBaseUrl}/_/`));
+    printMessage(chalk.yellow("Remember that all data, including users and admins, has been cloned from the source instance."));
+    if (!createAdminCli) {
+      printMessage(chalk.yellow(`You can access the admin panel for "${newName}" using existing credentials from "${sourceName}" or create/reset admins via the UI or 'pb-manager reset-admin ${newName}'.`));
+    }
+    printMessage(chalk.yellow(`   - Public Admin: ${publicBaseUrl}/_/`));
+    printMessage(chalk.yellow(`   - Local Admin (direct access): ${localAdminUrl}`));
+    if (result.instance.useHttps && !result.certbotSuccess && httpsAnswers.autoRunCertbot) {
+      printMessage(chalk.red(`\nCertbot failed for "${newName}". The instance might only be available via HTTP.`));
+      printMessage(chalk.red(`Try: sudo certbot --nginx -d ${cloneAnswers.domain} -m ${emailToUseForCertbot}`));
+    }
+  });
+
+program
+  .command("edit <name>")
+  .description("Change an instance's domain, port, HTTPS and proxy options")
+  .option("--domain <domain>", "New domain/subdomain")
+  .option("--port <port>", "New internal port", (value) => Number.parseInt(value, 10))
+  .option("--https", "Enable HTTPS with Certbot")
+  .option("--no-https", "Serve the instance over HTTP only")
+  .option("--tls <mode>", `Certificate source when HTTPS is enabled: ${TLS_MODES.join(", ")}`)
+  .option("--email <email>", "Email for Let's Encrypt")
+  .option("--certbot", "Run Certbot right away when a new certificate is needed")
+  .option("--no-certbot", "Do not run Certbot; stay HTTP-only until it is run manually")
+  .option("--http2", "Enable HTTP/2 in the Nginx config")
+  .option("--no-http2", "Disable HTTP/2 in the Nginx config")
+  .option("--max-body <size>", `client_max_body_size for the Nginx config, e.g. 5M, 500M or 0 for no limit (default ${NGINX_DEFAULT_MAX_BODY_SIZE})`)
+  .option("--no-max-body", "Keep the Nginx default body size limit (1M)")
+  .option("--skip-dns-check", "Do not check that the domain resolves to this server before requesting a certificate")
+  .option("-y, --yes", "Do not prompt; apply the given options")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const cliConfig = await getCliConfig();
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+
+    const current = { ...instance, tls: instance.useHttps ? instance.tls || TLS_MODE_LETSENCRYPT : undefined };
+    const flagAnswers = { domain: options.domain, port: options.port, useHttps: options.https, tls: options.tls, emailForCertbot: options.email, useHttp2: options.http2, maxBodySize: options.maxBody };
+    const flagsGiven = Object.values(flagAnswers).some((value) => value !== undefined);
+    const presets = flagsGiven ? { domain: instance.domain, port: instance.port, useHttps: instance.useHttps, tls: current.tls || TLS_MODE_LETSENCRYPT, useHttp2: instance.useHttp2, maxBodySize: current.maxBodySize, ...Object.fromEntries(Object.entries(flagAnswers).filter(([, value]) => value !== undefined)) } : {};
+    const answers = await promptOrDefaults(
+      [
+        { type: "input", name: "domain", message: "Domain/subdomain:", default: instance.domain, validate: (input) => (input === instance.domain ? true : validateDomainInput(input)) },
+        { type: "number", name: "port", message: "Internal port:", default: instance.port, validate: (input) => (input === instance.port ? true : validatePortInput(input)) },
+        { type: "confirm", name: "useHttps", message: "Serve over HTTPS?", default: instance.useHttps },
+        {
+          type: "list",
+          name: "tls",
+          message: "Certificate source:",
+          choices: [
+            { name: "Let's Encrypt (Certbot)", value: TLS_MODE_LETSENCRYPT },
+            { name: "pb-manager internal CA (for internal/staging domains)", value: TLS_MODE_INTERNAL_CA },
+            { name: "Custom certificate (installed with 'pb-manager cert install')", value: TLS_MODE_CUSTOM },
+          ],
+          default: current.tls || TLS_MODE_LETSENCRYPT,
+          when: (answersSoFar) => answersSoFar.useHttps,
+          validate: (input) => (TLS_MODES.includes(input) ? true : `Use one of: ${TLS_MODES.join(", ")}.`),
+        },
+        { type: "input", name: "emailForCertbot", message: "Email for Let's Encrypt:", default: instance.emailForCertbot || cliConfig.defaultCertbotEmail || undefined, when: (answersSoFar) => answersSoFar.useHttps && answersSoFar.tls === TLS_MODE_LETSENCRYPT, validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required.") },
+        { type: "confirm", name: "useHttp2", message: "Enable HTTP/2 in Nginx config?", default: instance.useHttp2 },
+        { type: "input", name: "maxBodySize", message: MAX_BODY_SIZE_PROMPT, default: instance.maxBodySize || "off", validate: validateMaxBodySizeInput },
+      ],
+      presets,
+    );
+
+    const { size: bodySize, error: bodySizeError } = parseMaxBodySize(answers.maxBodySize);
+    if (bodySizeError) {
+      reportCommandFailure(bodySizeError);
+      return;
+    }
+    const changes = [];
+    answers.maxBodySize = bodySize;
+    for (const field of ["domain", "port", "useHttps", "tls", "emailForCertbot", "useHttp2", "maxBodySize"]) {
+      if (answers[field] !== undefined && answers[field] !== current[field] && !(field === "emailForCertbot" && (!answers.useHttps || answers.tls !== TLS_MODE_LETSENCRYPT)) && !(field === "tls" && !answers.useHttps)) {
+        changes.push({ field, from: current[field] === undefined ? null : current[field], to: answers[field] });
+      }
+    }
+    if (changes.length === 0) {
+      printMessage(chalk.green(`No changes for "${name}".`));
+      if (jsonOutput) printJsonResult({ success: true, changes, instance });
+      return;
+    }
+    printMessage(chalk.bold.cyan(`Changes for "${name}":`));
+    for (const change of changes) {
+      printMessage(`  ${change.field}: ${chalk.red(JSON.stringify(change.from))} -> ${chalk.green(JSON.stringify(change.to))}`);
+    }
+
+    const needsCertificate = answers.useHttps && answers.tls === TLS_MODE_LETSENCRYPT && (current.tls !== TLS_MODE_LETSENCRYPT || answers.domain !== instance.domain);
+    for (const domain of needsCertificate && !options.skipDnsCheck ? [answers.domain, ...(instance.aliases || [])] : []) {
+      if (await validateDnsRecords(domain)) continue;
+      const { proceedAnyway } = await promptOrDefaults([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${domain}. Certbot will likely fail. Do you want to proceed anyway?`), default: false }]);
+      if (!proceedAnyway) {
+        reportCommandFailure("Edit aborted due to DNS issues.");
+        return;
+      }
+    }
+    const { confirmEdit } = await promptOrDefaults([{ type: "confirm", name: "confirmEdit", message: `Apply these changes? Nginx will be reloaded${changes.some((change) => change.field === "port") ? ` and ${PM2_INSTANCE_PREFIX}${name} restarted` : ""}.`, default: true }], { confirmEdit: options.yes ? true : undefined });
+    if (!confirmEdit) {
+      printMessage(chalk.yellow("Edit cancelled."));
+      return;
+    }
+
+    const editPayload = { name, autoRunCertbot: options.certbot !== false };
+    for (const change of changes) {
+      editPayload[change.field] = change.to;
+    }
+    if (answers.useHttps) {
+      editPayload.emailForCertbot = answers.emailForCertbot;
+    }
+    const result = await _internalEditInstance(editPayload);
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to edit instance: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult({ ...result, changes });
+    }
+  });
+
+program
+  .command("rename <oldName> <newName>")
+  .description("Rename an instance (PM2 process, Nginx config, data and backup directories)")
+  .option("-y, --yes", "Do not ask for confirmation")
+  .option("--json", "Print the result as JSON")
+  .action(async (oldName, newName, options) => {
+    const config = await getInstancesConfig();
+    if (!config.instances[oldName]) {
+      reportCommandFailure(`Instance "${oldName}" not found.`);
+      return;
+    }
+    const { confirmRename } = await promptOrDefaults([{ type: "confirm", name: "confirmRename", message: `Rename "${oldName}" to "${newName}"? ${PM2_INSTANCE_PREFIX}${oldName} will be stopped and started again as ${PM2_INSTANCE_PREFIX}${newName} (a stopped instance stays stopped).`, default: true }], { confirmRename: options.yes ? true : undefined });
+    if (!confirmRename) {
+      printMessage(chalk.yellow("Rename cancelled."));
+      return;
+    }
+    const result = await _internalRenameInstance({ oldName, newName });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to rename instance: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+const certCommand = program.command("cert").description("Manage bring-your-own TLS certificates");
+
+certCommand
+  .command("install <name>")
+  .description("Install your own certificate and private key for an instance and serve it over HTTPS")
+  .requiredOption("--cert <file>", "PEM file with the server certificate followed by any intermediates (fullchain)")
+  .requiredOption("--key <file>", "PEM file with the private key")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const result = await _internalInstallCertificate({ name, certPath: path.resolve(options.cert), keyPath: path.resolve(options.key) });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to install certificate: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+certCommand
+  .command("info <name>")
+  .description("Show the custom certificate installed for an instance")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    const info = await readCustomCertificateInfo(instance);
+    if (!info.certificate) {
+      reportCommandFailure(info.error);
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult({ success: true, name, tls: instance.tls || TLS_MODE_LETSENCRYPT, certificate: info.certificate });
+      return;
+    }
+    printMessage(`${chalk.bold("Subject:")} ${info.certificate.subject.replace(/\n/g, ", ")}`);
+    printMessage(`${chalk.bold("Issuer:")} ${info.certificate.issuer.replace(/\n/g, ", ")}`);
+    printMessage(`${chalk.bold("Names:")} ${info.certificate.subjectAltName || "-"}`);
+    printMessage(`${chalk.bold("Valid:")} ${info.certificate.validFrom} - ${info.certificate.expiresAt} (${info.certificate.daysLeft} day(s) left)`);
+    printMessage(`${chalk.bold("SHA-256:")} ${info.certificate.fingerprint}`);
+    if (instance.tls !== TLS_MODE_CUSTOM) {
+      printMessage(chalk.yellow(`"${name}" is not currently serving this certificate (TLS mode: ${instance.useHttps ? instance.tls || TLS_MODE_LETSENCRYPT : "none"}).`));
+    }
+  });
+
+const nginxCommand = program.command("nginx").description("Preview and customize the generated Nginx configuration");
+
+nginxCommand
+  .command("render <name>")
+  .description("Print the Nginx config an instance would get from its current template, without writing it")
+  .option("--template <file>", "Render with this template file instead of the configured one")
+  .action(async (name, options) => {
+    const result = await _internalRenderInstanceNginxConfig({ name, templatePath: options.template ? path.resolve(options.template) : null });
+    if (!result.success) {
+      reportCommandFailure(result.error);
+      return;
+    }
+    console.error(chalk.blue(`# Template: ${result.source}`));
+    for (const msg of result.messages) {
+      console.error(chalk.yellow(`# ${msg}`));
+    }
+    process.stdout.write(result.content);
+  });
+
+nginxCommand
+  .command("template [name]")
+  .description("Create a template override from the built-in template: global, or for a single instance")
+  .option("--force", "Overwrite an existing template override")
+  .action(async (name, options) => {
+    if (name && !(await getInstancesConfig()).instances[name]) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    const templatePaths = getNginxTemplatePaths(name || "");
+    const templatePath = name ? templatePaths.instance : templatePaths.global;
+    if ((await fs.pathExists(templatePath)) && !options.force) {
+      reportCommandFailure(`${templatePath} already exists. Use --force to replace it with the built-in template.`);
+      return;
+    }
+    await fs.ensureDir(path.dirname(templatePath));
+    await fs.writeFile(templatePath, DEFAULT_NGINX_TEMPLATE);
+    printMessage(chalk.green(`Template written to ${templatePath}.`));
+    printMessage(chalk.blue(`Edit it, preview the result with 'pb-manager nginx render ${name || "<name>"}' and apply it with 'pb-manager nginx regenerate${name ? ` ${name}` : ""}'.`));
+  });
+
+nginxCommand
+  .command("regenerate [name]")
+  .description("Rewrite the Nginx config of an instance (or all instances) from the current templates and reload Nginx")
+  .action(async (name) => {
+    const result = await _internalRegenerateProxyConfigs({ name });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to regenerate Nginx configs: ${result.error || "Unknown error."}`);
+    }
+  });
+
+const proxyCommand = program.command("proxy").description("Choose the reverse proxy (Nginx or Caddy) that serves the instances");
+
+proxyCommand
+  .command("show")
+  .description("Show the proxy backend in use and where it keeps the instance configs")
+  .option("--json", "Print the result as JSON")
+  .action(async () => {
+    const backend = getProxyBackend();
+    const configPaths = Object.fromEntries(Object.keys((await getInstancesConfig()).instances).map((name) => [name, backend.getConfigPath(name)]));
+    if (jsonOutput) {
+      printJsonResult({ success: true, proxy: PROXY_BACKEND, configPaths });
+      return;
+    }
+    printMessage(`${chalk.bold("Proxy backend:")} ${backend.label}${shell.which(backend.command) ? "" : chalk.yellow(" (not installed)")}`);
+    for (const [name, configPath] of Object.entries(configPaths)) {
+      printMessage(`  ${chalk.bold(name)}: ${configPath}`);
+    }
+  });
+
+proxyCommand
+  .command("use <backend>")
+  .description(`Switch the proxy backend (${Object.keys(PROXY_BACKENDS).join(" or ")}): write every instance's config for it and remove the old ones`)
+  .option("-y, --yes", "Do not ask for confirmation")
+  .option("--json", "Print the result as JSON")
+  .action(async (backend, options) => {
+    if (PROXY_BACKENDS[backend] && backend !== PROXY_BACKEND) {
+      const { confirmSwitch } = await promptOrDefaults([{ type: "confirm", name: "confirmSwitch", message: `Serve all instances through ${PROXY_BACKENDS[backend].label} instead of ${getProxyBackend().label}? ${PROXY_BACKENDS[backend].label} must be able to bind ports 80 and 443, so stop ${getProxyBackend().label} first (e.g. sudo systemctl disable --now ${getProxyBackend().command}); the instances are offline until the switch completes.`, default: true }], { confirmSwitch: options.yes ? true : undefined });
+      if (!confirmSwitch) {
+        printMessage(chalk.yellow("Proxy backend unchanged."));
+        return;
+      }
+    }
+    const result = await _internalSetProxyBackend({ backend });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to switch the proxy backend: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+proxyCommand
+  .command("regenerate [name]")
+  .description("Rewrite the proxy config of an instance (or all instances) and reload the proxy")
+  .action(async (name) => {
+    const result = await _internalRegenerateProxyConfigs({ name });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to regenerate proxy configs: ${result.error || "Unknown error."}`);
+    }
+  });
+
+const caCommand = program.command("ca").description("Manage the internal CA used by instances with tls: internal-ca");
+
+caCommand
+  .command("export")
+  .description("Print (or write with -o) the internal CA root certificate, to be trusted on client machines")
+  .option("-o, --output <file>", "Write the certificate to this file instead of printing it")
+  .action(async (options) => {
+    const ca = await ensureInternalCa();
+    if (ca.created) {
+      console.error(chalk.green(`Created the internal CA at ${ca.path}.`));
+    }
+    if (ca.renewalMessage) {
+      console.error(chalk.blue(ca.renewalMessage));
+    }
+    const certificatePem = await fs.readFile(INTERNAL_CA_CERT_PATH, "utf8");
+    if (!options.output) {
+      process.stdout.write(certificatePem);
+      return;
+    }
+    await fs.writeFile(path.resolve(options.output), certificatePem);
+    const fingerprint = new crypto.X509Certificate(certificatePem).fingerprint256;
+    printMessage(chalk.green(`Internal CA certificate written to ${path.resolve(options.output)} (SHA-256 ${fingerprint}).`));
+    printMessage(chalk.blue("Import it as a trusted root on the machines that access instances using tls: internal-ca."));
+  });
+
+const domainCommand = program.command("domain").description("Manage the additional domains (aliases) an instance answers on");
+
+domainCommand
+  .command("list <name>")
+  .description("List the domains of an instance")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult({ success: true, name, domain: instance.domain, aliases: instance.aliases || [] });
+      return;
+    }
+    printMessage(`${chalk.bold(instance.domain)} ${chalk.gray("(primary)")}`);
+    for (const alias of instance.aliases || []) {
+      printMessage(alias);
+    }
+  });
+
+domainCommand
+  .command("add <name> <domain>")
+  .description("Add a domain to an instance and expand its certificate to cover it")
+  .option("--no-certbot", "Do not run Certbot; expand the certificate manually later")
+  .option("--skip-dns-check", "Do not check that the domain resolves to this server before requesting a certificate")
+  .option("-y, --yes", "Do not prompt")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, domain, options) => {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    if (!options.skipDnsCheck && !(await validateDnsRecords(domain))) {
+      const { proceedAnyway } = await promptOrDefaults([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${domain}. Certbot will likely fail. Do you want to proceed anyway?`), default: false }]);
+      if (!proceedAnyway) {
+        reportCommandFailure("Domain not added due to DNS issues.");
+        return;
+      }
+    }
+    const result = await _internalAddInstanceDomain({ name, domain, autoRunCertbot: options.certbot !== false });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to add domain: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+domainCommand
+  .command("remove <name> <domain>")
+  .description("Remove an additional domain from an instance and reissue its certificate without it")
+  .option("--no-certbot", "Do not run Certbot; the certificate keeps covering the removed domain")
+  .option("-y, --yes", "Do not ask for confirmation")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, domain, options) => {
+    const removalError = getDomainRemovalError(await getInstancesConfig(), name, domain.trim().toLowerCase());
+    if (removalError) {
+      reportCommandFailure(removalError);
+      return;
+    }
+    const { confirmRemove } = await promptOrDefaults([{ type: "confirm", name: "confirmRemove", message: `Stop serving "${name}" on ${domain}?`, default: true }], { confirmRemove: options.yes ? true : undefined });
+    if (!confirmRemove) {
+      printMessage(chalk.yellow("Domain removal cancelled."));
+      return;
+    }
+    const result = await _internalRemoveInstanceDomain({ name, domain, autoRunCertbot: options.certbot !== false });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to remove domain: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+const maintenanceCommand = program.command("maintenance").description("Serve a maintenance page (HTTP 503) instead of proxying to an instance");
+
+maintenanceCommand
+  .command("on <name>")
+  .description("Put an instance in maintenance mode; run again to change the message or allowlist")
+  .option("--message <text>", "Message shown on the maintenance page")
+  .option("--allow <addresses...>", "IP addresses or CIDR ranges that still reach the instance")
+  .option("--retry-after <seconds>", `Value of the Retry-After header (default ${DEFAULT_MAINTENANCE_RETRY_AFTER_SECONDS})`)
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const result = await _internalSetMaintenanceMode({ name, enabled: true, message: options.message, allow: options.allow, retryAfter: options.retryAfter });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to turn on maintenance mode: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+maintenanceCommand
+  .command("off <name>")
+  .description("Take an instance out of maintenance mode")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    const result = await _internalSetMaintenanceMode({ name, enabled: false });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to turn off maintenance mode: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+const adminGuardCommand = program.command("admin-guard").description("Restrict an instance's admin UI (/_/) and superuser API to allowed IPs and/or basic auth users");
+
+function printAdminGuardResult(result, failureMessage) {
+  for (const msg of result.messages) {
+    printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+  }
+  if (!result.success) {
+    reportCommandFailure(`${failureMessage}: ${result.error || "Unknown error."}`, { messages: result.messages });
+    return;
+  }
+  if (jsonOutput) {
+    printJsonResult(result);
+  }
+}
+
+adminGuardCommand
+  .command("show <name>")
+  .description("Show the allowlist and basic auth users guarding an instance's admin UI")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    const instance = (await getInstancesConfig()).instances[name];
+    if (!instance) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult({ success: true, name, adminGuard: instance.adminGuard || null });
+      return;
+    }
+    printMessage(instance.adminGuard ? `${chalk.bold(name)}: ${formatAdminGuard(instance.adminGuard)}` : chalk.yellow(`The admin UI of "${name}" is not guarded. Use 'pb-manager admin-guard allow' or 'pb-manager admin-guard add-user'.`));
+  });
+
+adminGuardCommand
+  .command("allow <name> <addresses...>")
+  .description("Allow IP addresses or CIDR ranges to reach the admin UI; everyone else gets 403")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, addresses) => {
+    printAdminGuardResult(await _internalUpdateAdminGuardAllowlist({ name, add: addresses }), "Failed to update the allowlist");
+  });
+
+adminGuardCommand
+  .command("revoke <name> <addresses...>")
+  .description("Remove IP addresses or CIDR ranges from the admin UI allowlist")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, addresses) => {
+    printAdminGuardResult(await _internalUpdateAdminGuardAllowlist({ name, remove: addresses }), "Failed to update the allowlist");
+  });
+
+adminGuardCommand
+  .command("add-user <name> <username>")
+  .description("Add a basic auth user for the admin UI, or change their password")
+  .option("--password-stdin", "Read the password from stdin (combine with --yes)")
+  .option("-y, --yes", "Do not prompt")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, username, options) => {
+    if (!checkNonInteractiveInput({ "--password-stdin": options.passwordStdin }, { "--password-stdin": options.passwordStdin })) {
+      return;
+    }
+    const password = options.passwordStdin ? await readPasswordFromStdin() : undefined;
+    const answers = await promptOrDefaults([{ type: "password", name: "password", message: `Password for "${username}" (min 8 chars):`, mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") }], { password });
+    printAdminGuardResult(await _internalAddAdminGuardUser({ name, username, password: answers.password }), "Failed to add the user");
+  });
+
+adminGuardCommand
+  .command("remove-user <name> <username>")
+  .description("Remove a basic auth user from the admin UI")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, username) => {
+    printAdminGuardResult(await _internalRemoveAdminGuardUser({ name, username }), "Failed to remove the user");
+  });
+
+adminGuardCommand
+  .command("off <name>")
+  .description("Remove the allowlist and all basic auth users of an instance")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    printAdminGuardResult(await _internalDisableAdminGuard({ name }), "Failed to remove the admin guard");
+  });
+
+const rateLimitCommand = program.command("rate-limit").description("Limit request rates and connections per client IP in an instance's Nginx config");
+
+rateLimitCommand
+  .command("show <name>")
+  .description("Show the rate limit settings of an instance")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    const instance = (await getInstancesConfig()).instances[name];
+    if (!instance) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult({ success: true, name, rateLimit: instance.rateLimit || null });
+      return;
+    }
+    printMessage(instance.rateLimit ? `${chalk.bold(name)}: ${formatRateLimit(instance.rateLimit)}` : chalk.yellow(`Rate limiting is off for "${name}". Enable it with: pb-manager rate-limit set ${name}`));
+  });
+
+rateLimitCommand
+  .command("set <name>")
+  .description("Enable or change rate limiting for an instance (unset options keep their current or default value)")
+  .option("--rps <n>", `Requests per second per IP for the whole site (default ${DEFAULT_RATE_LIMIT.requestsPerSecond})`)
+  .option("--burst <n>", `Requests allowed above the rate before rejecting (default ${DEFAULT_RATE_LIMIT.burst})`)
+  .option("--auth-rpm <n>", `Requests per minute per IP to /api/collections/*/auth-with-password (default ${DEFAULT_RATE_LIMIT.authRequestsPerMinute})`)
+  .option("--auth-burst <n>", `Burst for the auth-with-password endpoints (default ${DEFAULT_RATE_LIMIT.authBurst})`)
+  .option("--admin-rps <n>", `Requests per second per IP to /api/admins and the /_/ dashboard (default ${DEFAULT_RATE_LIMIT.adminRequestsPerSecond})`)
+  .option("--admin-burst <n>", `Burst for /api/admins and /_/ (default ${DEFAULT_RATE_LIMIT.adminBurst})`)
+  .option("--connections <n>", `Concurrent connections per IP, 0 for no limit (default ${DEFAULT_RATE_LIMIT.connections})`)
+  .option("-y, --yes", "Do not prompt; apply the given options")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const instance = (await getInstancesConfig()).instances[name];
+    if (!instance) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    const current = instance.rateLimit || DEFAULT_RATE_LIMIT;
+    const flagAnswers = { requestsPerSecond: options.rps, burst: options.burst, authRequestsPerMinute: options.authRpm, authBurst: options.authBurst, adminRequestsPerSecond: options.adminRps, adminBurst: options.adminBurst, connections: options.connections };
+    const flagsGiven = Object.values(flagAnswers).some((value) => value !== undefined);
+    const presets = flagsGiven ? { ...current, ...Object.fromEntries(Object.entries(flagAnswers).filter(([, value]) => value !== undefined)) } : {};
+    const validateCount = (input) => (Number.isInteger(Number(input)) && Number(input) >= 1 ? true : "Enter a whole number greater than 0.");
+    const validateConnections = (input) => (Number.isInteger(Number(input)) && Number(input) >= 0 ? true : "Enter a whole number (0 for no limit).");
+    const rateLimit = await promptOrDefaults(
+      [
+        { type: "number", name: "requestsPerSecond", message: "Requests per second per IP (whole site):", default: current.requestsPerSecond, validate: validateCount },
+        { type: "number", name: "burst", message: "Burst (extra requests allowed before rejecting):", default: current.burst, validate: validateCount },
+        { type: "number", name: "authRequestsPerMinute", message: "Requests per minute per IP to auth-with-password:", default: current.authRequestsPerMinute, validate: validateCount },
+        { type: "number", name: "authBurst", message: "Burst for auth-with-password:", default: current.authBurst, validate: validateCount },
+        { type: "number", name: "adminRequestsPerSecond", message: "Requests per second per IP to /api/admins and the /_/ dashboard:", default: current.adminRequestsPerSecond, validate: validateCount },
+        { type: "number", name: "adminBurst", message: "Burst for /api/admins and /_/:", default: current.adminBurst, validate: validateCount },
+        { type: "number", name: "connections", message: "Concurrent connections per IP (0 for no limit):", default: current.connections, validate: validateConnections },
+      ],
+      presets,
+    );
+    const result = await _internalEditInstance({ name, rateLimit });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to update rate limits: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    printMessage(chalk.green(`Rate limits for "${name}": ${formatRateLimit(result.instance.rateLimit)}`));
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+rateLimitCommand
+  .command("off <name>")
+  .description("Remove the rate and connection limits of an instance")
+  .option("--json", "Print the result as JSON")
+  .action(async (name) => {
+    const result = await _internalEditInstance({ name, rateLimit: null });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to turn off rate limiting: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+program
+  .command("update-pocketbase")
+  .description("Download the latest PocketBase release (or --to <version>) and upgrade all instances to it one by one.")
+  .option("--to <version>", "Upgrade to this PocketBase version instead of the latest release")
+  .option("--rollback [name]", "Roll back the last upgrade of an instance (or all upgraded instances) to the previous binary and pre-upgrade data")
+  .option("--no-backup", "Skip the automatic pre-upgrade backup of each instance")
+  .option("--no-auto-rollback", "Do not roll back automatically when an instance fails its health check after upgrading")
+  .action(async (options) => {
+    if (options.rollback) {
+      const config = await getInstancesConfig();
+      const names = options.rollback === true ? Object.keys(config.instances).filter((instName) => config.instances[instName].lastUpgrade && !config.instances[instName].lastUpgrade.rolledBackAt) : [options.rollback];
+      if (names.length === 0) {
+        printMessage(chalk.yellow("No upgraded instances to roll back."));
+        return;
+      }
+      const { confirmRollback } = await inquirer.prompt([{ type: "confirm", name: "confirmRollback", message: `This will restore the previous PocketBase binary and the pre-upgrade data of: ${names.join(", ")}. Changes made since the upgrade will be lost. Proceed?`, default: false }]);
+      if (!confirmRollback) {
+        printMessage(chalk.yellow("Rollback cancelled by user."));
+        return;
+      }
+      let allRolledBack = true;
+      for (const instName of names) {
+        const result = await _internalRollbackInstance({ name: instName });
+        for (const msg of result.messages) {
+          printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+        }
+        if (!result.success) {
+          allRolledBack = false;
+          console.error(chalk.red(`Failed to roll back "${instName}": ${result.error || "Unknown error."}`));
+          process.exitCode = 1;
+        }
+      }
+      if (options.rollback === true && allRolledBack) {
+        const restoredMessage = await restorePreviousDefaultPocketBaseVersion();
+        if (restoredMessage) printMessage(chalk.green(restoredMessage));
+      }
+      return;
+    }
+
+    printMessage(chalk.bold.cyan("Attempting to update PocketBase..."));
+    if (options.to && !/^\d+\.\d+\.\d+$/.test(options.to)) {
+      console.error(chalk.red(`Invalid version "${options.to}". Use the x.y.z format.`));
+      return;
+    }
+    const targetVersion = options.to || (await getLatestPocketBaseVersion(true));
+    const { confirmUpdate } = await inquirer.prompt([{ type: "confirm", name: "confirmUpdate", message: `This will download PocketBase v${targetVersion} next to the existing binaries and upgrade ALL managed instances to it, restarting each one. Instances already on v${targetVersion} or newer are skipped. Do you want to proceed?`, default: true }]);
+    if (!confirmUpdate) {
+      printMessage(chalk.yellow("PocketBase update cancelled by user."));
+      return;
+    }
+
+    const result = await _internalUpdatePocketBaseExecutable({ version: targetVersion, backup: options.backup, autoRollback: options.autoRollback });
+
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+
+    if (!result.success) {
+      console.error(chalk.red(`PocketBase update process failed: ${result.error || "Unknown error."}`));
+      process.exitCode = 1;
+    } else {
+      printMessage(chalk.bold.green("PocketBase update and instance restarts completed."));
+    }
+  });
+
+program
+  .command("upgrade <name>")
+  .description("Upgrade a single instance to a specific PocketBase version (binaries are kept side by side)")
+  .requiredOption("--to <version>", "Target PocketBase version (x.y.z)")
+  .option("--allow-downgrade", "Allow switching to an older PocketBase version")
+  .option("--no-backup", "Skip the automatic pre-upgrade backup")
+  .option("--no-auto-rollback", "Do not roll back automatically when the health check fails after upgrading")
+  .action(async (name, options) => {
+    const config = await getInstancesConfig();
+    const instance = config.instances[name];
+    if (!instance) {
+      console.error(chalk.red(`Instance "${name}" not found.`));
+      return;
+    }
+    const currentVersion = instance.pocketBaseVersion || `${(await getPocketBaseExecutableVersion(POCKETBASE_EXEC_PATH)) || "unknown"} (shared binary)`;
+    const { confirmUpgrade } = await inquirer.prompt([{ type: "confirm", name: "confirmUpgrade", message: `This will switch "${name}" from PocketBase v${currentVersion} to v${options.to} and restart it.${options.backup ? " A backup of its data is taken first." : ""} Proceed?`, default: true }]);
+    if (!confirmUpgrade) {
+      printMessage(chalk.yellow("Upgrade cancelled by user."));
+      return;
+    }
+
+    const result = await _internalUpgradeInstance({ name, version: options.to, allowDowngrade: options.allowDowngrade || false, backup: options.backup, autoRollback: options.autoRollback });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+    }
+    if (!result.success) {
+      console.error(chalk.red(`Failed to upgrade instance: ${result.error || "Unknown error."}`));
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command("remove <name>")
+  .description("Remove a PocketBase instance")
+  .action(async (name) => {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      console.error(chalk.red(`Instance "${name}" not found.`));
+      return;
+    }
+    const { confirm } = await inquirer.prompt([{ type: "confirm", name: "confirm", message: `Are you sure you want to remove instance "${name}"? This will stop it, remove its ${getProcessManager().label} entry and ${getProxyBackend().label} config. Data directory will NOT be deleted automatically by this step.`, default: false }]);
+    if (!confirm) {
+      printMessage(chalk.yellow("Removal cancelled."));
+      return;
+    }
+    const { confirmTyped } = await inquirer.prompt([{ type: "input", name: "confirmTyped", message: `To confirm removal of instance "${name}", please type its name again:` }]);
+    if (confirmTyped !== name) {
+      printMessage(chalk.yellow("Instance name did not match. Removal cancelled."));
+      return;
+    }
+
+    let deleteData = false;
+    const { confirmDeleteData } = await inquirer.prompt([{ type: "confirm", name: "confirmDeleteData", message: `Do you want to permanently delete the data directory ${config.instances[name].dataDir} for the removed instance "${name}"? ${chalk.bold.red("THIS CANNOT BE UNDONE.")}`, default: false }]);
+    if (confirmDeleteData) {
+      const { confirmTypedDeleteData } = await inquirer.prompt([{ type: "input", name: "confirmTypedDeleteData", message: `To confirm PERMANENT DELETION of data for "${name}", type the instance name again:` }]);
+      if (confirmTypedDeleteData === name) {
+        deleteData = true;
+      } else {
+        printMessage(chalk.yellow("Instance name did not match for data deletion. Data directory NOT deleted."));
+      }
+    }
+
+    const result = await _internalRemoveInstance({ name, deleteData });
+
+    for (const msg of result.messages) {
+      printMessage(chalk.blue(msg));
+    }
+
+    if (result.success) {
+      printMessage(chalk.bold.green(`Instance "${name}" removed process completed.`));
+    } else {
+      console.error(chalk.red(`Failed to remove instance: ${result.error || "Unknown error."}`));
+    }
+  });
+
+program
+  .command("list")
+  .description("List all managed PocketBase instances")
+  .option("--json", "Output in JSON format")
+  .action(async (options) => {
+    const instancesList = await _internalListInstances();
+    if (instancesList.length === 0) {
+      if (options.json) {
+        printJsonResult([]);
+      } else {
+        printMessage(chalk.yellow("No instances configured yet. Use 'pb-manager add'."));
+      }
+      return;
+    }
+    if (options.json) {
+      printJsonResult(instancesList);
+      return;
+    }
+    printMessage(chalk.bold.cyan("Managed PocketBase Instances:"));
+    for (const inst of instancesList) {
+      printMessage(
+        `\n  ${chalk.bold(inst.name)}:\n    Domain: ${chalk.green(inst.domain)} (${inst.protocol})${inst.aliases.length > 0 ? `\n    Aliases: ${chalk.green(inst.aliases.join(", "))}` : ""}\n    Public URL: ${chalk.green(inst.publicUrl)}\n    Internal Port: ${chalk.yellow(inst.internalPort)}\n    Max Body Size: ${inst.maxBodySize || "Nginx default (1M)"}\n    Data Directory: ${inst.dataDirectory}\n    PocketBase: v${inst.pocketBaseVersion}\n    PM2 Status: ${inst.pm2Status === PM2_STATUS_ONLINE ? chalk.green(inst.pm2Status) : chalk.red(inst.pm2Status)}\n    Admin URL (local): ${inst.adminURL}\n    Certificate expires in: ${inst.certExpiryDays} day(s)${inst.tls ? ` (${inst.tls})` : ""}${inst.rateLimit ? `\n    Rate Limit: ${formatRateLimit(inst.rateLimit)}` : ""}${inst.adminGuard ? `\n    Admin Guard: ${formatAdminGuard(inst.adminGuard)}` : ""}${inst.maintenance ? `\n    Maintenance: ${chalk.yellow(`on since ${inst.maintenance.since}`)}${inst.maintenance.allow.length > 0 ? ` (bypass: ${inst.maintenance.allow.join(", ")})` : ""}` : ""}`,
+      );
+    }
+  });
+
+async function handlePm2Action(action, instanceNameOrAll) {
+  const config = await getInstancesConfig();
+  const targets = [];
+  if (instanceNameOrAll && instanceNameOrAll.toLowerCase() === "all") {
+    targets.push(...Object.keys(config.instances));
+  } else if (instanceNameOrAll) {
+    if (!config.instances[instanceNameOrAll]) {
+      console.error(chalk.red(`Instance "${instanceNameOrAll}" not found.`));
+      return;
+    }
+    targets.push(instanceNameOrAll);
+  } else {
+    printMessage(chalk.yellow(`Please specify an instance name or 'all'. Usage: pb-manager ${action} <name|all>`));
+    return;
+  }
+
+  if (targets.length === 0) {
+    printMessage(chalk.yellow(`No instances configured to ${action}.`));
+    return;
+  }
+
+  const capitalizedAction = action.charAt(0).toUpperCase() + action.slice(1);
+  if (completeLogging || targets.length === 1) {
+    printMessage(chalk.blue(`${capitalizedAction}ing ${targets.length > 1 ? "all managed" : ""} instance(s)...`));
+  }
+  let allProcessedSuccessfully = true;
+
+  for (const targetName of targets) {
+    try {
+      await getProcessManager().control(action, targetName);
+      if (completeLogging || targets.length === 1) {
+        printMessage(chalk.green(`Instance ${PM2_INSTANCE_PREFIX}${targetName} ${action}ed.`));
+      }
+    } catch (e) {
+      console.error(chalk.red(`Failed to ${action} instance ${PM2_INSTANCE_PREFIX}${targetName}: ${e.message}`));
+      allProcessedSuccessfully = false;
+    }
+  }
+
+  if (allProcessedSuccessfully && targets.length > 1) {
+    printMessage(chalk.bold.green(`All instances processed for ${action}ing.`));
+  } else if (!allProcessedSuccessfully) {
+    printMessage(chalk.bold.yellow(`Some instances may not have ${action}ed correctly. Check the ${getProcessManager().label} logs.`));
+  }
+}
+
+program
+  .command("start [name]")
+  .description("Start a specific PocketBase instance or all instances via PM2 or systemd")
+  .action(async (name) => {
+    await handlePm2Action("start", name);
+  });
+
+program
+  .command("stop [name]")
+  .description("Stop a specific PocketBase instance or all instances via PM2 or systemd")
+  .action(async (name) => {
+    await handlePm2Action("stop", name);
+  });
+
+program
+  .command("restart [name]")
+  .description("Restart a specific PocketBase instance or all instances via PM2 or systemd")
+  .action(async (name) => {
+    await handlePm2Action("restart", name);
+  });
+
+program
+  .command("logs <name>")
+  .description("Show logs for a specific PocketBase instance from PM2 or the systemd journal")
+  .action((name) => {
+    printMessage(chalk.blue(`Displaying logs for ${PM2_INSTANCE_PREFIX}${name}. Press Ctrl+C to exit.`));
+    getProcessManager().streamLogs(name);
+  });
+
+const processManagerCommand = program.command("process-manager").description("Choose whether PM2 or systemd runs the PocketBase instances");
+
+processManagerCommand
+  .command("show")
+  .description("Show the process manager that runs the instances")
+  .option("--json", "Print the result as JSON")
+  .action(async () => {
+    if (jsonOutput) {
+      printJsonResult({ success: true, processManager: PROCESS_MANAGER });
+      return;
+    }
+    printMessage(`${chalk.bold("Process manager:")} ${getProcessManager().label}`);
+    if (PROCESS_MANAGER === PROCESS_MANAGER_SYSTEMD) {
+      printMessage(`Units: ${path.join(SYSTEMD_UNITS_DIR, `${PM2_INSTANCE_PREFIX}<name>.service`)}`);
+    } else {
+      printMessage(`Ecosystem file: ${PM2_ECOSYSTEM_FILE}`);
+    }
+  });
+
+processManagerCommand
+  .command("use <manager>")
+  .description(`Move every instance to another process manager (${Object.keys(PROCESS_MANAGERS).join(" or ")}), keeping stopped instances stopped`)
+  .option("-y, --yes", "Do not ask for confirmation")
+  .option("--json", "Print the result as JSON")
+  .action(async (manager, options) => {
+    if (PROCESS_MANAGERS[manager] && manager !== PROCESS_MANAGER) {
+      const { confirmSwitch } = await promptOrDefaults([{ type: "confirm", name: "confirmSwitch", message: `Move all instances from ${getProcessManager().label} to ${PROCESS_MANAGERS[manager].label}? Each instance is restarted once.`, default: true }], { confirmSwitch: options.yes ? true : undefined });
+      if (!confirmSwitch) {
+        printMessage(chalk.yellow("Process manager unchanged."));
+        return;
+      }
+    }
+    const result = await _internalSetProcessManager({ manager });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Failed to switch the process manager: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
+
+program
+  .command("audit")
+  .description("Show the audit log of commands executed by this CLI")
+  .action(async () => {
+    const auditLogPath = path.join(CONFIG_DIR, AUDIT_LOG_FILE);
+    if (await fs.pathExists(auditLogPath)) {
+      const auditLog = await fs.readFile(auditLogPath, "utf-8");
+      printMessage(chalk.blue("Displaying audit log for this CLI:"));
+      printMessage(auditLog);
+    } else {
+      printMessage(chalk.yellow("No audit log found. The log will be created as you use commands."));
+    }
+  });
+
+program
+  .command("update-ecosystem")
+  .description("Regenerate the PM2 ecosystem file (or the systemd units) and reload the instances")
+  .action(async () => {
+    const result = await _internalUpdateEcosystemAndReloadPm2();
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+    }
+    if (!result.success) {
+      console.error(chalk.red(`Failed to update ecosystem: ${result.error || "Unknown error."}`));
+    }
+  });
+
+program
+  .command("apply")
+  .description("Apply a YAML/JSON fleet manifest: plan creates and updates (and deletes with --prune) against instances.json, then apply them")
+  .requiredOption("-f, --file <path>", "Manifest file (.yaml, .yml or .json)")
+  .option("--prune", "Also remove instances that are missing from the manifest (their data directories are kept)")
+  .option("--no-certbot", "Do not run Certbot for new or changed HTTPS domains")
+  .option("--allow-downgrade", "Allow pocketBaseVersion changes to older releases")
+  .option("--plan", "Only print the plan, do not apply it")
+  .option("-y, --yes", "Apply without asking for confirmation")
+  .option("--json", "Print the plan and results as JSON")
+  .action(async (options) => {
+    let plan;
+    let unmanaged;
+    try {
+      const manifest = await readManifestFile(path.resolve(options.file));
+      ({ plan, unmanaged } = await _internalPlanManifest({ manifest, allowDelete: Boolean(options.prune) }));
+    } catch (e) {
+      reportCommandFailure(`Could not read manifest ${options.file}: ${e.message}`);
+      return;
+    }
+
+    if (plan.length === 0) {
+      printMessage(chalk.green("No changes. Your instances match the manifest."));
+      if (unmanaged.length > 0) {
+        printMessage(`Not in the manifest and left untouched: ${unmanaged.join(", ")} (pass --prune to remove them).`);
+      }
+      if (jsonOutput) printJsonResult({ success: true, plan, unmanaged, applied: [] });
+      return;
+    }
+    printMessage(chalk.bold.cyan("pb-manager will perform the following actions:\n"));
+    printMessage(formatManifestPlan(plan, unmanaged));
+    if (plan.some((step) => step.action === "delete")) {
+      printMessage(chalk.yellow("\nRemoved instances keep their data directories on disk."));
+    }
+    if (options.plan) {
+      if (jsonOutput) printJsonResult({ success: true, plan, unmanaged, applied: [] });
+      return;
+    }
+
+    const deleteCount = plan.filter((step) => step.action === "delete").length;
+    const { confirmApply } = await promptOrDefaults([{ type: "confirm", name: "confirmApply", message: deleteCount > 0 ? `Apply these changes, including the removal of ${deleteCount} instance(s)?` : "Apply these changes?", default: false }], { confirmApply: options.yes ? true : undefined });
+    if (!confirmApply) {
+      printMessage(chalk.yellow("Apply cancelled."));
+      return;
+    }
+
+    const result = await _internalApplyManifestPlan({ plan, allowDowngrade: options.allowDowngrade || false, autoRunCertbot: options.certbot });
+    for (const msg of result.messages) {
+      printMessage(chalk.blue(msg));
+    }
+    if (!result.success) {
+      reportCommandFailure(`Apply finished with errors: ${result.error}`, { plan, applied: result.applied });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult({ success: true, plan, unmanaged, applied: result.applied });
+      return;
+    }
+    printMessage(chalk.bold.green(`\nApply complete. ${result.applied.length} change(s) applied.`));
+  });
+
 program
-  .command("dashboard")
-  .description("Show interactive dashboard for all PocketBase instances")
-  .action(async () => {
-    await showDashboard();
+  .command("export-manifest")
+  .description("Print the current instances as a manifest that 'apply -f' accepts")
+  .option("-o, --output <path>", "Write the manifest to a file instead of stdout")
+  .option("--format <format>", "Manifest format: json or yaml (defaults to yaml for .yaml/.yml output files, else json; yaml needs the js-yaml package)")
+  .action(async (options) => {
+    const format = options.format || (options.output && [".yaml", ".yml"].includes(path.extname(options.output).toLowerCase()) ? "yaml" : "json");
+    if (!["yaml", "json"].includes(format)) {
+      reportCommandFailure(`Unknown format "${format}". Use yaml or json.`);
+      return;
+    }
+    let content;
+    try {
+      content = serializeManifest(await _internalExportManifest(), format);
+    } catch (e) {
+      reportCommandFailure(e.message);
+      return;
+    }
+    if (!options.output) {
+      process.stdout.write(content);
+      return;
+    }
+    await fs.writeFile(options.output, content);
+    printMessage(chalk.green(`Manifest for the current instances written to ${options.output}.`));
   });
 
 program
-  .command("configure")
-  .description("Set or view CLI configurations (e.g., default Certbot email, PocketBase version, logging).")
-  .action(async () => {
-    await ensureBaseSetup();
-    const cliConfig = await getCliConfig();
-    const choices = [{ name: `Default Certbot Email: ${cliConfig.defaultCertbotEmail || "Not set"}`, value: "setEmail" }, { name: `Default PocketBase Version (for setup): ${cliConfig.defaultPocketBaseVersion}`, value: "setPbVersion" }, { name: `Enable complete logging: ${cliConfig.completeLogging ? "Yes" : "No"}`, value: "setLogging" }, new inquirer.Separator(), { name: "View current JSON config", value: "viewConfig" }, { name: "Exit", value: "exit" }];
-    const { action } = await inquirer.prompt([{ type: "list", name: "action", message: "CLI Configuration:", choices }]);
+  .command("reset <name>")
+  .description("Reset a PocketBase instance (delete all data and optionally create a new admin account)")
+  .option("--admin-email <email>", "Create a new superuser (admin) account with this email after the reset")
+  .option("--admin-password-stdin", "Read the admin password from stdin (combine with --yes)")
+  .option("-y, --yes", "Do not prompt; confirms the data deletion")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
+    const instance = config.instances[name];
+    const dataDir = instance.dataDir;
+    if (!checkNonInteractiveInput({}, { "--admin-password-stdin": options.adminPasswordStdin })) {
+      return;
+    }
+    const adminPassword = options.adminPasswordStdin ? await readPasswordFromStdin() : undefined;
+    if (nonInteractive && options.adminEmail && !adminPassword) {
+      reportCommandFailure("--admin-email requires --admin-password-stdin when prompts are disabled.");
+      return;
+    }
+    const { confirm } = await promptOrDefaults([{ type: "confirm", name: "confirm", message: `Are you sure you want to reset instance "${name}"? This will ${chalk.red.bold("DELETE ALL DATA")} in ${dataDir} and start from zero. This action cannot be undone.`, default: false }], { confirm: options.yes ? true : undefined });
+    if (!confirm) {
+      printMessage(chalk.yellow("Reset cancelled."));
+      return;
+    }
+    const { confirmTyped } = await promptOrDefaults([{ type: "input", name: "confirmTyped", message: `To confirm PERMANENT DELETION of all data for instance "${name}", please type its name again:` }], { confirmTyped: options.yes ? name : undefined });
+    if (confirmTyped !== name) {
+      printMessage(chalk.yellow("Instance name did not match. Reset cancelled."));
+      return;
+    }
 
-    switch (action) {
-      case "setEmail": {
-        const { email } = await inquirer.prompt([{ type: "input", name: "email", message: "Enter new default Certbot email (leave blank to clear):", default: cliConfig.defaultCertbotEmail }]);
-        const result = await _internalSetDefaultCertbotEmail({ email });
-        for (const msg of result.messages) {
-          console.log(result.success ? chalk.green(msg) : chalk.red(msg));
-        }
-        break;
-      }
-      case "setPbVersion": {
-        const { version } = await inquirer.prompt([{ type: "input", name: "version", message: "Enter new default PocketBase version (e.g., 0.22.10):", default: cliConfig.defaultPocketBaseVersion, validate: (input) => (/^(\d+\.\d+\.\d+)$/.test(input) || input === "" ? true : "Please enter a valid version (x.y.z) or leave blank.") }]);
-        cliConfig.defaultPocketBaseVersion = version || (await getLatestPocketBaseVersion());
-        await saveCliConfig(cliConfig);
-        console.log(chalk.green(`Default PocketBase version set to ${cliConfig.defaultPocketBaseVersion}.`));
-        break;
-      }
-      case "setLogging": {
-        const { enableLogging } = await inquirer.prompt([{ type: "confirm", name: "enableLogging", message: "Enable complete logging (show all commands and outputs)?", default: cliConfig.completeLogging || false }]);
-        cliConfig.completeLogging = enableLogging;
-        await saveCliConfig(cliConfig);
-        completeLogging = enableLogging;
-        console.log(chalk.green(`Complete logging is now ${enableLogging ? "enabled" : "disabled"}.`));
-        break;
-      }
-      case "viewConfig":
-        console.log(chalk.cyan("Current CLI Configuration:"));
-        console.log(JSON.stringify(cliConfig, null, 2));
-        return;
-      case "exit":
-        console.log(chalk.blue("Exiting configuration."));
-        return;
+    let adminPayload = { createAdmin: false };
+    const { createAdminCli } = await promptOrDefaults([{ type: "confirm", name: "createAdminCli", message: "Do you want to create a new superuser (admin) account for this reset instance via CLI now?", default: true }], { createAdminCli: options.adminEmail ? true : nonInteractive ? false : undefined });
+    if (createAdminCli) {
+      const adminCredentials = await promptOrDefaults(
+        [
+          { type: "input", name: "adminEmail", message: "Enter admin email:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
+          { type: "password", name: "adminPassword", message: "Enter admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
+        ],
+        { adminEmail: options.adminEmail, adminPassword },
+      );
+      adminPayload = { createAdmin: true, adminEmail: adminCredentials.adminEmail, adminPassword: adminCredentials.adminPassword };
     }
-    if (action !== "setLogging" && action !== "viewConfig" && action !== "exit" && action !== "setEmail") {
-      console.log(chalk.green("Configuration updated."));
+
+    const resetPayload = { name, ...adminPayload };
+    const result = await _internalResetInstance(resetPayload);
+
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
     }
-  });
 
-program
-  .command("setup")
-  .description("Initial setup: creates directories and downloads PocketBase.")
-  .option("-v, --version <version>", "Specify PocketBase version to download for setup")
-  .action(async (options) => {
-    console.log(chalk.bold.cyan("Starting PocketBase Manager Setup..."));
-    await ensureBaseSetup();
-    const dlResult = await downloadPocketBaseIfNotExists(options.version, true);
-    if (dlResult && dlResult.success === false) {
-      console.error(chalk.red(`PocketBase download failed: ${dlResult.message}`));
+    if (!result.success) {
+      reportCommandFailure(`Failed to reset instance: ${result.error || "Unknown error."}`, { messages: result.messages });
+    } else if (jsonOutput) {
+      printJsonResult(result);
     } else {
-      console.log(chalk.bold.green("Setup complete!"));
-      console.log(chalk.blue("You can now add your first PocketBase instance using: sudo pb-manager add"));
+      printMessage(chalk.bold.green(`Instance "${name}" reset process completed.`));
     }
   });
 
 program
-  .command("add")
-  .alias("create")
-  .description("Add a new PocketBase instance")
-  .action(async () => {
-    const cliConfig = await getCliConfig();
-    await ensureBaseSetup();
+  .command("reset-admin <name>")
+  .description("Reset the admin password for a PocketBase instance")
+  .option("--admin-email <email>", "Email of the superuser (admin) account to reset")
+  .option("--admin-password-stdin", "Read the new admin password from stdin (combine with --yes)")
+  .option("-y, --yes", "Do not prompt; fail if a value is missing")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
+    }
 
-    if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-      console.log(chalk.yellow("PocketBase executable not found. Attempting to download..."));
-      const dlResult = await downloadPocketBaseIfNotExists(cliConfig.defaultPocketBaseVersion, true);
-      if (!dlResult.success) {
-        console.error(chalk.red(`PocketBase download failed: ${dlResult.message}. Cannot add instance.`));
-        return;
-      }
-      if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-        console.error(chalk.red("PocketBase download seems to have failed despite no error. Cannot add instance."));
-        return;
-      }
+    if (!checkNonInteractiveInput({ "--admin-email": options.adminEmail, "--admin-password-stdin": options.adminPasswordStdin }, { "--admin-password-stdin": options.adminPasswordStdin })) {
+      return;
+    }
+    const adminPassword = options.adminPasswordStdin ? await readPasswordFromStdin() : undefined;
+    const adminCredentials = await promptOrDefaults(
+      [
+        { type: "input", name: "adminEmail", message: "Enter admin email to reset:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
+        { type: "password", name: "adminPassword", message: "Enter new admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
+      ],
+      { adminEmail: options.adminEmail, adminPassword },
+    );
+
+    const resetPayload = { name, adminEmail: adminCredentials.adminEmail, adminPassword: adminCredentials.adminPassword };
+    const result = await _internalResetAdminPassword(resetPayload);
+
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
     }
 
-    const initialAnswers = await inquirer.prompt([
-      { type: "input", name: "name", message: "Instance name (e.g., my-app, no spaces):", validate: (input) => (/^[a-zA-Z0-9-]+$/.test(input) ? true : "Invalid name format.") },
-      { type: "input", name: "domain", message: "Domain/subdomain for this instance (e.g., app.example.com):", validate: (input) => (input.length > 0 ? true : "Domain cannot be empty.") },
-      { type: "number", name: "port", message: "Internal port for this instance (e.g., 8091):", default: 8090 + Math.floor(Math.random() * 100), validate: (input) => (Number.isInteger(input) && input > 1024 && input < 65535 ? true : "Invalid port.") },
-      { type: "confirm", name: "useHttp2", message: "Enable HTTP/2 in Nginx config?", default: true },
-      { type: "confirm", name: "maxBody20Mb", message: `Set ${NGINX_DEFAULT_MAX_BODY_SIZE} max body size (client_max_body_size ${NGINX_DEFAULT_MAX_BODY_SIZE}) in Nginx config?`, default: true },
-    ]);
+    if (!result.success) {
+      reportCommandFailure(`Failed to reset admin password: ${result.error || "Unknown error."}`, { messages: result.messages });
+    } else if (jsonOutput) {
+      printJsonResult(result);
+    }
+  });
 
+const backupCommand = program
+  .command("backup <name>")
+  .description("Create a compressed backup archive of an instance's data directory (use 'all' for every instance)")
+  .option("--scheduled", "Run as a scheduled backup: record the result and apply the instance's retention policy")
+  .option("--no-upload", "Do not upload the archive to the configured remote targets")
+  .action(async (name, options) => {
     const config = await getInstancesConfig();
-    if (config.instances[initialAnswers.name]) {
-      console.error(chalk.red(`Instance "${initialAnswers.name}" already exists.`));
+    const targets = name.toLowerCase() === "all" ? Object.keys(config.instances) : [name];
+    if (targets.length === 0) {
+      printMessage(chalk.yellow("No instances configured to back up."));
       return;
     }
-    for (const instName in config.instances) {
-      if (config.instances[instName].port === initialAnswers.port) {
-        console.error(chalk.red(`Port ${initialAnswers.port} is already in use by another managed instance.`));
-        return;
-      }
-      if (config.instances[instName].domain === initialAnswers.domain) {
-        console.error(chalk.red(`Domain ${initialAnswers.domain} is already in use by another managed instance.`));
-        return;
-      }
+    if (name.toLowerCase() !== "all" && !config.instances[name]) {
+      console.error(chalk.red(`Instance "${name}" not found.`));
+      return;
     }
 
-    let emailToUseForCertbot = cliConfig.defaultCertbotEmail;
-    const httpsAnswers = await inquirer.prompt([
-      { type: "confirm", name: "useHttps", message: "Configure HTTPS (Certbot)?", default: true },
-      { type: "confirm", name: "useDefaultEmail", message: `Use default email (${cliConfig.defaultCertbotEmail}) for Let's Encrypt?`, default: true, when: (answers) => answers.useHttps && cliConfig.defaultCertbotEmail },
-      { type: "input", name: "emailForCertbot", message: "Enter email for Let's Encrypt:", when: (answers) => answers.useHttps && (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail), validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required."), default: (answers) => (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail ? undefined : cliConfig.defaultCertbotEmail) },
-      { type: "confirm", name: "autoRunCertbot", message: "Attempt to automatically run Certbot now to obtain the SSL certificate?", default: true, when: (answers) => answers.useHttps },
-    ]);
-
-    if (httpsAnswers.useHttps) {
-      const dnsValid = await validateDnsRecords(initialAnswers.domain);
-      if (!dnsValid) {
-        const { proceedAnyway } = await inquirer.prompt([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${initialAnswers.domain}. Certbot will likely fail. Do you want to proceed with the setup (you might need to fix DNS and run Certbot manually later, or use HTTP only)?`), default: false }]);
-        if (!proceedAnyway) {
-          console.log(chalk.yellow("Instance setup aborted by user due to DNS issues."));
-          return;
+    let allSucceeded = true;
+    for (const targetName of targets) {
+      printMessage(chalk.blue(`Backing up instance "${targetName}"...`));
+      const result = await _internalBackupInstance({ name: targetName, upload: options.upload });
+      for (const msg of result.messages) {
+        printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+      }
+      if (!result.success || result.uploadError) {
+        allSucceeded = false;
+      }
+      if (options.scheduled) {
+        const schedule = await recordScheduledBackupRun(targetName, result);
+        if (result.success && schedule) {
+          const pruneResult = await _internalPruneBackups({ name: targetName, retention: schedule.retention });
+          for (const msg of pruneResult.messages) {
+            printMessage(pruneResult.success ? chalk.green(msg) : chalk.red(msg));
+          }
         }
-        console.log(chalk.yellow("Proceeding with setup despite DNS validation issues. HTTPS/Certbot might fail."));
       }
-      if (cliConfig.defaultCertbotEmail && httpsAnswers.useDefaultEmail) {
-        emailToUseForCertbot = cliConfig.defaultCertbotEmail;
+    }
+
+    if (targets.length > 1) {
+      if (allSucceeded) {
+        printMessage(chalk.bold.green("All instances backed up."));
       } else {
-        emailToUseForCertbot = httpsAnswers.emailForCertbot;
+        printMessage(chalk.bold.yellow("Some backups failed. Check the errors above."));
       }
-      if (!emailToUseForCertbot) {
-        console.error(chalk.red("Certbot email is required for HTTPS setup. Aborting."));
+    }
+    if (!allSucceeded) {
+      process.exitCode = 1;
+    }
+  });
+
+backupCommand
+  .command("schedule [name]")
+  .description("Schedule automatic backups for an instance (systemd timer, or cron when systemd is absent) with a retention policy")
+  .option("--every <interval>", `Backup frequency: ${Object.keys(BACKUP_SCHEDULE_PRESETS).join(", ")}`, "daily")
+  .option("--keep <count>", "Number of most recent backups to keep", "7")
+  .option("--keep-daily <count>", "Number of daily backups to keep (newest per day)", "0")
+  .option("--keep-weekly <count>", "Number of weekly backups to keep (newest per ISO week)", "0")
+  .option("--keep-monthly <count>", "Number of monthly backups to keep (newest per month)", "0")
+  .option("--list", "List configured backup schedules with their next run time and last result")
+  .option("--remove", "Remove the backup schedule of the instance (existing backups are kept)")
+  .action(async (name, options) => {
+    if (options.list) {
+      const result = await _internalListBackupSchedules();
+      if (!result.success) {
+        console.error(chalk.red(result.error));
         return;
       }
+      if (result.data.length === 0) {
+        printMessage(chalk.yellow("No backup schedules configured. Use 'pb-manager backup schedule <name>'."));
+        return;
+      }
+      const table = new Table({ head: ["Instance", "Every", "Scheduler", "Retention", "Next Run", "Last Run", "Last Result"] });
+      for (const schedule of result.data) {
+        const { keep, keepDaily, keepWeekly, keepMonthly } = schedule.retention;
+        table.push([schedule.name, schedule.every, schedule.scheduler, `last ${keep}, ${keepDaily}d/${keepWeekly}w/${keepMonthly}m`, schedule.nextRun || "-", schedule.lastRun || "never", schedule.lastResult || "-"]);
+      }
+      printMessage(table.toString());
+      return;
     }
 
-    const addPayload = {
-      name: initialAnswers.name,
-      domain: initialAnswers.domain,
-      port: initialAnswers.port,
-      useHttps: httpsAnswers.useHttps,
-      emailForCertbot: httpsAnswers.useHttps ? emailToUseForCertbot : null,
-      useHttp2: initialAnswers.useHttp2,
-      maxBody20Mb: initialAnswers.maxBody20Mb,
-      autoRunCertbot: httpsAnswers.useHttps ? httpsAnswers.autoRunCertbot : false,
-      pocketBaseVersion: cliConfig.defaultPocketBaseVersion,
-    };
+    if (!name) {
+      printMessage(chalk.yellow("Please specify an instance name. Usage: pb-manager backup schedule <name> [--every daily --keep 7 --keep-weekly 4] | --list"));
+      return;
+    }
 
-    const result = await _internalAddInstance(addPayload);
+    if (options.remove) {
+      const result = await _internalRemoveBackupSchedule({ name });
+      for (const msg of result.messages) {
+        printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+      }
+      return;
+    }
 
+    const result = await _internalScheduleBackups({
+      name,
+      every: options.every,
+      keep: Number.parseInt(options.keep, 10),
+      keepDaily: Number.parseInt(options.keepDaily, 10),
+      keepWeekly: Number.parseInt(options.keepWeekly, 10),
+      keepMonthly: Number.parseInt(options.keepMonthly, 10),
+    });
     for (const msg of result.messages) {
-      console.log(chalk.blue(msg));
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
     }
-
     if (!result.success) {
-      console.error(chalk.red(`Failed to add instance: ${result.error || "Unknown error during add operation."}`));
-      return;
+      console.error(chalk.red(`Failed to schedule backups: ${result.error || "Unknown error."}`));
     }
+  });
 
-    let adminCreatedViaCli = false;
-    const { createAdminCli } = await inquirer.prompt([{ type: "confirm", name: "createAdminCli", message: "Do you want to create a superuser (admin) account for this instance via CLI now?", default: true }]);
-    if (createAdminCli) {
-      const adminCredentials = await inquirer.prompt([
-        { type: "input", name: "adminEmail", message: "Enter admin email:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
-        { type: "password", name: "adminPassword", message: "Enter admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
-      ]);
-      const instanceDataDir = path.join(INSTANCES_DATA_BASE_DIR, initialAnswers.name);
-      const migrationsDir = path.join(instanceDataDir, "pb_migrations");
-      const adminCreateArgs = ["superuser", "create", adminCredentials.adminEmail, adminCredentials.adminPassword, "--dir", instanceDataDir, "--migrationsDir", migrationsDir];
-      if (completeLogging) {
-        console.log(chalk.blue("\nAttempting to create superuser (admin) account via CLI..."));
-      }
-      try {
-        const adminCmdResult = await safeRunCommand(POCKETBASE_EXEC_PATH, adminCreateArgs, "Failed to create superuser (admin) account via CLI.");
-        if (adminCmdResult?.stdout?.includes("Successfully created new superuser")) {
-          if (completeLogging) console.log(adminCmdResult.stdout.trim());
-        }
-        console.log(chalk.green(`Superuser (admin) account for ${adminCredentials.adminEmail} created successfully!`));
-        adminCreatedViaCli = true;
-      } catch (e) {
-        console.error(chalk.red(`Superuser (admin) account creation via CLI failed: ${e.message}. Please try creating it via the web UI.`));
-      }
+const backupRemoteCommand = backupCommand.command("remote").description("Manage S3-compatible remote targets that backups are uploaded to");
+
+backupRemoteCommand
+  .command("add <remoteName>")
+  .description("Add or update an S3-compatible remote target (AWS S3, MinIO, Backblaze B2, ...)")
+  .option("--endpoint <url>", "S3 API endpoint URL (e.g., https://s3.eu-west-1.amazonaws.com or http://127.0.0.1:9000)")
+  .option("--region <region>", "Region used for request signing", "us-east-1")
+  .option("--bucket <bucket>", "Bucket name")
+  .option("--prefix <prefix>", "Key prefix under which backups are stored", "pb-manager")
+  .option("--access-key-id <id>", "Access key ID")
+  .option("--secret-access-key <secret>", "Secret access key (prompted if omitted)")
+  .option("--virtual-hosted", "Use virtual-hosted-style bucket addressing instead of path-style")
+  .action(async (remoteName, options) => {
+    const answers = await inquirer.prompt(
+      [
+        { type: "input", name: "endpoint", message: "S3 endpoint URL:", validate: (input) => (input.length > 0 ? true : "Endpoint cannot be empty.") },
+        { type: "input", name: "bucket", message: "Bucket name:", validate: (input) => (input.length > 0 ? true : "Bucket cannot be empty.") },
+        { type: "input", name: "accessKeyId", message: "Access key ID:", validate: (input) => (input.length > 0 ? true : "Access key ID cannot be empty.") },
+        { type: "password", name: "secretAccessKey", message: "Secret access key:", mask: "*", validate: (input) => (input.length > 0 ? true : "Secret access key cannot be empty.") },
+      ],
+      { endpoint: options.endpoint, bucket: options.bucket, accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey },
+    );
+    const result = await _internalSetBackupRemote({ remoteName, ...answers, region: options.region, prefix: options.prefix, pathStyle: !options.virtualHosted });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
     }
+  });
 
-    console.log(chalk.bold.green(`\nInstance "${initialAnswers.name}" added!`));
-    const protocol = result.instance.useHttps && result.certbotSuccess ? "https" : "http";
-    const publicBaseUrl = `${protocol}://${result.instance.domain}`;
-    const localAdminUrl = `http://127.0.0.1:${result.instance.port}/_/`;
-    console.log(chalk.blue("\nInstance Details:"));
-    console.log(chalk.blue(`  Public URL: ${publicBaseUrl}/_/`));
-    if (!adminCreatedViaCli) {
-      console.log(chalk.yellow("\nIMPORTANT NEXT STEP: Create your PocketBase Admin Account"));
-      console.log(chalk.yellow("1. Visit one of the URLs below in your browser to create the first admin user:"));
-      console.log(chalk.yellow(`   - Option A (Recommended if Nginx/HTTPS is working): ${publicBaseUrl}/_/`));
-      console.log(chalk.yellow(`   - Option B (Direct access, may require SSH port forwarding for headless servers): ${localAdminUrl}`));
-      console.log(chalk.cyan(`     (For SSH port forwarding: ssh -L ${initialAnswers.port}:127.0.0.1:${initialAnswers.port} your_user@your_server_ip then open ${localAdminUrl} in your local browser)`));
-    } else {
-      console.log(chalk.yellow("\nYou can now access the admin panel at:"));
-      console.log(chalk.yellow(`   - ${publicBaseUrl}/_/`));
-      console.log(chalk.yellow(`   - Or locally (if needed for direct access): ${localAdminUrl}`));
+backupRemoteCommand
+  .command("remove <remoteName>")
+  .description("Remove a remote target (remote objects are not deleted)")
+  .action(async (remoteName) => {
+    const result = await _internalSetBackupRemote({ remoteName, remove: true });
+    for (const msg of result.messages) {
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
     }
-    if (result.instance.useHttps && !result.certbotSuccess && httpsAnswers.autoRunCertbot) {
-      console.log(chalk.red("\nCertbot failed. The instance might only be available via HTTP or not at all if Nginx config expects SSL."));
-      console.log(chalk.red("You might need to use the local URL for admin access or fix the Nginx/Certbot issue."));
-      console.log(chalk.red(`Try: sudo certbot --nginx -d ${initialAnswers.domain} -m ${emailToUseForCertbot}`));
+  });
+
+backupRemoteCommand
+  .command("list")
+  .description("List configured remote targets")
+  .action(async () => {
+    const cliConfig = await getCliConfig();
+    const remotes = Object.entries(cliConfig.backupRemotes || {});
+    if (remotes.length === 0) {
+      printMessage(chalk.yellow("No remote targets configured. Use 'pb-manager backup remote add <remoteName>'."));
+      return;
     }
-    console.log(chalk.yellow("\nOnce logged in, you can manage your collections and settings."));
+    const table = new Table({ head: ["Remote", "Endpoint", "Bucket", "Prefix", "Region", "Access Key"] });
+    for (const [remoteName, remote] of remotes) {
+      table.push([remoteName, remote.endpoint, remote.bucket, remote.prefix, remote.region, `${remote.accessKeyId.slice(0, 4)}…`]);
+    }
+    printMessage(table.toString());
   });
 
 program
-  .command("clone <sourceName> <newName>")
-  .description("Clone an existing PocketBase instance's data and configuration to a new instance.")
-  .action(async (sourceName, newName) => {
+  .command("restore <name> [archive]")
+  .description("Restore an instance from a backup archive, or restore it into a new instance with --as")
+  .option("--as <newName>", "Restore the backup into a new instance with this name instead of replacing the existing data")
+  .option("--remote <remoteName>", "Pick the backup from a configured remote target instead of the local backups")
+  .option("--discard-safety-copy", "Delete the pre-restore copy of the data directory once the restored instance passes its health check")
+  .action(async (name, archive, options) => {
     const cliConfig = await getCliConfig();
     await ensureBaseSetup();
+    const targetName = options.as || name;
+    const config = await getInstancesConfig();
 
-    if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-      console.log(chalk.yellow("PocketBase executable not found. Running initial setup..."));
-      const dlResult = await downloadPocketBaseIfNotExists(cliConfig.defaultPocketBaseVersion, true);
-      if (!dlResult.success) {
-        console.error(chalk.red("PocketBase download failed. Cannot clone instance."));
+    if (targetName === name && !config.instances[name]) {
+      console.error(chalk.red(`Instance "${name}" not found. Use --as <newName> to restore its backups into a new instance.`));
+      return;
+    }
+    if (targetName !== name) {
+      if (!isValidInstanceName(targetName)) {
+        console.error(chalk.red(`Invalid instance name "${targetName}". ${INSTANCE_NAME_RULES}`));
         return;
       }
-      if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-        console.error(chalk.red("PocketBase download seems to have failed. Cannot clone instance."));
+      if (config.instances[targetName]) {
+        console.error(chalk.red(`Target instance "${targetName}" already exists.`));
         return;
       }
     }
 
-    const config = await getInstancesConfig();
-    const sourceInstance = config.instances[sourceName];
-    if (!sourceInstance) {
-      console.error(chalk.red(`Source instance "${sourceName}" not found.`));
-      return;
-    }
-    if (config.instances[newName]) {
-      console.error(chalk.red(`Target instance "${newName}" already exists.`));
-      return;
-    }
-    console.log(chalk.blue(`Cloning instance "${sourceName}" to "${newName}"...`));
-
-    const cloneAnswers = await inquirer.prompt([
-      { type: "input", name: "domain", message: `Domain/subdomain for new instance "${newName}":`, default: `cloned-${sourceInstance.domain}`, validate: (input) => (input.length > 0 ? true : "Domain cannot be empty.") },
-      { type: "number", name: "port", message: `Internal port for new instance "${newName}":`, default: sourceInstance.port + 1, validate: (input) => (Number.isInteger(input) && input > 1024 && input < 65535 ? true : "Invalid port.") },
-      { type: "confirm", name: "useHttp2", message: "Enable HTTP/2 in Nginx config for new instance?", default: sourceInstance.useHttp2 },
-      { type: "confirm", name: "maxBody20Mb", message: `Set ${NGINX_DEFAULT_MAX_BODY_SIZE} max body size in Nginx config for new instance?`, default: sourceInstance.maxBody20Mb },
-    ]);
-    for (const instName in config.instances) {
-      if (config.instances[instName].port === cloneAnswers.port) {
-        console.error(chalk.red(`Port ${cloneAnswers.port} is already in use by another managed instance.`));
+    let archiveToRestore = archive;
+    if (options.remote) {
+      const remoteListResult = await _internalListRemoteBackups({ name, remoteName: options.remote });
+      if (!remoteListResult.success) {
+        for (const msg of remoteListResult.messages) console.error(chalk.red(msg));
         return;
       }
-      if (config.instances[instName].domain === cloneAnswers.domain) {
-        console.error(chalk.red(`Domain ${cloneAnswers.domain} is already in use by another managed instance.`));
+      let remoteKey = remoteListResult.data.find((b) => b.file === archive)?.key;
+      if (archive && !remoteKey) {
+        console.error(chalk.red(`Backup "${archive}" not found on remote "${options.remote}".`));
         return;
       }
-    }
-
-    let emailToUseForCertbot = cliConfig.defaultCertbotEmail;
-    const httpsAnswers = await inquirer.prompt([
-      { type: "confirm", name: "useHttps", message: `Configure HTTPS (Certbot) for "${newName}"?`, default: sourceInstance.useHttps },
-      { type: "confirm", name: "useDefaultEmail", message: `Use default email (${cliConfig.defaultCertbotEmail}) for Let's Encrypt?`, default: true, when: (answers) => answers.useHttps && cliConfig.defaultCertbotEmail },
-      { type: "input", name: "emailForCertbot", message: "Enter email for Let's Encrypt:", when: (answers) => answers.useHttps && (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail), validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required."), default: (answers) => (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail ? sourceInstance.emailForCertbot : cliConfig.defaultCertbotEmail) },
-      { type: "confirm", name: "autoRunCertbot", message: "Attempt to automatically run Certbot now to obtain the SSL certificate?", default: true, when: (answers) => answers.useHttps },
-    ]);
-
-    if (httpsAnswers.useHttps) {
-      const dnsValid = await validateDnsRecords(cloneAnswers.domain);
-      if (!dnsValid) {
-        const { proceedAnyway } = await inquirer.prompt([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${cloneAnswers.domain}. Certbot will likely fail. Do you want to proceed with cloning (you might need to fix DNS and run Certbot manually later, or use HTTP only)?`), default: false }]);
-        if (!proceedAnyway) {
-          console.log(chalk.yellow("Instance cloning aborted by user due to DNS issues."));
+      if (!remoteKey) {
+        if (remoteListResult.data.length === 0) {
+          printMessage(chalk.yellow(`No backups of "${name}" found on remote "${options.remote}".`));
           return;
         }
-        console.log(chalk.yellow("Proceeding with cloning despite DNS validation issues. HTTPS/Certbot might fail."));
+        const { selectedKey } = await inquirer.prompt([{ type: "list", name: "selectedKey", message: `Select a backup of "${name}" from remote "${options.remote}":`, choices: remoteListResult.data.map((b) => ({ name: `${b.file} (${prettyBytes(b.size)})`, value: b.key })) }]);
+        remoteKey = selectedKey;
       }
-      if (cliConfig.defaultCertbotEmail && httpsAnswers.useDefaultEmail) {
-        emailToUseForCertbot = cliConfig.defaultCertbotEmail;
-      } else {
-        emailToUseForCertbot = httpsAnswers.emailForCertbot;
+      const downloadResult = await _internalDownloadRemoteBackup({ name, remoteName: options.remote, key: remoteKey });
+      for (const msg of downloadResult.messages) {
+        printMessage(downloadResult.success ? chalk.blue(msg) : chalk.red(msg));
       }
-      if (!emailToUseForCertbot) {
-        console.error(chalk.red("Certbot email is required for HTTPS setup. Aborting."));
+      if (!downloadResult.success) {
+        return;
+      }
+      archiveToRestore = downloadResult.archivePath;
+    }
+    if (!archiveToRestore) {
+      const listResult = await _internalListBackups({ name });
+      if (!listResult.success) {
+        console.error(chalk.red(listResult.error));
+        return;
+      }
+      if (listResult.data.length === 0) {
+        printMessage(chalk.yellow(`No backups found for "${name}". Create one with: pb-manager backup ${name}`));
         return;
       }
+      const { selectedArchive } = await inquirer.prompt([{ type: "list", name: "selectedArchive", message: `Select a backup of "${name}" to restore:`, choices: listResult.data.map((b) => ({ name: `${b.file} (${prettyBytes(b.size)})`, value: b.path })) }]);
+      archiveToRestore = selectedArchive;
     }
 
-    let adminPayload = {};
-    const { createAdminCli } = await inquirer.prompt([{ type: "confirm", name: "createAdminCli", message: `Data has been cloned. Do you want to create an *additional* superuser (admin) account for "${newName}" via CLI now? (Existing admins from "${sourceName}" are already cloned)`, default: false }]);
-    if (createAdminCli) {
-      const adminCredentials = await inquirer.prompt([
-        { type: "input", name: "adminEmail", message: "Enter new admin email:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
-        { type: "password", name: "adminPassword", message: "Enter new admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
+    let restorePayload = { name, archive: archiveToRestore, targetName, discardSafetyCopy: Boolean(options.discardSafetyCopy) };
+
+    if (targetName === name) {
+      const { confirm } = await inquirer.prompt([{ type: "confirm", name: "confirm", message: `This will stop "${name}" and replace its data directory with the contents of ${path.basename(archiveToRestore)}. ${options.discardSafetyCopy ? "The current data is kept as a pre-restore copy until the restored instance passes its health check." : "The current data will be kept as a pre-restore copy."} Proceed?`, default: false }]);
+      if (!confirm) {
+        printMessage(chalk.yellow("Restore cancelled."));
+        return;
+      }
+    } else {
+      let metadataInstance = {};
+      try {
+        const archivePath = (await fs.pathExists(archiveToRestore)) ? archiveToRestore : path.join(BACKUPS_BASE_DIR, name, archiveToRestore);
+        metadataInstance = (await readBackupMetadata(archivePath)).instance || {};
+      } catch (e) {
+        if (completeLogging) printMessage(chalk.yellow(`Could not read backup metadata: ${e.message}`));
+      }
+
+      const restoreAnswers = await inquirer.prompt([
+        { type: "input", name: "domain", message: `Domain/subdomain for new instance "${targetName}":`, validate: validateDomainInput },
+        { type: "number", name: "port", message: `Internal port for new instance "${targetName}":`, default: (await findFreePort()) || undefined, validate: validatePortInput },
+        { type: "confirm", name: "useHttp2", message: "Enable HTTP/2 in Nginx config for new instance?", default: metadataInstance.useHttp2 !== false },
+        { type: "input", name: "maxBodySize", message: MAX_BODY_SIZE_PROMPT, default: getInstanceMaxBodySize(metadataInstance) || "off", validate: validateMaxBodySizeInput },
       ]);
-      adminPayload = { createAdminCli: true, adminEmail: adminCredentials.adminEmail, adminPassword: adminCredentials.adminPassword };
-    }
+      for (const instName in config.instances) {
+        if (config.instances[instName].port === restoreAnswers.port) {
+          console.error(chalk.red(`Port ${restoreAnswers.port} is already in use by another managed instance.`));
+          return;
+        }
+        if (getInstanceDomains(config.instances[instName]).includes(restoreAnswers.domain)) {
+          console.error(chalk.red(`Domain ${restoreAnswers.domain} is already in use by another managed instance.`));
+          return;
+        }
+      }
+
+      let emailToUseForCertbot = cliConfig.defaultCertbotEmail;
+      const httpsAnswers = await inquirer.prompt([
+        { type: "confirm", name: "useHttps", message: `Configure HTTPS (Certbot) for "${targetName}"?`, default: true },
+        { type: "confirm", name: "useDefaultEmail", message: `Use default email (${cliConfig.defaultCertbotEmail}) for Let's Encrypt?`, default: true, when: (answers) => answers.useHttps && cliConfig.defaultCertbotEmail },
+        { type: "input", name: "emailForCertbot", message: "Enter email for Let's Encrypt:", when: (answers) => answers.useHttps && (!cliConfig.defaultCertbotEmail || !answers.useDefaultEmail), validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required."), default: metadataInstance.emailForCertbot || undefined },
+        { type: "confirm", name: "autoRunCertbot", message: "Attempt to automatically run Certbot now to obtain the SSL certificate?", default: true, when: (answers) => answers.useHttps },
+      ]);
+
+      if (httpsAnswers.useHttps) {
+        const dnsValid = await validateDnsRecords(restoreAnswers.domain);
+        if (!dnsValid) {
+          const { proceedAnyway } = await inquirer.prompt([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${restoreAnswers.domain}. Certbot will likely fail. Do you want to proceed with the restore (you might need to fix DNS and run Certbot manually later, or use HTTP only)?`), default: false }]);
+          if (!proceedAnyway) {
+            printMessage(chalk.yellow("Restore aborted by user due to DNS issues."));
+            return;
+          }
+        }
+        emailToUseForCertbot = cliConfig.defaultCertbotEmail && httpsAnswers.useDefaultEmail ? cliConfig.defaultCertbotEmail : httpsAnswers.emailForCertbot;
+        if (!emailToUseForCertbot) {
+          console.error(chalk.red("Certbot email is required for HTTPS setup. Aborting."));
+          return;
+        }
+      }
 
-    const clonePayload = {
-      sourceName,
-      newName,
-      domain: cloneAnswers.domain,
-      port: cloneAnswers.port,
-      useHttps: httpsAnswers.useHttps,
-      emailForCertbot: httpsAnswers.useHttps ? emailToUseForCertbot : null,
-      useHttp2: cloneAnswers.useHttp2,
-      maxBody20Mb: cloneAnswers.maxBody20Mb,
-      autoRunCertbot: httpsAnswers.useHttps ? httpsAnswers.autoRunCertbot : false,
-      pocketBaseVersion: cliConfig.defaultPocketBaseVersion,
-      ...adminPayload,
-    };
+      restorePayload = {
+        ...restorePayload,
+        domain: restoreAnswers.domain,
+        port: restoreAnswers.port,
+        useHttps: httpsAnswers.useHttps,
+        emailForCertbot: httpsAnswers.useHttps ? emailToUseForCertbot : null,
+        useHttp2: restoreAnswers.useHttp2,
+        maxBodySize: restoreAnswers.maxBodySize,
+        autoRunCertbot: httpsAnswers.useHttps ? httpsAnswers.autoRunCertbot : false,
+        pocketBaseVersion: cliConfig.defaultPocketBaseVersion,
+      };
+    }
 
-    const result = await _internalCloneInstance(clonePayload);
+    const result = await _internalRestoreInstance(restorePayload);
 
     for (const msg of result.messages) {
-      console.log(chalk.blue(msg));
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
     }
 
     if (!result.success) {
-      console.error(chalk.red(`Failed to clone instance: ${result.error || "Unknown error during clone operation."}`));
+      console.error(chalk.red(`Failed to restore instance: ${result.error || "Unknown error."}`));
       return;
     }
+    printMessage(chalk.bold.green(`Restore of "${targetName}" completed.`));
+    if (result.safetyCopyPath) {
+      printMessage(chalk.yellow(`Remove ${result.safetyCopyPath} once you have verified the restored instance.`));
+    }
+  });
 
-    console.log(chalk.bold.green(`\nInstance "${newName}" cloned!`));
-    const protocol = result.instance.useHttps && result.certbotSuccess ? "https" : "http";
-    const publicBaseUrl = `${protocol}://${result.instance.domain}`;
-    const localAdminUrl = `http://127.0.0.1:${result.instance.port}/_/`;
-    console.log(chalk.blue("\nNew Cloned Instance Details:"));
-    console.log(chalk.blue(`  Public URL: ${publicBaseUrl}/_/`));
-    console.log(chalk.yellow("Remember that all data, including users and admins, has been cloned from the source instance."));
-    if (!createAdminCli) {
-      console.log(chalk.yellow(`You can access the admin panel for "${newName}" using existing credentials from "${sourceName}" or create/reset admins via the UI or 'pb-manager reset-admin ${newName}'.`));
+program
+  .command("export <name>")
+  .description("Package an instance (configuration and data) into a bundle for moving it to another server")
+  .option("-o, --output <path>", "Bundle file to write (defaults to ./<name>-export-<timestamp>.tar.gz)")
+  .option("--json", "Print the result as JSON")
+  .action(async (name, options) => {
+    const config = await getInstancesConfig();
+    if (!config.instances[name]) {
+      reportCommandFailure(`Instance "${name}" not found.`);
+      return;
     }
-    console.log(chalk.yellow(`   - Public Admin: ${publicBaseUrl}/_/`));
-    console.log(chalk.yellow(`   - Local Admin (direct access): ${localAdminUrl}`));
-    if (result.instance.useHttps && !result.certbotSuccess && httpsAnswers.autoRunCertbot) {
-      console.log(chalk.red(`\nCertbot failed for "${newName}". The instance might only be available via HTTP.`));
-      console.log(chalk.red(`Try: sudo certbot --nginx -d ${cloneAnswers.domain} -m ${emailToUseForCertbot}`));
+    printMessage(chalk.blue(`Exporting instance "${name}"...`));
+    const result = await _internalExportInstance({ name, outputPath: options.output ? path.resolve(options.output) : undefined });
+    if (!result.success) {
+      reportCommandFailure(result.error || "Export failed.");
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+      return;
     }
+    for (const msg of result.messages) {
+      printMessage(chalk.green(msg));
+    }
+    printMessage(chalk.yellow("The bundle contains the instance's full database. Transfer it over a secure channel and delete it afterwards."));
   });
 
 program
-  .command("update-pocketbase")
-  .description("Updates the PocketBase executable using 'pocketbase update' and restarts all instances.")
-  .action(async () => {
-    console.log(chalk.bold.cyan("Attempting to update PocketBase executable..."));
-    if (!(await fs.pathExists(POCKETBASE_EXEC_PATH))) {
-      console.error(chalk.red("PocketBase executable not found. Run 'setup' or 'configure' to set a version and download."));
+  .command("import <bundle>")
+  .description("Recreate an instance from an export bundle (PM2, Nginx and optional Certbot setup)")
+  .option("--name <name>", "Instance name on this server (defaults to the exported name)")
+  .option("--domain <domain>", "Domain/subdomain (defaults to the exported domain)")
+  .option("--port <port>", "Internal port (defaults to the exported port, or the first free port if that one is taken)", (value) => Number.parseInt(value, 10))
+  .option("--https", "Configure HTTPS with Certbot")
+  .option("--no-https", "Serve the instance over HTTP only")
+  .option("--email <email>", "Email for Let's Encrypt (defaults to the exported or configured email)")
+  .option("--certbot", "Run Certbot right away to obtain the certificate")
+  .option("--no-certbot", "Generate the HTTPS config without running Certbot")
+  .option("--skip-dns-check", "Do not check that the domain resolves to this server before requesting a certificate")
+  .option("-y, --yes", "Do not prompt; use the given options and the exported settings for everything else")
+  .option("--json", "Print the result as JSON")
+  .action(async (bundle, options) => {
+    const cliConfig = await getCliConfig();
+    await ensureBaseSetup();
+    const bundlePath = path.resolve(bundle);
+    let metadata;
+    try {
+      metadata = await readBackupMetadata(bundlePath);
+    } catch (e) {
+      reportCommandFailure(`${bundle} is not a valid pb-manager export bundle: ${e.message}`);
       return;
     }
-    const { confirmUpdate } = await inquirer.prompt([{ type: "confirm", name: "confirmUpdate", message: `This will run '${POCKETBASE_EXEC_PATH} update' to fetch the latest PocketBase binary and then restart ALL managed instances. Do you want to proceed?`, default: true }]);
-    if (!confirmUpdate) {
-      console.log(chalk.yellow("PocketBase update cancelled by user."));
+    const source = metadata.instance || {};
+    printMessage(chalk.blue(`Bundle of "${metadata.name}" exported on ${metadata.createdAt} (PocketBase v${source.pocketBaseVersion || metadata.pocketBaseVersion || "unknown"}).`));
+
+    const config = await getInstancesConfig();
+    const answers = await promptOrDefaults(
+      [
+        { type: "input", name: "name", message: "Instance name on this server:", default: metadata.name, validate: (input) => (isValidInstanceName(input) ? true : `Invalid name. ${INSTANCE_NAME_RULES}`) },
+        { type: "input", name: "domain", message: "Domain/subdomain:", default: source.domain, validate: validateDomainInput },
+        { type: "number", name: "port", message: "Internal port:", default: (await isBundlePortFree(config, source.port)) ? source.port : (await findFreePort()) || undefined, validate: validatePortInput },
+        { type: "confirm", name: "useHttps", message: "Configure HTTPS (Certbot)?", default: source.useHttps !== false },
+        { type: "input", name: "emailForCertbot", message: "Email for Let's Encrypt:", default: source.emailForCertbot || cliConfig.defaultCertbotEmail || undefined, when: (current) => current.useHttps, validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Valid email required.") },
+        { type: "confirm", name: "autoRunCertbot", message: "Attempt to automatically run Certbot now to obtain the SSL certificate?", default: true, when: (current) => current.useHttps },
+      ],
+      { name: options.name, domain: options.domain, port: options.port, useHttps: options.https, emailForCertbot: options.email, autoRunCertbot: options.certbot },
+    );
+
+    const conflict = findInstanceConflict(config, answers);
+    if (conflict) {
+      reportCommandFailure(`${conflict.message} Use --name, --domain or --port to import it under different settings.`);
       return;
     }
+    if (answers.useHttps && !options.skipDnsCheck && !(await validateDnsRecords(answers.domain))) {
+      const { proceedAnyway } = await promptOrDefaults([{ type: "confirm", name: "proceedAnyway", message: chalk.yellow(`DNS validation failed for ${answers.domain}. Certbot will likely fail. Do you want to proceed with the import (you might need to fix DNS and run Certbot manually later, or use HTTP only)?`), default: false }]);
+      if (!proceedAnyway) {
+        reportCommandFailure("Import aborted due to DNS issues.");
+        return;
+      }
+    }
 
-    const result = await _internalUpdatePocketBaseExecutable();
-
+    const result = await _internalImportInstance({ bundle: bundlePath, name: answers.name, domain: answers.domain, port: answers.port, useHttps: answers.useHttps, emailForCertbot: answers.emailForCertbot, autoRunCertbot: answers.useHttps ? answers.autoRunCertbot : false });
     for (const msg of result.messages) {
-      console.log(result.success ? chalk.green(msg) : chalk.yellow(msg));
+      printMessage(result.success ? chalk.green(msg) : chalk.yellow(msg));
     }
-
     if (!result.success) {
-      console.error(chalk.red(`PocketBase update process failed: ${result.error || "Unknown error."}`));
-    } else {
-      console.log(chalk.bold.green("PocketBase update and instance restarts completed."));
+      reportCommandFailure(`Failed to import instance: ${result.error || "Unknown error."}`, { messages: result.messages });
+      return;
+    }
+    if (jsonOutput) {
+      printJsonResult(result);
+      return;
+    }
+    printMessage(chalk.bold.green(`\nInstance "${answers.name}" imported! Existing admins and users were imported with the data.`));
+    if (result.instance.useHttps && !getInstanceTlsPaths(result.instance) && !result.certbotSuccess && answers.autoRunCertbot) {
+      printMessage(chalk.red(`Certbot failed. Try: sudo certbot --nginx -d ${answers.domain} -m ${result.instance.emailForCertbot}`));
     }
   });
 
 program
-  .command("remove <name>")
-  .description("Remove a PocketBase instance")
-  .action(async (name) => {
+  .command("renew-certificates [instanceName]")
+  .description(`Renew SSL certificates: Certbot certificates that are due and internal CA certificates expiring within ${INTERNAL_CERT_RENEWAL_DAYS} days, or a specific instance's cert.`)
+  .option("-f, --force", "Force renewal even if the certificate is not yet due for expiry.")
+  .option("--internal-ca-only", "Only reissue internal CA certificates and skip Certbot (used by the renewal timer)")
+  .action(async (instanceName, options) => {
     const config = await getInstancesConfig();
-    if (!config.instances[name]) {
-      console.error(chalk.red(`Instance "${name}" not found.`));
-      return;
-    }
-    const { confirm } = await inquirer.prompt([{ type: "confirm", name: "confirm", message: `Are you sure you want to remove instance "${name}"? This will stop it, remove its PM2 entry, and Nginx config. Data directory will NOT be deleted automatically by this step.`, default: false }]);
-    if (!confirm) {
-      console.log(chalk.yellow("Removal cancelled."));
+    const targetInstanceName = instanceName && instanceName.toLowerCase() !== "all" && !options.internalCaOnly ? instanceName : "all";
+    const instance = targetInstanceName !== "all" ? config.instances[targetInstanceName] : null;
+    if (targetInstanceName !== "all" && (!instance || !instance.useHttps)) {
+      reportCommandFailure(`Instance "${targetInstanceName}" not found or does not use HTTPS.`);
       return;
     }
-    const { confirmTyped } = await inquirer.prompt([{ type: "input", name: "confirmTyped", message: `To confirm removal of instance "${name}", please type its name again:` }]);
-    if (confirmTyped !== name) {
-      console.log(chalk.yellow("Instance name did not match. Removal cancelled."));
+    const usesLetsEncrypt = !options.internalCaOnly && (instance ? !getInstanceTlsPaths(instance) : Object.values(config.instances).some((inst) => inst.useHttps && !getInstanceTlsPaths(inst)));
+    if (usesLetsEncrypt && PROXY_BACKEND === PROXY_BACKEND_CADDY && instance) {
+      printMessage(chalk.green("Caddy renews its certificates automatically. Nothing to do."));
       return;
     }
+    if (usesLetsEncrypt && PROXY_BACKEND !== PROXY_BACKEND_CADDY) {
+      if (!shell.which("certbot")) {
+        reportCommandFailure("Certbot command not found. Please install Certbot first.");
+        return;
+      }
+      const certbotArgs = ["renew"];
+      if (instance) certbotArgs.push("--cert-name", instance.domain);
+      if (options.force) certbotArgs.push("--force-renewal");
 
-    let deleteData = false;
-    const { confirmDeleteData } = await inquirer.prompt([{ type: "confirm", name: "confirmDeleteData", message: `Do you want to permanently delete the data directory ${config.instances[name].dataDir} for the removed instance "${name}"? ${chalk.bold.red("THIS CANNOT BE UNDONE.")}`, default: false }]);
-    if (confirmDeleteData) {
-      const { confirmTypedDeleteData } = await inquirer.prompt([{ type: "input", name: "confirmTypedDeleteData", message: `To confirm PERMANENT DELETION of data for "${name}", type the instance name again:` }]);
-      if (confirmTypedDeleteData === name) {
-        deleteData = true;
-      } else {
-        console.log(chalk.yellow("Instance name did not match for data deletion. Data directory NOT deleted."));
+      const { confirmRenew } = await inquirer.prompt([{ type: "confirm", name: "confirmRenew", message: `This will run Certbot to renew certificates. Command: sudo certbot ${certbotArgs.join(" ")}. Proceed?`, default: true }]);
+      if (!confirmRenew) {
+        printMessage(chalk.yellow("Certificate renewal cancelled by user."));
+        return;
       }
     }
 
-    const result = await _internalRemoveInstance({ name, deleteData });
+    const renewPayload = { instanceName: targetInstanceName === "all" ? null : targetInstanceName, force: options.force || false, internalCaOnly: Boolean(options.internalCaOnly) };
+    const result = await _internalRenewCertificates(renewPayload);
 
     for (const msg of result.messages) {
-      console.log(chalk.blue(msg));
+      printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
     }
-
-    if (result.success) {
-      console.log(chalk.bold.green(`Instance "${name}" removed process completed.`));
-    } else {
-      console.error(chalk.red(`Failed to remove instance: ${result.error || "Unknown error."}`));
+    if (!result.success) {
+      reportCommandFailure(`Certificate renewal failed: ${result.error || "Unknown error."}`, { messages: result.messages });
     }
   });
 
 program
-  .command("list")
-  .description("List all managed PocketBase instances")
-  .option("--json", "Output in JSON format")
+  .command("serve-api")
+  .description("Serve the instance management operations as an authenticated JSON REST API")
+  .option("--listen <host:port>", "Address to listen on", API_DEFAULT_LISTEN)
+  .option("--rotate-token", "Generate a new API token (invalidating the old one) and exit")
   .action(async (options) => {
-    const instancesList = await _internalListInstances();
-    if (instancesList.length === 0) {
-      if (options.json) {
-        console.log(JSON.stringify([], null, 2));
-      } else {
-        console.log(chalk.yellow("No instances configured yet. Use 'pb-manager add'."));
-      }
+    if (options.rotateToken) {
+      const token = await rotateApiToken();
+      printMessage(chalk.green("New API token generated. Store it now, it is only kept hashed and cannot be shown again:"));
+      printMessage(token);
       return;
     }
-    if (options.json) {
-      console.log(JSON.stringify(instancesList, null, 2));
+    const match = /^(.*):(\d+)$/.exec(options.listen);
+    if (!match) {
+      reportCommandFailure(`Invalid --listen address "${options.listen}". Use host:port, e.g. ${API_DEFAULT_LISTEN}.`);
       return;
     }
-    console.log(chalk.bold.cyan("Managed PocketBase Instances:"));
-    for (const inst of instancesList) {
-      console.log(`\n  ${chalk.bold(inst.name)}:\n    Domain: ${chalk.green(inst.domain)} (${inst.protocol})\n    Public URL: ${chalk.green(inst.publicUrl)}\n    Internal Port: ${chalk.yellow(inst.internalPort)}\n    Data Directory: ${inst.dataDirectory}\n    PM2 Status: ${inst.pm2Status === PM2_STATUS_ONLINE ? chalk.green(inst.pm2Status) : chalk.red(inst.pm2Status)}\n    Admin URL (local): ${inst.adminURL}\n    Certificate expires in: ${inst.certExpiryDays} day(s)`);
+    const host = match[1].replace(/^\[(.*)\]$/, "$1");
+    const port = Number.parseInt(match[2], 10);
+    if (!["127.0.0.1", "localhost", "::1"].includes(host)) {
+      printMessage(chalk.yellow(`Warning: The API will be reachable on ${host}. It runs with root privileges; put it behind TLS and a firewall.`));
     }
-  });
 
-async function handlePm2Action(action, instanceNameOrAll) {
-  const config = await getInstancesConfig();
-  const targets = [];
-  if (instanceNameOrAll && instanceNameOrAll.toLowerCase() === "all") {
-    targets.push(...Object.keys(config.instances));
-  } else if (instanceNameOrAll) {
-    if (!config.instances[instanceNameOrAll]) {
-      console.error(chalk.red(`Instance "${instanceNameOrAll}" not found.`));
-      return;
+    if (!(await getCliConfig()).apiTokenHash) {
+      const token = await rotateApiToken();
+      printMessage(chalk.green("No API token configured yet. Generated one (it is only kept hashed and cannot be shown again):"));
+      printMessage(token);
     }
-    targets.push(instanceNameOrAll);
-  } else {
-    console.log(chalk.yellow(`Please specify an instance name or 'all'. Usage: pb-manager ${action} <name|all>`));
-    return;
-  }
-
-  if (targets.length === 0) {
-    console.log(chalk.yellow(`No instances configured to ${action}.`));
-    return;
-  }
 
-  const capitalizedAction = action.charAt(0).toUpperCase() + action.slice(1);
-  if (completeLogging || targets.length === 1) {
-    console.log(chalk.blue(`${capitalizedAction}ing ${targets.length > 1 ? "all managed" : ""} instance(s)...`));
-  }
-  let allProcessedSuccessfully = true;
-
-  for (const targetName of targets) {
+    nonInteractive = true;
     try {
-      await safeRunCommand("pm2", [action, `${PM2_INSTANCE_PREFIX}${targetName}`], `Failed to ${action} instance ${PM2_INSTANCE_PREFIX}${targetName}`);
-      if (completeLogging || targets.length === 1) {
-        console.log(chalk.green(`Instance ${PM2_INSTANCE_PREFIX}${targetName} ${action}ed.`));
-      }
+      await startApiServer({ host, port });
     } catch (e) {
-      console.error(chalk.red(`Failed to ${action} instance ${PM2_INSTANCE_PREFIX}${targetName}: ${e.message}`));
-      allProcessedSuccessfully = false;
-    }
-  }
-
-  if (allProcessedSuccessfully && targets.length > 1) {
-    console.log(chalk.bold.green(`All instances processed for ${action}ing.`));
-  } else if (!allProcessedSuccessfully) {
-    console.log(chalk.bold.yellow(`Some instances may not have ${action}ed correctly. Check PM2 logs.`));
-  }
-}
-
-program
-  .command("start [name]")
-  .description("Start a specific PocketBase instance or all instances via PM2")
-  .action(async (name) => {
-    await handlePm2Action("start", name);
-  });
-
-program
-  .command("stop [name]")
-  .description("Stop a specific PocketBase instance or all instances via PM2")
-  .action(async (name) => {
-    await handlePm2Action("stop", name);
-  });
-
-program
-  .command("restart [name]")
-  .description("Restart a specific PocketBase instance or all instances via PM2")
-  .action(async (name) => {
-    await handlePm2Action("restart", name);
-  });
-
-program
-  .command("logs <name>")
-  .description("Show logs for a specific PocketBase instance from PM2")
-  .action((name) => {
-    console.log(chalk.blue(`Displaying logs for ${PM2_INSTANCE_PREFIX}${name}. Press Ctrl+C to exit.`));
-    shell.exec(`pm2 logs ${PM2_INSTANCE_PREFIX}${name} --lines 50`);
-  });
-
-program
-  .command("audit")
-  .description("Show the audit log of commands executed by this CLI")
-  .action(async () => {
-    const auditLogPath = path.join(CONFIG_DIR, AUDIT_LOG_FILE);
-    if (await fs.pathExists(auditLogPath)) {
-      const auditLog = await fs.readFile(auditLogPath, "utf-8");
-      console.log(chalk.blue("Displaying audit log for this CLI:"));
-      console.log(auditLog);
-    } else {
-      console.log(chalk.yellow("No audit log found. The log will be created as you use commands."));
+      reportCommandFailure(`Could not start the API server on ${options.listen}: ${e.message}`);
+      return;
     }
+    printMessage(chalk.bold.green(`pb-manager API listening on http://${options.listen} (send 'Authorization: Bearer <token>').`));
   });
 
 program
-  .command("update-ecosystem")
-  .description("Regenerate the PM2 ecosystem file and reload PM2")
-  .action(async () => {
-    const result = await _internalUpdateEcosystemAndReloadPm2();
-    for (const msg of result.messages) {
-      console.log(result.success ? chalk.green(msg) : chalk.red(msg));
-    }
-    if (!result.success) {
-      console.error(chalk.red(`Failed to update ecosystem: ${result.error || "Unknown error."}`));
+  .command("monitor")
+  .description("Periodically check every instance (health endpoint, process status, restarts, certificate expiry) and send alerts when a check fails or recovers")
+  .option("--interval <seconds>", "Seconds between checks", String(MONITOR_DEFAULTS.intervalSeconds))
+  .option("--failures <count>", "Consecutive failed health/process checks before alerting", String(MONITOR_DEFAULTS.failureThreshold))
+  .option("--cert-warning-days <days>", "Alert when a certificate expires within this many days", String(MONITOR_DEFAULTS.certificateWarningDays))
+  .option("--once", "Run a single check, send any alerts and exit")
+  .option("--install", "Install and start the monitor as a systemd service with these options, then exit")
+  .option("--uninstall", "Stop and remove the monitor systemd service")
+  .option("--json", "Print the result of --once as JSON")
+  .action(async (options) => {
+    const settings = { intervalSeconds: Number.parseInt(options.interval, 10), failureThreshold: Number.parseInt(options.failures, 10), certificateWarningDays: Number.parseInt(options.certWarningDays, 10) };
+    for (const [key, value] of Object.entries(settings)) {
+      if (!Number.isInteger(value) || value < 1) {
+        reportCommandFailure(`Invalid value for ${key}: ${value}. Use a positive integer.`);
+        return;
+      }
     }
-  });
-
-program
-  .command("reset <name>")
-  .description("Reset a PocketBase instance (delete all data and optionally create a new admin account)")
-  .action(async (name) => {
-    const config = await getInstancesConfig();
-    if (!config.instances[name]) {
-      console.error(chalk.red(`Instance "${name}" not found.`));
+    if (options.install || options.uninstall) {
+      const result = await _internalInstallMonitorService({ ...settings, remove: Boolean(options.uninstall) });
+      for (const msg of result.messages) {
+        printMessage(result.success ? chalk.green(msg) : chalk.red(msg));
+      }
+      if (!result.success) process.exitCode = 1;
       return;
     }
-    const instance = config.instances[name];
-    const dataDir = instance.dataDir;
-    const { confirm } = await inquirer.prompt([{ type: "confirm", name: "confirm", message: `Are you sure you want to reset instance "${name}"? This will ${chalk.red.bold("DELETE ALL DATA")} in ${dataDir} and start from zero. This action cannot be undone.`, default: false }]);
-    if (!confirm) {
-      console.log(chalk.yellow("Reset cancelled."));
-      return;
+    if (Object.keys((await getCliConfig()).alertChannels || {}).length === 0) {
+      printMessage(chalk.yellow("No alert channels configured; alerts are only printed. Add one with 'pb-manager alerts add <channelName>'."));
     }
-    const { confirmTyped } = await inquirer.prompt([{ type: "input", name: "confirmTyped", message: `To confirm PERMANENT DELETION of all data for instance "${name}", please type its name again:` }]);
-    if (confirmTyped !== name) {
-      console.log(chalk.yellow("Instance name did not match. Reset cancelled."));
+    if (options.once) {
+      const result = await _internalRunMonitorCheck(settings);
+      if (jsonOutput) {
+        printJsonResult(result);
+        return;
+      }
+      for (const msg of result.messages) {
+        printMessage(result.success ? msg : chalk.red(msg));
+      }
+      if (!result.success) process.exitCode = 1;
       return;
     }
 
-    let adminPayload = { createAdmin: false };
-    const { createAdminCli } = await inquirer.prompt([{ type: "confirm", name: "createAdminCli", message: "Do you want to create a new superuser (admin) account for this reset instance via CLI now?", default: true }]);
-    if (createAdminCli) {
-      const adminCredentials = await inquirer.prompt([
-        { type: "input", name: "adminEmail", message: "Enter admin email:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
-        { type: "password", name: "adminPassword", message: "Enter admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
-      ]);
-      adminPayload = { createAdmin: true, adminEmail: adminCredentials.adminEmail, adminPassword: adminCredentials.adminPassword };
-    }
-
-    const resetPayload = { name, ...adminPayload };
-    const result = await _internalResetInstance(resetPayload);
-
-    for (const msg of result.messages) {
-      console.log(result.success ? chalk.green(msg) : chalk.yellow(msg));
-    }
-
-    if (!result.success) {
-      console.error(chalk.red(`Failed to reset instance: ${result.error || "Unknown error."}`));
-    } else {
-      console.log(chalk.bold.green(`Instance "${name}" reset process completed.`));
+    let stopping = false;
+    let sleepTimer = null;
+    let wakeUp = null;
+    const stop = () => {
+      stopping = true;
+      clearTimeout(sleepTimer);
+      if (wakeUp) wakeUp();
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+    printMessage(chalk.bold.green(`pb-manager monitor started (every ${settings.intervalSeconds}s, alert after ${settings.failureThreshold} failed check(s), certificates within ${settings.certificateWarningDays} days).`));
+    while (!stopping) {
+      const result = await _internalRunMonitorCheck(settings);
+      const timestamp = new Date().toISOString();
+      for (const msg of result.messages) {
+        printMessage(`${timestamp} ${result.success ? msg : chalk.red(msg)}`);
+      }
+      if (stopping) break;
+      await new Promise((resolve) => {
+        wakeUp = resolve;
+        sleepTimer = setTimeout(resolve, settings.intervalSeconds * 1000);
+      });
     }
+    printMessage(chalk.yellow("pb-manager monitor stopped."));
   });
 
-program
-  .command("reset-admin <name>")
-  .description("Reset the admin password for a PocketBase instance")
-  .action(async (name) => {
-    const config = await getInstancesConfig();
-    if (!config.instances[name]) {
-      console.error(chalk.red(`Instance "${name}" not found.`));
+const alertsCommand = program.command("alerts").description("Manage the channels that 'pb-manager monitor' sends alerts to");
+
+alertsCommand
+  .command("add <channelName>")
+  .description("Add or update an alert channel (generic JSON webhook, Slack-compatible webhook or SMTP email)")
+  .option("--type <type>", `Channel type: ${ALERT_CHANNEL_TYPES.join(", ")}`)
+  .option("--url <url>", "Webhook URL (webhook and slack channels)")
+  .option("--smtp-host <host>", "SMTP server host")
+  .option("--smtp-port <port>", "SMTP server port", "587")
+  .option("--smtp-secure", "Use implicit TLS (usually port 465) instead of STARTTLS")
+  .option("--smtp-user <user>", "SMTP username")
+  .option("--smtp-password <password>", "SMTP password (prompted if --smtp-user is given and this is omitted)")
+  .option("--from <address>", "Sender address of alert emails")
+  .option("--to <addresses>", "Comma-separated recipients of alert emails")
+  .action(async (channelName, options) => {
+    const answers = await inquirer.prompt(
+      [
+        { type: "list", name: "type", message: "Channel type:", choices: ALERT_CHANNEL_TYPES },
+        { type: "input", name: "url", message: "Webhook URL:", when: (current) => current.type !== "smtp", validate: (input) => (input.length > 0 ? true : "URL cannot be empty.") },
+        { type: "input", name: "host", message: "SMTP host:", when: (current) => current.type === "smtp", validate: (input) => (input.length > 0 ? true : "Host cannot be empty.") },
+        { type: "input", name: "from", message: "Sender address:", when: (current) => current.type === "smtp", validate: (input) => (input.length > 0 ? true : "Sender cannot be empty.") },
+        { type: "input", name: "to", message: "Recipients (comma-separated):", when: (current) => current.type === "smtp", validate: (input) => (input.length > 0 ? true : "Recipients cannot be empty.") },
+        { type: "password", name: "password", message: "SMTP password:", mask: "*", when: (current) => current.type === "smtp" && Boolean(options.smtpUser) },
+      ],
+      { type: options.type, url: options.url, host: options.smtpHost, from: options.from, to: options.to, password: options.smtpPassword },
+    );
+    const result = await _internalSetAlertChannel({ channelName, ...answers, port: Number.parseInt(options.smtpPort, 10), secure: Boolean(options.smtpSecure), user: options.smtpUser });
+    if (!result.success) {
+      reportCommandFailure(result.error);
       return;
     }
-
-    const adminCredentials = await inquirer.prompt([
-      { type: "input", name: "adminEmail", message: "Enter admin email to reset:", validate: (input) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input) ? true : "Please enter a valid email.") },
-      { type: "password", name: "adminPassword", message: "Enter new admin password (min 8 chars):", mask: "*", validate: (input) => (input.length >= 8 ? true : "Password must be at least 8 characters.") },
-    ]);
-
-    const resetPayload = { name, adminEmail: adminCredentials.adminEmail, adminPassword: adminCredentials.adminPassword };
-    const result = await _internalResetAdminPassword(resetPayload);
-
     for (const msg of result.messages) {
-      console.log(result.success ? chalk.green(msg) : chalk.red(msg));
-    }
-
-    if (!result.success) {
-      console.error(chalk.red(`Failed to reset admin password: ${result.error || "Unknown error."}`));
+      printMessage(chalk.green(msg));
     }
   });
 
-program
-  .command("renew-certificates [instanceName]")
-  .description("Renew SSL certificates using Certbot. Renews all due certs, or a specific instance's cert.")
-  .option("-f, --force", "Force renewal even if the certificate is not yet due for expiry.")
-  .action(async (instanceName, options) => {
-    if (!shell.which("certbot")) {
-      console.error(chalk.red("Certbot command not found. Please install Certbot first."));
+alertsCommand
+  .command("remove <channelName>")
+  .description("Remove an alert channel")
+  .action(async (channelName) => {
+    const result = await _internalSetAlertChannel({ channelName, remove: true });
+    if (!result.success) {
+      reportCommandFailure(result.error);
       return;
     }
-
-    const targetInstanceName = instanceName && instanceName.toLowerCase() !== "all" ? instanceName : "all";
-    let domainForPrompt = targetInstanceName;
-    if (targetInstanceName !== "all") {
-      const config = await getInstancesConfig();
-      const instance = config.instances[targetInstanceName];
-      if (!instance || !instance.useHttps) {
-        console.error(chalk.red(`Instance "${targetInstanceName}" not found or does not use HTTPS.`));
-        return;
-      }
-      domainForPrompt = instance.domain;
+    for (const msg of result.messages) {
+      printMessage(chalk.green(msg));
     }
+  });
 
-    const certbotArgs = ["renew"];
-    if (targetInstanceName !== "all") certbotArgs.push("--cert-name", domainForPrompt);
-    if (options.force) certbotArgs.push("--force-renewal");
-
-    const { confirmRenew } = await inquirer.prompt([{ type: "confirm", name: "confirmRenew", message: `This will run Certbot to renew certificates. Command: sudo certbot ${certbotArgs.join(" ")}. Proceed?`, default: true }]);
-    if (!confirmRenew) {
-      console.log(chalk.yellow("Certificate renewal cancelled by user."));
+alertsCommand
+  .command("list")
+  .description("List configured alert channels")
+  .action(async () => {
+    const cliConfig = await getCliConfig();
+    const channels = Object.entries(cliConfig.alertChannels || {});
+    if (channels.length === 0) {
+      printMessage(chalk.yellow("No alert channels configured. Use 'pb-manager alerts add <channelName>'."));
       return;
     }
+    const table = new Table({ head: ["Channel", "Type", "Target"] });
+    for (const [channelName, channel] of channels) {
+      table.push([channelName, channel.type, channel.type === "smtp" ? `${channel.to} via ${channel.host}:${channel.port}` : new URL(channel.url).origin]);
+    }
+    printMessage(table.toString());
+  });
 
-    const renewPayload = { instanceName: targetInstanceName === "all" ? null : targetInstanceName, force: options.force || false };
-    const result = await _internalRenewCertificates(renewPayload);
-
+alertsCommand
+  .command("test [channelName]")
+  .description("Send a test alert to one channel, or to all of them")
+  .action(async (channelName) => {
+    const event = { type: "alert", instance: "pb-manager", check: "test", message: "This is a test alert from pb-manager.", host: os.hostname(), timestamp: new Date().toISOString() };
+    const result = await _internalSendAlerts({ events: [event], channelName });
     for (const msg of result.messages) {
-      console.log(result.success ? chalk.green(msg) : chalk.red(msg));
+      printMessage(result.success ? msg : chalk.red(msg));
     }
-    if (!result.success) {
-      console.error(chalk.red(`Certificate renewal failed: ${result.error || "Unknown error."}`));
+    if (result.success) {
+      printMessage(chalk.green(`Test alert sent to ${channelName || "all channels"}.`));
+    } else {
+      reportCommandFailure(result.error);
     }
   });
 
@@ -2444,10 +8430,10 @@ program
     if (!installPath || !installPath.endsWith(PB_MANAGER_SCRIPT_NAME)) {
       installPath = DEFAULT_INSTALL_PATH_PB_MANAGER;
     }
-    console.log(chalk.cyan(`Attempting to update pb-manager from ${SCRIPT_URL}`));
+    printMessage(chalk.cyan(`Attempting to update pb-manager from ${SCRIPT_URL}`));
     const { confirmUpdateSelf } = await inquirer.prompt([{ type: "confirm", name: "confirmUpdateSelf", message: `This will download the latest version of pb-manager from GitHub and overwrite the current script at ${installPath}. Are you sure you want to proceed?`, default: true }]);
     if (!confirmUpdateSelf) {
-      console.log(chalk.yellow("pb-manager update cancelled by user."));
+      printMessage(chalk.yellow("pb-manager update cancelled by user."));
       return;
     }
 
@@ -2461,18 +8447,18 @@ program
         const downloadedChecksum = hash.digest("hex");
         if (downloadedChecksum !== expectedChecksum) {
           console.error(chalk.red("Checksum mismatch! Update aborted. The downloaded file may be compromised or outdated."));
-          console.log(chalk.yellow(`Expected: ${expectedChecksum}, Got: ${downloadedChecksum}`));
+          printMessage(chalk.yellow(`Expected: ${expectedChecksum}, Got: ${downloadedChecksum}`));
           return;
         }
-        if (completeLogging) console.log(chalk.green("Checksum verified."));
+        if (completeLogging) printMessage(chalk.green("Checksum verified."));
       } else {
-        console.log(chalk.yellow("Could not fetch checksum. Proceeding without verification."));
+        printMessage(chalk.yellow("Could not fetch checksum. Proceeding without verification."));
       }
 
       const tempInstallPath = `${installPath}.${Date.now()}.tmp`;
       await fs.writeFile(tempInstallPath, newScriptContent, { mode: 0o755 });
       await safeRunCommand("sudo", ["mv", tempInstallPath, installPath], `Failed to move updated script to ${installPath}`);
-      console.log(chalk.green(`pb-manager.js updated at ${installPath}`));
+      printMessage(chalk.green(`pb-manager.js updated at ${installPath}`));
     } catch (e) {
       console.error(chalk.red("Failed to download or write pb-manager.js:"), e.message);
       process.exit(1);
@@ -2482,32 +8468,39 @@ program
     if (reinstall) {
       try {
         const installDir = path.dirname(installPath);
-        if (completeLogging) console.log(chalk.cyan("Running npm install..."));
+        if (completeLogging) printMessage(chalk.cyan("Running npm install..."));
         await safeRunCommand("npm", ["install"], "Failed to install dependencies", false, { cwd: installDir });
-        if (completeLogging) console.log(chalk.green("Dependencies installed."));
+        if (completeLogging) printMessage(chalk.green("Dependencies installed."));
       } catch (e) {
         console.error(chalk.red("Failed to install dependencies:"), e.message);
       }
     }
-    console.log(chalk.bold.green("pb-manager has been updated. Please re-run your command if needed."));
+    printMessage(chalk.bold.green("pb-manager has been updated. Please re-run your command if needed."));
     process.exit(0);
   });
 
 program.hook("preAction", async (thisCommand, actionCommand) => {
   currentCommandNameForAudit = actionCommand.name();
-  currentCommandArgsForAudit = process.argv.slice(3).join(" ");
+  currentCommandArgsForAudit = redactAuditArgs(process.argv.slice(3), actionCommand).join(" ");
+  const actionOptions = actionCommand.opts();
+  nonInteractive = Boolean(actionOptions.yes);
+  jsonOutput = Boolean(actionOptions.json);
   try {
     await fs.ensureDir(CONFIG_DIR);
     const cliConfig = await getCliConfig();
     completeLogging = cliConfig.completeLogging || false;
     const cachedLatestVersion = await getCachedLatestVersion();
     if (cliConfig.defaultPocketBaseVersion && cachedLatestVersion && cliConfig.defaultPocketBaseVersion !== cachedLatestVersion && actionCommand.name() !== "update-pocketbase" && actionCommand.name() !== "setup" && actionCommand.name() !== "configure") {
-      console.log(chalk.yellow(`A new version of PocketBase (v${cachedLatestVersion}) has been released. Your default is v${cliConfig.defaultPocketBaseVersion}. Consider running 'pb-manager update-pocketbase' or 'pb-manager configure' to update the default.`));
+      printMessage(chalk.yellow(`A new version of PocketBase (v${cachedLatestVersion}) has been released. Your default is v${cliConfig.defaultPocketBaseVersion}. Consider running 'pb-manager update-pocketbase' or 'pb-manager configure' to update the default.`));
+    }
+    const reservedNames = Object.keys((await getInstancesConfig()).instances).filter((name) => RESERVED_INSTANCE_NAMES.includes(name.toLowerCase()));
+    if (reservedNames.length > 0 && actionCommand.name() !== "rename") {
+      printMessage(chalk.yellow(`Instance(s) ${reservedNames.join(", ")} use a reserved name: 'all' targets every instance and 'backup schedule'/'backup remote' are subcommands, so commands given these names may not reach the instance. Rename it with 'pb-manager rename <name> <newName>'.`));
     }
     await appendAuditLog(currentCommandNameForAudit, currentCommandArgsForAudit);
   } catch (e) {
     if (completeLogging) {
-      console.log(chalk.red(`Error in preAction hook: ${e.message}`));
+      printMessage(chalk.red(`Error in preAction hook: ${e.message}`));
     }
   }
 });
@@ -2525,16 +8518,80 @@ program.helpInformation = () => `
     dashboard                          Show interactive dashboard for all PocketBase instances
     add | create                       Register a new PocketBase instance
     clone <sourceName> <newName>       Clone an existing instance's data and config to a new one
+    edit <name>                        Change an instance's domain, port, HTTPS and proxy options
+    rename <oldName> <newName>         Rename an instance (PM2 process, Nginx config, data and backups)
     list [--json]                      List all managed PocketBase instances
     remove <name>                      Remove a PocketBase instance (prompts for data deletion)
     reset <name>                       Reset a PocketBase instance (delete all data, re-confirm needed)
     reset-admin <name>                 Reset the admin password for a PocketBase instance
 
+    add, clone, edit, reset and reset-admin accept --yes (no prompts) and --json; see 'help <command>'
+    for flags such as --name, --domain, --port, --no-https, --email and --admin-password-stdin.
+
   Instance Management:
-    start <name | all>                 Start a specific PocketBase instance via PM2
-    stop <name | all>                  Stop a specific PocketBase instance via PM2
-    restart <name | all>               Restart a specific PocketBase instance via PM2
-    logs <name>                        Show logs for a specific PocketBase instance from PM2
+    start <name | all>                 Start a specific PocketBase instance via PM2 or systemd
+    stop <name | all>                  Stop a specific PocketBase instance via PM2 or systemd
+    restart <name | all>               Restart a specific PocketBase instance via PM2 or systemd
+    logs <name>                        Show logs for a specific PocketBase instance from PM2 or journalctl
+
+  Nginx Templates:
+    nginx render <name>                Preview the Nginx config of an instance without writing it
+    nginx template [name]              Create a global (or per-instance) template override to customize
+    nginx regenerate [name]            Rewrite Nginx configs from the current templates and reload Nginx
+
+  Proxy Backend:
+    proxy show                         Show whether Nginx or Caddy serves the instances
+    proxy use <nginx | caddy>          Switch the proxy backend and rewrite every instance's config for it
+    proxy regenerate [name]            Rewrite the proxy config of an instance (or all) and reload the proxy
+
+  Process Manager:
+    process-manager show               Show whether PM2 or systemd runs the instances
+    process-manager use <pm2 | systemd>
+                                       Move every instance to PM2 or to hardened systemd units
+
+  Certificates:
+    cert install <name> --cert <file> --key <file>
+                                       Serve an instance with your own certificate instead of Let's Encrypt
+    cert info <name>                   Show the installed custom certificate and its expiry
+    edit <name> --tls internal-ca      Serve an internal/staging instance with a certificate from the local CA
+    ca export [-o <file>]              Export the internal CA root certificate to trust on client machines
+
+  Domains:
+    domain list <name>                 List the primary domain and aliases of an instance
+    domain add <name> <domain>         Serve an instance on another domain (expands its certificate)
+    domain remove <name> <domain>      Stop serving an instance on an alias
+
+  Rate Limiting:
+    rate-limit show <name>             Show the request and connection limits of an instance
+    rate-limit set <name> [--rps ...]  Limit requests per IP, with stricter limits for auth and admin routes
+    rate-limit off <name>              Remove the limits of an instance
+
+  Maintenance:
+    maintenance on <name> [--message]  Serve a maintenance page (503 + Retry-After) instead of the instance
+    maintenance off <name>             Proxy to the instance again
+
+  Admin UI Protection:
+    admin-guard show <name>            Show who may reach the admin UI of an instance
+    admin-guard allow <name> <ip...>   Only allow these IPs/CIDR ranges to reach /_/ and the superuser API
+    admin-guard revoke <name> <ip...>  Remove IPs/CIDR ranges from the allowlist
+    admin-guard add-user <name> <user> Require basic auth on /_/ (adds a user or changes their password)
+    admin-guard remove-user <name> <user> Remove a basic auth user
+    admin-guard off <name>             Remove all admin UI restrictions
+
+  Migration:
+    export <name> [-o <file>]          Package an instance's configuration and data into a bundle
+    import <bundle> [--domain --port]  Recreate an exported instance on this server
+
+  Fleet Manifests:
+    apply -f <file> [--plan --prune]   Plan and apply a YAML/JSON manifest of instances (--prune also deletes unlisted ones)
+    export-manifest [-o <file>]        Print the current instances in the manifest format
+
+  Backups:
+    backup <name | all>                Create a timestamped backup archive in ~/.pb-manager/backups/<name>/
+    restore <name> [archive] [--as]    Restore an instance from a backup, or into a new instance with --as <newName>
+                                       (use --remote <remoteName> to pick the backup from a remote target)
+    backup schedule <name>             Schedule backups (--every daily --keep 7 --keep-weekly 4), --list or --remove
+    backup remote add|remove|list      Manage S3-compatible targets that new backups are uploaded to
 
   Setup & Configuration:
     setup [--version]                  Initial setup: creates directories and downloads PocketBase
@@ -2542,10 +8599,24 @@ program.helpInformation = () => `
 
   Updates & Maintenance:
     renew-certificates <name | all>   Renew SSL certificates using Certbot (use --force to force renewal)
-    update-pocketbase                  Update the PocketBase executable and restart all instances
-    update-ecosystem                   Regenerate the PM2 ecosystem file and reload PM2
+    update-pocketbase [--to]           Upgrade all instances to the latest (or given) PocketBase version
+    update-pocketbase --rollback       Roll back the last upgrade of [name] or all instances
+    upgrade <name> --to <version>      Upgrade a single instance to a specific PocketBase version
+    update-ecosystem                   Regenerate the PM2 ecosystem file (or systemd units) and reload
     update-pb-manager                  Update the pb-manager CLI from GitHub
 
+  API:
+    serve-api [--listen host:port]     Serve instance operations as a token-authenticated JSON REST API
+    serve-api --rotate-token           Generate a new API token
+
+  Monitoring:
+    monitor [--interval --failures]    Check health, process status, restarts and certificates, alert on changes
+    monitor --once                     Run a single check and exit
+    monitor --install | --uninstall    Run the monitor as a systemd service (pb-manager-monitor.service)
+    alerts add <channelName> --type <webhook | slack | smtp>
+                                       Add a channel that monitor alerts and recovery notices are sent to
+    alerts remove|list|test            Manage and test alert channels
+
   Other:
     audit                              Show the history of commands executed by this CLI (includes errors)
     help [command]                     Show help for a specific command
@@ -2562,17 +8633,32 @@ async function main() {
   await detectDistro();
   const cliConfig = await getCliConfig();
   completeLogging = cliConfig.completeLogging || false;
+  if (!PROXY_BACKENDS[cliConfig.proxy]) {
+    console.error(chalk.red(`Unknown proxy backend "${cliConfig.proxy}" in ${CLI_CONFIG_PATH}. Use one of: ${Object.keys(PROXY_BACKENDS).join(", ")}.`));
+    process.exit(1);
+  }
+  PROXY_BACKEND = cliConfig.proxy;
+  if (!PROCESS_MANAGERS[cliConfig.processManager]) {
+    console.error(chalk.red(`Unknown process manager "${cliConfig.processManager}" in ${CLI_CONFIG_PATH}. Use one of: ${Object.keys(PROCESS_MANAGERS).join(", ")}.`));
+    process.exit(1);
+  }
+  PROCESS_MANAGER = cliConfig.processManager;
 
   if (process.argv[2] !== "setup" && process.argv[2] !== "configure" && process.argv[2] !== "update-pb-manager") {
-    if (!shell.which("pm2")) {
+    if (PROCESS_MANAGER === PROCESS_MANAGER_SYSTEMD && !(await isSystemdAvailable())) {
+      console.error(chalk.red(`processManager is set to systemd in ${CLI_CONFIG_PATH}, but systemd is not running on this machine.`));
+      process.exit(1);
+    }
+    if (PROCESS_MANAGER === PROCESS_MANAGER_PM2 && !shell.which("pm2")) {
       console.error(chalk.red("PM2 is not installed or not in PATH. PM2 is essential for managing PocketBase instances."));
-      console.log(chalk.blue("Please install PM2 globally by running: npm install -g pm2"));
-      console.log(chalk.blue("Then, set it up to start on boot: sudo pm2 startup (and follow instructions)"));
+      printMessage(chalk.blue("Please install PM2 globally by running: npm install -g pm2"));
+      printMessage(chalk.blue("Then, set it up to start on boot: sudo pm2 startup (and follow instructions)"));
       process.exit(1);
     }
-    if (!shell.which("nginx")) {
-      console.warn(chalk.yellow("Nginx is not found in PATH. Nginx is required for reverse proxying and HTTPS."));
-      console.log(chalk.blue("Please install Nginx (e.g., sudo apt install nginx or sudo dnf install nginx)."));
+    if (!shell.which(getProxyBackend().command)) {
+      const { label, command } = getProxyBackend();
+      console.warn(chalk.yellow(`${label} is not found in PATH. ${label} is required for reverse proxying and HTTPS.`));
+      printMessage(chalk.blue(`Please install ${label} (e.g., sudo apt install ${command} or sudo dnf install ${command}).`));
     }
   }
 
@@ -2587,6 +8673,9 @@ async function main() {
 
 main().catch(async (err) => {
   console.error(chalk.red("An unexpected error occurred:"), err.message);
+  if (jsonOutput) {
+    printJsonResult({ success: false, error: err.message });
+  }
   await appendAuditLog(currentCommandNameForAudit, currentCommandArgsForAudit, err);
   const cliConfig = await getCliConfig().catch(() => ({ completeLogging: false }));
   if (err.stack && (cliConfig.completeLogging || process.env.DEBUG)) {